@@ -57,6 +57,7 @@ export const SIDEBAR: Sidebar = {
       { text: 'Responsive controls', link: 'docs/en/responsive-controls' },
       { text: 'Keyboard shortcuts', link: 'docs/en/keyboard-shortcuts' },
       { text: 'Audio player', link: 'docs/en/audio-player' },
+      { text: 'Localization', link: 'docs/en/localization' },
     ],
     'Media Elements': [
       { text: 'Cloudflare Video', link: 'docs/en/media-elements/cloudflare-video' },
@@ -75,27 +76,43 @@ export const SIDEBAR: Sidebar = {
       { text: 'Airplay button', link: 'docs/en/components/media-airplay-button' },
       { text: 'Audio track menu', link: 'docs/en/components/media-audio-track-menu' },
       { text: 'Captions button', link: 'docs/en/components/media-captions-button' },
+      { text: 'Captions display', link: 'docs/en/components/media-captions-display' },
       { text: 'Captions menu', link: 'docs/en/components/media-captions-menu' },
+      { text: 'Captions style menu', link: 'docs/en/components/media-captions-style-menu' },
       { text: 'Cast button', link: 'docs/en/components/media-cast-button' },
+      { text: 'Chapter next button', link: 'docs/en/components/media-chapter-next-button' },
+      { text: 'Chapter previous button', link: 'docs/en/components/media-chapter-prev-button' },
+      { text: 'Chapters menu', link: 'docs/en/components/media-chapters-menu' },
+      { text: 'Clip selector', link: 'docs/en/components/media-clip-selector' },
       { text: 'Control bar', link: 'docs/en/components/media-control-bar' },
       { text: 'Duration display', link: 'docs/en/components/media-duration-display' },
+      { text: 'Error dialog', link: 'docs/en/components/media-error-dialog' },
+      { text: 'Frame step button', link: 'docs/en/components/media-frame-step-button' },
       { text: 'Fullscreen button', link: 'docs/en/components/media-fullscreen-button' },
       { text: 'Live indicator / button', link: 'docs/en/components/media-live-button' },
       { text: 'Loading indicator', link: 'docs/en/components/media-loading-indicator' },
+      { text: 'Loop button', link: 'docs/en/components/media-loop-button' },
       { text: 'Media controller', link: 'docs/en/components/media-controller' },
       { text: 'Mute button', link: 'docs/en/components/media-mute-button' },
+      { text: 'Next button', link: 'docs/en/components/media-next-button' },
       { text: 'PiP button', link: 'docs/en/components/media-pip-button' },
       { text: 'Play button', link: 'docs/en/components/media-play-button' },
       { text: 'Playback rate button', link: 'docs/en/components/media-playback-rate-button' },
       { text: 'Playback rate menu', link: 'docs/en/components/media-playback-rate-menu' },
+      { text: 'Playlist menu', link: 'docs/en/components/media-playlist-menu' },
       { text: 'Poster image', link: 'docs/en/components/media-poster-image' },
       { text: 'Preview thumbnail', link: 'docs/en/components/media-preview-thumbnail' },
+      { text: 'Previous button', link: 'docs/en/components/media-previous-button' },
       { text: 'Rendition menu', link: 'docs/en/components/media-rendition-menu' },
+      { text: 'Resume prompt', link: 'docs/en/components/media-resume-prompt' },
       { text: 'Seek backward button', link: 'docs/en/components/media-seek-backward-button' },
       { text: 'Seek forward button', link: 'docs/en/components/media-seek-forward-button' },
       { text: 'Settings menu', link: 'docs/en/components/media-settings-menu' },
+      { text: 'Skip ad button', link: 'docs/en/components/media-skip-ad-button' },
+      { text: 'Stats panel', link: 'docs/en/components/media-stats-panel' },
       { text: 'Time display', link: 'docs/en/components/media-time-display' },
       { text: 'Time range', link: 'docs/en/components/media-time-range' },
+      { text: 'Up next dialog', link: 'docs/en/components/media-up-next-dialog' },
       { text: 'Volume range', link: 'docs/en/components/media-volume-range' },
     ],
     Themes: [
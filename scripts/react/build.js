@@ -11,7 +11,7 @@ const __dirname = dirname(__filename);
 // Notes about the current implementation of the React wrapper compiler:
 // Currently relies on a build having already been generated.
 // Outputs (uncompiled) ES Modules to the dist dir
-// Does not currently support "extras" components
+// "extras" components (e.g. `extras/media-clip-selector/index.js`) are named after their directory
 
 // REACT MODULE STRING CREATION CODE BEGIN
 const clearAndUpper = (kebabText) => {
@@ -114,14 +114,18 @@ const entryPointsToReactModulesIterable = (
           const importPath = entryPoints[i];
           const importPathAbs = require.resolve(importPath);
           const importPathObj = path.parse(importPathAbs);
+          const moduleName =
+            importPathObj.name === 'index' && importPathObj.dir !== path.dirname(distRoot)
+              ? path.basename(importPathObj.dir)
+              : importPathObj.name;
           const modulePathAbs = path.format({
             dir: distRoot,
-            name: importPathObj.name,
+            name: moduleName,
             ext: '.js',
           });
           const tsDeclPathAbs = path.format({
             dir: distRoot,
-            name: importPathObj.name,
+            name: moduleName,
             ext: '.d.ts',
           });
 
@@ -160,7 +164,7 @@ const entryPointsToReactModulesIterable = (
 
               fs.writeFileSync(tsDeclPathAbs, tsDeclStr);
 
-              alreadyDefinedCustomElementNames = customElementNames;
+              alreadyDefinedCustomElementNames = [...customElementNames];
               return {
                 modulePath: modulePathAbs,
                 moduleContents: moduleStr,
@@ -238,7 +242,10 @@ export { toCustomElementReactWrapperModule };
 // EXTERNALIZEABLE/CONFIG CODE BEGIN
 const projectRoot = path.join(__dirname, '..', '..');
 const distRoot = path.join(projectRoot, 'dist', 'react');
-const entryPoints = [path.join(projectRoot, 'dist', 'index.js')];
+const entryPoints = [
+  path.join(projectRoot, 'dist', 'index.js'),
+  path.join(projectRoot, 'dist', 'extras', 'media-clip-selector', 'index.js'),
+];
 const setupGlobalsAsync = async () => {
   const customElementNames = await import(
     path.join(projectRoot, 'dist', 'utils', 'server-safe-globals.js')
@@ -22,10 +22,32 @@ export const MediaUIEvents = {
   MEDIA_RENDITION_REQUEST: 'mediarenditionrequest',
   MEDIA_AUDIO_TRACK_REQUEST: 'mediaaudiotrackrequest',
   MEDIA_SEEK_TO_LIVE_REQUEST: 'mediaseektoliverequest',
+  MEDIA_SEEK_TO_DATE_REQUEST: 'mediaseektodaterequest',
+  MEDIA_SEEK_TO_NEXT_CHAPTER_REQUEST: 'mediaseektonextchapterrequest',
+  MEDIA_SEEK_TO_PREV_CHAPTER_REQUEST: 'mediaseektoprevchapterrequest',
+  MEDIA_FRAME_STEP_REQUEST: 'mediaframesteprequest',
+  MEDIA_SKIP_AD_REQUEST: 'mediaskipadrequest',
+  MEDIA_LOOP_RANGE_REQUEST: 'medialooprangerequest',
+  MEDIA_LOOP_CLEAR_REQUEST: 'medialoopclearrequest',
+  MEDIA_ANGLE_REQUEST: 'mediaanglerequest',
+  MEDIA_PLAYLIST_REQUEST: 'mediaplaylistrequest',
+  MEDIA_PLAYLIST_SELECT_REQUEST: 'mediaplaylistselectrequest',
+  MEDIA_NEXT_REQUEST: 'medianextrequest',
+  MEDIA_PREV_REQUEST: 'mediaprevrequest',
+  MEDIA_RESUME_REQUEST: 'mediaresumerequest',
+  MEDIA_CAPTION_STYLE_REQUEST: 'mediacaptionstylerequest',
+  MEDIA_RETRY_REQUEST: 'mediaretryrequest',
+  MEDIA_PLAYBACK_QUALITY_REQUEST: 'mediaplaybackqualityrequest',
   REGISTER_MEDIA_STATE_RECEIVER: 'registermediastatereceiver',
   UNREGISTER_MEDIA_STATE_RECEIVER: 'unregistermediastatereceiver',
 };
 
+// Requests that are handled by the media container itself instead of the media store.
+export const MediaContainerEvents = {
+  USER_INACTIVE_REQUEST: 'userinactiverequest',
+  MEDIA_ANGLE_CHANGE: 'mediaanglechange',
+};
+
 export const MediaStateReceiverAttributes = {
   MEDIA_CHROME_ATTRIBUTES: 'mediachromeattributes',
   MEDIA_CONTROLLER: 'mediacontroller',
@@ -53,6 +75,7 @@ export const MediaUIProps = {
   MEDIA_IS_FULLSCREEN: 'mediaIsFullscreen',
   MEDIA_PLAYBACK_RATE: 'mediaPlaybackRate',
   MEDIA_CURRENT_TIME: 'mediaCurrentTime',
+  MEDIA_CURRENT_DATE: 'mediaCurrentDate',
   MEDIA_DURATION: 'mediaDuration',
   MEDIA_SEEKABLE: 'mediaSeekable',
   MEDIA_PREVIEW_TIME: 'mediaPreviewTime',
@@ -64,11 +87,27 @@ export const MediaUIProps = {
   MEDIA_STREAM_TYPE: 'mediaStreamType',
   MEDIA_TARGET_LIVE_WINDOW: 'mediaTargetLiveWindow',
   MEDIA_TIME_IS_LIVE: 'mediaTimeIsLive',
+  MEDIA_LIVE_EDGE_OFFSET: 'mediaLiveEdgeOffset',
   MEDIA_RENDITION_LIST: 'mediaRenditionList',
   MEDIA_RENDITION_SELECTED: 'mediaRenditionSelected',
   MEDIA_AUDIO_TRACK_LIST: 'mediaAudioTrackList',
   MEDIA_AUDIO_TRACK_ENABLED: 'mediaAudioTrackEnabled',
   MEDIA_CHAPTERS_CUES: 'mediaChaptersCues',
+  MEDIA_CURRENT_CHAPTER: 'mediaCurrentChapter',
+  MEDIA_CUE_POINTS: 'mediaCuePoints',
+  MEDIA_IN_AD_BREAK: 'mediaInAdBreak',
+  MEDIA_AD_SKIP_COUNTDOWN: 'mediaAdSkipCountdown',
+  MEDIA_LOOP_RANGE: 'mediaLoopRange',
+  MEDIA_ANGLE_LIST: 'mediaAngleList',
+  MEDIA_ANGLE_SELECTED: 'mediaAngleSelected',
+  MEDIA_PLAYLIST: 'mediaPlaylist',
+  MEDIA_PLAYLIST_INDEX: 'mediaPlaylistIndex',
+  MEDIA_RESUME_TIME: 'mediaResumeTime',
+  MEDIA_CAPTION_STYLE: 'mediaCaptionStyle',
+  MEDIA_ERROR: 'mediaError',
+  MEDIA_PLAYBACK_QUALITY: 'mediaPlaybackQuality',
+  MEDIA_READY_STATE: 'mediaReadyState',
+  MEDIA_VIDEO_SIZE: 'mediaVideoSize',
 };
 
 const MediaUIPropsEntries = /** @type {[keyof MediaUIProps, string][]} */ (
@@ -84,14 +123,15 @@ export const MediaUIAttributes =
   );
 
 export const MediaStateChangeEvents =
-  /** @type {{ [k in keyof MediaUIProps | 'USER_INACTIVE' | 'BREAKPOINTS_CHANGE' | 'BREAKPOINTS_COMPUTED']: string }} */ (
+  /** @type {{ [k in keyof MediaUIProps | 'USER_INACTIVE' | 'LANG_CHANGE' | 'BREAKPOINTS_CHANGE' | 'BREAKPOINTS_COMPUTED']: string }} */ (
     MediaUIPropsEntries.reduce(
       (dictObj, [key, propName]) => {
         dictObj[key] = `${propName.toLowerCase()}`;
         return dictObj;
       },
-      /** @type {Partial<{ [k in keyof MediaUIProps | 'USER_INACTIVE' | 'BREAKPOINTS_CHANGE' | 'BREAKPOINTS_COMPUTED']: string  }>} */ ({
+      /** @type {Partial<{ [k in keyof MediaUIProps | 'USER_INACTIVE' | 'LANG_CHANGE' | 'BREAKPOINTS_CHANGE' | 'BREAKPOINTS_COMPUTED']: string  }>} */ ({
         USER_INACTIVE: 'userinactivechange',
+        LANG_CHANGE: 'langchange',
         BREAKPOINTS_CHANGE: 'breakpointchange',
         BREAKPOINTS_COMPUTED: 'breakpointscomputed',
       })
@@ -1,9 +1,25 @@
 import { globalThis, document } from '../../utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from '../../constants.js';
+import { nouns } from '../../labels/labels.js';
+import { formatAsTimePhrase } from '../../utils/time.js';
+import {
+  getBooleanAttr,
+  setBooleanAttr,
+  getNumericAttr,
+  setNumericAttr,
+  getLocale,
+  onLangChange,
+} from '../../utils/element-utils.js';
+
+export const Attributes = {
+  MEDIA_CLIP_START: 'mediaclipstart',
+  MEDIA_CLIP_END: 'mediaclipend',
+  LOOP: 'loop',
+};
 
-const template = document.createElement('template');
-
-const HANDLE_W = 8;
+/**
+ * @typedef {{ startTime: number; endTime: number; }} ClipBounds
+ */
 
 const Z = {
   100: 100,
@@ -11,16 +27,30 @@ const Z = {
   300: 300,
 };
 
+// The clip bounds are in whole seconds, which is also how far the arrow keys move a handle.
+const STEP = 1;
+const PAGE_STEP = 10;
+
+// Without a clip set, the selection starts out covering the second quarter of the media.
+const DEFAULT_CLIP_START_PERCENT = 0.25;
+const DEFAULT_CLIP_END_PERCENT = 0.5;
+
 function lockBetweenZeroAndOne(num) {
   return Math.max(0, Math.min(1, num));
 }
 
-// @ts-ignore
-template.innerHTML = `
+const template = document.createElement('template');
+template.innerHTML = /*html*/`
   <style>
+    :host {
+      display: var(--media-clip-selector-display, inline-block);
+      position: relative;
+      min-width: 80px;
+    }
+
     #selectorContainer {
       background-color: transparent;
-      height: 44px;
+      height: var(--media-clip-selector-height, 44px);
       width: 100%;
       display: flex;
       position: relative;
@@ -28,120 +58,177 @@ template.innerHTML = `
 
     #timeline {
       width: 100%;
-      height: 10px;
-      background: #ccc;
+      height: var(--media-clip-selector-track-height, 10px);
+      background: var(--media-clip-selector-track-background, #ccc);
       position: absolute;
-      top: 16px;
+      top: 50%;
+      transform: translateY(-50%);
       z-index: ${Z['100']};
     }
 
-    #startHandle, #endHandle {
+    [part~="handle"] {
       cursor: pointer;
       height: 80%;
-      width: ${HANDLE_W}px;
-      border-radius: 4px;
-      background-color: royalblue;
+      width: var(--media-clip-selector-handle-width, 8px);
+      flex-shrink: 0;
+      border-radius: var(--media-clip-selector-handle-border-radius, 4px);
+      background: var(--media-clip-selector-handle-background, royalblue);
+      outline: 0;
+    }
+
+    [part~="handle"]:focus-visible {
+      box-shadow: var(--media-focus-box-shadow, inset 0 0 0 2px rgb(27 127 204 / .9));
     }
 
     #playhead {
       height: 100%;
       width: 3px;
-      background-color: #aaa;
+      background: var(--media-clip-selector-playhead-background, #aaa);
       position: absolute;
       display: none;
       z-index: ${Z['300']};
+      pointer-events: none;
+    }
+
+    :host([${MediaUIAttributes.MEDIA_CURRENT_TIME}]) #playhead {
+      display: block;
     }
 
     #selection {
       display: flex;
       z-index: ${Z['200']};
       width: 25%;
+      min-width: calc(3 * var(--media-clip-selector-handle-width, 8px));
       height: 100%;
       align-items: center;
     }
 
     #leftTrim {
       width: 25%;
+      flex-shrink: 0;
     }
 
     #spacer {
       flex: 1;
-      background-color: cornflowerblue;
-      height: 40%;
+      background: var(--media-clip-selector-selection-background, cornflowerblue);
+      height: var(--media-clip-selector-selection-height, 40%);
     }
 
     #thumbnailContainer {
       display: none;
       position: absolute;
       top: 0;
+      width: 100%;
     }
 
-    media-preview-thumbnail {
+    :host(:hover) #thumbnailContainer.enabled {
+      display: block;
+      animation: fadeIn ease 0.5s;
+    }
+
+    [part~="preview-box"] {
       position: absolute;
-      bottom: 10px;
-      border: 2px solid #fff;
-      border-radius: 2px;
-      background-color: #000;
+      bottom: 0;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      transform: translateX(-50%);
+    }
+
+    media-preview-thumbnail {
+      border: var(--media-preview-thumbnail-border, 2px solid #fff);
+      border-radius: var(--media-preview-thumbnail-border-radius, 2px);
+      background: var(--media-preview-thumbnail-background, #000);
       width: 160px;
       height: 90px;
-
-      /* Negative offset of half to center on the handle */
-      margin-left: -80px;
     }
 
-    /* Can't get this working. Trying a downward triangle. */
-    /* media-preview-thumbnail::after {
-      content: "";
-      display: block;
-      width: 300px;
-      height: 300px;
-      margin: 100px;
-      background-color: #ff0;
-    } */
-
-    :host(:hover) #thumbnailContainer.enabled {
-      display: block;
-      animation: fadeIn ease 0.5s;
+    [part~="arrow"] {
+      ${/* border-color has to come before border-top-color! */''}
+      border-color: transparent;
+      border-top-color: var(--media-box-arrow-background, #fff);
+      border-width: var(--media-box-arrow-border-width,
+        var(--media-box-arrow-height, 5px) var(--media-box-arrow-width, 6px) 0);
+      border-style: solid;
+      height: 0;
     }
 
     @keyframes fadeIn {
       0% {
-        /* transform-origin: bottom center; */
-        /* transform: scale(0.7); */
         margin-top: 10px;
         opacity: 0;
       }
       100% {
-        /* transform-origin: bottom center; */
-        /* transform: scale(1); */
         margin-top: 0;
         opacity: 1;
       }
     }
   </style>
   <div id="thumbnailContainer">
-    <media-preview-thumbnail></media-preview-thumbnail>
+    <div id="preview" part="preview-box">
+      <media-preview-thumbnail></media-preview-thumbnail>
+      <div part="arrow"></div>
+    </div>
   </div>
   <div id="selectorContainer">
-    <div id="timeline"></div>
-    <div id="playhead"></div>
+    <div id="timeline" part="track"></div>
+    <div id="playhead" part="playhead"></div>
     <div id="leftTrim"></div>
-    <div id="selection">
-      <div id="startHandle"></div>
+    <div id="selection" part="selection">
+      <div id="startHandle" part="handle start-handle" role="slider" tabindex="0"></div>
       <div id="spacer"></div>
-      <div id="endHandle"></div>
+      <div id="endHandle" part="handle end-handle" role="slider" tabindex="0"></div>
     </div>
   </div>
 `;
 
-
 /**
- * @extends {HTMLElement}
+ * @attr {string} mediaclipstart - The start time of the clip in seconds.
+ * @attr {string} mediaclipend - The end time of the clip in seconds.
+ * @attr {boolean} loop - If set, the media loops the clip while playing.
+ * @attr {string} mediaduration - (read-only) Set to the media duration.
+ * @attr {string} mediacurrenttime - (read-only) Set to the current media time.
+ *
+ * @csspart track - A CSS part that selects the timeline track.
+ * @csspart playhead - A CSS part that selects the current time marker.
+ * @csspart selection - A CSS part that selects the selected clip.
+ * @csspart handle - A CSS part that selects both handles.
+ * @csspart start-handle - A CSS part that selects the clip start handle.
+ * @csspart end-handle - A CSS part that selects the clip end handle.
+ * @csspart preview-box - A CSS part that selects the preview thumbnail box.
+ * @csspart arrow - A CSS part that selects the arrow below the preview thumbnail.
+ *
+ * @cssproperty [--media-clip-selector-display = inline-block] - `display` property of the clip selector.
+ * @cssproperty --media-clip-selector-height - `height` of the clip selector.
+ * @cssproperty --media-clip-selector-track-height - `height` of the timeline track.
+ * @cssproperty --media-clip-selector-track-background - `background` of the timeline track.
+ * @cssproperty --media-clip-selector-playhead-background - `background` of the current time marker.
+ * @cssproperty --media-clip-selector-handle-width - `width` of the handles.
+ * @cssproperty --media-clip-selector-handle-border-radius - `border-radius` of the handles.
+ * @cssproperty --media-clip-selector-handle-background - `background` of the handles.
+ * @cssproperty --media-clip-selector-selection-background - `background` of the selected clip.
+ * @cssproperty --media-clip-selector-selection-height - `height` of the selected clip.
+ * @cssproperty --media-focus-box-shadow - `box-shadow` of a focused handle.
+ *
+ * @cssproperty --media-preview-thumbnail-background - `background` of the preview thumbnail.
+ * @cssproperty --media-preview-thumbnail-border - `border` of the preview thumbnail.
+ * @cssproperty --media-preview-thumbnail-border-radius - `border-radius` of the preview thumbnail.
+ * @cssproperty --media-box-arrow-background - `border-top-color` of the preview arrow.
+ * @cssproperty --media-box-arrow-border-width - `border-width` of the preview arrow.
+ * @cssproperty --media-box-arrow-height - `height` of the preview arrow.
+ * @cssproperty --media-box-arrow-width - `width` of the preview arrow.
+ *
+ * @event {CustomEvent<ClipBounds>} clipchange - Fired when the clip is changed by the user.
  */
 class MediaClipSelector extends globalThis.HTMLElement {
+  #removeLangChangeListener;
+
   static get observedAttributes() {
     return [
       'thumbnails',
+      Attributes.LOOP,
+      Attributes.MEDIA_CLIP_START,
+      Attributes.MEDIA_CLIP_END,
       MediaUIAttributes.MEDIA_DURATION,
       MediaUIAttributes.MEDIA_CURRENT_TIME,
     ];
@@ -153,7 +240,6 @@ class MediaClipSelector extends globalThis.HTMLElement {
     if (!this.shadowRoot) {
       // Set up the Shadow DOM if not using Declarative Shadow DOM.
       this.attachShadow({ mode: 'open' });
-      // @ts-ignore
       this.shadowRoot.appendChild(template.content.cloneNode(true));
     }
 
@@ -168,40 +254,165 @@ class MediaClipSelector extends globalThis.HTMLElement {
     /** @type {HTMLElement} */
     this.leftTrim = this.shadowRoot.querySelector('#leftTrim');
     /** @type {HTMLElement} */
-    this.spacerFirst = this.shadowRoot.querySelector('#spacerFirst');
-    /** @type {HTMLElement} */
     this.startHandle = this.shadowRoot.querySelector('#startHandle');
     /** @type {HTMLElement} */
-    this.spacerMiddle = this.shadowRoot.querySelector('#spacerMiddle');
-    /** @type {HTMLElement} */
     this.endHandle = this.shadowRoot.querySelector('#endHandle');
-    /** @type {HTMLElement} */
-    this.spacerLast = this.shadowRoot.querySelector('#spacerLast');
 
     this._clickHandler = this.handleClick.bind(this);
+    this._keyDownHandler = this.handleKeyDown.bind(this);
     this._dragStart = this.dragStart.bind(this);
     this._dragEnd = this.dragEnd.bind(this);
     this._drag = this.drag.bind(this);
 
     this.wrapper.addEventListener('click', this._clickHandler, false);
+    this.wrapper.addEventListener('keydown', this._keyDownHandler, false);
 
     this.wrapper.addEventListener('touchstart', this._dragStart, false);
-    globalThis.window?.addEventListener('touchend', this._dragEnd, false);
     this.wrapper.addEventListener('touchmove', this._drag, false);
-
     this.wrapper.addEventListener('mousedown', this._dragStart, false);
+
+    this.enableThumbnails();
+  }
+
+  connectedCallback() {
+    globalThis.window?.addEventListener('touchend', this._dragEnd, false);
     globalThis.window?.addEventListener('mouseup', this._dragEnd, false);
     globalThis.window?.addEventListener('mousemove', this._drag, false);
 
-    this.enableThumbnails();
+    this.langChangedCallback();
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
+  }
+
+  disconnectedCallback() {
+    globalThis.window?.removeEventListener('touchend', this._dragEnd);
+    globalThis.window?.removeEventListener('mouseup', this._dragEnd);
+    globalThis.window?.removeEventListener('mousemove', this._drag);
+
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
+  }
+
+  /**
+   * Called when the `lang` attribute of the media controller changes.
+   */
+  langChangedCallback() {
+    const lang = getLocale(this);
+    this.startHandle.setAttribute('aria-label', nouns.CLIP_START({ lang }));
+    this.endHandle.setAttribute('aria-label', nouns.CLIP_END({ lang }));
+    this.updateSelection();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    if (attrName === Attributes.LOOP && (oldValue == null) !== (newValue == null)) {
+      if (newValue != null) {
+        this.dispatchLoopRange();
+      } else {
+        this.dispatchEvent(
+          new globalThis.CustomEvent(MediaUIEvents.MEDIA_LOOP_CLEAR_REQUEST, {
+            composed: true,
+            bubbles: true,
+          })
+        );
+      }
+    }
+
+    if (
+      attrName === Attributes.MEDIA_CLIP_START ||
+      attrName === Attributes.MEDIA_CLIP_END ||
+      attrName === MediaUIAttributes.MEDIA_DURATION
+    ) {
+      this.updateSelection();
+    }
+
+    if (attrName === MediaUIAttributes.MEDIA_CURRENT_TIME) {
+      this.mediaCurrentTimeSet();
+    }
+
+    // The default clip bounds are relative to the duration.
+    if (attrName === MediaUIAttributes.MEDIA_DURATION && this.loop) {
+      this.dispatchLoopRange();
+    }
+  }
+
+  /**
+   * When set, the selection drives the media loop range
+   * @type {boolean}
+   */
+  get loop() {
+    return getBooleanAttr(this, Attributes.LOOP);
   }
 
+  set loop(value) {
+    setBooleanAttr(this, Attributes.LOOP, value);
+  }
+
+  /**
+   * The start time of the clip in seconds, defaults to a quarter of the media duration
+   * @type {number}
+   */
+  get mediaClipStart() {
+    return getNumericAttr(
+      this,
+      Attributes.MEDIA_CLIP_START,
+      Math.round(this.mediaDuration * DEFAULT_CLIP_START_PERCENT)
+    );
+  }
+
+  set mediaClipStart(value) {
+    setNumericAttr(this, Attributes.MEDIA_CLIP_START, value);
+  }
+
+  /**
+   * The end time of the clip in seconds, defaults to half of the media duration
+   * @type {number}
+   */
+  get mediaClipEnd() {
+    return getNumericAttr(
+      this,
+      Attributes.MEDIA_CLIP_END,
+      Math.round(this.mediaDuration * DEFAULT_CLIP_END_PERCENT)
+    );
+  }
+
+  set mediaClipEnd(value) {
+    setNumericAttr(this, Attributes.MEDIA_CLIP_END, value);
+  }
+
+  /**
+   * @type {number}
+   */
   get mediaDuration() {
-    return +this.getAttribute(MediaUIAttributes.MEDIA_DURATION);
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_DURATION, 0);
   }
 
+  set mediaDuration(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_DURATION, value);
+  }
+
+  /**
+   * @type {number}
+   */
   get mediaCurrentTime() {
-    return +this.getAttribute(MediaUIAttributes.MEDIA_CURRENT_TIME);
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, 0);
+  }
+
+  set mediaCurrentTime(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, value);
+  }
+
+  get keysUsed() {
+    return [
+      'ArrowUp',
+      'ArrowRight',
+      'ArrowDown',
+      'ArrowLeft',
+      'PageUp',
+      'PageDown',
+      'Home',
+      'End',
+    ];
   }
 
   /*
@@ -240,104 +451,132 @@ class MediaClipSelector extends globalThis.HTMLElement {
     if (evt.target === this.endHandle) {
       this.draggingEl = this.endHandle;
     }
-
-    this.initialX = this.getXPositionFromMouse(evt);
   }
 
   dragEnd() {
-    this.initialX = null;
     this.draggingEl = null;
   }
 
-  setSelectionWidth(selectionPercent, fullTimelineWidth) {
-    let percent = selectionPercent;
+  drag(evt) {
+    if (!this.draggingEl || !this.mediaDuration) {
+      return;
+    }
+    evt.preventDefault();
 
-    const minWidthPx = HANDLE_W * 3;
-    const minWidthPercent = lockBetweenZeroAndOne(
-      minWidthPx / fullTimelineWidth
-    );
+    const time = Math.round(this.getPlayheadBasedOnMouseEvent(evt));
 
-    if (percent < minWidthPercent) {
-      percent = minWidthPercent;
+    if (this.draggingEl === this.startHandle) {
+      this.setClipBounds(time, this.mediaClipEnd, 'start');
     }
-
-    /*
-     * The selection can never be smaller than the width
-     * of 3 handles
-    if (percent === 0) {
-      percent = minWidthPercent;
+    if (this.draggingEl === this.endHandle) {
+      this.setClipBounds(this.mediaClipStart, time, 'end');
     }
-     */
-
-    this.selection.style.width = `${percent * 100}%`;
   }
 
-  drag(evt) {
-    if (!this.draggingEl) {
-      return;
-    }
-    evt.preventDefault();
+  handleKeyDown(evt) {
+    const { key } = evt;
+    if (!this.keysUsed.includes(key) || !this.mediaDuration) return;
 
-    const rangeRect = this.wrapper.getBoundingClientRect();
-    const fullTimelineWidth = rangeRect.width;
+    const isStart = evt.target === this.startHandle;
+    if (!isStart && evt.target !== this.endHandle) return;
+    evt.preventDefault();
 
-    const endXPosition = this.getXPositionFromMouse(evt);
-    const xDelta = endXPosition - this.initialX;
-    const percent = this.getMousePercent(evt);
-    const selectionW = this.selection.getBoundingClientRect().width;
+    const time = isStart ? this.mediaClipStart : this.mediaClipEnd;
+    const nextTime = {
+      ArrowUp: time + STEP,
+      ArrowRight: time + STEP,
+      ArrowDown: time - STEP,
+      ArrowLeft: time - STEP,
+      PageUp: time + PAGE_STEP,
+      PageDown: time - PAGE_STEP,
+      Home: 0,
+      End: this.mediaDuration,
+    }[key];
+
+    if (isStart) {
+      this.setClipBounds(nextTime, this.mediaClipEnd, 'start');
+    } else {
+      this.setClipBounds(this.mediaClipStart, nextTime, 'end');
+    }
+  }
 
-    /*
-     * When dragging the start handle, change the leftTrim width
-     * and the selection width
-     */
-    if (this.draggingEl === this.startHandle) {
-      this.initialX = this.getXPositionFromMouse(evt);
-      this.leftTrim.style.width = `${percent * 100}%`;
+  /**
+   * Sets the clip bounds as if changed by the user, keeping the clip inside
+   * the media and at least one step long, and dispatches a `clipchange` event.
+   * @param {number} startTime
+   * @param {number} endTime
+   * @param {'start'|'end'} [anchor] - The bound that moved, the other one is kept in place.
+   */
+  setClipBounds(startTime, endTime, anchor = 'start') {
+    const duration = this.mediaDuration;
+    const clamp = (time, min, max) => Math.max(min, Math.min(time, max));
 
-      const selectionPercent = lockBetweenZeroAndOne(
-        (selectionW - xDelta) / fullTimelineWidth
-      );
-      this.setSelectionWidth(selectionPercent, fullTimelineWidth);
+    if (anchor === 'start') {
+      startTime = clamp(startTime, 0, endTime - STEP);
+    } else {
+      endTime = clamp(endTime, startTime + STEP, duration);
     }
-    /*
-     * When dragging the end handle all we need to do is change
-     * the selection width
-     */
-    if (this.draggingEl === this.endHandle) {
-      this.initialX = this.getXPositionFromMouse(evt);
-      const selectionPercent = lockBetweenZeroAndOne(
-        (selectionW + xDelta) / fullTimelineWidth
-      );
-      this.setSelectionWidth(selectionPercent, fullTimelineWidth);
+
+    if (startTime === this.mediaClipStart && endTime === this.mediaClipEnd) {
+      return;
     }
+
+    this.mediaClipStart = startTime;
+    this.mediaClipEnd = endTime;
     this.dispatchUpdate();
   }
 
-  dispatchUpdate() {
-    const updateEvent = new CustomEvent('update', {
-      detail: this.getCurrentClipBounds(),
-    });
-    this.dispatchEvent(updateEvent);
+  updateSelection() {
+    const duration = this.mediaDuration;
+    if (!duration) return;
+
+    const percentStart = lockBetweenZeroAndOne(this.mediaClipStart / duration);
+    const percentEnd = lockBetweenZeroAndOne(this.mediaClipEnd / duration);
+
+    this.leftTrim.style.width = `${percentStart * 100}%`;
+    this.selection.style.width = `${(percentEnd - percentStart) * 100}%`;
+
+    this.#updateHandleAria(this.startHandle, this.mediaClipStart, 0, this.mediaClipEnd);
+    this.#updateHandleAria(this.endHandle, this.mediaClipEnd, this.mediaClipStart, duration);
   }
 
-  getCurrentClipBounds() {
-    const rangeRect = this.wrapper.getBoundingClientRect();
-    const leftTrimRect = this.leftTrim.getBoundingClientRect();
-    const selectionRect = this.selection.getBoundingClientRect();
+  #updateHandleAria(handle, value, min, max) {
+    handle.setAttribute('aria-valuemin', `${min}`);
+    handle.setAttribute('aria-valuemax', `${max}`);
+    handle.setAttribute('aria-valuenow', `${value}`);
+    handle.setAttribute('aria-valuetext', formatAsTimePhrase(value, getLocale(this)));
+  }
 
-    const percentStart = lockBetweenZeroAndOne(
-      leftTrimRect.width / rangeRect.width
+  dispatchUpdate() {
+    this.dispatchEvent(
+      new globalThis.CustomEvent('clipchange', {
+        detail: this.getCurrentClipBounds(),
+      })
     );
-    const percentEnd = lockBetweenZeroAndOne(
-      (leftTrimRect.width + selectionRect.width) / rangeRect.width
+
+    if (this.loop) {
+      this.dispatchLoopRange();
+    }
+  }
+
+  dispatchLoopRange() {
+    const { startTime, endTime } = this.getCurrentClipBounds();
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_LOOP_RANGE_REQUEST, {
+        composed: true,
+        bubbles: true,
+        detail: [startTime, endTime],
+      })
     );
+  }
 
-    /*
-     * Currently we round to the nearest integer? Might want to change later to round to 1 or 2 decimails?
-     */
+  /**
+   * @returns {ClipBounds}
+   */
+  getCurrentClipBounds() {
     return {
-      startTime: Math.round(percentStart * this.mediaDuration),
-      endTime: Math.round(percentEnd * this.mediaDuration),
+      startTime: this.mediaClipStart,
+      endTime: this.mediaClipEnd,
     };
   }
 
@@ -369,46 +608,8 @@ class MediaClipSelector extends globalThis.HTMLElement {
     const percentComplete = lockBetweenZeroAndOne(
       this.mediaCurrentTime / this.mediaDuration
     );
-    // const fullW = this.wrapper.getBoundingClientRect().width;
-    // const progressW = percentComplete * fullW;
 
     this.playhead.style.left = `${percentComplete * 100}%`;
-    this.playhead.style.display = 'block';
-
-    /*
-     * if paused, we don't need to do anything else, but if it is playing
-     * we want to loop within the selection range
-     */
-    // @ts-ignore
-    if (!this.mediaPaused) {
-      const { startTime, endTime } = this.getCurrentClipBounds();
-
-      if (
-        this.mediaCurrentTime < startTime ||
-        this.mediaCurrentTime > endTime
-      ) {
-        this.dispatchEvent(
-          new globalThis.CustomEvent(MediaUIEvents.MEDIA_SEEK_REQUEST, {
-            composed: true,
-            bubbles: true,
-            detail: startTime,
-          })
-        );
-      }
-    }
-  }
-
-  mediaUnsetCallback(media) {
-    // @ts-ignore
-    super.mediaUnsetCallback(media);
-
-    this.wrapper.removeEventListener('touchstart', this._dragStart);
-    this.wrapper.removeEventListener('touchend', this._dragEnd);
-    this.wrapper.removeEventListener('touchmove', this._drag);
-
-    this.wrapper.removeEventListener('mousedown', this._dragStart);
-    globalThis.window?.removeEventListener('mouseup', this._dragEnd);
-    globalThis.window?.removeEventListener('mousemove', this._drag);
   }
 
   /*
@@ -417,9 +618,7 @@ class MediaClipSelector extends globalThis.HTMLElement {
    */
   enableThumbnails() {
     /** @type {HTMLElement} */
-    this.thumbnailPreview = this.shadowRoot.querySelector(
-      'media-preview-thumbnail'
-    );
+    this.thumbnailPreview = this.shadowRoot.querySelector('#preview');
     /** @type {HTMLElement} */
     const thumbnailContainer = this.shadowRoot.querySelector(
       '#thumbnailContainer'
@@ -463,7 +662,7 @@ class MediaClipSelector extends globalThis.HTMLElement {
     let rangeMouseMoveHander = () => {
       if (!rangeEntered && this.mediaDuration) {
         rangeEntered = true;
-        this.thumbnailPreview.style.display = 'block';
+        this.thumbnailPreview.style.display = 'flex';
         trackMouse();
 
         let offRangeHandler = (evt) => {
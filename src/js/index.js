@@ -1,6 +1,8 @@
 export * as constants from './constants.js';
 export { default as labels } from './labels/labels.js';
+export { addTranslation } from './labels/labels.js';
 export * as timeUtils from './utils/time.js';
+export * as thumbnailSources from './media-store/thumbnails.js';
 
 // Import media-controller first to ensure it's available for other components
 // when calling `associateElement(this)` in connectedCallback.
@@ -9,9 +11,14 @@ import MediaAirplayButton from './media-airplay-button.js';
 import MediaAudioTrackMenu from './media-audio-track-menu.js';
 import MediaAudioTrackMenuButton from './media-audio-track-menu-button.js';
 import MediaCaptionsButton from './media-captions-button.js';
+import MediaCaptionsDisplay from './media-captions-display.js';
 import MediaCaptionsMenu from './media-captions-menu.js';
 import MediaCaptionsMenuButton from './media-captions-menu-button.js';
+import MediaCaptionsStyleMenu from './media-captions-style-menu.js';
 import MediaCastButton from './media-cast-button.js';
+import MediaChapterNextButton from './media-chapter-next-button.js';
+import MediaChapterPrevButton from './media-chapter-prev-button.js';
+import MediaChaptersMenu from './media-chapters-menu.js';
 import MediaChromeButton from './media-chrome-button.js';
 import MediaChromeDialog from './media-chrome-dialog.js';
 import MediaChromeMenu from './media-chrome-menu.js';
@@ -19,29 +26,39 @@ import MediaChromeMenuItem from './media-chrome-menu-item.js';
 import MediaChromeRange from './media-chrome-range.js';
 import MediaControlBar from './media-control-bar.js';
 import MediaDurationDisplay from './media-duration-display.js';
+import MediaErrorDialog from './media-error-dialog.js';
+import MediaFrameStepButton from './media-frame-step-button.js';
 import MediaFullscreenButton from './media-fullscreen-button.js';
 import MediaGestureReceiver from './media-gesture-receiver.js';
 import MediaLiveButton from './media-live-button.js';
 import MediaLoadingIndicator from './media-loading-indicator.js';
+import MediaLoopButton from './media-loop-button.js';
 import MediaMuteButton from './media-mute-button.js';
+import MediaNextButton from './media-next-button.js';
 import MediaPipButton from './media-pip-button.js';
 import MediaPlaybackRateButton from './media-playback-rate-button.js';
 import MediaPlaybackRateMenu from './media-playback-rate-menu.js';
 import MediaPlaybackRateMenuButton from './media-playback-rate-menu-button.js';
 import MediaPlayButton from './media-play-button.js';
+import MediaPlaylistMenu from './media-playlist-menu.js';
 import MediaPosterImage from './media-poster-image.js';
 import MediaPreviewChapterDisplay from './media-preview-chapter-display.js';
 import MediaPreviewThumbnail from './media-preview-thumbnail.js';
 import MediaPreviewTimeDisplay from './media-preview-time-display.js';
+import MediaPreviousButton from './media-previous-button.js';
 import MediaRenditionMenu from './media-rendition-menu.js';
 import MediaRenditionMenuButton from './media-rendition-menu-button.js';
+import MediaResumePrompt from './media-resume-prompt.js';
 import MediaSeekBackwardButton from './media-seek-backward-button.js';
 import MediaSeekForwardButton from './media-seek-forward-button.js';
 import MediaSettingsMenu from './media-settings-menu.js';
 import MediaSettingsMenuButton from './media-settings-menu-button.js';
 import MediaSettingsMenuItem from './media-settings-menu-item.js';
+import MediaSkipAdButton from './media-skip-ad-button.js';
+import MediaStatsPanel from './media-stats-panel.js';
 import MediaTimeDisplay from './media-time-display.js';
 import MediaTimeRange from './media-time-range.js';
+import MediaUpNextDialog from './media-up-next-dialog.js';
 import MediaVolumeRange from './media-volume-range.js';
 
 export {
@@ -49,9 +66,14 @@ export {
   MediaAudioTrackMenu,
   MediaAudioTrackMenuButton,
   MediaCaptionsButton,
+  MediaCaptionsDisplay,
   MediaCaptionsMenu,
   MediaCaptionsMenuButton,
+  MediaCaptionsStyleMenu,
   MediaCastButton,
+  MediaChapterNextButton,
+  MediaChapterPrevButton,
+  MediaChaptersMenu,
   MediaChromeButton,
   MediaChromeDialog,
   MediaChromeMenu,
@@ -60,28 +82,38 @@ export {
   MediaControlBar,
   MediaController,
   MediaDurationDisplay,
+  MediaErrorDialog,
+  MediaFrameStepButton,
   MediaFullscreenButton,
   MediaGestureReceiver,
   MediaLiveButton,
   MediaLoadingIndicator,
+  MediaLoopButton,
   MediaMuteButton,
+  MediaNextButton,
   MediaPipButton,
   MediaPlaybackRateButton,
   MediaPlaybackRateMenu,
   MediaPlaybackRateMenuButton,
   MediaPlayButton,
+  MediaPlaylistMenu,
   MediaPosterImage,
   MediaPreviewChapterDisplay,
   MediaPreviewThumbnail,
   MediaPreviewTimeDisplay,
+  MediaPreviousButton,
   MediaRenditionMenu,
   MediaRenditionMenuButton,
+  MediaResumePrompt,
   MediaSeekBackwardButton,
   MediaSeekForwardButton,
   MediaSettingsMenu,
   MediaSettingsMenuButton,
   MediaSettingsMenuItem,
+  MediaSkipAdButton,
+  MediaStatsPanel,
   MediaTimeDisplay,
   MediaTimeRange,
+  MediaUpNextDialog,
   MediaVolumeRange,
 };
@@ -1,5 +1,24 @@
-/** @type {{ [k: string]: (x?: Partial<{ seekOffset: number; playbackRate: number; }>) => string; }} */
-export const nouns = {
+/**
+ * @typedef {Partial<{
+ *   seekOffset: number;
+ *   playbackRate: number | string;
+ *   seconds: number;
+ *   frames: number;
+ *   time: string;
+ *   duration: string;
+ *   lang: string;
+ * }>} LabelParams
+ */
+
+/**
+ * A translated label, either a string with `{param}` placeholders or a function of the label params.
+ * @typedef {string | ((x: LabelParams) => string)} Translation
+ */
+
+/** @typedef {{ [k: string]: (x?: LabelParams) => string; }} Labels */
+
+/** @type {Labels} */
+const defaultNouns = {
   AUDIO_PLAYER: () => 'audio player',
   VIDEO_PLAYER: () => 'video player',
   VOLUME: () => 'volume',
@@ -12,10 +31,51 @@ export const nouns = {
   SETTINGS: () => `settings`,
   AUDIO_TRACKS: () => `audio tracks`,
   QUALITY: () => `quality`,
+  SPEED: () => `speed`,
+  CAPTIONS: () => `captions`,
+  AUDIO: () => `audio`,
+  CAPTION_STYLE: () => `caption style`,
+  FONT_SIZE: () => `font size`,
+  FONT_FAMILY: () => `font family`,
+  TEXT_COLOR: () => `text color`,
+  TEXT_OPACITY: () => `text opacity`,
+  BACKGROUND_COLOR: () => `background color`,
+  BACKGROUND_OPACITY: () => `background opacity`,
+  EDGE_STYLE: () => `character edge style`,
+  CHAPTERS: () => `chapters`,
+  CLIP_START: () => `clip start`,
+  CLIP_END: () => `clip end`,
+  PLAYLIST: () => `playlist`,
+  UP_NEXT: () => `up next`,
+  CONTINUE_WATCHING: () => `continue watching?`,
+  LIVE: () => `live`,
+  BEHIND_LIVE: ({ time = '0:00' } = {}) => `${time} behind live`,
+  SEEK_OFFSET: ({ seekOffset = 10 } = {}) => `${seekOffset} seconds`,
+  MEDIA_ERROR: () => `media error`,
+  ERROR_ABORTED: () => `the media playback was aborted`,
+  ERROR_NETWORK: () => `a network error caused the media download to fail`,
+  ERROR_DECODE: () => `the media could not be played because it is corrupt or uses unsupported features`,
+  ERROR_SRC_NOT_SUPPORTED: () => `the media could not be loaded because the server or network failed or the format is not supported`,
+  ERROR_UNKNOWN: () => `something went wrong while playing the media`,
+  UNKNOWN_TIME: () => `video not loaded, unknown time.`,
+  TIME_REMAINING: ({ time = '0:00' } = {}) => `${time} remaining`,
+  FRAMES: ({ frames = 0 } = {}) => `${frames} ${frames === 1 ? 'frame' : 'frames'}`,
+  TIME_OF_DURATION: ({ time = '0:00', duration = '0:00' } = {}) => `${time} of ${duration}`,
+  AUTO: () => `auto`,
+  PLAYBACK_STATS: () => `playback statistics`,
+  RENDITION: () => `rendition`,
+  BUFFER_AHEAD: () => `buffer ahead`,
+  DROPPED_FRAMES: () => `dropped frames`,
+  READY_STATE: () => `ready state`,
+  STREAM_TYPE: () => `stream type`,
+  LIVE_LATENCY: () => `live latency`,
+  BANDWIDTH: () => `bandwidth estimate`,
+  VIEWPORT: () => `viewport`,
+  RESOLUTION: () => `video resolution`,
 };
 
-/** @type {{ [k: string]: (x?: Partial<{ seekOffset: number; playbackRate: number; }>) => string; }} */
-export const verbs = {
+/** @type {Labels} */
+const defaultVerbs = {
   PLAY: () => 'play',
   PAUSE: () => 'pause',
   MUTE: () => 'mute',
@@ -33,9 +93,122 @@ export const verbs = {
   SEEK_BACK_N_SECS: ({ seekOffset = 30 } = {}) =>
     `seek back ${seekOffset} seconds`,
   SEEK_LIVE: () => 'seek to live',
+  SEEK_NEXT_CHAPTER: () => 'seek to next chapter',
+  SEEK_PREV_CHAPTER: () => 'seek to previous chapter',
+  STEP_FORWARD_FRAME: () => 'step forward one frame',
+  STEP_BACK_FRAME: () => 'step back one frame',
+  PLAY_NEXT: () => 'play next',
+  PLAY_PREVIOUS: () => 'play previous',
+  PLAY_NOW: () => 'play now',
+  CANCEL: () => 'cancel',
+  RESUME_FROM: ({ time = '0:00' } = {}) => `resume from ${time}`,
+  START_OVER: () => 'start over',
+  RESET: () => 'reset',
   PLAYING_LIVE: () => 'playing live',
+  GO_LIVE: () => 'go live',
+  SKIP_AD: () => 'skip ad',
+  SET_LOOP_START: () => 'set loop start',
+  SET_LOOP_END: () => 'set loop end',
+  CLEAR_LOOP: () => 'clear loop',
+  RETRY: () => 'retry',
+  SKIP_AD_IN_N_SECS: ({ seconds = 5 } = {}) => `skip ad in ${seconds}`,
+  PLAY_NEXT_IN_N_SECS: ({ seconds = 10 } = {}) => `playing next in ${seconds}`,
+};
+
+// The translations keyed by lowercase language tag, e.g. `de` or `pt-br`.
+/** @type {Map<string, { [k: string]: Translation }>} */
+const translations = new Map();
+
+/**
+ * Adds translated labels for a language, merged with the ones added before.
+ * Labels that are missing fall back to the base language, e.g. `pt` for `pt-BR`, then English.
+ *
+ * @example
+ * addTranslation('de', {
+ *   PLAY: 'abspielen',
+ *   SEEK_FORWARD_N_SECS: '{seekOffset} Sekunden vorspulen',
+ * });
+ *
+ * @param {string} lang - A BCP 47 language tag, e.g. `de` or `pt-BR`.
+ * @param {{ [k: string]: Translation }} labels - Translations keyed by the `nouns` and `verbs` keys.
+ */
+export function addTranslation(lang, labels) {
+  const tag = lang.toLowerCase();
+  translations.set(tag, { ...translations.get(tag), ...labels });
+}
+
+/**
+ * @param {string} key
+ * @param {string} [lang]
+ * @returns {Translation | undefined}
+ */
+const getTranslation = (key, lang) => {
+  if (!lang) return undefined;
+  const tag = lang.toLowerCase();
+  return translations.get(tag)?.[key] ?? translations.get(tag.split('-')[0])?.[key];
 };
 
+/**
+ * @param {string} text
+ * @param {LabelParams} params
+ */
+const interpolate = (text, params) =>
+  text.replace(/\{(\w+)\}/g, (placeholder, name) => `${params[name] ?? placeholder}`);
+
+/**
+ * Wraps the English labels to look up the translation for the `lang` param first.
+ * @param {Labels} defaults
+ * @returns {Labels}
+ */
+const localize = (defaults) =>
+  Object.fromEntries(
+    Object.entries(defaults).map(([key, defaultLabel]) => [
+      key,
+      (params = {}) => {
+        const translation = getTranslation(key, params.lang);
+        if (typeof translation === 'function') return translation(params);
+        if (typeof translation === 'string') return interpolate(translation, params);
+        return defaultLabel(params);
+      },
+    ])
+  );
+
+export const nouns = localize(defaultNouns);
+export const verbs = localize(defaultVerbs);
+
+/**
+ * Formats a number for a language, e.g. `1.5` as `1,5` for `de`. Defaults to English.
+ * @param {number} value
+ * @param {Intl.NumberFormatOptions & { lang?: string }} [options]
+ * @returns {string}
+ */
+export const formatNumber = (value, options = {}) => {
+  const { lang, ...formatOptions } = options;
+  try {
+    return new Intl.NumberFormat(lang || 'en', formatOptions).format(value);
+  } catch {
+    // Invalid language tags throw a RangeError.
+    return `${value}`;
+  }
+};
+
+// The messages of the `MediaError` codes.
+const ErrorCodeLabels = {
+  1: 'ERROR_ABORTED',
+  2: 'ERROR_NETWORK',
+  3: 'ERROR_DECODE',
+  4: 'ERROR_SRC_NOT_SUPPORTED',
+};
+
+/**
+ * Gets the message of a media error code, e.g. from `MediaError.code`.
+ * @param {number} code
+ * @param {string} [lang]
+ * @returns {string}
+ */
+export const formatErrorCode = (code, lang) =>
+  nouns[ErrorCodeLabels[code] ?? 'ERROR_UNKNOWN']({ lang });
+
 export default {
   ...nouns,
   ...verbs,
@@ -2,7 +2,7 @@ import { MediaChromeButton } from './media-chrome-button.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
 import { verbs } from './labels/labels.js';
-import { getStringAttr, setStringAttr, getBooleanAttr, setBooleanAttr } from './utils/element-utils.js';
+import { getStringAttr, setStringAttr, getBooleanAttr, setBooleanAttr, getLocale } from './utils/element-utils.js';
 
 const airplayIcon = `<svg aria-hidden="true" viewBox="0 0 26 24">
   <path d="M22.13 3H3.87a.87.87 0 0 0-.87.87v13.26a.87.87 0 0 0 .87.87h3.4L9 16H5V5h16v11h-4l1.72 2h3.4a.87.87 0 0 0 .87-.87V3.87a.87.87 0 0 0-.86-.87Zm-8.75 11.44a.5.5 0 0 0-.76 0l-4.91 5.73a.5.5 0 0 0 .38.83h9.82a.501.501 0 0 0 .38-.83l-4.91-5.73Z"/>
@@ -29,7 +29,8 @@ slotTemplate.innerHTML = /*html*/`
 `;
 
 const updateAriaLabel = (el) => {
-  const label = el.mediaIsAirplaying ? verbs.EXIT_AIRPLAY() : verbs.ENTER_AIRPLAY();
+  const lang = getLocale(el);
+  const label = el.mediaIsAirplaying ? verbs.EXIT_AIRPLAY({ lang }) : verbs.ENTER_AIRPLAY({ lang });
   el.setAttribute('aria-label', label);
 };
 
@@ -63,6 +64,10 @@ class MediaAirplayButton extends MediaChromeButton {
     updateAriaLabel(this);
   }
 
+  langChangedCallback() {
+    updateAriaLabel(this);
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     super.attributeChangedCallback(attrName, oldValue, newValue);
 
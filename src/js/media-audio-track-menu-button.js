@@ -6,6 +6,7 @@ import {
   getStringAttr,
   setStringAttr,
   getMediaController,
+  getLocale,
 } from './utils/element-utils.js';
 
 const audioTrackIcon = /*html*/`<svg aria-hidden="true" viewBox="0 0 24 24">
@@ -39,7 +40,11 @@ class MediaAudioTrackMenuButton extends MediaChromeMenuButton {
 
   connectedCallback() {
     super.connectedCallback();
-    this.setAttribute('aria-label', nouns.AUDIO_TRACKS());
+    this.langChangedCallback();
+  }
+
+  langChangedCallback() {
+    this.setAttribute('aria-label', nouns.AUDIO_TRACKS({ lang: getLocale(this) }));
   }
 
   /**
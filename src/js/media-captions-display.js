@@ -0,0 +1,314 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIAttributes, MediaStateChangeEvents } from './constants.js';
+import { getShowingSubtitleTracks } from './media-store/util.js';
+import {
+  getCaptionStyleCSS,
+  parseCaptionStyle,
+  setTrackCustomRendered,
+} from './utils/captions.js';
+import { getBooleanAttr, setBooleanAttr, getMediaController } from './utils/element-utils.js';
+
+export const Attributes = {
+  USER_INACTIVE: 'userinactive',
+  NO_AUTOHIDE: 'noautohide',
+};
+
+const template = document.createElement('template');
+// prettier-ignore
+template.innerHTML = /*html*/`
+  <style>
+    :host {
+      position: absolute;
+      inset: 0;
+      container-type: size;
+      ${/* Never block the media and controls beneath. Needs !important to beat the media-container styles. */ ''}
+      pointer-events: none !important;
+    }
+
+    :host(:not([${Attributes.USER_INACTIVE}])),
+    :host([${MediaUIAttributes.MEDIA_PAUSED}]) {
+      --_controls-offset: var(--media-captions-display-controls-offset,
+        calc(var(--media-control-height, 24px) + 2 * var(--media-control-padding, 10px)));
+    }
+
+    [part~=container] {
+      position: absolute;
+      inset: 0 0 var(--_controls-offset, 0) 0;
+      transition: bottom .25s ease-out;
+      font: var(--media-captions-display-font,
+        var(--media-captions-display-font-size, 5cqh) / 1.3
+        var(--media-font-family, helvetica neue, segoe ui, roboto, arial, sans-serif));
+      color: var(--media-captions-display-color, #fff);
+      --_line-height: 1.3em;
+    }
+
+    [part~=auto-cues] {
+      position: absolute;
+      inset: 0 0 var(--media-captions-display-padding, 1.5%) 0;
+      display: flex;
+      flex-direction: column;
+      justify-content: end;
+    }
+
+    [part~=cue] {
+      position: absolute;
+      box-sizing: border-box;
+      white-space: pre-line;
+    }
+
+    [part~=auto-cues] [part~=cue] {
+      position: relative;
+    }
+
+    [part~=cue-text] {
+      background: var(--media-captions-display-background, rgb(0 0 0 / .8));
+      padding: var(--media-captions-display-cue-padding, 0 .25em);
+      -webkit-box-decoration-break: clone;
+      box-decoration-break: clone;
+    }
+  </style>
+  <div part="container">
+    <div part="auto-cues"></div>
+  </div>
+`;
+
+// The position of a cue box's anchor point for each position alignment.
+const PositionAlignAnchors = { 'line-left': 0, center: 0.5, 'line-right': 1 };
+
+/**
+ * Computes the horizontal position and the text alignment of a cue box in percentages,
+ * following the WebVTT rendering rules for the `position`, `size` and `align` cue settings.
+ * @param {VTTCue} cue
+ */
+export function getCueBox(cue) {
+  const align = cue.align ?? 'center';
+  const lineLeft = align === 'left' || align === 'start';
+  const lineRight = align === 'right' || align === 'end';
+
+  const position =
+    typeof cue.position === 'number' ? cue.position : lineLeft ? 0 : lineRight ? 100 : 50;
+
+  let positionAlign = cue.positionAlign;
+  if (!positionAlign || positionAlign === 'auto') {
+    positionAlign = lineLeft ? 'line-left' : lineRight ? 'line-right' : 'center';
+  }
+
+  const anchor = PositionAlignAnchors[positionAlign];
+  const maxSize =
+    anchor === 0 ? 100 - position : anchor === 1 ? position : 2 * Math.min(position, 100 - position);
+  const width = Math.min(cue.size ?? 100, maxSize);
+
+  return {
+    left: position - width * anchor,
+    width,
+    textAlign: align,
+  };
+}
+
+/**
+ * Renders the captions and subtitles in a layer of the media controller instead of
+ * natively with `::cue`. The cues can be styled consistently across browsers, move up
+ * while the controls are showing and work for media without native caption rendering.
+ *
+ * The showing subtitle tracks are set to the `hidden` mode so the browser doesn't render them.
+ *
+ * @attr {boolean} mediapaused - (read-only) Present if the media is paused.
+ * @attr {string} mediasubtitlesshowing - (read-only) A list of the showing subtitles and captions.
+ * @attr {string} mediacaptionstyle - (read-only) Set to the caption style.
+ * @attr {boolean} userinactive - (read-only) Present if the controls are hidden because the user is inactive.
+ *
+ * @csspart container - The area the cues are laid out in, it shrinks while the controls are showing.
+ * @csspart auto-cues - The cues without a line setting, stacked from the bottom.
+ * @csspart cue - A cue box.
+ * @csspart cue-text - The text of a cue.
+ *
+ * @cssproperty --media-captions-display-font - `font` shorthand of the cues.
+ * @cssproperty --media-captions-display-font-size - `font-size` of the cues, defaults to 5% of the height.
+ * @cssproperty --media-captions-display-color - `color` of the cues.
+ * @cssproperty --media-captions-display-background - `background` of the cue text.
+ * @cssproperty --media-captions-display-cue-padding - `padding` of the cue text.
+ * @cssproperty --media-captions-display-padding - Space below the cues without a line setting.
+ * @cssproperty --media-captions-display-controls-offset - How far the cues move up while the controls are showing.
+ */
+class MediaCaptionsDisplay extends globalThis.HTMLElement {
+  static template = template;
+
+  static get observedAttributes() {
+    return [
+      MediaUIAttributes.MEDIA_PAUSED,
+      MediaUIAttributes.MEDIA_SUBTITLES_SHOWING,
+      MediaUIAttributes.MEDIA_CAPTION_STYLE,
+    ];
+  }
+
+  #mediaController;
+  #media;
+  /** @type {TextTrack[]} */
+  #tracks = [];
+
+  constructor() {
+    super();
+
+    if (!this.shadowRoot) {
+      // Set up the Shadow DOM if not using Declarative Shadow DOM.
+      this.attachShadow({ mode: 'open' });
+      // @ts-ignore
+      this.shadowRoot.append(this.constructor.template.content.cloneNode(true));
+    }
+
+    this.container = this.shadowRoot.querySelector('[part~=container]');
+    this.autoCues = this.shadowRoot.querySelector('[part~=auto-cues]');
+  }
+
+  connectedCallback() {
+    // The captions stay visible while the controls hide.
+    if (!this.hasAttribute(Attributes.NO_AUTOHIDE)) {
+      this.setAttribute(Attributes.NO_AUTOHIDE, '');
+    }
+    this.setAttribute('aria-hidden', 'true');
+
+    // @ts-ignore
+    this.#mediaController = getMediaController(this);
+    this.#mediaController?.addEventListener(
+      MediaStateChangeEvents.USER_INACTIVE,
+      this.#onUserInactiveChange
+    );
+    this.userInactive = !!this.#mediaController?.hasAttribute(Attributes.USER_INACTIVE);
+
+    this.#updateTracks();
+  }
+
+  disconnectedCallback() {
+    this.#mediaController?.removeEventListener(
+      MediaStateChangeEvents.USER_INACTIVE,
+      this.#onUserInactiveChange
+    );
+    this.#mediaController = undefined;
+
+    this.#setMedia(undefined);
+    this.#setTracks([]);
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    if (oldValue === newValue) return;
+
+    if (attrName === MediaUIAttributes.MEDIA_SUBTITLES_SHOWING) {
+      this.#updateTracks();
+    } else if (attrName === MediaUIAttributes.MEDIA_CAPTION_STYLE) {
+      this.#renderCues();
+    }
+  }
+
+  /**
+   * @type {boolean} Are the controls hidden because the user is inactive
+   */
+  get userInactive() {
+    return getBooleanAttr(this, Attributes.USER_INACTIVE);
+  }
+
+  set userInactive(value) {
+    setBooleanAttr(this, Attributes.USER_INACTIVE, value);
+  }
+
+  #onUserInactiveChange = (event) => {
+    this.userInactive = !!event.detail;
+  };
+
+  #updateTracks = () => {
+    const media = this.isConnected ? this.#mediaController?.media : undefined;
+    this.#setMedia(media);
+    this.#setTracks(media ? getShowingSubtitleTracks({ media }) : []);
+  };
+
+  #setMedia(media) {
+    if (media === this.#media) return;
+
+    this.#media?.textTracks?.removeEventListener('change', this.#updateTracks);
+    this.#media = media;
+    this.#media?.textTracks?.addEventListener('change', this.#updateTracks);
+  }
+
+  /**
+   * @param {TextTrack[]} tracks
+   */
+  #setTracks(tracks) {
+    for (const track of this.#tracks) {
+      if (tracks.includes(track)) continue;
+      track.removeEventListener('cuechange', this.#renderCues);
+      setTrackCustomRendered(track, false);
+    }
+
+    for (const track of tracks) {
+      // Tracks may be set to showing again, e.g. by a request to show them.
+      setTrackCustomRendered(track, true);
+      if (this.#tracks.includes(track)) continue;
+      track.addEventListener('cuechange', this.#renderCues);
+    }
+
+    this.#tracks = tracks;
+    this.#renderCues();
+  }
+
+  #renderCues = () => {
+    const css = getCaptionStyleCSS(
+      parseCaptionStyle(this.getAttribute(MediaUIAttributes.MEDIA_CAPTION_STYLE))
+    );
+    const cues = this.#tracks.flatMap((track) => Array.from(track.activeCues ?? []));
+
+    this.autoCues.replaceChildren();
+    this.container.replaceChildren(this.autoCues);
+
+    for (const cue of /** @type {VTTCue[]} */ (cues)) {
+      const box = getCueBox(cue);
+      const cueEl = document.createElement('div');
+      cueEl.part.add('cue');
+      cueEl.style.left = `${box.left}%`;
+      cueEl.style.width = `${box.width}%`;
+      cueEl.style.textAlign = box.textAlign;
+
+      const textEl = document.createElement('span');
+      textEl.part.add('cue-text');
+      textEl.style.cssText = css;
+      textEl.append(cue.getCueAsHTML?.() ?? cue.text);
+      cueEl.append(textEl);
+
+      if (cue.line == null || cue.line === 'auto') {
+        this.autoCues.append(cueEl);
+        continue;
+      }
+
+      this.#positionLine(cueEl, cue);
+      this.container.append(cueEl);
+    }
+  };
+
+  /**
+   * Positions a cue box vertically following its `line` and `lineAlign` cue settings.
+   * @param {HTMLElement} cueEl
+   * @param {VTTCue} cue
+   */
+  #positionLine(cueEl, cue) {
+    const line = /** @type {number} */ (cue.line);
+
+    if (cue.snapToLines ?? true) {
+      // Positive line numbers count from the top, negative ones from the bottom.
+      if (line >= 0) {
+        cueEl.style.top = `calc(${line} * var(--_line-height))`;
+      } else {
+        cueEl.style.bottom = `calc(${-line - 1} * var(--_line-height))`;
+      }
+      return;
+    }
+
+    const lineAlignOffset = { start: 0, center: -50, end: -100 }[cue.lineAlign] ?? 0;
+    cueEl.style.top = `${line}%`;
+    cueEl.style.transform = `translateY(${lineAlignOffset}%)`;
+  }
+}
+
+if (!globalThis.customElements.get('media-captions-display')) {
+  globalThis.customElements.define('media-captions-display', MediaCaptionsDisplay);
+}
+
+export { MediaCaptionsDisplay };
+export default MediaCaptionsDisplay;
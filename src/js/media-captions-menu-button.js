@@ -2,7 +2,7 @@ import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIAttributes } from './constants.js';
 import { nouns } from './labels/labels.js';
 import { MediaChromeMenuButton } from './media-chrome-menu-button.js';
-import { getMediaController } from './utils/element-utils.js';
+import { getMediaController, getLocale } from './utils/element-utils.js';
 import {
   areSubsOn,
   parseTextTracksStr,
@@ -69,10 +69,14 @@ class MediaCaptionsMenuButton extends MediaChromeMenuButton {
   connectedCallback() {
     super.connectedCallback();
 
-    this.setAttribute('aria-label', nouns.CLOSED_CAPTIONS());
+    this.langChangedCallback();
     updateAriaChecked(this);
   }
 
+  langChangedCallback() {
+    this.setAttribute('aria-label', nouns.CLOSED_CAPTIONS({ lang: getLocale(this) }));
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     super.attributeChangedCallback(attrName, oldValue, newValue);
 
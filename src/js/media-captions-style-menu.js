@@ -0,0 +1,225 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIAttributes, MediaUIEvents } from './constants.js';
+import { nouns, verbs } from './labels/labels.js';
+import {
+  CaptionStyleOptions,
+  DEFAULT_CAPTION_STYLE,
+  parseCaptionStyle,
+  stringifyCaptionStyle,
+} from './utils/captions.js';
+import {
+  MediaChromeMenu,
+  createMenuItem,
+  createIndicator,
+} from './media-chrome-menu.js';
+import './media-chrome-menu-item.js';
+import { getLocale } from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
+
+/** @typedef {import('./utils/captions.js').CaptionStyle} CaptionStyle */
+
+const formatPercentage = (value) => `${Math.round(value * 100)}%`;
+
+const FontFamilyTexts = {
+  'proportional-sans-serif': 'Proportional sans-serif',
+  'monospace-sans-serif': 'Monospace sans-serif',
+  'proportional-serif': 'Proportional serif',
+  'monospace-serif': 'Monospace serif',
+  casual: 'Casual',
+  cursive: 'Cursive',
+  'small-caps': 'Small capitals',
+};
+
+const EdgeStyleTexts = {
+  none: 'None',
+  raised: 'Raised',
+  depressed: 'Depressed',
+  uniform: 'Uniform',
+  dropshadow: 'Drop shadow',
+};
+
+/**
+ * The caption style settings in the order they are shown, with the text of their options.
+ * @type {{ key: keyof CaptionStyle, label: (x?: { lang?: string }) => string, text: (value: any) => string }[]}
+ */
+const Settings = [
+  { key: 'fontSize', label: nouns.FONT_SIZE, text: (value) => `${value}%` },
+  { key: 'fontFamily', label: nouns.FONT_FAMILY, text: (value) => FontFamilyTexts[value] },
+  { key: 'color', label: nouns.TEXT_COLOR, text: capitalize },
+  { key: 'textOpacity', label: nouns.TEXT_OPACITY, text: formatPercentage },
+  { key: 'backgroundColor', label: nouns.BACKGROUND_COLOR, text: capitalize },
+  { key: 'backgroundOpacity', label: nouns.BACKGROUND_OPACITY, text: formatPercentage },
+  { key: 'edgeStyle', label: nouns.EDGE_STYLE, text: (value) => EdgeStyleTexts[value] },
+];
+
+/**
+ * A menu to restyle the captions. Each setting required by the FCC (font size and family,
+ * text and background color and opacity, and character edge style) has a submenu with its
+ * options. The user's choice is remembered as a preference.
+ *
+ * @extends {MediaChromeMenu}
+ *
+ * @slot - Default slotted elements.
+ * @slot header - An element shown at the top of the menu.
+ * @slot checked-indicator - An icon element indicating a checked menu-item.
+ *
+ * @attr {string} mediacaptionstyle - (read-only) Set to the caption style, e.g. `fontSize:150 color:yellow`.
+ *
+ * @csspart menu-item - The setting and reset menu items.
+ * @csspart reset-item - The menu item that resets the caption style.
+ */
+class MediaCaptionsStyleMenu extends MediaChromeMenu {
+  static get observedAttributes() {
+    return [...super.observedAttributes, MediaUIAttributes.MEDIA_CAPTION_STYLE];
+  }
+
+  /** @type {Map<keyof CaptionStyle, MediaChromeMenu>} */
+  #submenus = new Map();
+  /** @type {import('./media-chrome-menu-item.js').MediaChromeMenuItem} */
+  #resetItem;
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+
+    if (attrName === MediaUIAttributes.MEDIA_CAPTION_STYLE && oldValue !== newValue) {
+      this.#update();
+    }
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#render();
+    this.addEventListener('change', this.#onChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.removeEventListener('change', this.#onChange);
+  }
+
+  langChangedCallback() {
+    if (this.#submenus.size) this.#updateLabels();
+  }
+
+  /**
+   * @type {Required<CaptionStyle>} The caption style
+   */
+  get mediaCaptionStyle() {
+    return {
+      ...DEFAULT_CAPTION_STYLE,
+      ...parseCaptionStyle(this.getAttribute(MediaUIAttributes.MEDIA_CAPTION_STYLE)),
+    };
+  }
+
+  set mediaCaptionStyle(value) {
+    if (value == null) {
+      this.removeAttribute(MediaUIAttributes.MEDIA_CAPTION_STYLE);
+    } else {
+      this.setAttribute(MediaUIAttributes.MEDIA_CAPTION_STYLE, stringifyCaptionStyle(value));
+    }
+  }
+
+  #render() {
+    if (this.#submenus.size) return;
+
+    for (const { key, text } of Settings) {
+      const item = document.createElement('media-chrome-menu-item');
+      item.part.add('menu-item', `${key}-item`);
+
+      const submenu = /** @type {MediaChromeMenu} */ (
+        document.createElement('media-chrome-menu')
+      );
+      submenu.slot = 'submenu';
+      submenu.hidden = true;
+      submenu.dataset.key = key;
+
+      const submenuTitle = document.createElement('div');
+      submenuTitle.slot = 'title';
+      submenu.append(submenuTitle);
+
+      const options = CaptionStyleOptions[key];
+      const values = Array.isArray(options) ? options : Object.keys(options);
+
+      for (const value of values) {
+        const optionItem = createMenuItem({
+          type: 'radio',
+          text: this.formatMenuItemText(text(value), { key, value }),
+          value: `${value}`,
+          checked: false,
+        });
+        optionItem.prepend(createIndicator(this, 'checked-indicator'));
+        submenu.append(optionItem);
+      }
+
+      item.append('', submenu);
+      this.append(item);
+      this.#submenus.set(key, submenu);
+    }
+
+    this.#resetItem = /** @type {import('./media-chrome-menu-item.js').MediaChromeMenuItem} */ (
+      document.createElement('media-chrome-menu-item')
+    );
+    this.#resetItem.part.add('menu-item', 'reset-item');
+    this.#resetItem.addEventListener('click', this.#onReset);
+    this.#resetItem.addEventListener('keyup', (event) => {
+      if (this.#resetItem.keysUsed.includes(event.key)) this.#onReset();
+    });
+    this.append(this.#resetItem);
+
+    this.#updateLabels();
+    this.#update();
+  }
+
+  #updateLabels() {
+    const lang = getLocale(this);
+    for (const { key, label } of Settings) {
+      const title = capitalize(label({ lang }));
+      const submenu = this.#submenus.get(key);
+      submenu.parentElement.firstChild.textContent = title;
+      submenu.querySelector(':scope > [slot=title]').textContent = title;
+    }
+    this.#resetItem.textContent = capitalize(verbs.RESET({ lang }));
+  }
+
+  #update() {
+    const style = this.mediaCaptionStyle;
+    for (const [key, submenu] of this.#submenus) {
+      submenu.value = `${style[key]}`;
+    }
+  }
+
+  #onChange = (event) => {
+    const { dataset } = /** @type {HTMLElement} */ (event.target);
+    const key = /** @type {keyof CaptionStyle} */ (dataset?.key);
+    const submenu = this.#submenus.get(key);
+    if (!submenu) return;
+
+    // Don't make a request if this was the result of a media state change.
+    if (submenu.value === `${this.mediaCaptionStyle[key]}`) return;
+
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_CAPTION_STYLE_REQUEST, {
+        composed: true,
+        bubbles: true,
+        detail: { [key]: submenu.value },
+      })
+    );
+  };
+
+  #onReset = () => {
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_CAPTION_STYLE_REQUEST, {
+        composed: true,
+        bubbles: true,
+        detail: null,
+      })
+    );
+  };
+}
+
+if (!globalThis.customElements.get('media-captions-style-menu')) {
+  globalThis.customElements.define('media-captions-style-menu', MediaCaptionsStyleMenu);
+}
+
+export { MediaCaptionsStyleMenu };
+export default MediaCaptionsStyleMenu;
@@ -0,0 +1,49 @@
+import { MediaChromeButton } from './media-chrome-button.js';
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents } from './constants.js';
+import { verbs } from './labels/labels.js';
+import { getLocale } from './utils/element-utils.js';
+
+const nextIcon = `<svg aria-hidden="true" viewBox="0 0 24 24"><path d="M6 18l8.5-6L6 6v12ZM16 6v12h2V6h-2Z"/></svg>`;
+
+const slotTemplate = document.createElement('template');
+slotTemplate.innerHTML = `
+  <slot name="icon">${nextIcon}</slot>
+`;
+
+/**
+ * @slot icon - The element shown for the next chapter button’s display.
+ *
+ * @cssproperty [--media-chapter-next-button-display = inline-flex] - `display` property of button.
+ */
+class MediaChapterNextButton extends MediaChromeButton {
+  constructor(options = {}) {
+    super({ slotTemplate, ...options });
+  }
+
+  connectedCallback() {
+    this.langChangedCallback();
+    super.connectedCallback();
+  }
+
+  langChangedCallback() {
+    this.setAttribute('aria-label', verbs.SEEK_NEXT_CHAPTER({ lang: getLocale(this) }));
+  }
+
+  handleClick() {
+    const evt = new globalThis.CustomEvent(
+      MediaUIEvents.MEDIA_SEEK_TO_NEXT_CHAPTER_REQUEST,
+      { composed: true, bubbles: true }
+    );
+    this.dispatchEvent(evt);
+  }
+}
+
+if (!globalThis.customElements.get('media-chapter-next-button')) {
+  globalThis.customElements.define(
+    'media-chapter-next-button',
+    MediaChapterNextButton
+  );
+}
+
+export default MediaChapterNextButton;
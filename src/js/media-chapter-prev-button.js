@@ -0,0 +1,49 @@
+import { MediaChromeButton } from './media-chrome-button.js';
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents } from './constants.js';
+import { verbs } from './labels/labels.js';
+import { getLocale } from './utils/element-utils.js';
+
+const prevIcon = `<svg aria-hidden="true" viewBox="0 0 24 24"><path d="M6 6h2v12H6V6Zm3.5 6 8.5 6V6l-8.5 6Z"/></svg>`;
+
+const slotTemplate = document.createElement('template');
+slotTemplate.innerHTML = `
+  <slot name="icon">${prevIcon}</slot>
+`;
+
+/**
+ * @slot icon - The element shown for the previous chapter button’s display.
+ *
+ * @cssproperty [--media-chapter-prev-button-display = inline-flex] - `display` property of button.
+ */
+class MediaChapterPrevButton extends MediaChromeButton {
+  constructor(options = {}) {
+    super({ slotTemplate, ...options });
+  }
+
+  connectedCallback() {
+    this.langChangedCallback();
+    super.connectedCallback();
+  }
+
+  langChangedCallback() {
+    this.setAttribute('aria-label', verbs.SEEK_PREV_CHAPTER({ lang: getLocale(this) }));
+  }
+
+  handleClick() {
+    const evt = new globalThis.CustomEvent(
+      MediaUIEvents.MEDIA_SEEK_TO_PREV_CHAPTER_REQUEST,
+      { composed: true, bubbles: true }
+    );
+    this.dispatchEvent(evt);
+  }
+}
+
+if (!globalThis.customElements.get('media-chapter-prev-button')) {
+  globalThis.customElements.define(
+    'media-chapter-prev-button',
+    MediaChapterPrevButton
+  );
+}
+
+export default MediaChapterPrevButton;
@@ -0,0 +1,114 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents } from './constants.js';
+import { formatTime } from './utils/time.js';
+import {
+  MediaChromeMenu,
+  createMenuItem,
+  createIndicator,
+} from './media-chrome-menu.js';
+
+/**
+ * @extends {MediaChromeMenu}
+ *
+ * @slot - Default slotted elements.
+ * @slot header - An element shown at the top of the menu.
+ * @slot checked-indicator - An icon element indicating a checked menu-item.
+ */
+class MediaChaptersMenu extends MediaChromeMenu {
+  /** @type {Pick<VTTCue,'text'|'startTime'|'endTime'>[]} */
+  #chaptersCues = [];
+  /** @type {Pick<VTTCue,'text'|'startTime'|'endTime'>|undefined} */
+  #currentChapter;
+  #prevState;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('change', this.#onChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.removeEventListener('change', this.#onChange);
+  }
+
+  /**
+   * The chapter cues to list.
+   * @type {Pick<VTTCue,'text'|'startTime'|'endTime'>[]}
+   */
+  get mediaChaptersCues() {
+    return this.#chaptersCues;
+  }
+
+  set mediaChaptersCues(cues) {
+    this.#chaptersCues = cues ?? [];
+    this.#render();
+  }
+
+  /**
+   * The chapter cue that is currently playing.
+   * @type {Pick<VTTCue,'text'|'startTime'|'endTime'>|undefined}
+   */
+  get mediaCurrentChapter() {
+    return this.#currentChapter;
+  }
+
+  set mediaCurrentChapter(chapter) {
+    this.#currentChapter = chapter;
+    this.#updateCurrentChapter();
+  }
+
+  #render() {
+    if (this.#prevState === JSON.stringify(this.mediaChaptersCues)) return;
+    this.#prevState = JSON.stringify(this.mediaChaptersCues);
+
+    this.defaultSlot.textContent = '';
+
+    for (const chapter of this.mediaChaptersCues) {
+      const text = this.formatMenuItemText(chapter.text, chapter);
+
+      const item = createMenuItem({
+        type: 'radio',
+        text,
+        value: `${chapter.startTime}`,
+        checked: false,
+      });
+      item.prepend(createIndicator(this, 'checked-indicator'));
+
+      const startTime = document.createElement('span');
+      startTime.slot = 'description';
+      startTime.textContent = formatTime(chapter.startTime);
+      item.append(startTime);
+
+      this.defaultSlot.append(item);
+    }
+
+    this.#updateCurrentChapter();
+  }
+
+  // Check the current chapter directly instead of setting `value`,
+  // which would dispatch a `change` event and seek.
+  #updateCurrentChapter() {
+    const value = `${this.mediaCurrentChapter?.startTime}`;
+    for (const item of this.radioGroupItems) {
+      item.checked = item.value === value;
+    }
+  }
+
+  #onChange() {
+    if (!this.value) return;
+
+    const event = new globalThis.CustomEvent(MediaUIEvents.MEDIA_SEEK_REQUEST, {
+      composed: true,
+      bubbles: true,
+      detail: +this.value,
+    });
+    this.dispatchEvent(event);
+  }
+}
+
+if (!globalThis.customElements.get('media-chapters-menu')) {
+  globalThis.customElements.define('media-chapters-menu', MediaChaptersMenu);
+}
+
+export { MediaChaptersMenu };
+export default MediaChaptersMenu;
@@ -1,5 +1,5 @@
 import { MediaStateReceiverAttributes } from './constants.js';
-import { getOrInsertCSSRule } from './utils/element-utils.js';
+import { getOrInsertCSSRule, onLangChange } from './utils/element-utils.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 
 const template = document.createElement('template');
@@ -90,6 +90,7 @@ template.innerHTML = /*html*/`
  */
 class MediaChromeButton extends globalThis.HTMLElement {
   #mediaController;
+  #removeLangChangeListener;
   preventClick = false;
 
   static get observedAttributes() {
@@ -200,6 +201,10 @@ class MediaChromeButton extends globalThis.HTMLElement {
       this.#mediaController = this.getRootNode()?.getElementById(mediaControllerId);
       this.#mediaController?.associateElement?.(this);
     }
+
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
   }
 
   disconnectedCallback() {
@@ -207,8 +212,17 @@ class MediaChromeButton extends globalThis.HTMLElement {
     // Use cached mediaController, getRootNode() doesn't work if disconnected.
     this.#mediaController?.unassociateElement?.(this);
     this.#mediaController = null;
+
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
   }
 
+  /**
+   * Called when the `lang` attribute of the media controller changes,
+   * override to update the labels.
+   */
+  langChangedCallback() {}
+
   get keysUsed() {
     return ['Enter', ' '];
   }
@@ -1,5 +1,5 @@
 import { globalThis, document } from './utils/server-safe-globals.js';
-import { containsComposedNode, getActiveElement } from './utils/element-utils.js';
+import { containsComposedNode, getActiveElement, onLangChange } from './utils/element-utils.js';
 
 const template = document.createElement('template');
 template.innerHTML = /*html*/`
@@ -87,6 +87,7 @@ class MediaChromeDialog extends globalThis.HTMLElement {
 
   #previouslyFocused;
   #invokerElement;
+  #removeLangChangeListener;
 
   constructor() {
     super();
@@ -123,6 +124,31 @@ class MediaChromeDialog extends globalThis.HTMLElement {
     if (!this.role) {
       this.role = 'dialog';
     }
+
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
+  }
+
+  disconnectedCallback() {
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
+  }
+
+  /**
+   * Called when the `lang` attribute of the media controller changes,
+   * override to update the labels.
+   */
+  langChangedCallback() {}
+
+  /**
+   * Does the dialog keep the controls of the media container visible while it's shown.
+   * Only dialogs the user opened, or moved the focus into, do. Dialogs that open by
+   * themselves, like the up next dialog, let the controls hide.
+   * @type {boolean}
+   */
+  get keepsControlsVisible() {
+    return !!this.#invokerElement || containsComposedNode(this, getActiveElement());
   }
 
   attributeChangedCallback(attrName, oldValue, newValue) {
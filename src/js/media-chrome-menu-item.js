@@ -170,6 +170,8 @@ class MediaChromeMenuItem extends globalThis.HTMLElement {
 
   #dirty = false;
   #ownerElement;
+  /** @type {string | null} */
+  #submenuLabel = null;
 
   constructor() {
     super();
@@ -382,6 +384,33 @@ class MediaChromeMenuItem extends globalThis.HTMLElement {
     span.textContent = description ?? '';
 
     descriptionSlot.replaceChildren(span);
+
+    this.#updateSubmenuLabel(description);
+  }
+
+  /**
+   * Includes the current value of the submenu in the accessible name, e.g. "Quality: 720p".
+   * An `aria-label` set by the author is left as is.
+   * @param {string} [description]
+   */
+  #updateSubmenuLabel(description) {
+    if (this.getAttribute('aria-label') !== this.#submenuLabel) return;
+
+    /** @type {HTMLSlotElement} */
+    const defaultSlot = this.shadowRoot.querySelector('slot:not([name])');
+    const label = defaultSlot
+      .assignedNodes()
+      .map((node) => node.textContent)
+      .join('')
+      .trim();
+
+    this.#submenuLabel = label && description ? `${label}: ${description}` : null;
+
+    if (this.#submenuLabel) {
+      this.setAttribute('aria-label', this.#submenuLabel);
+    } else {
+      this.removeAttribute('aria-label');
+    }
   }
 
   handleClick(event) {
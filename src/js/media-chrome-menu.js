@@ -10,6 +10,7 @@ import {
   getOrInsertCSSRule,
   getMediaController,
   getAttributeMediaController,
+  onLangChange,
   getDocumentOrShadowRoot,
 } from './utils/element-utils.js';
 
@@ -291,6 +292,7 @@ class MediaChromeMenu extends globalThis.HTMLElement {
   }
 
   #mediaController;
+  #removeLangChangeListener;
   #previouslyFocused;
   #invokerElement;
   #keysSoFar = '';
@@ -382,6 +384,10 @@ class MediaChromeMenu extends globalThis.HTMLElement {
       observeResize(getBoundsElement(this), this.#handleBoundsResize);
       observeResize(this, this.#handleMenuResize);
     }
+
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
   }
 
   disconnectedCallback() {
@@ -393,8 +399,17 @@ class MediaChromeMenu extends globalThis.HTMLElement {
     // Use cached mediaController, getRootNode() doesn't work if disconnected.
     this.#mediaController?.unassociateElement?.(this);
     this.#mediaController = null;
+
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
   }
 
+  /**
+   * Called when the `lang` attribute of the media controller changes,
+   * override to update the labels.
+   */
+  langChangedCallback() {}
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     if (attrName === Attributes.HIDDEN && newValue !== oldValue) {
       if (!this.#isPopover) this.#isPopover = true;
@@ -558,8 +573,14 @@ class MediaChromeMenu extends globalThis.HTMLElement {
     // Wait one animation frame so the element dimensions are updated.
     requestAnimationFrame(() => this.#positionMenu(false));
 
-    // Focus when the transition ends.
-    this.addEventListener('transitionend', () => this.focus(), { once: true });
+    // Focus when the transition ends, unless focus already moved into the menu.
+    this.addEventListener(
+      'transitionend',
+      () => {
+        if (!containsComposedNode(this, getActiveElement())) this.focus();
+      },
+      { once: true }
+    );
 
     observeResize(getBoundsElement(this), this.#handleBoundsResize);
     observeResize(this, this.#handleMenuResize);
@@ -666,8 +687,9 @@ class MediaChromeMenu extends globalThis.HTMLElement {
     this.#previouslyFocused = getActiveElement();
 
     if (this.items.length) {
-      this.#setTabItem(this.items[0]);
-      this.items[0].focus();
+      const item = this.checkedItems[0] ?? this.items[0];
+      this.#setTabItem(item);
+      item.focus();
       return;
     }
 
@@ -683,6 +705,11 @@ class MediaChromeMenu extends globalThis.HTMLElement {
     event.stopPropagation();
 
     if (event.composedPath().includes(this.#backButtonElement)) {
+      if (this.#submenuInvoker) {
+        this.#closeSubmenu();
+        return;
+      }
+
       this.#previouslyFocused?.focus();
       this.hidden = true;
       return;
@@ -696,6 +723,41 @@ class MediaChromeMenu extends globalThis.HTMLElement {
     this.handleSelect(event);
   }
 
+  /**
+   * Returns the menu item that opens this menu if it's a submenu.
+   * @return {MediaChromeMenuItem | null}
+   */
+  get #submenuInvoker() {
+    const invoker =
+      this.#invokerElement ?? (this.slot === 'submenu' ? this.parentElement : null);
+    return isMenuItem(invoker) ? invoker : null;
+  }
+
+  /**
+   * Opens the submenu of the focused menu item and moves focus into it.
+   */
+  #openSubmenu(event) {
+    const item = event.composedPath().find(isMenuItem) ?? this.#getTabItem();
+    const submenu = item?.hasAttribute('aria-haspopup') ? item.invokeTargetElement : null;
+    if (!submenu) return;
+
+    if (submenu.hidden) {
+      submenu.dispatchEvent(new InvokeEvent({ relatedTarget: item }));
+    }
+    submenu.focus();
+  }
+
+  /**
+   * Closes this submenu and moves focus back to the menu item that opened it.
+   */
+  #closeSubmenu() {
+    const invoker = this.#submenuInvoker;
+    if (!invoker) return;
+
+    invoker.focus();
+    this.hidden = true;
+  }
+
   get #backButtonElement() {
     /** @type {HTMLSlotElement} */
     const headerSlot = this.shadowRoot.querySelector('slot[name="header"]');
@@ -782,7 +844,18 @@ class MediaChromeMenu extends globalThis.HTMLElement {
   }
 
   get keysUsed() {
-    return ['Enter', 'Escape', 'Tab', ' ', 'ArrowDown', 'ArrowUp', 'Home', 'End'];
+    return [
+      'Enter',
+      'Escape',
+      'Tab',
+      ' ',
+      'ArrowDown',
+      'ArrowUp',
+      'ArrowLeft',
+      'ArrowRight',
+      'Home',
+      'End',
+    ];
   }
 
   #handleKeyDown(event) {
@@ -819,6 +892,11 @@ class MediaChromeMenu extends globalThis.HTMLElement {
 
     } else if (key === 'Escape') {
       // Go back to the previous menu or close the menu.
+      if (this.#submenuInvoker) {
+        this.#closeSubmenu();
+        return;
+      }
+
       this.#previouslyFocused?.focus();
 
       if (this.#isPopover) {
@@ -826,6 +904,10 @@ class MediaChromeMenu extends globalThis.HTMLElement {
       }
     } else if (key === 'Enter' || key === ' ') {
       this.handleSelect(event);
+    } else if (key === 'ArrowRight') {
+      this.#openSubmenu(event);
+    } else if (key === 'ArrowLeft') {
+      this.#closeSubmenu();
     } else {
       this.handleMove(event);
     }
@@ -1,6 +1,6 @@
 import { MediaStateReceiverAttributes } from './constants.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
-import { insertCSSRule, getOrInsertCSSRule, getPointProgressOnLine } from './utils/element-utils.js';
+import { insertCSSRule, getOrInsertCSSRule, getPointProgressOnLine, onLangChange } from './utils/element-utils.js';
 import { observeResize, unobserveResize } from './utils/resize-observer.js';
 
 const template = document.createElement('template');
@@ -299,6 +299,7 @@ template.innerHTML = /*html*/`
  */
 class MediaChromeRange extends globalThis.HTMLElement {
   #mediaController;
+  #removeLangChangeListener;
   #isInputTarget;
   #startpoint;
   #endpoint;
@@ -393,6 +394,10 @@ class MediaChromeRange extends globalThis.HTMLElement {
 
     this.#enableUserEvents();
     observeResize(this.container, this.#updateComputedStyles);
+
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
   }
 
   disconnectedCallback() {
@@ -405,8 +410,17 @@ class MediaChromeRange extends globalThis.HTMLElement {
     this.shadowRoot.removeEventListener('focusin', this.#onFocusIn);
     this.shadowRoot.removeEventListener('focusout', this.#onFocusOut);
     unobserveResize(this.container, this.#updateComputedStyles);
+
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
   }
 
+  /**
+   * Called when the `lang` attribute of the media controller changes,
+   * override to update the labels.
+   */
+  langChangedCallback() {}
+
   #updateComputedStyles = () => {
     // This fixes a Chrome bug where it doesn't refresh the clip-path on content resize.
     const clipping = this.shadowRoot.querySelector('#segments-clipping');
@@ -11,22 +11,33 @@ import { globalThis, document } from './utils/server-safe-globals.js';
 import {
   MediaUIAttributes,
   MediaStateChangeEvents,
+  MediaContainerEvents,
 } from './constants.js';
 import { nouns } from './labels/labels.js';
 import { observeResize } from './utils/resize-observer.js';
 // Guarantee that `<media-gesture-receiver/>` is available for use in the template
-import './media-gesture-receiver.js';
+import MediaGestureReceiver from './media-gesture-receiver.js';
 
 export const Attributes = {
   AUDIO: 'audio',
   AUTOHIDE: 'autohide',
   BREAKPOINTS: 'breakpoints',
   GESTURES_DISABLED: 'gesturesdisabled',
+  KEEP_VISIBLE: 'keepvisible',
+  KEYBOARD_AUTOHIDE: 'keyboardautohide',
   KEYBOARD_CONTROL: 'keyboardcontrol',
+  LANG: 'lang',
   NO_AUTOHIDE: 'noautohide',
   USER_INACTIVE: 'userinactive',
 };
 
+// Open menus and dialogs, and elements with the `keepvisible` attribute, keep the controls visible while shown.
+// Dialogs can opt out with a `keepsControlsVisible` property, see `MediaChromeDialog`.
+const KEEP_VISIBLE_SELECTOR = `[role=menu][anchor], [role=dialog], [role=alertdialog], [${Attributes.KEEP_VISIBLE}]`;
+
+// Slots of the surfaces behind the controls. The controls may hide while hovering these.
+const PASSIVE_SLOTS = ['media', 'poster', 'gestures-chrome'];
+
 const template = document.createElement('template');
 
 template.innerHTML = /*html*/`
@@ -252,7 +263,9 @@ function getBreakpoints(breakpoints, width) {
  * @attr {string} autohide
  * @attr {string} breakpoints
  * @attr {boolean} gesturesdisabled
+ * @attr {string} keyboardautohide
  * @attr {boolean} keyboardcontrol
+ * @attr {string} lang - The language of the labels of the controls, e.g. `de` or `pt-BR`.
  * @attr {boolean} noautohide
  * @attr {boolean} userinactive
  *
@@ -261,7 +274,7 @@ function getBreakpoints(breakpoints, width) {
  */
 class MediaContainer extends globalThis.HTMLElement {
   static get observedAttributes() {
-    return [Attributes.AUTOHIDE, Attributes.GESTURES_DISABLED]
+    return [Attributes.AUTOHIDE, Attributes.KEYBOARD_AUTOHIDE, Attributes.GESTURES_DISABLED, Attributes.LANG]
       .concat(MEDIA_UI_ATTRIBUTE_NAMES)
       // Filter out specific / complex data media UI attributes
       // that shouldn't be propagated to this state receiver element.
@@ -269,11 +282,17 @@ class MediaContainer extends globalThis.HTMLElement {
         MediaUIAttributes.MEDIA_RENDITION_LIST,
         MediaUIAttributes.MEDIA_AUDIO_TRACK_LIST,
         MediaUIAttributes.MEDIA_CHAPTERS_CUES,
+        MediaUIAttributes.MEDIA_CUE_POINTS,
+        MediaUIAttributes.MEDIA_ANGLE_LIST,
+        MediaUIAttributes.MEDIA_PLAYLIST,
       ].includes(name));
   }
 
   #pointerDownTimeStamp = 0;
   #currentMedia;
+  /** @type {HTMLVideoElement} */
+  #selectedAngle;
+  #keyboardAutohide;
   breakpointsComputed = false;
 
   constructor() {
@@ -288,38 +307,33 @@ class MediaContainer extends globalThis.HTMLElement {
     // Watch for child adds/removes and update the media element if necessary
     const mutationCallback = (mutationsList) => {
       const media = this.media;
+      let anglesChanged = false;
 
       for (let mutation of mutationsList) {
-        if (mutation.type === 'childList') {
+        if (mutation.type === 'attributes') {
+          this.#handleKeepVisibleChange(mutation);
+        } else if (mutation.type === 'childList') {
           // Media element being removed
           mutation.removedNodes.forEach((node) => {
             // Is this a direct child media element of media-controller?
             // TODO: This accuracy doesn't matter after moving away from media attrs.
             // Could refactor so we can always just call 'dispose' on any removed media el.
             if (node.slot == 'media' && mutation.target == this) {
-              // Check if this was the current media by if it was the first
-              // el with slot=media in the child list. There could be multiple.
-              let previousSibling =
-                mutation.previousSibling &&
-                mutation.previousSibling.previousElementSibling;
-
-              // Must have been first if no prev sibling or new media
-              if (!previousSibling || !media) {
+              anglesChanged = true;
+              // There could be multiple media elements (angles), only unset
+              // if this was the current media.
+              if (node === this.#currentMedia) {
                 this.mediaUnsetCallback(node);
-              } else {
-                // Check if any prev siblings had a slot=media
-                // Should remain true otherwise
-                let wasFirst = previousSibling.slot !== 'media';
-                while (
-                  (previousSibling = previousSibling.previousSibling) !== null
-                ) {
-                  if (previousSibling.slot == 'media') wasFirst = false;
-                }
-                if (wasFirst) this.mediaUnsetCallback(node);
               }
             }
           });
 
+          mutation.addedNodes.forEach((node) => {
+            if (node.slot == 'media' && mutation.target == this) {
+              anglesChanged = true;
+            }
+          });
+
           // Controls or media element being added
           // No need to inject anything if media=null
           if (media) {
@@ -332,10 +346,19 @@ class MediaContainer extends globalThis.HTMLElement {
           }
         }
       }
+
+      if (anglesChanged) {
+        this.mediaAnglesSetCallback(this.mediaAngles);
+      }
     };
 
     const mutationObserver = new MutationObserver(mutationCallback);
-    mutationObserver.observe(this, { childList: true, subtree: true });
+    mutationObserver.observe(this, {
+      childList: true,
+      subtree: true,
+      attributeFilter: ['hidden', Attributes.KEEP_VISIBLE],
+      attributeOldValue: true,
+    });
 
     let pendingResizeCb = false;
     const deferResizeCallback = (entry) => {
@@ -370,6 +393,7 @@ class MediaContainer extends globalThis.HTMLElement {
     if (chainedSlot) {
       chainedSlot.addEventListener('slotchange', () => {
         const slotEls = chainedSlot.assignedElements({ flatten: true });
+        this.mediaAnglesSetCallback(this.mediaAngles);
         if (!slotEls.length) {
           if (this.#currentMedia) {
             this.mediaUnsetCallback(this.#currentMedia);
@@ -385,10 +409,20 @@ class MediaContainer extends globalThis.HTMLElement {
   attributeChangedCallback(attrName, oldValue, newValue) {
     if (attrName.toLowerCase() == Attributes.AUTOHIDE) {
       this.autohide = newValue;
+    } else if (attrName.toLowerCase() == Attributes.KEYBOARD_AUTOHIDE) {
+      this.keyboardAutohide = newValue;
+    } else if (attrName.toLowerCase() == Attributes.LANG && oldValue !== newValue) {
+      this.#updateLabel();
+      // Tells the controls to update their labels, see `onLangChange()`.
+      this.dispatchEvent(
+        new globalThis.CustomEvent(MediaStateChangeEvents.LANG_CHANGE, {
+          detail: newValue ?? undefined,
+        })
+      );
     }
   }
 
-  // First direct child with slot=media, or null
+  // The selected angle if there are multiple media elements, else the first direct child with slot=media, or null
   /**
    * @returns {HTMLVideoElement &
    * {buffered,
@@ -400,15 +434,26 @@ class MediaContainer extends globalThis.HTMLElement {
    * }}
    */
   get media() {
+    const angles = this.mediaAngles;
+    if (angles.includes(this.#selectedAngle)) return this.#selectedAngle;
+    return angles[0] ?? null;
+  }
+
+  /**
+   * All media elements with slot=media. More than one makes for a synchronized
+   * multi-angle presentation where the selected one is the primary media.
+   * @returns {HTMLVideoElement[]}
+   */
+  get mediaAngles() {
     /** @type {HTMLVideoElement} */
     let media = this.querySelector(':scope > [slot=media]');
 
     // Chaining media slots for media templates
     if (media?.nodeName == 'SLOT')
       // @ts-ignore
-      media = media.assignedElements({ flatten: true })[0];
+      return media.assignedElements({ flatten: true });
 
-    return media;
+    return Array.from(this.querySelectorAll(':scope > [slot=media]'));
   }
 
   /**
@@ -433,11 +478,10 @@ class MediaContainer extends globalThis.HTMLElement {
   }
 
   connectedCallback() {
-    const isAudioChrome = this.getAttribute(Attributes.AUDIO) != null;
-    const label = isAudioChrome ? nouns.AUDIO_PLAYER() : nouns.VIDEO_PLAYER();
     this.setAttribute('role', 'region');
-    this.setAttribute('aria-label', label);
+    this.#updateLabel();
 
+    this.mediaAnglesSetCallback(this.mediaAngles);
     this.handleMediaUpdated(this.media);
 
     // Assume user is inactive until they're not (aka userinactive by default is true)
@@ -449,6 +493,8 @@ class MediaContainer extends globalThis.HTMLElement {
     this.addEventListener('pointerup', this);
     this.addEventListener('mouseleave', this);
     this.addEventListener('keyup', this);
+    this.addEventListener(MediaContainerEvents.USER_INACTIVE_REQUEST, this);
+    this.addEventListener(MediaContainerEvents.MEDIA_ANGLE_CHANGE, this);
 
     globalThis.window?.addEventListener('mouseup', this);
   }
@@ -476,6 +522,12 @@ class MediaContainer extends globalThis.HTMLElement {
     this.#currentMedia = null;
   }
 
+  /**
+   * @abstract
+   * @param {HTMLMediaElement[]} mediaAngles
+   */
+  mediaAnglesSetCallback(mediaAngles) {} // eslint-disable-line
+
   handleEvent(event) {
     switch (event.type) {
       case 'pointerdown':
@@ -496,10 +548,24 @@ class MediaContainer extends globalThis.HTMLElement {
         break;
       case 'keyup':
         // Unhide for keyboard controlling.
-        this.#scheduleInactive();
+        this.#scheduleInactive(this.keyboardAutohide);
         // Allow for focus styles only when using the keyboard to navigate.
         this.setAttribute(Attributes.KEYBOARD_CONTROL, '');
         break;
+      case MediaContainerEvents.USER_INACTIVE_REQUEST:
+        if (event.detail) {
+          this.#setInactive();
+        } else {
+          this.#scheduleInactive();
+        }
+        break;
+      case MediaContainerEvents.MEDIA_ANGLE_CHANGE:
+        // The selected angle dispatches the event and is the primary media.
+        this.#selectedAngle = event.target;
+        if (this.media !== this.#currentMedia) {
+          this.handleMediaUpdated(this.media);
+        }
+        break;
     }
   }
 
@@ -518,31 +584,78 @@ class MediaContainer extends globalThis.HTMLElement {
     clearTimeout(this._inactiveTimeout);
 
     // If hovering over something other than controls, we're free to make inactive
-    // @ts-ignore
-    if ([this, this.media].includes(event.target)) {
+    if (this.#isPassiveTarget(event.target)) {
       this.#scheduleInactive();
     }
   }
 
+  #isPassiveTarget(target) {
+    return (
+      target === this ||
+      target === this.media ||
+      (target?.parentNode === this && PASSIVE_SLOTS.includes(target.slot))
+    );
+  }
+
   #handlePointerUp(event) {
     if (event.pointerType === 'touch') {
       const controlsVisible = !this.hasAttribute(Attributes.USER_INACTIVE);
+      const isMediaTap = this.#isPassiveTarget(event.target);
+
+      // Taps on the media are handled by the gesture receiver so they can be told apart from double taps.
+      if (isMediaTap && this.#hasGestures()) return;
 
-      if ([this, this.media].includes(event.target) && controlsVisible) {
+      if (isMediaTap && controlsVisible) {
         this.#setInactive();
       } else {
         this.#scheduleInactive();
       }
-    } else if (
-      event.composedPath().some((el) =>
-        ['media-play-button', 'media-fullscreen-button'].includes(el?.localName))
-    ) {
+    } else if (event.composedPath().some((el) => el?.autohideOnClick)) {
+      // Controls like the play button hide the controls even while hovering them.
       this.#scheduleInactive();
     }
   }
 
-  #setInactive() {
-    if (this.autohide < 0) return;
+  #isKeptVisible() {
+    return Array.from(this.querySelectorAll(KEEP_VISIBLE_SELECTOR)).some(
+      (el) =>
+        !el.closest('[hidden]') &&
+        // @ts-ignore
+        (el.hasAttribute(Attributes.KEEP_VISIBLE) || el.keepsControlsVisible !== false)
+    );
+  }
+
+  /**
+   * Hiding the controls is skipped while something keeps them visible,
+   * so start over once that is hidden.
+   * @param {MutationRecord} mutation
+   */
+  #handleKeepVisibleChange({ target, attributeName, oldValue }) {
+    const el = /** @type {Element} */ (target);
+    if (!el.matches?.(KEEP_VISIBLE_SELECTOR) && attributeName !== Attributes.KEEP_VISIBLE) return;
+    if ((oldValue === null) === !el.hasAttribute(attributeName)) return;
+    if (this.hasAttribute(Attributes.USER_INACTIVE) || this.#isKeptVisible()) return;
+
+    this.#scheduleInactive();
+  }
+
+  #hasGestures() {
+    return (
+      !this.hasAttribute(Attributes.GESTURES_DISABLED) &&
+      !this.hasAttribute(Attributes.AUDIO) &&
+      !!this.shadowRoot
+        .querySelector('slot[name=gestures-chrome]')
+        // @ts-ignore
+        ?.assignedElements({ flatten: true })
+        .some((el) => el instanceof MediaGestureReceiver)
+    );
+  }
+
+  /**
+   * @param {boolean} [force] - Hide even if autohide is off or something keeps the controls visible.
+   */
+  #setInactive(force = false) {
+    if (!force && (this.autohide < 0 || this.#isKeptVisible())) return;
     if (this.hasAttribute(Attributes.USER_INACTIVE)) return;
 
     this.setAttribute(Attributes.USER_INACTIVE, '');
@@ -566,7 +679,17 @@ class MediaContainer extends globalThis.HTMLElement {
     this.dispatchEvent(evt);
   }
 
-  #scheduleInactive() {
+  #updateLabel() {
+    const isAudioChrome = this.getAttribute(Attributes.AUDIO) != null;
+    const lang = this.getAttribute(Attributes.LANG) || undefined;
+    const label = isAudioChrome ? nouns.AUDIO_PLAYER({ lang }) : nouns.VIDEO_PLAYER({ lang });
+    this.setAttribute('aria-label', label);
+  }
+
+  /**
+   * @param {number} [seconds] - The delay before hiding, defaults to `autohide`.
+   */
+  #scheduleInactive(seconds = this.autohide) {
     this.#setActive();
 
     clearTimeout(this._inactiveTimeout);
@@ -577,7 +700,23 @@ class MediaContainer extends globalThis.HTMLElement {
     /** @type {ReturnType<typeof setTimeout>} */
     this._inactiveTimeout = setTimeout(() => {
       this.#setInactive();
-    }, this.autohide * 1000);
+    }, seconds * 1000);
+  }
+
+  /**
+   * Shows the controls, and hides them again after the given time of inactivity.
+   * @param {number} [ms] - Defaults to the `autohide` delay.
+   */
+  showControls(ms) {
+    this.#scheduleInactive(ms == null ? this.autohide : ms / 1000);
+  }
+
+  /**
+   * Hides the controls right away, even if autohide is off or a menu is open.
+   */
+  hideControls() {
+    clearTimeout(this._inactiveTimeout);
+    this.#setInactive(true);
   }
 
   set autohide(seconds) {
@@ -588,6 +727,19 @@ class MediaContainer extends globalThis.HTMLElement {
   get autohide() {
     return this._autohide === undefined ? 2 : this._autohide;
   }
+
+  /**
+   * The seconds before hiding the controls after keyboard use, defaults to half of `autohide`.
+   * @type {number}
+   */
+  set keyboardAutohide(seconds) {
+    seconds = parseFloat(seconds);
+    this.#keyboardAutohide = isNaN(seconds) ? undefined : seconds;
+  }
+
+  get keyboardAutohide() {
+    return this.#keyboardAutohide ?? this.autohide / 2;
+  }
 }
 
 if (!globalThis.customElements.get('media-container')) {
@@ -10,8 +10,16 @@
 import { MediaContainer } from './media-container.js';
 import { document, globalThis } from './utils/server-safe-globals.js';
 import { AttributeTokenList } from './utils/attribute-token-list.js';
-import { delay, stringifyRenditionList, stringifyAudioTrackList } from './utils/utils.js';
-import { stringifyTextTrackList } from './utils/captions.js';
+import { delay, stringifyRenditionList, stringifyAudioTrackList, stringifyAngleList } from './utils/utils.js';
+import { stringifyCaptionStyle, stringifyTextTrackList } from './utils/captions.js';
+import {
+  DefaultHotkeys,
+  getKeyCombo,
+  normalizeHotkeyMap,
+  normalizeKeyCombo,
+  parseHotkeys,
+  resolveHotkeyAction,
+} from './utils/hotkeys.js';
 import {
   MediaUIEvents,
   MediaUIAttributes,
@@ -22,13 +30,15 @@ import {
 import { setBooleanAttr, setNumericAttr, setStringAttr } from './utils/element-utils.js';
 import createMediaStore from './media-store/media-store.js';
 
-const ButtonPressedKeys = ['ArrowLeft', 'ArrowRight', 'Enter', ' ', 'f', 'm', 'k', 'c'];
-const DEFAULT_SEEK_OFFSET = 10;
+// Keys that might move the page, these need preventDefault on keydown.
+const PageMovingKeys = ['space', 'arrowleft', 'arrowright', 'arrowup', 'arrowdown', 'pageup', 'pagedown', 'home', 'end'];
 
 export const Attributes = {
+  AUTO_ADVANCE: 'autoadvance',
   DEFAULT_SUBTITLES: 'defaultsubtitles',
   DEFAULT_STREAM_TYPE: 'defaultstreamtype',
   DEFAULT_DURATION: 'defaultduration',
+  FRAME_RATE: 'framerate',
   FULLSCREEN_ELEMENT: 'fullscreenelement',
   HOTKEYS: 'hotkeys',
   KEYS_USED: 'keysused',
@@ -36,17 +46,36 @@ export const Attributes = {
   NO_AUTO_SEEK_TO_LIVE: 'noautoseektolive',
   NO_HOTKEYS: 'nohotkeys',
   NO_VOLUME_PREF: 'novolumepref',
+  NO_MUTED_PREF: 'nomutedpref',
+  NO_PLAYBACK_RATE_PREF: 'noplaybackratepref',
+  NO_SUBTITLES_PREF: 'nosubtitlespref',
   NO_SUBTITLES_LANG_PREF: 'nosubtitleslangpref',
+  NO_AUDIO_TRACK_LANG_PREF: 'noaudiotracklangpref',
+  NO_CAPTION_STYLE_PREF: 'nocaptionstylepref',
   NO_DEFAULT_STORE: 'nodefaultstore',
+  RESUME: 'resume',
+};
+
+// Maps the attributes that turn off a user preference to their media store option.
+const PrefAttributeOptions = {
+  [Attributes.NO_VOLUME_PREF]: 'noVolumePref',
+  [Attributes.NO_MUTED_PREF]: 'noMutedPref',
+  [Attributes.NO_PLAYBACK_RATE_PREF]: 'noPlaybackRatePref',
+  [Attributes.NO_SUBTITLES_PREF]: 'noSubtitlesPref',
+  [Attributes.NO_SUBTITLES_LANG_PREF]: 'noSubtitlesLangPref',
+  [Attributes.NO_AUDIO_TRACK_LANG_PREF]: 'noAudioTrackLangPref',
+  [Attributes.NO_CAPTION_STYLE_PREF]: 'noCaptionStylePref',
 };
 
 /**
  * Media Controller should not mimic the HTMLMediaElement API.
  * @see https://github.com/muxinc/media-chrome/pull/182#issuecomment-1067370339
  *
+ * @attr {boolean} autoadvance
  * @attr {boolean} defaultsubtitles
  * @attr {string} defaultstreamtype
  * @attr {string} defaultduration
+ * @attr {string} framerate
  * @attr {string} fullscreenelement
  * @attr {boolean} nohotkeys
  * @attr {string} hotkeys
@@ -54,8 +83,14 @@ export const Attributes = {
  * @attr {string} liveedgeoffset
  * @attr {boolean} noautoseektolive
  * @attr {boolean} novolumepref
+ * @attr {boolean} nomutedpref
+ * @attr {boolean} noplaybackratepref
+ * @attr {boolean} nosubtitlespref
  * @attr {boolean} nosubtitleslangpref
+ * @attr {boolean} noaudiotracklangpref
+ * @attr {boolean} nocaptionstylepref
  * @attr {boolean} nodefaultstore
+ * @attr {('auto'|'prompt')} resume
  */
 class MediaController extends MediaContainer {
   static get observedAttributes() {
@@ -65,11 +100,21 @@ class MediaController extends MediaContainer {
       Attributes.DEFAULT_STREAM_TYPE,
       Attributes.DEFAULT_SUBTITLES,
       Attributes.DEFAULT_DURATION,
+      Attributes.FRAME_RATE,
+      Attributes.AUTO_ADVANCE,
+      Attributes.RESUME,
+      ...Object.keys(PrefAttributeOptions),
     );
   }
 
   #hotKeys = new AttributeTokenList(this, Attributes.HOTKEYS);
+  /** @type {import('./utils/hotkeys.js').HotkeyMap} */
+  #hotkeyMap = {};
   #fullscreenElement;
+  #preferences;
+  #thumbnailSource;
+  /** @type {import('./media-store/util.js').PlaylistItem[]} */
+  #playlist = [];
   #mediaStore;
   #mediaStateCallback;
   #mediaStoreUnsubscribe;
@@ -108,15 +153,20 @@ class MediaController extends MediaContainer {
   #setupDefaultStore() {
     this.mediaStore = createMediaStore({
       media: this.media,
+      mediaAngles: this.mediaAngles,
       fullscreenElement: this.fullscreenElement,
       options: {
         defaultSubtitles: this.hasAttribute(Attributes.DEFAULT_SUBTITLES),
         defaultDuration: this.hasAttribute(Attributes.DEFAULT_DURATION) ? +this.getAttribute(Attributes.DEFAULT_DURATION) : undefined,
         defaultStreamType: /** @type {import('./media-store/state-mediator.js').StreamTypeValue} */ (this.getAttribute(Attributes.DEFAULT_STREAM_TYPE)) ?? undefined,
         liveEdgeOffset: this.hasAttribute(Attributes.LIVE_EDGE_OFFSET) ? +this.getAttribute(Attributes.LIVE_EDGE_OFFSET) : undefined,
-        // NOTE: This wasn't updated if it was changed later. Should it be? (CJP)
-        noVolumePref: this.hasAttribute(Attributes.NO_VOLUME_PREF),
-        noSubtitlesLangPref: this.hasAttribute(Attributes.NO_SUBTITLES_LANG_PREF),
+        frameRate: this.hasAttribute(Attributes.FRAME_RATE) ? +this.getAttribute(Attributes.FRAME_RATE) : undefined,
+        preferences: this.#preferences,
+        thumbnailSource: this.#thumbnailSource,
+        playlist: this.#playlist,
+        autoAdvance: this.hasAttribute(Attributes.AUTO_ADVANCE),
+        resume: this.#getResumeOption(),
+        ...this.#getPrefOptions(),
       },
     });
   }
@@ -140,6 +190,73 @@ class MediaController extends MediaContainer {
     this.#mediaStoreUnsubscribe = this.#mediaStore?.subscribe(this.#mediaStateCallback);
   }
 
+  /** @returns {'auto'|'prompt'|undefined} */
+  #getResumeOption() {
+    if (!this.hasAttribute(Attributes.RESUME)) return undefined;
+    // A `resume` attribute without a value resumes automatically.
+    return this.getAttribute(Attributes.RESUME) === 'prompt' ? 'prompt' : 'auto';
+  }
+
+  #getPrefOptions() {
+    return Object.fromEntries(
+      Object.entries(PrefAttributeOptions).map(([attrName, optionName]) => [
+        optionName,
+        this.hasAttribute(attrName),
+      ])
+    );
+  }
+
+  /**
+   * Where user preferences like the volume are persisted, defaults to `localStorage`.
+   * Can be any object with `getItem()`, `setItem()` and `removeItem()` methods, like
+   * `sessionStorage` or an async store.
+   * @type {import('./media-store/preferences.js').PreferenceStorage}
+   */
+  get preferences() {
+    return this.#preferences;
+  }
+
+  set preferences(value) {
+    this.#preferences = value;
+    this.#mediaStore?.dispatch({
+      type: 'optionschangerequest',
+      detail: { preferences: value },
+    });
+  }
+
+  /**
+   * Resolves the preview thumbnails, defaults to the media's `getThumbnail(time)` method
+   * or else the metadata text track labelled `thumbnails`.
+   * @type {import('./media-store/thumbnails.js').ThumbnailSource}
+   */
+  get thumbnailSource() {
+    return this.#thumbnailSource;
+  }
+
+  set thumbnailSource(value) {
+    this.#thumbnailSource = value;
+    this.#mediaStore?.dispatch({
+      type: 'optionschangerequest',
+      detail: { thumbnailSource: value },
+    });
+  }
+
+  /**
+   * The items that can be loaded in the media, e.g. with the next and previous buttons.
+   * @type {import('./media-store/util.js').PlaylistItem[]}
+   */
+  get playlist() {
+    return this.#playlist;
+  }
+
+  set playlist(value) {
+    this.#playlist = value ?? [];
+    this.#mediaStore?.dispatch({
+      type: MediaUIEvents.MEDIA_PLAYLIST_REQUEST,
+      detail: this.#playlist,
+    });
+  }
+
   get fullscreenElement() {
     return this.#fullscreenElement ?? this;
   }
@@ -196,6 +313,36 @@ class MediaController extends MediaContainer {
             : undefined,
         },
       });
+    } else if (attrName === Attributes.FRAME_RATE) {
+      this.#mediaStore?.dispatch({
+        type: 'optionschangerequest',
+        detail: {
+          frameRate: this.hasAttribute(Attributes.FRAME_RATE)
+            ? +this.getAttribute(Attributes.FRAME_RATE)
+            : undefined,
+        },
+      });
+    } else if (attrName === Attributes.AUTO_ADVANCE && newValue !== oldValue) {
+      this.#mediaStore?.dispatch({
+        type: 'optionschangerequest',
+        detail: {
+          autoAdvance: this.hasAttribute(Attributes.AUTO_ADVANCE),
+        },
+      });
+    } else if (attrName === Attributes.RESUME && newValue !== oldValue) {
+      this.#mediaStore?.dispatch({
+        type: 'optionschangerequest',
+        detail: {
+          resume: this.#getResumeOption(),
+        },
+      });
+    } else if (attrName in PrefAttributeOptions && newValue !== oldValue) {
+      this.#mediaStore?.dispatch({
+        type: 'optionschangerequest',
+        detail: {
+          [PrefAttributeOptions[attrName]]: this.hasAttribute(attrName),
+        },
+      });
     } else if (attrName === Attributes.FULLSCREEN_ELEMENT) {
       const el = newValue
         ? (/** @type {Document|ShadowRoot} */ (/** @type {unknown} */ this.getRootNode()))?.getElementById(newValue)
@@ -272,6 +419,15 @@ class MediaController extends MediaContainer {
     this.#mediaStore?.dispatch({ type: 'mediaelementchangerequest', detail: undefined });
   }
 
+  /**
+   * @override
+   * @param {HTMLMediaElement[]} mediaAngles
+   */
+  mediaAnglesSetCallback(mediaAngles) {
+    super.mediaAnglesSetCallback(mediaAngles);
+    this.#mediaStore?.dispatch({ type: 'mediaangleschangerequest', detail: mediaAngles });
+  }
+
   propagateMediaState(stateName, state) {
     propagateMediaState(this.mediaStateReceivers, stateName, state);
   }
@@ -344,9 +500,24 @@ class MediaController extends MediaContainer {
     els.splice(index, 1);
   }
 
+  /**
+   * Returns the hotkey action bound to the key combo of a keyboard event.
+   * Shifted symbol keys like `>` also match a binding without the shift modifier.
+   * @param {KeyboardEvent} e
+   */
+  #getHotkeyAction(e) {
+    const hotkeyMap = this.hotkeyMap;
+    const combo = getKeyCombo(e);
+    if (combo in hotkeyMap) return hotkeyMap[combo];
+
+    if (e.shiftKey && e.key.length === 1 && e.key.toLowerCase() === e.key.toUpperCase()) {
+      const { key, ctrlKey, altKey, metaKey } = e;
+      return hotkeyMap[getKeyCombo({ key, ctrlKey, altKey, metaKey, shiftKey: false })];
+    }
+  }
+
   #keyUpHandler(e) {
-    const { key } = e;
-    if (!ButtonPressedKeys.includes(key)) {
+    if (!this.#getHotkeyAction(e)) {
       this.removeEventListener('keyup', this.#keyUpHandler);
       return;
     }
@@ -355,20 +526,15 @@ class MediaController extends MediaContainer {
   }
 
   #keyDownHandler(e) {
-    const { metaKey, altKey, key } = e;
-    if (metaKey || altKey || !ButtonPressedKeys.includes(key)) {
+    if (!this.#getHotkeyAction(e)) {
       this.removeEventListener('keyup', this.#keyUpHandler);
       return;
     }
 
     // if the pressed key might move the page, we need to preventDefault on keydown
     // because doing so on keyup is too late
-    // We also want to make sure that the hotkey hasn't been turned off before doing so
-    if (
-      [' ', 'ArrowLeft', 'ArrowRight'].includes(key) &&
-      !(this.#hotKeys.contains(`no${key.toLowerCase()}`) ||
-        key === ' ' && this.#hotKeys.contains('nospace'))
-    ) {
+    // Disabled hotkeys are not in the hotkey map so they keep their default behavior.
+    if (PageMovingKeys.includes(normalizeKeyCombo(e.key))) {
       e.preventDefault();
     }
 
@@ -388,87 +554,47 @@ class MediaController extends MediaContainer {
     return this.#hotKeys;
   }
 
+  /**
+   * The hotkeys in effect, keyed by normalized key combo (e.g. `space`, `shift+>`).
+   * These are the default hotkeys, extended by the bindings set via this property
+   * and the `hotkeys` attribute, minus any hotkeys disabled by `no<key>` tokens.
+   * @type {import('./utils/hotkeys.js').HotkeyMap}
+   */
+  get hotkeyMap() {
+    const { bindings, disabled } = parseHotkeys(this.#hotKeys);
+    const hotkeyMap = { ...DefaultHotkeys, ...this.#hotkeyMap, ...bindings };
+    disabled.forEach((combo) => delete hotkeyMap[combo]);
+    return hotkeyMap;
+  }
+
+  set hotkeyMap(value) {
+    this.#hotkeyMap = normalizeHotkeyMap(value ?? {});
+  }
+
   keyboardShortcutHandler(e) {
     // TODO: e.target might need to be replaced w/ e.composedPath to account for shadow DOM.
     // if the event's key is already handled by the target, skip keyboard shortcuts
     // keysUsed is either an attribute or a property.
     // The attribute is a DOM array and the property is a JS array
-    // In the attribute Space represents the space key and gets convered to ' '
+    // In the attribute Space represents the space key, keys are compared normalized.
     const keysUsed = (e.target.getAttribute(Attributes.KEYS_USED)?.split(' ') ?? e.target?.keysUsed ?? [])
-      .map(key => key === 'Space' ? ' ' : key)
-      .filter(Boolean);
+      .filter(Boolean)
+      .map(normalizeKeyCombo);
 
-    if (keysUsed.includes(e.key)) {
+    if (keysUsed.includes(normalizeKeyCombo(e.key)) || keysUsed.includes(getKeyCombo(e))) {
       return;
     }
 
-    let eventName, detail, evt;
-    // if the blocklist contains the key, skip handling it.
-    if (this.#hotKeys.contains(`no${e.key.toLowerCase()}`)) return;
-    if (e.key === ' ' && this.#hotKeys.contains(`nospace`)) return;
-
-    // These event triggers were copied from the revelant buttons
-    switch (e.key) {
-      case ' ':
-      case 'k':
-        eventName = this.#mediaStore.getState().mediaPaused
-          ? MediaUIEvents.MEDIA_PLAY_REQUEST
-          : MediaUIEvents.MEDIA_PAUSE_REQUEST;
-        this.dispatchEvent(
-          new globalThis.CustomEvent(eventName, { composed: true, bubbles: true })
-        );
-        break;
-
-      case 'm':
-        eventName = this.mediaStore.getState().mediaVolumeLevel === 'off'
-            ? MediaUIEvents.MEDIA_UNMUTE_REQUEST
-            : MediaUIEvents.MEDIA_MUTE_REQUEST;
-        this.dispatchEvent(
-          new globalThis.CustomEvent(eventName, { composed: true, bubbles: true })
-        );
-        break;
-
-      case 'f':
-        eventName = this.mediaStore.getState().mediaIsFullscreen
-            ? MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST
-            : MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST;
-        this.dispatchEvent(
-          new globalThis.CustomEvent(eventName, { composed: true, bubbles: true })
-        );
-        break;
-
-      case 'c':
-        this.dispatchEvent(
-          new globalThis.CustomEvent(
-            MediaUIEvents.MEDIA_TOGGLE_SUBTITLES_REQUEST,
-            { composed: true, bubbles: true }
-          )
-        );
-        break;
-
-      case 'ArrowLeft':
-        detail = Math.max((this.mediaStore.getState().mediaCurrentTime ?? 0) - DEFAULT_SEEK_OFFSET, 0);
-        evt = new globalThis.CustomEvent(MediaUIEvents.MEDIA_SEEK_REQUEST, {
-          composed: true,
-          bubbles: true,
-          detail,
-        });
-        this.dispatchEvent(evt);
-        break;
-
-      case 'ArrowRight':
-        detail = Math.max((this.mediaStore.getState().mediaCurrentTime ?? 0) + DEFAULT_SEEK_OFFSET, 0);
-        evt = new globalThis.CustomEvent(MediaUIEvents.MEDIA_SEEK_REQUEST, {
-          composed: true,
-          bubbles: true,
-          detail,
-        });
-        this.dispatchEvent(evt);
-        break;
+    const action = this.#getHotkeyAction(e);
+    if (!action) return;
 
-      default:
-        break;
-    }
+    const request = resolveHotkeyAction(action, this.#mediaStore?.getState() ?? {}, e);
+    if (!request?.type) return;
+
+    const { type, detail } = request;
+    this.dispatchEvent(
+      new globalThis.CustomEvent(type, { composed: true, bubbles: true, detail })
+    );
   }
 }
 
@@ -516,10 +642,15 @@ const CustomAttrSerializer = {
   [MediaUIAttributes.MEDIA_SUBTITLES_LIST]: stringifyTextTrackList,
   [MediaUIAttributes.MEDIA_SUBTITLES_SHOWING]: stringifyTextTrackList,
   [MediaUIAttributes.MEDIA_SEEKABLE]: serializeTuple,
+  [MediaUIAttributes.MEDIA_LOOP_RANGE]: serializeTuple,
+  [MediaUIAttributes.MEDIA_VIDEO_SIZE]: serializeTuple,
   [MediaUIAttributes.MEDIA_BUFFERED]: (tuples) => tuples?.map(serializeTuple).join(' '),
   [MediaUIAttributes.MEDIA_PREVIEW_COORDS]: (coords) => coords?.join(' '),
   [MediaUIAttributes.MEDIA_RENDITION_LIST]: stringifyRenditionList,
   [MediaUIAttributes.MEDIA_AUDIO_TRACK_LIST]: stringifyAudioTrackList,
+  [MediaUIAttributes.MEDIA_ANGLE_LIST]: stringifyAngleList,
+  [MediaUIAttributes.MEDIA_CAPTION_STYLE]: stringifyCaptionStyle,
+  [MediaUIAttributes.MEDIA_CURRENT_CHAPTER]: (chapter) => chapter?.text ?? '',
 };
 
 const setAttr = async (child, attrName, attrValue) => {
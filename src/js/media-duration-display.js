@@ -1,11 +1,24 @@
 import { MediaTextDisplay } from './media-text-display.js';
 import { globalThis } from './utils/server-safe-globals.js';
-import { formatTime } from './utils/time.js';
+import { DEFAULT_FRAME_RATE, formatDisplayTime, formatTime } from './utils/time.js';
 import { MediaUIAttributes } from './constants.js';
-import { getNumericAttr, setNumericAttr } from './utils/element-utils.js';
+import {
+  getNumericAttr,
+  getStringAttr,
+  setNumericAttr,
+  setStringAttr,
+  getLocale,
+} from './utils/element-utils.js';
 // Todo: Use data locals: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleTimeString
 
+export const Attributes = {
+  FORMAT: 'format',
+  FRAME_RATE: 'framerate',
+};
+
 /**
+ * @attr {string} format - Set to `frames` for an SMPTE timecode (`hh:mm:ss:ff`), `milliseconds` for `h:mm:ss.mmm` or `seconds` for the total seconds.
+ * @attr {string} framerate - The frames per second of the `frames` format, defaults to 30.
  * @attr {string} mediaduration - (read-only) Set to the media duration.
  *
  * @cssproperty [--media-duration-display-display = inline-flex] - `display` property of display.
@@ -13,9 +26,16 @@ import { getNumericAttr, setNumericAttr } from './utils/element-utils.js';
 class MediaDurationDisplay extends MediaTextDisplay {
   /** @type {HTMLSlotElement} */
   #slot;
+  /** @type {import('./utils/time.js').TimeFormatter | undefined} */
+  #formatter;
 
   static get observedAttributes() {
-    return [...super.observedAttributes, MediaUIAttributes.MEDIA_DURATION];
+    return [
+      ...super.observedAttributes,
+      MediaUIAttributes.MEDIA_DURATION,
+      Attributes.FORMAT,
+      Attributes.FRAME_RATE,
+    ];
   }
 
   constructor() {
@@ -25,12 +45,64 @@ class MediaDurationDisplay extends MediaTextDisplay {
   }
 
   attributeChangedCallback(attrName, oldValue, newValue) {
-    if (attrName === MediaUIAttributes.MEDIA_DURATION) {
-      this.#slot.textContent = formatTime(newValue);
+    if (
+      attrName === MediaUIAttributes.MEDIA_DURATION ||
+      attrName === Attributes.FORMAT ||
+      attrName === Attributes.FRAME_RATE
+    ) {
+      this.update();
     }
     super.attributeChangedCallback(attrName, oldValue, newValue);
   }
 
+  langChangedCallback() {
+    this.update();
+  }
+
+  update() {
+    this.#slot.textContent = formatDisplayTime(this, this.mediaDuration ?? 0, {
+      lang: getLocale(this),
+    });
+  }
+
+  /**
+   * The time format, `frames`, `milliseconds` or `seconds`
+   * @type {string | undefined}
+   */
+  get format() {
+    return getStringAttr(this, Attributes.FORMAT);
+  }
+
+  set format(value) {
+    setStringAttr(this, Attributes.FORMAT, value);
+  }
+
+  /**
+   * The frames per second of the `frames` format
+   * @type {number}
+   */
+  get frameRate() {
+    return getNumericAttr(this, Attributes.FRAME_RATE, DEFAULT_FRAME_RATE);
+  }
+
+  set frameRate(value) {
+    setNumericAttr(this, Attributes.FRAME_RATE, value);
+  }
+
+  /**
+   * A function that formats the duration instead of the `format`, it's called with the
+   * duration in seconds and the `format`, `frameRate` and `lang` options.
+   * @type {import('./utils/time.js').TimeFormatter | undefined}
+   */
+  get formatter() {
+    return this.#formatter;
+  }
+
+  set formatter(value) {
+    this.#formatter = value ?? undefined;
+    this.update();
+  }
+
   /**
    * @type {number | undefined} In seconds
    */
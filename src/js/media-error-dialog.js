@@ -0,0 +1,155 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes } from './constants.js';
+import { MediaChromeDialog } from './media-chrome-dialog.js';
+import { nouns, verbs, formatErrorCode } from './labels/labels.js';
+import { getLocale } from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
+
+/** @typedef {import('./media-store/state-mediator.js').MediaErrorState} MediaErrorState */
+
+const template = document.createElement('template');
+// prettier-ignore
+template.innerHTML = MediaChromeDialog.template.innerHTML + /*html*/`
+  <style>
+    :host {
+      flex-direction: column;
+      align-items: center;
+      text-align: center;
+      gap: var(--media-error-dialog-gap, 10px);
+      padding: var(--media-error-dialog-padding, 10px 20px);
+      max-width: var(--media-error-dialog-max-width, 80%);
+    }
+
+    [part~=details] {
+      font-size: var(--media-error-dialog-details-font-size, .85em);
+      opacity: var(--media-error-dialog-details-opacity, .7);
+    }
+
+    [part~=details]:empty {
+      display: none;
+    }
+
+    [part~=retry-button] {
+      font: inherit;
+      color: inherit;
+      cursor: pointer;
+      padding: var(--media-error-dialog-button-padding, 4px 10px);
+      border: var(--media-error-dialog-button-border, none);
+      border-radius: var(--media-error-dialog-button-border-radius, 2px);
+      background: var(--media-error-dialog-button-background, rgb(255 255 255 / .25));
+    }
+  </style>
+
+  <slot name="message"><span part="message"></span></slot>
+  <span part="details"></span>
+  <button part="retry-button" type="button"></button>
+`;
+
+/**
+ * A dialog shown when the media fails to load or play, with a message for the error code
+ * and a button to retry. Recoverable errors, flagged with `fatal: false` by custom media
+ * elements, don't show the dialog.
+ *
+ * @extends {MediaChromeDialog}
+ *
+ * @slot - Default slotted elements.
+ * @slot message - An element shown instead of the message for the error code.
+ *
+ * @csspart message - The default message for the error code.
+ * @csspart details - The error details of the media, if any.
+ * @csspart retry-button - The retry button.
+ *
+ * @cssproperty --media-error-dialog-gap - `gap` between the contents of the dialog.
+ * @cssproperty --media-error-dialog-padding - `padding` of the dialog.
+ * @cssproperty --media-error-dialog-max-width - `max-width` of the dialog.
+ * @cssproperty --media-error-dialog-details-font-size - `font-size` of the error details.
+ * @cssproperty --media-error-dialog-details-opacity - `opacity` of the error details.
+ * @cssproperty --media-error-dialog-button-padding - `padding` of the retry button.
+ * @cssproperty --media-error-dialog-button-border - `border` of the retry button.
+ * @cssproperty --media-error-dialog-button-border-radius - `border-radius` of the retry button.
+ * @cssproperty --media-error-dialog-button-background - `background` of the retry button.
+ */
+class MediaErrorDialog extends MediaChromeDialog {
+  static template = template;
+
+  static get observedAttributes() {
+    return [...super.observedAttributes, MediaUIAttributes.MEDIA_ERROR];
+  }
+
+  /** @type {MediaErrorState | undefined} */
+  #mediaError;
+
+  constructor() {
+    super();
+
+    this.shadowRoot
+      .querySelector('[part~=retry-button]')
+      .addEventListener('click', () => this.retry());
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.setAttribute('role', 'alertdialog');
+    this.#update();
+  }
+
+  langChangedCallback() {
+    this.#update();
+  }
+
+  /**
+   * The error of the media
+   * @type {MediaErrorState | undefined}
+   */
+  get mediaError() {
+    return this.#mediaError;
+  }
+
+  set mediaError(value) {
+    this.#mediaError = value ?? undefined;
+    this.#update();
+  }
+
+  /**
+   * The error needs the user's attention, so the controls stay visible while it's shown.
+   * @type {boolean}
+   */
+  get keepsControlsVisible() {
+    return true;
+  }
+
+  /**
+   * Hides the dialog and reloads the media at the last known time.
+   */
+  retry() {
+    this.hidden = true;
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_RETRY_REQUEST, {
+        composed: true,
+        bubbles: true,
+      })
+    );
+  }
+
+  #update() {
+    const lang = getLocale(this);
+    const error = this.#mediaError;
+    this.hidden = !error?.fatal;
+
+    this.setAttribute('aria-label', capitalize(nouns.MEDIA_ERROR({ lang })));
+    this.shadowRoot.querySelector('[part~=message]').textContent = error
+      ? capitalize(formatErrorCode(error.code, lang))
+      : '';
+    this.shadowRoot.querySelector('[part~=details]').textContent = error?.message ?? '';
+    this.shadowRoot.querySelector('[part~=retry-button]').textContent = capitalize(
+      verbs.RETRY({ lang })
+    );
+  }
+}
+
+if (!globalThis.customElements.get('media-error-dialog')) {
+  globalThis.customElements.define('media-error-dialog', MediaErrorDialog);
+}
+
+export { MediaErrorDialog };
+export default MediaErrorDialog;
@@ -0,0 +1,107 @@
+import { MediaChromeButton } from './media-chrome-button.js';
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents } from './constants.js';
+import { verbs } from './labels/labels.js';
+import { getStringAttr, setStringAttr, getLocale } from './utils/element-utils.js';
+
+export const Attributes = {
+  DIRECTION: 'direction',
+};
+
+export const Directions = {
+  FORWARD: 'forward',
+  BACKWARD: 'backward',
+};
+
+const forwardIcon = `<svg aria-hidden="true" viewBox="0 0 24 24"><path d="M6 6h2v12H6V6Zm4 0v12l8.5-6L10 6Z"/></svg>`;
+
+const backwardIcon = `<svg aria-hidden="true" viewBox="0 0 24 24"><path d="M16 6h2v12h-2V6Zm-2 0v12l-8.5-6L14 6Z"/></svg>`;
+
+const slotTemplate = document.createElement('template');
+slotTemplate.innerHTML = /*html*/`
+  <style>
+  :host([${Attributes.DIRECTION}=${Directions.BACKWARD}]) slot[name=forward] {
+    display: none !important;
+  }
+
+  :host(:not([${Attributes.DIRECTION}=${Directions.BACKWARD}])) slot[name=backward] {
+    display: none !important;
+  }
+  </style>
+
+  <slot name="icon">
+    <slot name="forward">${forwardIcon}</slot>
+    <slot name="backward">${backwardIcon}</slot>
+  </slot>
+`;
+
+/**
+ * A button that pauses the media and steps one frame forward or backward.
+ * The frame rate is set with the `framerate` attribute of the media controller.
+ *
+ * @slot forward - An element shown when the button steps forward.
+ * @slot backward - An element shown when the button steps backward.
+ * @slot icon - An element for representing both directions in a single icon.
+ *
+ * @attr {('forward'|'backward')} direction - Which way to step, defaults to `forward`.
+ *
+ * @cssproperty [--media-frame-step-button-display = inline-flex] - `display` property of button.
+ */
+class MediaFrameStepButton extends MediaChromeButton {
+  static get observedAttributes() {
+    return [...super.observedAttributes, Attributes.DIRECTION];
+  }
+
+  constructor(options = {}) {
+    super({ slotTemplate, ...options });
+  }
+
+  connectedCallback() {
+    this.langChangedCallback();
+    super.connectedCallback();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    if (attrName === Attributes.DIRECTION) {
+      this.langChangedCallback();
+    }
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+  }
+
+  langChangedCallback() {
+    const lang = getLocale(this);
+    const label =
+      this.direction === Directions.BACKWARD
+        ? verbs.STEP_BACK_FRAME({ lang })
+        : verbs.STEP_FORWARD_FRAME({ lang });
+    this.setAttribute('aria-label', label);
+  }
+
+  /**
+   * @type {string} Which way to step, `forward` or `backward`
+   */
+  get direction() {
+    return getStringAttr(this, Attributes.DIRECTION) === Directions.BACKWARD
+      ? Directions.BACKWARD
+      : Directions.FORWARD;
+  }
+
+  set direction(value) {
+    setStringAttr(this, Attributes.DIRECTION, value);
+  }
+
+  handleClick() {
+    const evt = new globalThis.CustomEvent(MediaUIEvents.MEDIA_FRAME_STEP_REQUEST, {
+      composed: true,
+      bubbles: true,
+      detail: this.direction === Directions.BACKWARD ? -1 : 1,
+    });
+    this.dispatchEvent(evt);
+  }
+}
+
+if (!globalThis.customElements.get('media-frame-step-button')) {
+  globalThis.customElements.define('media-frame-step-button', MediaFrameStepButton);
+}
+
+export default MediaFrameStepButton;
@@ -15,6 +15,7 @@ import {
   getStringAttr,
   setBooleanAttr,
   setStringAttr,
+  getLocale,
 } from './utils/element-utils.js';
 
 const enterFullscreenIcon = `<svg aria-hidden="true" viewBox="0 0 26 24">
@@ -45,9 +46,10 @@ slotTemplate.innerHTML = /*html*/`
 `;
 
 const updateAriaLabel = (el) => {
+  const lang = getLocale(el);
   const label = el.mediaIsFullscreen
-    ? verbs.EXIT_FULLSCREEN()
-    : verbs.ENTER_FULLSCREEN();
+    ? verbs.EXIT_FULLSCREEN({ lang })
+    : verbs.ENTER_FULLSCREEN({ lang });
   el.setAttribute('aria-label', label);
 };
 
@@ -79,6 +81,17 @@ class MediaFullscreenButton extends MediaChromeButton {
     updateAriaLabel(this);
   }
 
+  langChangedCallback() {
+    updateAriaLabel(this);
+  }
+
+  /**
+   * Clicking this hides the controls after the autohide delay, even while hovering them.
+   */
+  get autohideOnClick() {
+    return true;
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     super.attributeChangedCallback(attrName, oldValue, newValue);
 
@@ -1,6 +1,7 @@
 import {
   MediaUIAttributes,
   MediaUIEvents,
+  MediaContainerEvents,
   MediaStateReceiverAttributes,
   PointerTypes,
 } from './constants.js';
@@ -8,8 +9,46 @@ import {
   closestComposedNode,
   getBooleanAttr,
   setBooleanAttr,
+  getNumericAttr,
+  setNumericAttr,
+  getLocale,
 } from './utils/element-utils.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
+import { nouns, formatNumber } from './labels/labels.js';
+import { formatTime } from './utils/time.js';
+
+export const Attributes = {
+  SEEK_OFFSET: 'seekoffset',
+  SEEK_ZONE_WIDTH: 'seekzonewidth',
+  DOUBLE_TAP_DELAY: 'doubletapdelay',
+  DRAG_SEEK: 'dragseek',
+  DRAG_VOLUME: 'dragvolume',
+  SWIPE_FULLSCREEN: 'swipefullscreen',
+  PINCH_FULLSCREEN: 'pinchfullscreen',
+};
+
+const DragGestureAttributes = [
+  Attributes.DRAG_SEEK,
+  Attributes.DRAG_VOLUME,
+  Attributes.SWIPE_FULLSCREEN,
+  Attributes.PINCH_FULLSCREEN,
+];
+
+// The controller attribute that turns the gestures off, see `media-container.js`.
+const GESTURES_DISABLED = 'gesturesdisabled';
+
+const DEFAULT_SEEK_OFFSET = 10;
+const DEFAULT_SEEK_ZONE_WIDTH = 100 / 3;
+const DEFAULT_DOUBLE_TAP_DELAY = 300;
+// How long the seek indicator stays visible after the last tap, taps in the
+// same zone during this time keep seeking.
+const SEEK_INDICATOR_DURATION = 750;
+// How far (in pixels) a pointer has to move before it's a drag instead of a tap.
+const DRAG_THRESHOLD = 10;
+// How far (in pixels) a swipe has to move to enter or exit fullscreen.
+const SWIPE_DISTANCE = 60;
+// How much the distance between the pointers has to change for a pinch.
+const PINCH_RATIO = 1.25;
 
 const template = document.createElement('template');
 
@@ -18,21 +57,133 @@ template.innerHTML = /*html*/`
   :host {
     display: var(--media-control-display, var(--media-gesture-receiver-display, inline-block));
     box-sizing: border-box;
+    position: relative;
+  }
+
+  [part~=seek-indicator] {
+    position: absolute;
+    top: 0;
+    bottom: 0;
+    display: none;
+    align-items: center;
+    justify-content: center;
+    overflow: hidden;
+    pointer-events: none;
+    background: var(--media-seek-indicator-background, rgb(255 255 255 / .1));
+    color: var(--media-text-color, var(--media-primary-color, rgb(238 238 238)));
+    font: var(--media-font,
+      var(--media-font-weight, bold)
+      var(--media-font-size, 14px) /
+      var(--media-text-content-height, var(--media-control-height, 24px))
+      var(--media-font-family, helvetica neue, segoe ui, roboto, arial, sans-serif));
+  }
+
+  [part~=seek-indicator][part~=backward] {
+    left: 0;
+    border-radius: 0 50% 50% 0 / 0 100% 100% 0;
+  }
+
+  [part~=seek-indicator][part~=forward] {
+    right: 0;
+    border-radius: 50% 0 0 50% / 100% 0 0 100%;
+  }
+
+  [part~=seek-indicator].visible {
+    display: flex;
+  }
+
+  [part~=gesture-indicator] {
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    display: none;
+    padding: var(--media-gesture-indicator-padding, 6px 12px);
+    border-radius: var(--media-gesture-indicator-border-radius, 4px);
+    pointer-events: none;
+    background: var(--media-gesture-indicator-background, rgb(20 20 30 / .7));
+    color: var(--media-text-color, var(--media-primary-color, rgb(238 238 238)));
+    font: var(--media-font,
+      var(--media-font-weight, bold)
+      var(--media-font-size, 14px) /
+      var(--media-text-content-height, var(--media-control-height, 24px))
+      var(--media-font-family, helvetica neue, segoe ui, roboto, arial, sans-serif));
+    font-variant-numeric: tabular-nums;
+  }
+
+  [part~=gesture-indicator].visible {
+    display: block;
+  }
+
+  [part~=ripple] {
+    position: absolute;
+    width: var(--media-seek-ripple-size, 120px);
+    height: var(--media-seek-ripple-size, 120px);
+    border-radius: 50%;
+    background: var(--media-seek-ripple-background, rgb(255 255 255 / .25));
+    transform: translate(-50%, -50%) scale(0);
+    animation: ripple 500ms ease-out;
+  }
+
+  @keyframes ripple {
+    to {
+      transform: translate(-50%, -50%) scale(4);
+      opacity: 0;
+    }
   }
 </style>
+<div part="seek-indicator backward"></div>
+<div part="seek-indicator forward"></div>
+<div part="gesture-indicator"></div>
 `;
 
 /**
  * @extends {HTMLElement}
  *
  * @attr {boolean} mediapaused - (read-only) Present if the media is paused.
+ * @attr {boolean} mediaisfullscreen - (read-only) Present if the media is fullscreen.
+ * @attr {string} mediacurrenttime - (read-only) The current time of the media.
+ * @attr {string} mediaduration - (read-only) The duration of the media.
+ * @attr {string} mediavolume - (read-only) The volume of the media.
  * @attr {string} mediacontroller - The element `id` of the media controller to connect to (if not nested within).
+ * @attr {string} seekoffset - How much time (in seconds) a double tap seeks, defaults to 10.
+ * @attr {string} seekzonewidth - The width (in percent) of the left and right zones where a double tap seeks, defaults to a third. Set to 0 to turn off double tap to seek.
+ * @attr {string} doubletapdelay - The maximum time (in milliseconds) between the taps of a double tap, defaults to 300.
+ * @attr {boolean} dragseek - Dragging horizontally scrubs through the media.
+ * @attr {boolean} dragvolume - Dragging vertically on the right half changes the volume.
+ * @attr {boolean} swipefullscreen - Swiping up enters fullscreen and swiping down exits fullscreen.
+ * @attr {boolean} pinchfullscreen - Pinching out enters fullscreen and pinching in exits fullscreen.
+ *
+ * @csspart seek-indicator - The indicator of the accumulated seek time, also has a `backward` or `forward` part.
+ * @csspart ripple - The ripple animated on every tap while seeking.
+ * @csspart gesture-indicator - The indicator of the time or volume while dragging.
  *
  * @cssproperty --media-gesture-receiver-display - `display` property of gesture receiver.
  * @cssproperty --media-control-display - `display` property of control.
+ * @cssproperty --media-seek-indicator-background - `background` of the seek indicator.
+ * @cssproperty --media-seek-ripple-background - `background` of the seek ripple.
+ * @cssproperty --media-seek-ripple-size - Initial `width` and `height` of the seek ripple.
+ * @cssproperty --media-gesture-indicator-background - `background` of the gesture indicator.
+ * @cssproperty --media-gesture-indicator-padding - `padding` of the gesture indicator.
+ * @cssproperty --media-gesture-indicator-border-radius - `border-radius` of the gesture indicator.
  */
 class MediaGestureReceiver extends globalThis.HTMLElement {
   #mediaController;
+  #lastPointerType;
+  #tapTimeout;
+  #seekTimeout;
+  #seekDirection = 0;
+  #seekAmount = 0;
+  #seekTime;
+  /** @type {Map<number, { x: number; y: number; }>} */
+  #pointers = new Map();
+  /** @type {{ type?: 'seek'|'volume'|'swipe'|'pinch'|'none'; x: number; y: number; distance?: number; start?: number; value?: number; }} */
+  #drag;
+  #suppressClick = false;
+  // Whether the media was paused before the last click toggled playback.
+  #clickPaused;
+  #touchAction;
+  #controllerObserver;
 
   // NOTE: Currently "baking in" actions + attrs until we come up with
   // a more robust architecture (CJP)
@@ -40,6 +191,11 @@ class MediaGestureReceiver extends globalThis.HTMLElement {
     return [
       MediaStateReceiverAttributes.MEDIA_CONTROLLER,
       MediaUIAttributes.MEDIA_PAUSED,
+      MediaUIAttributes.MEDIA_IS_FULLSCREEN,
+      MediaUIAttributes.MEDIA_CURRENT_TIME,
+      MediaUIAttributes.MEDIA_DURATION,
+      MediaUIAttributes.MEDIA_VOLUME,
+      ...DragGestureAttributes,
     ];
   }
 
@@ -70,13 +226,19 @@ class MediaGestureReceiver extends globalThis.HTMLElement {
     if (attrName === MediaStateReceiverAttributes.MEDIA_CONTROLLER) {
       if (oldValue) {
         this.#mediaController?.unassociateElement?.(this);
+        this.#resetTouchAction();
+        this.#controllerObserver?.disconnect();
         this.#mediaController = null;
       }
       if (newValue && this.isConnected) {
         // @ts-ignore
         this.#mediaController = this.getRootNode()?.getElementById(newValue);
         this.#mediaController?.associateElement?.(this);
+        this.#observeController();
       }
+      this.#updateTouchAction();
+    } else if (DragGestureAttributes.includes(attrName)) {
+      this.#updateTouchAction();
     }
   }
 
@@ -91,6 +253,12 @@ class MediaGestureReceiver extends globalThis.HTMLElement {
 
     this.#mediaController?.addEventListener('pointerdown', this);
     this.#mediaController?.addEventListener('click', this);
+    this.#mediaController?.addEventListener('dblclick', this);
+    this.#mediaController?.addEventListener('pointermove', this);
+    this.#mediaController?.addEventListener('pointerup', this);
+    this.#mediaController?.addEventListener('pointercancel', this);
+    this.#observeController();
+    this.#updateTouchAction();
   }
 
   disconnectedCallback() {
@@ -101,33 +269,67 @@ class MediaGestureReceiver extends globalThis.HTMLElement {
 
     this.#mediaController?.removeEventListener('pointerdown', this);
     this.#mediaController?.removeEventListener('click', this);
+    this.#mediaController?.removeEventListener('dblclick', this);
+    this.#mediaController?.removeEventListener('pointermove', this);
+    this.#mediaController?.removeEventListener('pointerup', this);
+    this.#mediaController?.removeEventListener('pointercancel', this);
+    this.#resetTouchAction();
+    this.#controllerObserver?.disconnect();
     this.#mediaController = null;
+    this.#pointers.clear();
+    this.#drag = undefined;
+
+    clearTimeout(this.#tapTimeout);
+    this.#tapTimeout = undefined;
+    this.#endSeek();
   }
 
   handleEvent(event) {
+    // Pointers that started a drag are followed wherever they move.
+    if (['pointermove', 'pointerup', 'pointercancel'].includes(event.type)) {
+      if (this.#pointers.has(event.pointerId)) this.#handleDragEvent(event);
+      return;
+    }
+
     const composedTarget = event.composedPath()?.[0];
     const allowList = ['video', 'media-controller'];
-    if (!allowList.includes(composedTarget?.localName)) return;
+    // A slotted gesture receiver receives pointer events itself.
+    if (
+      !allowList.includes(composedTarget?.localName) &&
+      composedTarget !== this &&
+      !this.shadowRoot.contains(composedTarget)
+    ) {
+      return;
+    }
 
     if (event.type === 'pointerdown') {
       // Since not all browsers have updated to be spec compliant, where 'click' events should be PointerEvents,
       // we can use use 'pointerdown' to reliably determine the pointer type. (CJP).
       this._pointerType = event.pointerType;
+      this.#lastPointerType = event.pointerType;
+      this.#suppressClick = false;
+      this.#handleDragStart(event);
+    } else if (event.type === 'dblclick') {
+      // Double taps are handled from the click events and some browsers also fire dblclick for them.
+      if (this.#lastPointerType !== PointerTypes.MOUSE || !this.#isInBounds(event)) return;
+      // A double click only toggles fullscreen, so undo the playback toggle of its first click.
+      if (this.#clickPaused != null) {
+        this.#dispatch(
+          this.#clickPaused
+            ? MediaUIEvents.MEDIA_PAUSE_REQUEST
+            : MediaUIEvents.MEDIA_PLAY_REQUEST
+        );
+        this.#clickPaused = undefined;
+      }
+      this.handleMouseDoubleClick(event);
     } else if (event.type === 'click') {
       // Cannot use composedPath or target because this is a layer on top and pointer events are disabled.
       // Attach to window and check if click is in this element's bounding box to keep <video> right-click menu.
-      const { clientX, clientY } = event;
-      const { left, top, width, height } = this.getBoundingClientRect();
-      const x = clientX - left;
-      const y = clientY - top;
-      if (
-        x < 0 ||
-        y < 0 ||
-        x > width ||
-        y > height ||
-        // In case this element has no dimensions (or display: none) return.
-        (width === 0 && height === 0)
-      ) {
+      if (!this.#isInBounds(event)) return;
+
+      // The click that ends a drag isn't a tap.
+      if (this.#suppressClick) {
+        this.#suppressClick = false;
         return;
       }
 
@@ -138,17 +340,272 @@ class MediaGestureReceiver extends globalThis.HTMLElement {
       // unnecessary (CJP)
       this._pointerType = undefined;
 
-      // NOTE: Longer term, we'll likely want to delay this to support double click/double tap (CJP)
       if (pointerType === PointerTypes.TOUCH) {
-        this.handleTap(event);
+        this.#handleTouchClick(event);
         return;
       } else if (pointerType === PointerTypes.MOUSE) {
-        this.handleMouseClick(event);
+        this.#handleMouseClickEvent(event);
         return;
       }
     }
   }
 
+  #isInBounds({ clientX, clientY }) {
+    const { left, top, width, height } = this.getBoundingClientRect();
+    const x = clientX - left;
+    const y = clientY - top;
+    return !(
+      x < 0 ||
+      y < 0 ||
+      x > width ||
+      y > height ||
+      // In case this element has no dimensions (or display: none).
+      (width === 0 && height === 0)
+    );
+  }
+
+  #hasDragGestures() {
+    return DragGestureAttributes.some((attrName) => this.hasAttribute(attrName));
+  }
+
+  // The touch action depends on whether the controller has its gestures turned off.
+  #observeController() {
+    if (!this.#mediaController) return;
+    this.#controllerObserver ??= new MutationObserver(() => this.#updateTouchAction());
+    this.#controllerObserver.observe(this.#mediaController, {
+      attributes: true,
+      attributeFilter: [GESTURES_DISABLED],
+    });
+  }
+
+  // Browsers scroll and zoom on touch moves by default, turn that off for the moves handled as gestures.
+  #updateTouchAction() {
+    if (!this.#mediaController) return;
+    this.#resetTouchAction();
+    if (!this.#hasDragGestures() || this.#mediaController.hasAttribute(GESTURES_DISABLED)) return;
+
+    const allowed = [];
+    if (!this.dragSeek) allowed.push('pan-x');
+    if (!this.dragVolume && !this.swipeFullscreen) allowed.push('pan-y');
+    if (!this.pinchFullscreen) allowed.push('pinch-zoom');
+
+    this.#touchAction = allowed.join(' ') || 'none';
+    this.#mediaController.style.touchAction = this.#touchAction;
+  }
+
+  #resetTouchAction() {
+    if (!this.#touchAction) return;
+    if (this.#mediaController?.style.touchAction === this.#touchAction) {
+      this.#mediaController.style.touchAction = '';
+    }
+    this.#touchAction = undefined;
+  }
+
+  #handleDragStart(event) {
+    if (event.pointerType === PointerTypes.MOUSE) return;
+    if (!this.#hasDragGestures() || !this.#isInBounds(event)) return;
+
+    this.#pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+    if (this.#pointers.size === 1) {
+      this.#drag = { x: event.clientX, y: event.clientY };
+    } else if (this.#pointers.size === 2 && this.pinchFullscreen) {
+      this.#cancelDrag();
+      this.#drag = { type: 'pinch', x: 0, y: 0, distance: this.#getPointersDistance() };
+    }
+  }
+
+  #handleDragEvent(event) {
+    const { pointerId, clientX, clientY } = event;
+    this.#pointers.set(pointerId, { x: clientX, y: clientY });
+
+    if (event.type === 'pointermove') {
+      if (this.#drag) this.handleDrag(event);
+      return;
+    }
+
+    this.#pointers.delete(pointerId);
+    if (this.#pointers.size) return;
+
+    if (event.type === 'pointerup') {
+      this.handleDragEnd(event);
+    } else {
+      this.#cancelDrag();
+    }
+    this.#drag = undefined;
+  }
+
+  #getPointersDistance() {
+    const [p1, p2] = this.#pointers.values();
+    return Math.hypot(p1.x - p2.x, p1.y - p2.y);
+  }
+
+  #cancelDrag() {
+    if (this.#drag?.type === 'seek') {
+      this.#dispatch(MediaUIEvents.MEDIA_PREVIEW_REQUEST, null);
+    }
+    this.#showGestureIndicator();
+  }
+
+  /**
+   * Handles a pointer moving while dragging, the first move past a small threshold
+   * decides which gesture it is.
+   * @argument {PointerEvent} e
+   */
+  handleDrag(e) {
+    const drag = this.#drag;
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    const { left, width, height } = this.getBoundingClientRect();
+
+    if (drag.type === 'pinch') {
+      if (this.#pointers.size < 2) return;
+      const ratio = this.#getPointersDistance() / drag.distance;
+      if (ratio > PINCH_RATIO || ratio < 1 / PINCH_RATIO) {
+        this.#toggleFullscreen(ratio > 1);
+        drag.type = 'none';
+      }
+      return;
+    }
+
+    if (!drag.type) {
+      if (Math.max(Math.abs(dx), Math.abs(dy)) < DRAG_THRESHOLD) return;
+
+      this.#suppressClick = true;
+
+      if (Math.abs(dx) > Math.abs(dy)) {
+        drag.type = this.dragSeek && this.mediaDuration ? 'seek' : 'none';
+        drag.start = this.mediaCurrentTime;
+      } else if (this.dragVolume && drag.x > left + width / 2) {
+        drag.type = 'volume';
+        drag.start = this.mediaVolume;
+      } else {
+        drag.type = this.swipeFullscreen ? 'swipe' : 'none';
+      }
+      // Gestures are relative to where the drag was decided.
+      drag.x = e.clientX;
+      drag.y = e.clientY;
+      return;
+    }
+
+    if (drag.type === 'seek') {
+      const duration = this.mediaDuration;
+      drag.value = Math.max(
+        0,
+        Math.min((drag.start || 0) + (dx / width) * duration, duration)
+      );
+      this.#dispatch(MediaUIEvents.MEDIA_PREVIEW_REQUEST, drag.value);
+      this.#showGestureIndicator(
+        `${formatTime(drag.value, duration)} / ${formatTime(duration)}`
+      );
+    } else if (drag.type === 'volume') {
+      const startVolume = Number.isNaN(drag.start) ? 1 : drag.start;
+      drag.value = Math.max(0, Math.min(startVolume - dy / height, 1));
+      this.#dispatch(MediaUIEvents.MEDIA_VOLUME_REQUEST, drag.value);
+      const lang = getLocale(this);
+      this.#showGestureIndicator(
+        `${nouns.VOLUME({ lang })} ${formatNumber(drag.value, {
+          lang,
+          style: 'percent',
+          maximumFractionDigits: 0,
+        })}`
+      );
+    }
+  }
+
+  /**
+   * Handles the end of a drag, seeking to the scrubbed time or toggling fullscreen on a swipe.
+   * @argument {PointerEvent} e
+   */
+  handleDragEnd(e) {
+    const drag = this.#drag;
+    if (drag?.type === 'seek') {
+      if (drag.value != null) {
+        this.#dispatch(MediaUIEvents.MEDIA_SEEK_REQUEST, drag.value);
+      }
+      this.#dispatch(MediaUIEvents.MEDIA_PREVIEW_REQUEST, null);
+    } else if (drag?.type === 'swipe') {
+      const dy = e.clientY - drag.y;
+      if (Math.abs(dy) > SWIPE_DISTANCE) this.#toggleFullscreen(dy < 0);
+    }
+    this.#showGestureIndicator();
+  }
+
+  #toggleFullscreen(enter) {
+    if (enter === this.mediaIsFullscreen) return;
+    this.#dispatch(
+      enter
+        ? MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST
+        : MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST
+    );
+  }
+
+  #dispatch(type, detail) {
+    this.dispatchEvent(
+      new globalThis.CustomEvent(type, { composed: true, bubbles: true, detail })
+    );
+  }
+
+  /**
+   * Shows the text in the gesture indicator, or hides it without text.
+   * @param {string} [text]
+   */
+  #showGestureIndicator(text) {
+    const indicator = this.shadowRoot.querySelector('[part~=gesture-indicator]');
+    if (!indicator) return;
+    indicator.textContent = text ?? '';
+    indicator.classList.toggle('visible', !!text);
+  }
+
+  /**
+   * Returns -1 if the event is in the backward seek zone, 1 if it's in the forward seek zone, 0 otherwise.
+   */
+  #getSeekZone({ clientX }) {
+    const { left, width } = this.getBoundingClientRect();
+    const zoneWidth = (width * this.seekZoneWidth) / 100;
+    const x = clientX - left;
+    if (x < zoneWidth) return -1;
+    if (x > width - zoneWidth) return 1;
+    return 0;
+  }
+
+  #handleTouchClick(event) {
+    const seekZone = this.#getSeekZone(event);
+
+    // Taps in the same zone keep seeking while the seek indicator is showing.
+    if (seekZone && seekZone === this.#seekDirection) {
+      clearTimeout(this.#tapTimeout);
+      this.#tapTimeout = undefined;
+      this.handleDoubleTap(event, seekZone);
+      return;
+    }
+
+    if (this.#tapTimeout) {
+      clearTimeout(this.#tapTimeout);
+      this.#tapTimeout = undefined;
+      if (seekZone) this.handleDoubleTap(event, seekZone);
+      return;
+    }
+
+    if (!this.seekZoneWidth) {
+      this.handleTap(event);
+      return;
+    }
+
+    // Wait for a possible second tap before handling this one as a single tap.
+    this.#tapTimeout = setTimeout(() => {
+      this.#tapTimeout = undefined;
+      this.handleTap(event);
+    }, this.doubleTapDelay);
+  }
+
+  // Clicks toggle playback right away, the second click of a double click is left to `dblclick`.
+  #handleMouseClickEvent(event) {
+    if (event.detail > 1) return;
+    this.#clickPaused = this.mediaPaused;
+    this.handleMouseClick(event);
+  }
+
   /**
    * @type {boolean} Is the media paused
    */
@@ -160,13 +617,241 @@ class MediaGestureReceiver extends globalThis.HTMLElement {
     setBooleanAttr(this, MediaUIAttributes.MEDIA_PAUSED, value);
   }
 
+  /**
+   * @type {boolean} Is the media fullscreen
+   */
+  get mediaIsFullscreen() {
+    return getBooleanAttr(this, MediaUIAttributes.MEDIA_IS_FULLSCREEN);
+  }
+
+  set mediaIsFullscreen(value) {
+    setBooleanAttr(this, MediaUIAttributes.MEDIA_IS_FULLSCREEN, value);
+  }
+
+  /**
+   * @type {number} The current time of the media
+   */
+  get mediaCurrentTime() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME);
+  }
+
+  set mediaCurrentTime(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, value);
+  }
+
+  /**
+   * @type {number} The duration of the media
+   */
+  get mediaDuration() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_DURATION);
+  }
+
+  set mediaDuration(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_DURATION, value);
+  }
+
+  /**
+   * @type {number} The volume of the media
+   */
+  get mediaVolume() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_VOLUME);
+  }
+
+  set mediaVolume(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_VOLUME, value);
+  }
+
+  /**
+   * @type {boolean} Dragging horizontally scrubs through the media
+   */
+  get dragSeek() {
+    return getBooleanAttr(this, Attributes.DRAG_SEEK);
+  }
+
+  set dragSeek(value) {
+    setBooleanAttr(this, Attributes.DRAG_SEEK, value);
+  }
+
+  /**
+   * @type {boolean} Dragging vertically on the right half changes the volume
+   */
+  get dragVolume() {
+    return getBooleanAttr(this, Attributes.DRAG_VOLUME);
+  }
+
+  set dragVolume(value) {
+    setBooleanAttr(this, Attributes.DRAG_VOLUME, value);
+  }
+
+  /**
+   * @type {boolean} Swiping up enters fullscreen and swiping down exits fullscreen
+   */
+  get swipeFullscreen() {
+    return getBooleanAttr(this, Attributes.SWIPE_FULLSCREEN);
+  }
+
+  set swipeFullscreen(value) {
+    setBooleanAttr(this, Attributes.SWIPE_FULLSCREEN, value);
+  }
+
+  /**
+   * @type {boolean} Pinching out enters fullscreen and pinching in exits fullscreen
+   */
+  get pinchFullscreen() {
+    return getBooleanAttr(this, Attributes.PINCH_FULLSCREEN);
+  }
+
+  set pinchFullscreen(value) {
+    setBooleanAttr(this, Attributes.PINCH_FULLSCREEN, value);
+  }
+
+  /**
+   * @type {number} How much time (in seconds) a double tap seeks
+   */
+  get seekOffset() {
+    return getNumericAttr(this, Attributes.SEEK_OFFSET, DEFAULT_SEEK_OFFSET);
+  }
+
+  set seekOffset(value) {
+    setNumericAttr(this, Attributes.SEEK_OFFSET, value);
+  }
+
+  /**
+   * @type {number} The width (in percent) of the left and right zones where a double tap seeks
+   */
+  get seekZoneWidth() {
+    return getNumericAttr(
+      this,
+      Attributes.SEEK_ZONE_WIDTH,
+      DEFAULT_SEEK_ZONE_WIDTH
+    );
+  }
+
+  set seekZoneWidth(value) {
+    setNumericAttr(this, Attributes.SEEK_ZONE_WIDTH, value);
+  }
+
+  /**
+   * @type {number} The maximum time (in milliseconds) between the taps of a double tap
+   */
+  get doubleTapDelay() {
+    return getNumericAttr(
+      this,
+      Attributes.DOUBLE_TAP_DELAY,
+      DEFAULT_DOUBLE_TAP_DELAY
+    );
+  }
+
+  set doubleTapDelay(value) {
+    setNumericAttr(this, Attributes.DOUBLE_TAP_DELAY, value);
+  }
+
   // NOTE: Currently "baking in" actions + attrs until we come up with
   // a more robust architecture (CJP)
   /**
-   * @abstract
+   * Toggles the visibility of the controls.
    * @argument {Event} e
    */
-  handleTap(e) {} // eslint-disable-line
+  // eslint-disable-next-line
+  handleTap(e) {
+    if (!this.#mediaController) return;
+    const controlsVisible = !this.#mediaController.hasAttribute('userinactive');
+    this.#mediaController.dispatchEvent(
+      new globalThis.CustomEvent(MediaContainerEvents.USER_INACTIVE_REQUEST, {
+        detail: controlsVisible,
+      })
+    );
+  }
+
+  /**
+   * Seeks backward or forward by the seek offset, taps that follow in quick
+   * succession accumulate the seek.
+   * @argument {MouseEvent} e
+   * @argument {number} direction - -1 to seek backward, 1 to seek forward.
+   */
+  handleDoubleTap(e, direction) {
+    if (direction !== this.#seekDirection) {
+      this.#endSeek();
+      this.#seekDirection = direction;
+      this.#seekTime = this.mediaCurrentTime;
+    }
+
+    if (Number.isNaN(this.#seekTime)) return;
+
+    const duration = this.mediaDuration;
+    this.#seekTime = Math.max(
+      0,
+      Math.min(
+        this.#seekTime + direction * this.seekOffset,
+        Number.isNaN(duration) ? Infinity : duration
+      )
+    );
+    this.#seekAmount += this.seekOffset;
+
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_SEEK_REQUEST, {
+        composed: true,
+        bubbles: true,
+        detail: this.#seekTime,
+      })
+    );
+
+    this.#showSeekIndicator(e, direction);
+
+    clearTimeout(this.#seekTimeout);
+    this.#seekTimeout = setTimeout(() => this.#endSeek(), SEEK_INDICATOR_DURATION);
+  }
+
+  #showSeekIndicator({ clientX, clientY }, direction) {
+    /** @type {HTMLElement} */
+    const indicator = this.shadowRoot.querySelector(
+      `[part~=seek-indicator][part~=${direction < 0 ? 'backward' : 'forward'}]`
+    );
+    if (!indicator) return;
+
+    indicator.style.width = `${this.seekZoneWidth}%`;
+    indicator.textContent = `${direction < 0 ? '-' : '+'}${nouns.SEEK_OFFSET({
+      seekOffset: this.#seekAmount,
+      lang: getLocale(this),
+    })}`;
+    indicator.classList.add('visible');
+
+    const { left, top } = indicator.getBoundingClientRect();
+    const ripple = document.createElement('span');
+    ripple.setAttribute('part', 'ripple');
+    ripple.style.left = `${clientX - left}px`;
+    ripple.style.top = `${clientY - top}px`;
+    ripple.addEventListener('animationend', () => ripple.remove());
+    indicator.append(ripple);
+  }
+
+  #endSeek() {
+    clearTimeout(this.#seekTimeout);
+    this.#seekTimeout = undefined;
+    this.#seekDirection = 0;
+    this.#seekAmount = 0;
+    this.#seekTime = undefined;
+    this.shadowRoot
+      ?.querySelectorAll('[part~=seek-indicator]')
+      .forEach((indicator) => {
+        indicator.classList.remove('visible');
+        indicator.textContent = '';
+      });
+  }
+
+  /**
+   * Toggles fullscreen.
+   * @argument {MouseEvent} e
+   */
+  // eslint-disable-next-line
+  handleMouseDoubleClick(e) {
+    const eventName = this.mediaIsFullscreen
+      ? MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST
+      : MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST;
+    this.dispatchEvent(
+      new globalThis.CustomEvent(eventName, { composed: true, bubbles: true })
+    );
+  }
 
   // eslint-disable-next-line
   handleMouseClick(e) {
@@ -2,7 +2,8 @@ import { MediaChromeButton } from './media-chrome-button.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
 import { verbs } from './labels/labels.js';
-import { getBooleanAttr, setBooleanAttr } from './utils/element-utils.js';
+import { getBooleanAttr, setBooleanAttr, getLocale } from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
 
 const { MEDIA_TIME_IS_LIVE, MEDIA_PAUSED } = MediaUIAttributes;
 const { MEDIA_SEEK_TO_LIVE_REQUEST, MEDIA_PLAY_REQUEST } = MediaUIEvents;
@@ -32,6 +33,11 @@ slotTemplate.innerHTML = /*html*/`
     cursor: not-allowed;
   }
 
+  :host([${MEDIA_TIME_IS_LIVE}]) [part~=go-live-text],
+  :host(:not([${MEDIA_TIME_IS_LIVE}])) [part~=live-text] {
+    display: none;
+  }
+
   </style>
 
   <slot name="indicator">${indicatorSVG}</slot>
@@ -41,12 +47,13 @@ slotTemplate.innerHTML = /*html*/`
     between slotted items and default slots.
   */ ''
   }
-  <slot name="spacer">&nbsp;</slot><slot name="text">LIVE</slot>
+  <slot name="spacer">&nbsp;</slot><slot name="text"><span part="live-text">LIVE</span><span part="go-live-text"></span></slot>
 `;
 
 const updateAriaAttributes = (el) => {
+  const lang = getLocale(el);
   const isPausedOrNotLive = el.mediaPaused || !el.mediaTimeIsLive
-  const label = isPausedOrNotLive ? verbs.SEEK_LIVE() : verbs.PLAYING_LIVE();
+  const label = isPausedOrNotLive ? verbs.SEEK_LIVE({ lang }) : verbs.PLAYING_LIVE({ lang });
   el.setAttribute('aria-label', label);
 
   isPausedOrNotLive ?
@@ -57,11 +64,14 @@ const updateAriaAttributes = (el) => {
 /**
  * @slot indicator - The default is an SVG of a circle that changes to red when the video or audio is live. Can be replaced with your own SVG or font icon.
  * @slot spacer - A simple text space (&nbsp;) between the indicator and the text.
- * @slot text - The text content of the button, with a default of “LIVE”.
+ * @slot text - The text content of the button, with a default of “LIVE”, or “Go live” when the playback is behind live.
  *
  * @attr {boolean} mediapaused - (read-only) Present if the media is paused.
  * @attr {boolean} mediatimeislive - (read-only) Present if the media playback is live.
  *
+ * @csspart live-text - The default “LIVE” text.
+ * @csspart go-live-text - The default “Go live” text.
+ *
  * @cssproperty [--media-live-button-display = inline-flex] - `display` property of button.
  * @cssproperty --media-live-button-icon-color - `fill` and `color` of not live button icon.
  * @cssproperty --media-live-button-indicator-color - `fill` and `color` of live button icon.
@@ -76,10 +86,17 @@ class MediaLiveButton extends MediaChromeButton {
   }
 
   connectedCallback() {
-    updateAriaAttributes(this);
+    this.langChangedCallback();
     super.connectedCallback();
   }
 
+  langChangedCallback() {
+    this.shadowRoot.querySelector('[part~=go-live-text]').textContent = capitalize(
+      verbs.GO_LIVE({ lang: getLocale(this) })
+    );
+    updateAriaAttributes(this);
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     super.attributeChangedCallback(attrName, oldValue, newValue);
     updateAriaAttributes(this);
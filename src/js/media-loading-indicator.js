@@ -4,7 +4,9 @@ import { globalThis, document } from './utils/server-safe-globals.js';
 import {
   getBooleanAttr,
   setBooleanAttr,
-  getOrInsertCSSRule
+  getOrInsertCSSRule,
+  onLangChange,
+  getLocale,
 } from './utils/element-utils.js';
 
 
@@ -77,7 +79,7 @@ svg, img, ::slotted(svg), ::slotted(img) {
 </style>
 
 <slot name="icon">${loadingIndicatorIcon}</slot>
-<div id="status" role="status" aria-live="polite">${nouns.MEDIA_LOADING()}</div>
+<div id="status" role="status" aria-live="polite"></div>
 `;
 
 /**
@@ -101,6 +103,7 @@ svg, img, ::slotted(svg), ::slotted(img) {
  */
 class MediaLoadingIndicator extends globalThis.HTMLElement {
   #mediaController;
+  #removeLangChangeListener;
   #delay = DEFAULT_LOADING_DELAY;
 
   static get observedAttributes() {
@@ -148,12 +151,29 @@ class MediaLoadingIndicator extends globalThis.HTMLElement {
       this.#mediaController = this.getRootNode()?.getElementById(mediaControllerId);
       this.#mediaController?.associateElement?.(this);
     }
+
+    this.langChangedCallback();
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
   }
 
   disconnectedCallback() {
     // Use cached mediaController, getRootNode() doesn't work if disconnected.
     this.#mediaController?.unassociateElement?.(this);
     this.#mediaController = null;
+
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
+  }
+
+  /**
+   * Called when the `lang` attribute of the media controller changes.
+   */
+  langChangedCallback() {
+    this.shadowRoot.querySelector('#status').textContent = nouns.MEDIA_LOADING({
+      lang: getLocale(this),
+    });
   }
 
   /**
@@ -0,0 +1,158 @@
+import { MediaChromeButton } from './media-chrome-button.js';
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes } from './constants.js';
+import { verbs } from './labels/labels.js';
+import { getNumericAttr, setNumericAttr, getLocale } from './utils/element-utils.js';
+
+const loopOnIcon = `<svg aria-hidden="true" viewBox="0 0 24 24">
+  <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7Zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4Zm-4-2V9h-1l-2 1v1h1.5v4H13Z"/>
+</svg>`;
+
+const loopOffIcon = `<svg aria-hidden="true" viewBox="0 0 24 24">
+  <path d="M7 7h10v3l4-4-4-4v3H5v6h2V7Zm10 10H7v-3l-4 4 4 4v-3h12v-6h-2v4Z"/>
+</svg>`;
+
+const slotTemplate = document.createElement('template');
+slotTemplate.innerHTML = /*html*/`
+  <style>
+    :host([${MediaUIAttributes.MEDIA_LOOP_RANGE}]) slot[name=off] {
+      display: none !important;
+    }
+
+    ${/* Double negative, but safer if display doesn't equal 'block' */ ''}
+    :host(:not([${MediaUIAttributes.MEDIA_LOOP_RANGE}])) slot[name=on] {
+      display: none !important;
+    }
+  </style>
+
+  <slot name="icon">
+    <slot name="on">${loopOnIcon}</slot>
+    <slot name="off">${loopOffIcon}</slot>
+  </slot>
+`;
+
+/**
+ * @slot on - An element shown while a section of the media is looping.
+ * @slot off - An element shown while no section of the media is looping.
+ * @slot icon - An element for representing on and off states in a single icon
+ *
+ * @attr {string} medialooprange - (read-only) Set to the start and end time of the loop.
+ * @attr {string} mediacurrenttime - (read-only) Set to the current media time.
+ *
+ * @cssproperty [--media-loop-button-display = inline-flex] - `display` property of button.
+ */
+class MediaLoopButton extends MediaChromeButton {
+  static get observedAttributes() {
+    return [
+      ...super.observedAttributes,
+      MediaUIAttributes.MEDIA_LOOP_RANGE,
+      MediaUIAttributes.MEDIA_CURRENT_TIME,
+    ];
+  }
+
+  /** @type {number | undefined} */
+  #loopStart;
+
+  constructor(options = {}) {
+    super({ slotTemplate, ...options });
+  }
+
+  connectedCallback() {
+    this.#updateAriaLabel();
+    super.connectedCallback();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    if (attrName === MediaUIAttributes.MEDIA_LOOP_RANGE) {
+      this.#loopStart = undefined;
+      this.#updateAriaLabel();
+    }
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+  }
+
+  langChangedCallback() {
+    this.#updateAriaLabel();
+  }
+
+  #updateAriaLabel() {
+    const lang = getLocale(this);
+    let label = verbs.SET_LOOP_START({ lang });
+    if (this.mediaLoopRange) {
+      label = verbs.CLEAR_LOOP({ lang });
+    } else if (this.#loopStart != null) {
+      label = verbs.SET_LOOP_END({ lang });
+    }
+    this.setAttribute('aria-label', label);
+  }
+
+  /**
+   * The part of the media that is looped
+   * @type {Array<number> | undefined} An array of two numbers [start, end]
+   */
+  get mediaLoopRange() {
+    const loopRange = this.getAttribute(MediaUIAttributes.MEDIA_LOOP_RANGE);
+    if (!loopRange) return undefined;
+    return loopRange.split(':').map((time) => +time);
+  }
+
+  set mediaLoopRange(range) {
+    if (range == null) {
+      this.removeAttribute(MediaUIAttributes.MEDIA_LOOP_RANGE);
+      return;
+    }
+    this.setAttribute(MediaUIAttributes.MEDIA_LOOP_RANGE, range.join(':'));
+  }
+
+  /**
+   * @type {number}
+   */
+  get mediaCurrentTime() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, 0);
+  }
+
+  set mediaCurrentTime(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, value);
+  }
+
+  /**
+   * The first press marks the start of the loop (A) and the second press
+   * marks its end (B) and starts looping. Pressing it while looping clears the loop.
+   */
+  handleClick() {
+    if (this.mediaLoopRange) {
+      this.dispatchEvent(
+        new globalThis.CustomEvent(MediaUIEvents.MEDIA_LOOP_CLEAR_REQUEST, {
+          composed: true,
+          bubbles: true,
+        })
+      );
+      return;
+    }
+
+    const currentTime = this.mediaCurrentTime;
+    if (this.#loopStart == null || currentTime === this.#loopStart) {
+      this.#loopStart = currentTime;
+      this.#updateAriaLabel();
+      return;
+    }
+
+    // Allow marking the end before the start by seeking backwards.
+    const detail = [
+      Math.min(this.#loopStart, currentTime),
+      Math.max(this.#loopStart, currentTime),
+    ];
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_LOOP_RANGE_REQUEST, {
+        composed: true,
+        bubbles: true,
+        detail,
+      })
+    );
+  }
+}
+
+if (!globalThis.customElements.get('media-loop-button')) {
+  globalThis.customElements.define('media-loop-button', MediaLoopButton);
+}
+
+export default MediaLoopButton;
@@ -2,7 +2,7 @@ import { MediaChromeButton } from './media-chrome-button.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
 import { verbs } from './labels/labels.js';
-import { getStringAttr, setStringAttr } from './utils/element-utils.js';
+import { getStringAttr, setStringAttr, getLocale } from './utils/element-utils.js';
 
 const { MEDIA_VOLUME_LEVEL } = MediaUIAttributes;
 
@@ -49,8 +49,9 @@ slotTemplate.innerHTML = /*html*/`
 `;
 
 const updateAriaLabel = (el) => {
+  const lang = getLocale(el);
   const muted = el.mediaVolumeLevel === 'off';
-  const label = muted ? verbs.UNMUTE() : verbs.MUTE();
+  const label = muted ? verbs.UNMUTE({ lang }) : verbs.MUTE({ lang });
   el.setAttribute('aria-label', label);
 };
 
@@ -79,6 +80,10 @@ class MediaMuteButton extends MediaChromeButton {
     super.connectedCallback();
   }
 
+  langChangedCallback() {
+    updateAriaLabel(this);
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     if (attrName === MediaUIAttributes.MEDIA_VOLUME_LEVEL) {
       updateAriaLabel(this);
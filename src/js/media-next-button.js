@@ -0,0 +1,103 @@
+import { MediaChromeButton } from './media-chrome-button.js';
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes } from './constants.js';
+import { verbs } from './labels/labels.js';
+import { getNumericAttr, setNumericAttr, getLocale } from './utils/element-utils.js';
+
+const nextIcon = `<svg aria-hidden="true" viewBox="0 0 24 24"><path d="M6 18l8.5-6L6 6v12ZM16 6v12h2V6h-2Z"/></svg>`;
+
+const slotTemplate = document.createElement('template');
+slotTemplate.innerHTML = /*html*/`
+  <style>
+    :host([aria-disabled]) {
+      cursor: not-allowed;
+      opacity: 0.5;
+    }
+  </style>
+
+  <slot name="icon">${nextIcon}</slot>
+`;
+
+/**
+ * @slot icon - The element shown for the next button’s display.
+ *
+ * @attr {string} mediaplaylistindex - (read-only) Set to the index of the playlist item that is loaded.
+ *
+ * @cssproperty [--media-next-button-display = inline-flex] - `display` property of button.
+ */
+class MediaNextButton extends MediaChromeButton {
+  static get observedAttributes() {
+    return [...super.observedAttributes, MediaUIAttributes.MEDIA_PLAYLIST_INDEX];
+  }
+
+  /** @type {import('./media-store/util.js').PlaylistItem[]} */
+  #playlist = [];
+
+  constructor(options = {}) {
+    super({ slotTemplate, ...options });
+  }
+
+  connectedCallback() {
+    this.langChangedCallback();
+    this.#update();
+    super.connectedCallback();
+  }
+
+  langChangedCallback() {
+    this.setAttribute('aria-label', verbs.PLAY_NEXT({ lang: getLocale(this) }));
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+    this.#update();
+  }
+
+  /**
+   * @type {import('./media-store/util.js').PlaylistItem[]}
+   */
+  get mediaPlaylist() {
+    return this.#playlist;
+  }
+
+  set mediaPlaylist(value) {
+    this.#playlist = value ?? [];
+    this.#update();
+  }
+
+  /**
+   * @type {number | undefined} The index of the playlist item that is loaded
+   */
+  get mediaPlaylistIndex() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_PLAYLIST_INDEX);
+  }
+
+  set mediaPlaylistIndex(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_PLAYLIST_INDEX, value);
+  }
+
+  #update() {
+    this.hidden = !this.#playlist.length;
+
+    if ((this.mediaPlaylistIndex ?? -1) + 1 < this.#playlist.length) {
+      this.removeAttribute('aria-disabled');
+    } else {
+      this.setAttribute('aria-disabled', 'true');
+    }
+  }
+
+  handleClick() {
+    if (this.hasAttribute('aria-disabled')) return;
+
+    const evt = new globalThis.CustomEvent(MediaUIEvents.MEDIA_NEXT_REQUEST, {
+      composed: true,
+      bubbles: true,
+    });
+    this.dispatchEvent(evt);
+  }
+}
+
+if (!globalThis.customElements.get('media-next-button')) {
+  globalThis.customElements.define('media-next-button', MediaNextButton);
+}
+
+export default MediaNextButton;
@@ -7,6 +7,7 @@ import {
   getStringAttr,
   setBooleanAttr,
   setStringAttr,
+  getLocale,
 } from './utils/element-utils.js';
 
 const pipIcon = `<svg aria-hidden="true" viewBox="0 0 28 24">
@@ -33,7 +34,8 @@ slotTemplate.innerHTML = /*html*/`
 `;
 
 const updateAriaLabel = (el) => {
-  const label = el.mediaIsPip ? verbs.EXIT_PIP() : verbs.ENTER_PIP();
+  const lang = getLocale(el);
+  const label = el.mediaIsPip ? verbs.EXIT_PIP({ lang }) : verbs.ENTER_PIP({ lang });
   el.setAttribute('aria-label', label);
 };
 
@@ -65,6 +67,10 @@ class MediaPipButton extends MediaChromeButton {
     super.connectedCallback();
   }
 
+  langChangedCallback() {
+    updateAriaLabel(this);
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     if (attrName === MediaUIAttributes.MEDIA_IS_PIP) {
       updateAriaLabel(this);
@@ -2,7 +2,7 @@ import { MediaChromeButton } from './media-chrome-button.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
 import { verbs } from './labels/labels.js';
-import { getBooleanAttr, setBooleanAttr } from './utils/element-utils.js';
+import { getBooleanAttr, setBooleanAttr, getLocale } from './utils/element-utils.js';
 
 const playIcon = `<svg aria-hidden="true" viewBox="0 0 24 24">
   <path d="m6 21 15-9L6 3v18Z"/>
@@ -31,7 +31,8 @@ slotTemplate.innerHTML = /*html*/`
 `;
 
 const updateAriaLabel = (el) => {
-  const label = el.mediaPaused ? verbs.PLAY() : verbs.PAUSE();
+  const lang = getLocale(el);
+  const label = el.mediaPaused ? verbs.PLAY({ lang }) : verbs.PAUSE({ lang });
   el.setAttribute('aria-label', label);
 };
 
@@ -62,6 +63,17 @@ class MediaPlayButton extends MediaChromeButton {
     super.connectedCallback();
   }
 
+  langChangedCallback() {
+    updateAriaLabel(this);
+  }
+
+  /**
+   * Clicking this hides the controls after the autohide delay, even while hovering them.
+   */
+  get autohideOnClick() {
+    return true;
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     if (attrName === MediaUIAttributes.MEDIA_PAUSED) {
       updateAriaLabel(this);
@@ -1,9 +1,9 @@
 import { MediaChromeButton } from './media-chrome-button.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
-import { nouns } from './labels/labels.js';
+import { nouns, formatNumber } from './labels/labels.js';
 import { AttributeTokenList } from './utils/attribute-token-list.js';
-import { getNumericAttr, setNumericAttr } from './utils/element-utils.js';
+import { getNumericAttr, setNumericAttr, getLocale } from './utils/element-utils.js';
 
 export const Attributes = {
   RATES: 'rates',
@@ -53,15 +53,25 @@ class MediaPlaybackRateButton extends MediaChromeButton {
       this.#rates.value = newValue;
     }
     if (attrName === MediaUIAttributes.MEDIA_PLAYBACK_RATE) {
-      const newPlaybackRate = newValue ? +newValue : Number.NaN;
-      const playbackRate = !Number.isNaN(newPlaybackRate)
-        ? newPlaybackRate
-        : DEFAULT_RATE;
-      this.container.innerHTML = `${playbackRate}x`;
-      this.setAttribute('aria-label', nouns.PLAYBACK_RATE({ playbackRate }));
+      this.#updatePlaybackRate();
     }
   }
 
+  langChangedCallback() {
+    this.#updatePlaybackRate();
+  }
+
+  #updatePlaybackRate() {
+    const lang = getLocale(this);
+    const mediaPlaybackRate = this.mediaPlaybackRate;
+    const playbackRate = formatNumber(
+      !Number.isNaN(mediaPlaybackRate) ? mediaPlaybackRate : DEFAULT_RATE,
+      { lang }
+    );
+    this.container.innerHTML = `${playbackRate}x`;
+    this.setAttribute('aria-label', nouns.PLAYBACK_RATE({ playbackRate, lang }));
+  }
+
   /**
    * @type { AttributeTokenList | Array<number> | undefined} Will return a DOMTokenList.
    * Setting a value will accept an array of numbers.
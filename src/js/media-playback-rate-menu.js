@@ -1,10 +1,12 @@
 import { globalThis } from './utils/server-safe-globals.js';
 import { MediaUIAttributes, MediaUIEvents } from './constants.js';
+import { formatNumber } from './labels/labels.js';
 import { AttributeTokenList } from './utils/attribute-token-list.js';
 import {
   getNumericAttr,
   setNumericAttr,
   getMediaController,
+  getLocale,
 } from './utils/element-utils.js';
 import {
   DEFAULT_RATES,
@@ -72,6 +74,10 @@ class MediaPlaybackRateMenu extends MediaChromeMenu {
     this.removeEventListener('change', this.#onChange);
   }
 
+  langChangedCallback() {
+    this.#render();
+  }
+
   /**
    * Returns the anchor element when it is a floating menu.
    * @return {HTMLElement}
@@ -114,12 +120,13 @@ class MediaPlaybackRateMenu extends MediaChromeMenu {
   }
 
   #render() {
+    const lang = getLocale(this);
     this.defaultSlot.textContent = '';
 
     for (const rate of this.rates) {
       const item = createMenuItem({
         type: 'radio',
-        text: this.formatMenuItemText(`${rate}x`, rate),
+        text: this.formatMenuItemText(`${formatNumber(+rate, { lang })}x`, rate),
         value: rate,
         checked: this.mediaPlaybackRate == rate,
       });
@@ -0,0 +1,128 @@
+import { globalThis } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes } from './constants.js';
+import { getNumericAttr, setNumericAttr } from './utils/element-utils.js';
+import {
+  MediaChromeMenu,
+  createMenuItem,
+  createIndicator,
+} from './media-chrome-menu.js';
+
+/**
+ * @extends {MediaChromeMenu}
+ *
+ * @slot - Default slotted elements.
+ * @slot header - An element shown at the top of the menu.
+ * @slot checked-indicator - An icon element indicating a checked menu-item.
+ *
+ * @attr {string} mediaplaylistindex - (read-only) Set to the index of the playlist item that is loaded.
+ */
+class MediaPlaylistMenu extends MediaChromeMenu {
+  static get observedAttributes() {
+    return [
+      ...super.observedAttributes,
+      MediaUIAttributes.MEDIA_PLAYLIST_INDEX,
+    ];
+  }
+
+  /** @type {import('./media-store/util.js').PlaylistItem[]} */
+  #playlist = [];
+  #prevState;
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+
+    if (attrName === MediaUIAttributes.MEDIA_PLAYLIST_INDEX && oldValue !== newValue) {
+      this.#updateCurrentItem();
+    }
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.addEventListener('change', this.#onChange);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.removeEventListener('change', this.#onChange);
+  }
+
+  /**
+   * The playlist items to list.
+   * @type {import('./media-store/util.js').PlaylistItem[]}
+   */
+  get mediaPlaylist() {
+    return this.#playlist;
+  }
+
+  set mediaPlaylist(playlist) {
+    this.#playlist = playlist ?? [];
+    this.#render();
+  }
+
+  /**
+   * @type {number | undefined} The index of the playlist item that is loaded
+   */
+  get mediaPlaylistIndex() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_PLAYLIST_INDEX);
+  }
+
+  set mediaPlaylistIndex(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_PLAYLIST_INDEX, value);
+  }
+
+  #render() {
+    if (this.#prevState === JSON.stringify(this.mediaPlaylist)) return;
+    this.#prevState = JSON.stringify(this.mediaPlaylist);
+
+    this.defaultSlot.textContent = '';
+
+    this.mediaPlaylist.forEach((playlistItem, index) => {
+      const text = this.formatMenuItemText(
+        playlistItem.title ?? `${index + 1}`,
+        playlistItem
+      );
+
+      const item = createMenuItem({
+        type: 'radio',
+        text,
+        value: `${index}`,
+        checked: false,
+      });
+      item.prepend(createIndicator(this, 'checked-indicator'));
+
+      this.defaultSlot.append(item);
+    });
+
+    this.#updateCurrentItem();
+  }
+
+  // Check the current item directly instead of setting `value`,
+  // which would dispatch a `change` event and load the item again.
+  #updateCurrentItem() {
+    const value = `${this.mediaPlaylistIndex}`;
+    for (const item of this.radioGroupItems) {
+      item.checked = item.value === value;
+    }
+  }
+
+  #onChange() {
+    if (!this.value || +this.value === this.mediaPlaylistIndex) return;
+
+    const event = new globalThis.CustomEvent(
+      MediaUIEvents.MEDIA_PLAYLIST_SELECT_REQUEST,
+      {
+        composed: true,
+        bubbles: true,
+        detail: +this.value,
+      }
+    );
+    this.dispatchEvent(event);
+  }
+}
+
+if (!globalThis.customElements.get('media-playlist-menu')) {
+  globalThis.customElements.define('media-playlist-menu', MediaPlaylistMenu);
+}
+
+export { MediaPlaylistMenu };
+export default MediaPlaylistMenu;
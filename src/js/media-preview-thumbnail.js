@@ -31,7 +31,7 @@ template.innerHTML = /*html*/`
  *
  * @attr {string} mediacontroller - The element `id` of the media controller to connect to (if not nested within).
  * @attr {string} mediapreviewimage - (read-only) Set to the timeline preview image URL.
- * @attr {string} mediapreviewcoords - (read-only) Set to the active preview image coordinates.
+ * @attr {string} mediapreviewcoords - (read-only) Set to the active preview image coordinates. Without coordinates the whole image is shown.
  *
  * @cssproperty [--media-preview-thumbnail-display = inline-block] - `display` property of display.
  * @cssproperty [--media-control-display = inline-block] - `display` property of control.
@@ -132,10 +132,23 @@ class MediaPreviewThumbnail extends globalThis.HTMLElement {
     const coords = this.mediaPreviewCoords;
     const previewImage = this.mediaPreviewImage;
 
-    if (!(coords && previewImage)) return;
+    if (!previewImage) return;
 
-    const [x, y, w, h] = coords;
     const src = previewImage.split('#')[0];
+    const img = this.shadowRoot.querySelector('img');
+
+    // Without coords the whole image is the thumbnail, its size is known once loaded.
+    if (!coords && (img.src !== src || !img.complete)) {
+      img.onload = () => {
+        this.imgWidth = img.naturalWidth;
+        this.imgHeight = img.naturalHeight;
+        this.update();
+      };
+      img.src = src;
+      return;
+    }
+
+    const [x, y, w, h] = coords ?? [0, 0, this.imgWidth, this.imgHeight];
 
     const computedStyle = getComputedStyle(this);
     const { maxWidth, maxHeight, minWidth, minHeight } = computedStyle;
@@ -148,7 +161,6 @@ class MediaPreviewThumbnail extends globalThis.HTMLElement {
 
     const { style } = getOrInsertCSSRule(this.shadowRoot, ':host');
     const imgStyle = getOrInsertCSSRule(this.shadowRoot, 'img').style;
-    const img = this.shadowRoot.querySelector('img');
 
     // Revert one set of extremum to its initial value on a known scale direction.
     const extremum = isScalingDown ? 'min' : 'max';
@@ -1,21 +1,56 @@
 import { MediaTextDisplay } from './media-text-display.js';
 import { globalThis } from './utils/server-safe-globals.js';
-import { formatTime } from './utils/time.js';
+import {
+  DEFAULT_FRAME_RATE,
+  TimeFormats,
+  formatClockTime,
+  formatDisplayTime,
+  formatTime,
+} from './utils/time.js';
 import { MediaUIAttributes } from './constants.js';
-import { getNumericAttr, setNumericAttr } from './utils/element-utils.js';
+import {
+  getNumericAttr,
+  getStringAttr,
+  setNumericAttr,
+  setStringAttr,
+  getLocale,
+} from './utils/element-utils.js';
 // Todo: Use data locals: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleTimeString
 
+export const Attributes = {
+  FORMAT: 'format',
+  FRAME_RATE: 'framerate',
+};
+
 /**
+ * @attr {string} format - Set to `frames` for an SMPTE timecode (`hh:mm:ss:ff`), `milliseconds` for `h:mm:ss.mmm`,
+ * `seconds` for the total seconds or `clock` to show the local wall-clock time of live streams with a program date time.
+ * @attr {string} framerate - The frames per second of the `frames` format, defaults to 30.
  * @attr {string} mediapreviewtime - (read-only) Set to the timeline preview time.
+ * @attr {string} mediaseekable - (read-only) Set to the seekable time ranges.
+ * @attr {string} medialiveedgeoffset - (read-only) Set for DVR streams, which show the preview time as an offset from the live edge.
+ * @attr {string} mediacurrenttime - (read-only) Set to the current media time.
+ * @attr {string} mediacurrentdate - (read-only) Set to the wall-clock date of the current time in milliseconds since the epoch.
  *
  * @cssproperty [--media-preview-time-display-display = inline-flex] - `display` property of display.
  */
 class MediaPreviewTimeDisplay extends MediaTextDisplay {
   /** @type {HTMLSlotElement} */
   #slot;
+  /** @type {import('./utils/time.js').TimeFormatter | undefined} */
+  #formatter;
 
   static get observedAttributes() {
-    return [...super.observedAttributes, MediaUIAttributes.MEDIA_PREVIEW_TIME];
+    return [
+      ...super.observedAttributes,
+      MediaUIAttributes.MEDIA_PREVIEW_TIME,
+      MediaUIAttributes.MEDIA_SEEKABLE,
+      MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET,
+      MediaUIAttributes.MEDIA_CURRENT_TIME,
+      MediaUIAttributes.MEDIA_CURRENT_DATE,
+      Attributes.FORMAT,
+      Attributes.FRAME_RATE,
+    ];
   }
 
   constructor() {
@@ -27,9 +62,87 @@ class MediaPreviewTimeDisplay extends MediaTextDisplay {
   attributeChangedCallback(attrName, oldValue, newValue) {
     super.attributeChangedCallback(attrName, oldValue, newValue);
 
-    if (attrName === MediaUIAttributes.MEDIA_PREVIEW_TIME && newValue != null) {
-      this.#slot.textContent = formatTime(newValue);
+    if (
+      (attrName === MediaUIAttributes.MEDIA_PREVIEW_TIME && newValue != null) ||
+      attrName === MediaUIAttributes.MEDIA_SEEKABLE ||
+      attrName === MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET ||
+      attrName === MediaUIAttributes.MEDIA_CURRENT_TIME ||
+      attrName === MediaUIAttributes.MEDIA_CURRENT_DATE ||
+      attrName === Attributes.FORMAT ||
+      attrName === Attributes.FRAME_RATE
+    ) {
+      this.update();
+    }
+  }
+
+  langChangedCallback() {
+    this.update();
+  }
+
+  update() {
+    const previewTime = this.mediaPreviewTime;
+    if (previewTime == null) return;
+
+    const lang = getLocale(this);
+    const { mediaCurrentDate, mediaCurrentTime = 0 } = this;
+    if (this.format === TimeFormats.CLOCK && mediaCurrentDate != null) {
+      // The wall-clock date of the preview time is relative to the date of the current time.
+      this.#slot.textContent = formatClockTime(
+        mediaCurrentDate + (previewTime - mediaCurrentTime) * 1000,
+        lang
+      );
+      return;
     }
+
+    const [, seekableEnd] = this.mediaSeekable ?? [];
+    // DVR streams show how far behind live the preview time is.
+    if (this.mediaLiveEdgeOffset != null && seekableEnd != null) {
+      this.#slot.textContent = formatDisplayTime(this, Math.min(0, previewTime - seekableEnd), {
+        lang,
+      });
+      return;
+    }
+
+    this.#slot.textContent = formatDisplayTime(this, previewTime, { lang });
+  }
+
+  /**
+   * The time format, `frames`, `milliseconds`, `seconds`, or `clock` to show the wall-clock
+   * time if the stream has a program date time
+   * @type {string | undefined}
+   */
+  get format() {
+    return getStringAttr(this, Attributes.FORMAT);
+  }
+
+  set format(value) {
+    setStringAttr(this, Attributes.FORMAT, value);
+  }
+
+  /**
+   * The frames per second of the `frames` format
+   * @type {number}
+   */
+  get frameRate() {
+    return getNumericAttr(this, Attributes.FRAME_RATE, DEFAULT_FRAME_RATE);
+  }
+
+  set frameRate(value) {
+    setNumericAttr(this, Attributes.FRAME_RATE, value);
+  }
+
+  /**
+   * A function that formats the preview time instead of the `format`, it's called with
+   * the time in seconds and the `format`, `frameRate` and `lang` options.
+   * @type {import('./utils/time.js').TimeFormatter | undefined}
+   */
+  get formatter() {
+    return this.#formatter;
+  }
+
+  set formatter(value) {
+    this.#formatter = value ?? undefined;
+    this.update();
   }
 
   /**
@@ -42,6 +155,58 @@ class MediaPreviewTimeDisplay extends MediaTextDisplay {
   set mediaPreviewTime(value) {
     setNumericAttr(this, MediaUIAttributes.MEDIA_PREVIEW_TIME, value);
   }
+
+  /**
+   * @type {number | undefined} The current time in seconds
+   */
+  get mediaCurrentTime() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME);
+  }
+
+  set mediaCurrentTime(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, value);
+  }
+
+  /**
+   * @type {number | undefined} The wall-clock date of the current time in milliseconds since the epoch
+   */
+  get mediaCurrentDate() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_DATE);
+  }
+
+  set mediaCurrentDate(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_DATE, value);
+  }
+
+  /**
+   * Range of values that can be seeked to
+   * @type {number[] | undefined} An array of two numbers [start, end]
+   */
+  get mediaSeekable() {
+    const seekable = this.getAttribute(MediaUIAttributes.MEDIA_SEEKABLE);
+    if (!seekable) return undefined;
+    return seekable.split(':').map((time) => +time);
+  }
+
+  set mediaSeekable(range) {
+    if (range == null) {
+      this.removeAttribute(MediaUIAttributes.MEDIA_SEEKABLE);
+      return;
+    }
+    this.setAttribute(MediaUIAttributes.MEDIA_SEEKABLE, range.join(':'));
+  }
+
+  /**
+   * The seconds behind the live edge of a DVR stream, 0 when playing live
+   * @type {number | undefined}
+   */
+  get mediaLiveEdgeOffset() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET);
+  }
+
+  set mediaLiveEdgeOffset(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET, value);
+  }
 }
 
 if (!globalThis.customElements.get('media-preview-time-display')) {
@@ -6,6 +6,7 @@ import {
   getStringAttr,
   setStringAttr,
   getMediaController,
+  getLocale,
 } from './utils/element-utils.js';
 
 const renditionIcon = /*html*/`<svg aria-hidden="true" viewBox="0 0 24 24">
@@ -38,7 +39,11 @@ class MediaRenditionMenuButton extends MediaChromeMenuButton {
 
   connectedCallback() {
     super.connectedCallback();
-    this.setAttribute('aria-label', nouns.QUALITY());
+    this.langChangedCallback();
+  }
+
+  langChangedCallback() {
+    this.setAttribute('aria-label', nouns.QUALITY({ lang: getLocale(this) }));
   }
 
   /**
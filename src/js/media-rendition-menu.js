@@ -1,7 +1,8 @@
 import { globalThis } from './utils/server-safe-globals.js';
 import { MediaUIAttributes, MediaUIEvents } from './constants.js';
-import { getMediaController, getStringAttr, setStringAttr } from './utils/element-utils.js';
-import { parseRenditionList } from './utils/utils.js';
+import { nouns } from './labels/labels.js';
+import { getMediaController, getStringAttr, setStringAttr, getLocale } from './utils/element-utils.js';
+import { capitalize, parseRenditionList } from './utils/utils.js';
 import {
   MediaChromeMenu,
   createMenuItem,
@@ -58,6 +59,11 @@ class MediaRenditionMenu extends MediaChromeMenu {
     this.removeEventListener('change', this.#onChange);
   }
 
+  langChangedCallback() {
+    this.#prevState = undefined;
+    this.#render();
+  }
+
   /**
    * Returns the anchor element when it is a floating menu.
    * @return {HTMLElement}
@@ -118,7 +124,7 @@ class MediaRenditionMenu extends MediaChromeMenu {
 
     const item = createMenuItem({
       type: 'radio',
-      text: this.formatMenuItemText('Auto'),
+      text: this.formatMenuItemText(capitalize(nouns.AUTO({ lang: getLocale(this) }))),
       value: 'auto',
       checked: isAuto,
     });
@@ -0,0 +1,154 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes } from './constants.js';
+import { MediaChromeDialog } from './media-chrome-dialog.js';
+import { nouns, verbs } from './labels/labels.js';
+import { getNumericAttr, setNumericAttr, getLocale } from './utils/element-utils.js';
+import { formatTime } from './utils/time.js';
+import { capitalize } from './utils/utils.js';
+
+const template = document.createElement('template');
+// prettier-ignore
+template.innerHTML = MediaChromeDialog.template.innerHTML + /*html*/`
+  <style>
+    :host {
+      flex-direction: column;
+      gap: var(--media-resume-prompt-gap, 10px);
+      padding: var(--media-resume-prompt-padding, 10px);
+    }
+
+    [part~=buttons] {
+      display: flex;
+      gap: var(--media-resume-prompt-gap, 10px);
+    }
+
+    [part~=button] {
+      font: inherit;
+      color: inherit;
+      cursor: pointer;
+      padding: var(--media-resume-prompt-button-padding, 4px 10px);
+      border: var(--media-resume-prompt-button-border, none);
+      border-radius: var(--media-resume-prompt-button-border-radius, 2px);
+      background: var(--media-resume-prompt-button-background, rgb(255 255 255 / .1));
+    }
+
+    [part~=resume-button] {
+      background: var(--media-resume-prompt-resume-button-background, rgb(255 255 255 / .25));
+    }
+  </style>
+
+  <slot name="heading"><span part="heading"></span></slot>
+  <div part="buttons">
+    <button part="button resume-button" type="button"></button>
+    <button part="button start-over-button" type="button"></button>
+  </div>
+`;
+
+/**
+ * A prompt shown when the media is loaded with a stored playback position, offering
+ * to resume from it or to start over. Requires the `resume="prompt"` attribute on the
+ * media controller.
+ *
+ * @extends {MediaChromeDialog}
+ *
+ * @slot - Default slotted elements.
+ * @slot heading - An element shown above the buttons, defaults to “Continue watching?”.
+ *
+ * @attr {string} mediaresumetime - (read-only) Set to the stored playback position that can be resumed from.
+ *
+ * @csspart heading - The default “Continue watching?” heading.
+ * @csspart button - The resume and start over buttons.
+ * @csspart resume-button - The resume button.
+ * @csspart start-over-button - The start over button.
+ *
+ * @cssproperty --media-resume-prompt-gap - `gap` between the contents of the prompt.
+ * @cssproperty --media-resume-prompt-padding - `padding` of the prompt.
+ * @cssproperty --media-resume-prompt-button-padding - `padding` of the buttons.
+ * @cssproperty --media-resume-prompt-button-border - `border` of the buttons.
+ * @cssproperty --media-resume-prompt-button-border-radius - `border-radius` of the buttons.
+ * @cssproperty --media-resume-prompt-button-background - `background` of the buttons.
+ * @cssproperty --media-resume-prompt-resume-button-background - `background` of the resume button.
+ */
+class MediaResumePrompt extends MediaChromeDialog {
+  static template = template;
+
+  static get observedAttributes() {
+    return [...super.observedAttributes, MediaUIAttributes.MEDIA_RESUME_TIME];
+  }
+
+  constructor() {
+    super();
+
+    this.shadowRoot
+      .querySelector('[part~=resume-button]')
+      .addEventListener('click', () => this.#requestResume(true));
+    this.shadowRoot
+      .querySelector('[part~=start-over-button]')
+      .addEventListener('click', () => this.#requestResume(false));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#update();
+  }
+
+  langChangedCallback() {
+    this.#update();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+
+    if (attrName === MediaUIAttributes.MEDIA_RESUME_TIME && oldValue !== newValue) {
+      this.#update();
+    }
+  }
+
+  /**
+   * @type {number | undefined} The stored playback position that can be resumed from
+   */
+  get mediaResumeTime() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_RESUME_TIME);
+  }
+
+  set mediaResumeTime(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_RESUME_TIME, value);
+  }
+
+  #update() {
+    const lang = getLocale(this);
+    const resumeTime = this.mediaResumeTime;
+    this.hidden = resumeTime == null;
+
+    this.setAttribute('aria-label', capitalize(nouns.CONTINUE_WATCHING({ lang })));
+    this.shadowRoot.querySelector('[part~=heading]').textContent = capitalize(
+      nouns.CONTINUE_WATCHING({ lang })
+    );
+    this.shadowRoot.querySelector('[part~=resume-button]').textContent = capitalize(
+      verbs.RESUME_FROM({ time: formatTime(resumeTime ?? 0), lang })
+    );
+    this.shadowRoot.querySelector('[part~=start-over-button]').textContent = capitalize(
+      verbs.START_OVER({ lang })
+    );
+  }
+
+  /**
+   * @param {boolean} resume - Resume from the stored position, or else start over.
+   */
+  #requestResume(resume) {
+    this.hidden = true;
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_RESUME_REQUEST, {
+        composed: true,
+        bubbles: true,
+        detail: resume,
+      })
+    );
+  }
+}
+
+if (!globalThis.customElements.get('media-resume-prompt')) {
+  globalThis.customElements.define('media-resume-prompt', MediaResumePrompt);
+}
+
+export { MediaResumePrompt };
+export default MediaResumePrompt;
@@ -3,7 +3,7 @@ import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
 import { getNumericAttr, setNumericAttr } from './utils/element-utils.js';
 import { verbs } from './labels/labels.js';
-import { getSlotted, updateIconText } from './utils/element-utils.js';
+import { getSlotted, updateIconText, getLocale } from './utils/element-utils.js';
 
 export const Attributes = {
   SEEK_OFFSET: 'seekoffset',
@@ -54,6 +54,13 @@ class MediaSeekForwardButton extends MediaChromeButton {
     super.attributeChangedCallback(attrName, _oldValue, newValue);
   }
 
+  langChangedCallback() {
+    this.setAttribute(
+      'aria-label',
+      verbs.SEEK_FORWARD_N_SECS({ seekOffset: this.seekOffset, lang: getLocale(this) })
+    );
+  }
+
   // Own props
 
   /**
@@ -65,7 +72,7 @@ class MediaSeekForwardButton extends MediaChromeButton {
 
   set seekOffset(value) {
     setNumericAttr(this, Attributes.SEEK_OFFSET, value);
-    this.setAttribute('aria-label', verbs.SEEK_FORWARD_N_SECS({ seekOffset: this.seekOffset }));
+    this.langChangedCallback();
     updateIconText(getSlotted(this, 'icon'), this.seekOffset);
   }
 
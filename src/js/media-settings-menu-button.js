@@ -1,6 +1,6 @@
 import { MediaChromeMenuButton } from './media-chrome-menu-button.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
-import { getMediaController } from './utils/element-utils.js';
+import { getMediaController, getLocale } from './utils/element-utils.js';
 import { nouns } from './labels/labels.js';
 
 const slotTemplate = document.createElement('template');
@@ -29,7 +29,11 @@ class MediaSettingsMenuButton extends MediaChromeMenuButton {
 
   connectedCallback() {
     super.connectedCallback();
-    this.setAttribute('aria-label', nouns.SETTINGS());
+    this.langChangedCallback();
+  }
+
+  langChangedCallback() {
+    this.setAttribute('aria-label', nouns.SETTINGS({ lang: getLocale(this) }));
   }
 
   /**
@@ -1,6 +1,30 @@
 import { globalThis, document } from './utils/server-safe-globals.js';
 import { MediaChromeMenu } from './media-chrome-menu.js';
-import { getMediaController } from './utils/element-utils.js';
+import { nouns } from './labels/labels.js';
+import { getMediaController, getStringAttr, setStringAttr, getLocale } from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
+import './media-settings-menu-item.js';
+import './media-playback-rate-menu.js';
+import './media-rendition-menu.js';
+import './media-captions-menu.js';
+import './media-audio-track-menu.js';
+import './media-captions-style-menu.js';
+
+export const Attributes = {
+  SUBMENUS: 'submenus',
+};
+
+/**
+ * The submenus that can be nested with the `submenus` attribute.
+ * @type {Record<string, { tagName: string, label: (x?: { lang?: string }) => string }>}
+ */
+const Submenus = {
+  playbackrate: { tagName: 'media-playback-rate-menu', label: nouns.SPEED },
+  rendition: { tagName: 'media-rendition-menu', label: nouns.QUALITY },
+  captions: { tagName: 'media-captions-menu', label: nouns.CAPTIONS },
+  audiotrack: { tagName: 'media-audio-track-menu', label: nouns.AUDIO },
+  captionsstyle: { tagName: 'media-captions-style-menu', label: nouns.CAPTION_STYLE },
+};
 
 const template = document.createElement('template');
 // prettier-ignore
@@ -33,14 +57,79 @@ template.innerHTML = MediaChromeMenu.template.innerHTML + /*html*/`
   </style>
 `;
 
+/**
+ * @param {string} name
+ */
+function createSubmenuItem(name) {
+  const item = document.createElement('media-settings-menu-item');
+  item.part.add('menu-item', `${name}-item`);
+
+  const submenu = document.createElement(Submenus[name].tagName);
+  submenu.slot = 'submenu';
+  submenu.hidden = true;
+
+  const title = document.createElement('div');
+  title.slot = 'title';
+
+  submenu.append(title);
+  item.append('', submenu);
+  return item;
+}
+
+/**
+ * @param {HTMLElement} item
+ * @param {string} name
+ * @param {string} [lang]
+ */
+function updateSubmenuItemText(item, name, lang) {
+  const text = capitalize(Submenus[name].label({ lang }));
+  item.firstChild.textContent = text;
+  item.querySelector(':scope > [slot=submenu] > [slot=title]').textContent = text;
+}
+
 /**
  * @extends {MediaChromeMenu}
  *
+ * @attr {string} submenus - A space separated list of submenus to nest in the menu:
+ * `playbackrate`, `rendition`, `captions`, `audiotrack` and `captionsstyle`.
+ *
  * @cssproperty --media-settings-menu-justify-content - `justify-content` of the menu.
  */
 class MediaSettingsMenu extends MediaChromeMenu {
   static template = template;
 
+  static get observedAttributes() {
+    return [...super.observedAttributes, Attributes.SUBMENUS];
+  }
+
+  /** @type {Map<string, HTMLElement>} */
+  #submenuItems = new Map();
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#updateSubmenuItemsText();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+
+    if (attrName === Attributes.SUBMENUS && oldValue !== newValue) {
+      this.#renderSubmenus();
+    }
+  }
+
+  /**
+   * A space separated list of submenus to nest in the menu.
+   * @type {string}
+   */
+  get submenus() {
+    return getStringAttr(this, Attributes.SUBMENUS);
+  }
+
+  set submenus(value) {
+    setStringAttr(this, Attributes.SUBMENUS, value);
+  }
+
   /**
    * Returns the anchor element when it is a floating menu.
    * @return {HTMLElement}
@@ -49,6 +138,25 @@ class MediaSettingsMenu extends MediaChromeMenu {
     if (this.anchor !== 'auto') return super.anchorElement;
     return getMediaController(this).querySelector('media-settings-menu-button');
   }
+
+  langChangedCallback() {
+    this.#updateSubmenuItemsText();
+  }
+
+  #renderSubmenus() {
+    this.#submenuItems.forEach((item) => item.remove());
+
+    const names = (this.submenus ?? '').split(/\s+/).filter((name) => name in Submenus);
+    this.#submenuItems = new Map(names.map((name) => [name, createSubmenuItem(name)]));
+    this.#updateSubmenuItemsText();
+
+    this.append(...this.#submenuItems.values());
+  }
+
+  #updateSubmenuItemsText() {
+    const lang = getLocale(this);
+    this.#submenuItems.forEach((item, name) => updateSubmenuItemText(item, name, lang));
+  }
 }
 
 if (!globalThis.customElements.get('media-settings-menu')) {
@@ -0,0 +1,105 @@
+import { MediaChromeButton } from './media-chrome-button.js';
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes } from './constants.js';
+import { verbs } from './labels/labels.js';
+import {
+  getNumericAttr,
+  setNumericAttr,
+  getLocale,
+} from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
+
+const slotTemplate = document.createElement('template');
+slotTemplate.innerHTML = /*html*/`
+  <style>
+    :host([aria-disabled]) {
+      cursor: not-allowed;
+    }
+  </style>
+
+  <slot name="text"></slot>
+`;
+
+/**
+ * @slot text - The text content of the button, defaults to the skip countdown and then “Skip ad”.
+ *
+ * @attr {string} mediaadskipcountdown - (read-only) Set to the seconds until the ad break that is playing can be skipped, 0 once it can be.
+ *
+ * @cssproperty [--media-skip-ad-button-display = inline-flex] - `display` property of button.
+ */
+class MediaSkipAdButton extends MediaChromeButton {
+  static get observedAttributes() {
+    return [
+      ...super.observedAttributes,
+      MediaUIAttributes.MEDIA_AD_SKIP_COUNTDOWN,
+    ];
+  }
+
+  constructor(options = {}) {
+    super({ slotTemplate, ...options });
+  }
+
+  connectedCallback() {
+    this.#update();
+    super.connectedCallback();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+    this.#update();
+  }
+
+  langChangedCallback() {
+    this.#update();
+  }
+
+  /**
+   * The seconds until the ad break that is playing can be skipped, or `undefined`
+   * if not in an ad break that can be skipped.
+   * @type {number | undefined}
+   */
+  get mediaAdSkipCountdown() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_AD_SKIP_COUNTDOWN, undefined);
+  }
+
+  set mediaAdSkipCountdown(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_AD_SKIP_COUNTDOWN, value);
+  }
+
+  #update() {
+    const countdown = this.mediaAdSkipCountdown;
+    this.hidden = countdown == null;
+
+    const lang = getLocale(this);
+    const label = countdown
+      ? verbs.SKIP_AD_IN_N_SECS({ seconds: countdown, lang })
+      : verbs.SKIP_AD({ lang });
+    this.setAttribute('aria-label', label);
+
+    if (countdown) {
+      this.setAttribute('aria-disabled', 'true');
+    } else {
+      this.removeAttribute('aria-disabled');
+    }
+
+    const text = this.shadowRoot.querySelector('slot[name=text]');
+    text.textContent = capitalize(label);
+  }
+
+  handleClick() {
+    if (this.mediaAdSkipCountdown !== 0) return;
+
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_SKIP_AD_REQUEST, {
+        composed: true,
+        bubbles: true,
+      })
+    );
+  }
+}
+
+if (!globalThis.customElements.get('media-skip-ad-button')) {
+  globalThis.customElements.define('media-skip-ad-button', MediaSkipAdButton);
+}
+
+export default MediaSkipAdButton;
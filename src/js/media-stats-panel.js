@@ -0,0 +1,447 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, StreamTypes } from './constants.js';
+import { MediaChromeDialog, Attributes as DialogAttributes } from './media-chrome-dialog.js';
+import { nouns, formatNumber } from './labels/labels.js';
+import { getLocale, getMediaController, getNumericAttr, setNumericAttr } from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
+
+/** @typedef {import('./media-store/state-mediator.js').PlaybackQualityState} PlaybackQualityState */
+
+export const Attributes = {
+  REFRESH_INTERVAL: 'refreshinterval',
+};
+
+const DEFAULT_REFRESH_INTERVAL = 1000;
+
+// The names of the `HTMLMediaElement.readyState` values.
+const ReadyStates = [
+  'HAVE_NOTHING',
+  'HAVE_METADATA',
+  'HAVE_CURRENT_DATA',
+  'HAVE_FUTURE_DATA',
+  'HAVE_ENOUGH_DATA',
+];
+
+const template = document.createElement('template');
+// prettier-ignore
+template.innerHTML = MediaChromeDialog.template.innerHTML + /*html*/`
+  <style>
+    :host {
+      flex-direction: column;
+      padding: var(--media-stats-panel-padding, 10px 14px);
+      font-family: var(--media-stats-panel-font-family, ui-monospace, menlo, consolas, monospace);
+      font-size: var(--media-stats-panel-font-size, 12px);
+      line-height: 1.5;
+      max-width: var(--media-stats-panel-max-width, 100%);
+      user-select: text;
+    }
+
+    [part~=row] {
+      display: flex;
+      gap: var(--media-stats-panel-gap, 1em);
+    }
+
+    [part~=label] {
+      flex: none;
+      min-width: var(--media-stats-panel-label-width, 11em);
+      font-weight: var(--media-stats-panel-label-font-weight, bold);
+    }
+
+    [part~=value] {
+      overflow-wrap: anywhere;
+    }
+  </style>
+
+  <div part="rows"></div>
+`;
+
+/**
+ * @param {number} width
+ * @param {number} height
+ */
+const formatSize = (width, height) => `${Math.round(width)}×${Math.round(height)}`;
+
+/**
+ * @param {number | undefined} bitsPerSecond
+ * @param {string} lang
+ */
+const formatBitrate = (bitsPerSecond, lang) => {
+  if (!(bitsPerSecond > 0)) return undefined;
+  return formatNumber(bitsPerSecond / 1000, {
+    style: 'unit',
+    unit: 'kilobit-per-second',
+    maximumFractionDigits: 0,
+    lang,
+  });
+};
+
+/**
+ * @param {number | undefined} seconds
+ * @param {string} lang
+ */
+const formatSeconds = (seconds, lang) => {
+  if (seconds == null || Number.isNaN(seconds)) return undefined;
+  return formatNumber(seconds, {
+    style: 'unit',
+    unit: 'second',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    lang,
+  });
+};
+
+/**
+ * Gets the seconds that are buffered ahead of a time.
+ * @param {[number, number][]} buffered
+ * @param {number} time
+ * @returns {number}
+ */
+export const getBufferAhead = (buffered, time) => {
+  const range = buffered?.find(([start, end]) => start <= time && time <= end);
+  return range ? range[1] - time : 0;
+};
+
+/**
+ * A dialog with playback statistics for debugging, e.g. from screenshots of users:
+ * the rendition, buffer, dropped frames, ready state, stream type, live latency and the size
+ * of the video compared to its viewport. The statistics are updated on a timer while it's open.
+ *
+ * Custom media elements can add the bitrate, bandwidth estimate and live latency to the
+ * object returned by their `getVideoPlaybackQuality()`.
+ *
+ * @extends {MediaChromeDialog}
+ *
+ * @slot - Default slotted elements, shown below the statistics.
+ *
+ * @attr {string} refreshinterval - Milliseconds between updates while open, defaults to 1000.
+ *
+ * @csspart rows - The list of statistics.
+ * @csspart row - A statistic.
+ * @csspart label - The label of a statistic.
+ * @csspart value - The value of a statistic.
+ *
+ * @cssproperty --media-stats-panel-padding - `padding` of the panel.
+ * @cssproperty --media-stats-panel-font-family - `font-family` of the panel.
+ * @cssproperty --media-stats-panel-font-size - `font-size` of the panel.
+ * @cssproperty --media-stats-panel-max-width - `max-width` of the panel.
+ * @cssproperty --media-stats-panel-gap - `gap` between the label and value of a statistic.
+ * @cssproperty --media-stats-panel-label-width - `min-width` of the labels.
+ * @cssproperty --media-stats-panel-label-font-weight - `font-weight` of the labels.
+ */
+class MediaStatsPanel extends MediaChromeDialog {
+  static template = template;
+
+  static get observedAttributes() {
+    return [...super.observedAttributes, Attributes.REFRESH_INTERVAL];
+  }
+
+  /** @type {{ id?: string, width?: number, height?: number, bitrate?: number }[]} */
+  #renditionList = [];
+  /** @type {string | undefined} */
+  #renditionSelected;
+  /** @type {[number, number][]} */
+  #buffered = [];
+  #currentTime = 0;
+  /** @type {number | undefined} */
+  #currentDate;
+  /** @type {[number, number] | undefined} */
+  #seekable;
+  /** @type {PlaybackQualityState | undefined} */
+  #playbackQuality;
+  /** @type {number | undefined} */
+  #readyState;
+  /** @type {string | undefined} */
+  #streamType;
+  /** @type {[number, number] | undefined} */
+  #videoSize;
+  /** @type {ReturnType<typeof setInterval> | undefined} */
+  #refreshTimer;
+
+  connectedCallback() {
+    super.connectedCallback();
+    this.#updateRefreshTimer();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#stopRefreshTimer();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+
+    if (
+      (attrName === DialogAttributes.HIDDEN || attrName === Attributes.REFRESH_INTERVAL) &&
+      oldValue !== newValue
+    ) {
+      this.#stopRefreshTimer();
+      this.#updateRefreshTimer();
+    }
+  }
+
+  langChangedCallback() {
+    this.update();
+  }
+
+  /**
+   * Milliseconds between updates while open
+   * @type {number}
+   */
+  get refreshInterval() {
+    return getNumericAttr(this, Attributes.REFRESH_INTERVAL, DEFAULT_REFRESH_INTERVAL);
+  }
+
+  set refreshInterval(value) {
+    setNumericAttr(this, Attributes.REFRESH_INTERVAL, value);
+  }
+
+  /**
+   * The renditions of the media
+   * @type {{ id?: string, width?: number, height?: number, bitrate?: number }[]}
+   */
+  get mediaRenditionList() {
+    return this.#renditionList;
+  }
+
+  set mediaRenditionList(value) {
+    this.#renditionList = value ?? [];
+  }
+
+  /**
+   * The id of the selected rendition, if not selected automatically
+   * @type {string | undefined}
+   */
+  get mediaRenditionSelected() {
+    return this.#renditionSelected;
+  }
+
+  set mediaRenditionSelected(value) {
+    this.#renditionSelected = value ?? undefined;
+  }
+
+  /**
+   * The buffered time ranges of the media
+   * @type {[number, number][]}
+   */
+  get mediaBuffered() {
+    return this.#buffered;
+  }
+
+  set mediaBuffered(value) {
+    this.#buffered = value ?? [];
+  }
+
+  /**
+   * The current time in seconds
+   * @type {number}
+   */
+  get mediaCurrentTime() {
+    return this.#currentTime;
+  }
+
+  set mediaCurrentTime(value) {
+    this.#currentTime = value ?? 0;
+  }
+
+  /**
+   * The wall-clock date of the current time, in milliseconds since the epoch
+   * @type {number | undefined}
+   */
+  get mediaCurrentDate() {
+    return this.#currentDate;
+  }
+
+  set mediaCurrentDate(value) {
+    this.#currentDate = value ?? undefined;
+  }
+
+  /**
+   * The seekable range of the media
+   * @type {[number, number] | undefined}
+   */
+  get mediaSeekable() {
+    return this.#seekable;
+  }
+
+  set mediaSeekable(value) {
+    this.#seekable = value ?? undefined;
+  }
+
+  /**
+   * The playback quality of the media
+   * @type {PlaybackQualityState | undefined}
+   */
+  get mediaPlaybackQuality() {
+    return this.#playbackQuality;
+  }
+
+  set mediaPlaybackQuality(value) {
+    this.#playbackQuality = value ?? undefined;
+  }
+
+  /**
+   * The `readyState` of the media
+   * @type {number | undefined}
+   */
+  get mediaReadyState() {
+    return this.#readyState;
+  }
+
+  set mediaReadyState(value) {
+    this.#readyState = value ?? undefined;
+  }
+
+  /**
+   * The stream type of the media
+   * @type {string | undefined}
+   */
+  get mediaStreamType() {
+    return this.#streamType;
+  }
+
+  set mediaStreamType(value) {
+    this.#streamType = value ?? undefined;
+  }
+
+  /**
+   * The width and height of the video
+   * @type {[number, number] | undefined}
+   */
+  get mediaVideoSize() {
+    return this.#videoSize;
+  }
+
+  set mediaVideoSize(value) {
+    this.#videoSize = value ?? undefined;
+  }
+
+  /**
+   * Renders the statistics, this is called on a timer while the panel is open.
+   */
+  update() {
+    const lang = getLocale(this);
+    const rows = this.shadowRoot.querySelector('[part~=rows]');
+    this.setAttribute('aria-label', capitalize(nouns.PLAYBACK_STATS({ lang })));
+
+    rows.replaceChildren(
+      ...this.#getStats(lang)
+        .filter(([, value]) => value != null && value !== '')
+        .map(([label, value]) => {
+          const row = document.createElement('div');
+          row.part.add('row');
+
+          const labelEl = document.createElement('span');
+          labelEl.part.add('label');
+          labelEl.textContent = capitalize(label);
+
+          const valueEl = document.createElement('span');
+          valueEl.part.add('value');
+          valueEl.textContent = value;
+
+          row.append(labelEl, valueEl);
+          return row;
+        })
+    );
+  }
+
+  /**
+   * @param {string} lang
+   * @returns {[string, string | undefined][]}
+   */
+  #getStats(lang) {
+    const quality = this.#playbackQuality;
+    const dropped = quality?.droppedVideoFrames;
+    const total = quality?.totalVideoFrames;
+
+    return [
+      [nouns.RENDITION({ lang }), this.#formatRendition(lang)],
+      [nouns.BUFFER_AHEAD({ lang }), formatSeconds(getBufferAhead(this.#buffered, this.#currentTime), lang)],
+      [
+        nouns.DROPPED_FRAMES({ lang }),
+        total != null ? `${formatNumber(dropped ?? 0, { lang })} / ${formatNumber(total, { lang })}` : undefined,
+      ],
+      [nouns.BANDWIDTH({ lang }), formatBitrate(quality?.bandwidthEstimate, lang)],
+      [
+        nouns.READY_STATE({ lang }),
+        this.#readyState != null ? `${this.#readyState} (${ReadyStates[this.#readyState] ?? ''})` : undefined,
+      ],
+      [nouns.STREAM_TYPE({ lang }), this.#streamType],
+      [nouns.LIVE_LATENCY({ lang }), formatSeconds(this.#getLiveLatency(), lang)],
+      [nouns.VIEWPORT({ lang }), this.#formatViewport()],
+      [nouns.RESOLUTION({ lang }), this.#videoSize ? formatSize(...this.#videoSize) : undefined],
+    ];
+  }
+
+  /**
+   * @param {string} lang
+   */
+  #formatRendition(lang) {
+    if (!this.#renditionList.length) return undefined;
+
+    // NOTE: Rendition ids may be numbers or strings, see the rendition menu.
+    const rendition = this.#renditionList.find(({ id }) => id == this.#renditionSelected);
+    if (!rendition) return nouns.AUTO({ lang });
+
+    const { id, width, height, bitrate } = rendition;
+    const details = [
+      width && height ? formatSize(width, height) : undefined,
+      formatBitrate(bitrate ?? this.#playbackQuality?.bitrate, lang),
+    ].filter(Boolean);
+
+    return [...details, id != null ? `(${id})` : undefined].filter(Boolean).join(' ');
+  }
+
+  #getLiveLatency() {
+    if (this.#streamType !== StreamTypes.LIVE) return undefined;
+
+    const { liveLatency } = this.#playbackQuality ?? {};
+    if (liveLatency != null) return liveLatency;
+
+    // With a program date time, the latency is how far the current date is behind the clock.
+    if (this.#currentDate != null) return (Date.now() - this.#currentDate) / 1000;
+
+    // Otherwise use how far behind the live edge the current time is.
+    const seekableEnd = this.#seekable?.[1];
+    return seekableEnd != null ? Math.max(0, seekableEnd - this.#currentTime) : undefined;
+  }
+
+  #formatViewport() {
+    // @ts-ignore
+    const media = getMediaController(this)?.media;
+    const rect = media?.getBoundingClientRect?.();
+    if (!rect?.width || !rect?.height) return undefined;
+
+    const ratio = globalThis.devicePixelRatio ?? 1;
+    return `${formatSize(rect.width, rect.height)}${ratio !== 1 ? ` @${ratio}x` : ''}`;
+  }
+
+  #updateRefreshTimer() {
+    if (!this.isConnected || this.hidden) return;
+
+    this.#refresh();
+    this.#refreshTimer = setInterval(() => this.#refresh(), this.refreshInterval);
+  }
+
+  #refresh() {
+    // The playback quality is only read by the controller when asked for.
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_PLAYBACK_QUALITY_REQUEST, {
+        composed: true,
+        bubbles: true,
+      })
+    );
+    this.update();
+  }
+
+  #stopRefreshTimer() {
+    clearInterval(this.#refreshTimer);
+    this.#refreshTimer = undefined;
+  }
+}
+
+if (!globalThis.customElements.get('media-stats-panel')) {
+  globalThis.customElements.define('media-stats-panel', MediaStatsPanel);
+}
+
+export { MediaStatsPanel };
+export default MediaStatsPanel;
@@ -70,6 +70,31 @@ import { requestMap as defaultRequestMap } from './request-map.js';
  * }>} MediaState
  */
 
+/**
+ * Middleware can intercept every state change request before it is handled by the RequestMap (`request`)
+ * and every state delta before it is committed to the MediaState (`stateUpdate`). Each hook receives the
+ * request or delta, a `next` function to pass it on to the next middleware (and eventually the MediaStore) and
+ * the MediaStore itself. A middleware can:
+ * - veto it, by not calling `next()`
+ * - rewrite it, by calling `next()` with a different value
+ * - delay it, by calling `next()` later
+ * - observe it (e.g. log it), by calling `next()` with the same value
+ *
+ * @typedef {Object} MediaStoreMiddleware
+ * @property {(action: EventOrAction<any>, next: (action: EventOrAction<any>) => void, mediaStore: MediaStore) => void} [request]
+ * @property {(stateDelta: Partial<MediaState>, next: (stateDelta: Partial<MediaState>) => void, mediaStore: MediaStore) => void} [stateUpdate]
+ *
+ * @example &lt;caption>Clamping the volume.&lt;/caption>
+ * const clampVolume = {
+ *   request(action, next) {
+ *     if (action.type === 'mediavolumerequest') {
+ *       return next({ ...action, detail: Math.min(action.detail, 0.5) });
+ *     }
+ *     next(action);
+ *   },
+ * };
+ */
+
 /**
  * MediaStore is the primary abstraction for managing and monitoring media state and other state relevant to the media UI
  * (for example, fullscreen behavior or the availability of media-related functionality for a particular browser or runtime, such as volume control or Airplay). This includes:
@@ -83,6 +108,7 @@ import { requestMap as defaultRequestMap } from './request-map.js';
  * @property {(eventOrAction: EventOrAction<any>) => void} dispatch                       A method that expects an "Action" or "Event". Primarily used to make state change requests.
  * @property {() => Partial<MediaState>} getState                                         A method to get the current state of the MediaStore
  * @property {(handler: (state: Partial<MediaState>) => void) => (() => void)} subscribe  A method to "subscribe" to the MediaStore. A subscriber is just a callback function that is invoked with the current state whenever the MediaStore's state changes. The method returns an "unsubscribe" function, which should be used to tell the MediaStore to remove the corresponding subscriber.
+ * @property {(middleware: MediaStoreMiddleware) => (() => void)} use                 A method to add a middleware to the MediaStore. Middleware are invoked in the order they were added. The method returns a function to remove the middleware.
  *
  * @example &lt;caption>Basic Usage.&lt;/caption>
  * const mediaStore = createStore({
@@ -127,25 +153,43 @@ import { requestMap as defaultRequestMap } from './request-map.js';
  * A factory for creating a `MediaStore` instance.
  * @param {{
  *   media?: MediaStateOwner;
+ *   mediaAngles?: MediaStateOwner[];
  *   fullscreenElement?: FullScreenElementStateOwner;
  *   documentElement?: RootNodeStateOwner;
  *   stateMediator?: StateMediator;
  *   requestMap?: RequestMap;
  *   options?: StateOption;
+ *   middleware?: MediaStoreMiddleware[];
  *   monitorStateOwnersOnlyWithSubscriptions?: boolean;
  * }} mediaStoreConfig
  * @returns {MediaStore}
  */
 const createMediaStore = ({
   media,
+  mediaAngles,
   fullscreenElement,
   documentElement,
   stateMediator = defaultStateMediator,
   requestMap = defaultRequestMap,
   options = {},
+  middleware = [],
   monitorStateOwnersOnlyWithSubscriptions = true,
 }) => {
   const callbacks = [];
+  const middlewares = [...middleware];
+  /** @type {MediaStore} */
+  let mediaStore;
+
+  // Runs `value` through the `hook` of every middleware, in order, before handing it off to `done`.
+  // The middleware list is captured up front so (un)registering middleware mid-pipeline is safe.
+  const runMiddleware = (hook, value, done) => {
+    const hooks = middlewares.map((m) => m[hook]).filter(Boolean);
+    const next = (index, nextValue) => {
+      if (index >= hooks.length) return done(nextValue);
+      hooks[index](nextValue, (v) => next(index + 1, v), mediaStore);
+    };
+    next(0, value);
+  };
 
   // We may eventually want to expose the state owners as part of the state
   // or as a specialized getter API for advanced use cases
@@ -175,6 +219,16 @@ const createMediaStore = ({
       return;
     }
 
+    runMiddleware('stateUpdate', nextStateDelta, commitState);
+  };
+
+  const commitState = (nextStateDelta) => {
+    // Middleware may have rewritten (or delayed) the delta, so check again.
+    if (nextStateDelta == undefined) return;
+    if (areValuesEq(nextStateDelta, state)) {
+      return;
+    }
+
     // Update the state since it changed.
     // Using an "immutable" approach here so
     // callbacks can easily do comparisons between prev/next state.
@@ -253,6 +307,7 @@ const createMediaStore = ({
     const remoteChanged =
       stateOwners.media?.remote !== nextStateOwners.media?.remote;
     const rootNodeChanged = stateOwners.documentElement !== nextStateOwners.documentElement;
+    const mediaAnglesChanged = stateOwners.mediaAngles !== nextStateOwners.mediaAngles;
 
     // For any particular `stateOwner` (or "sub-owner"), we should teardown if and only if:
     // * the `stateOwner` existed -AND-
@@ -282,6 +337,10 @@ const createMediaStore = ({
       !!stateOwners.documentElement &&
       (rootNodeChanged || shouldTeardownFromSubscriberCount);
 
+    const teardownMediaAngles =
+      !!stateOwners.mediaAngles &&
+      (mediaAnglesChanged || shouldTeardownFromSubscriberCount);
+
     // This is simply a convenience definition saying we should be tearing down *something*
     // used for short circuiting conditions.
     const teardownSomething =
@@ -290,7 +349,8 @@ const createMediaStore = ({
       teardownVideoRenditions ||
       teardownAudioTracks ||
       teardownRemote ||
-      teardownRootNode;
+      teardownRootNode ||
+      teardownMediaAngles;
 
     // To avoid memory leaks, MediaStores can be configured to only monitor if
     // there's at least one subscriber (callback). If they're configured this way,
@@ -329,6 +389,10 @@ const createMediaStore = ({
       !!nextStateOwners.documentElement &&
       (rootNodeChanged || shouldSetupFromSubscriberCount);
 
+    const setupMediaAngles =
+      !!nextStateOwners.mediaAngles &&
+      (mediaAnglesChanged || shouldSetupFromSubscriberCount);
+
     // This is simply a convenience definition saying we should be setting up *something*
     // used for short circuiting conditions.
     const setupSomething =
@@ -337,7 +401,8 @@ const createMediaStore = ({
       setupVideoRenditions ||
       setupAudioTracks ||
       setupRemote ||
-      setupRootNode;
+      setupRootNode ||
+      setupMediaAngles;
 
     const somethingToDo = teardownSomething || setupSomething;
 
@@ -494,54 +559,63 @@ const createMediaStore = ({
     nextStateOwners = undefined;
   };
 
-  updateStateOwners({ media, fullscreenElement, documentElement, options });
+  updateStateOwners({ media, mediaAngles, fullscreenElement, documentElement, options });
+
+  const handleRequest = (action) => {
+    // Middleware may veto a request by passing nothing along.
+    if (action == undefined) return;
+    const { type, detail } = action;
+
+    // For any state change request "actions"/"events" of media (and related) state,
+    // these are handled by the `RequestMap`, which defines a function for a given change request type
+    // that is responsible for what should happen as a result
+    if (requestMap[type]) {
+      // Most state change requests do not directly update the media state. Instead
+      // they will typically interact in some way or another with one or more of the `StateOwner`s (like the media element).
+      // For some of our media UI state, however, it does directly update state. In those cases,
+      // the function can optionally return an object with the properties and values of the media state changes.
+      // See: RequestMap[MediaUIEvents.MEDIA_PREVIEW_REQUEST] for an example of this.
+      updateState(requestMap[type](stateMediator, stateOwners, action));
+      return;
+    }
+
+    // These are other state change requests so we can dynamically update things like the media element, fullscreenElement,
+    // or options-style properties in a single architecture.
+
+    // We can get change requests for the stateOwners themselves
+    if (type === 'mediaelementchangerequest') {
+      updateStateOwners({ media: detail });
+    } else if (type === 'fullscreenelementchangerequest') {
+      updateStateOwners({ fullscreenElement: detail });
+    } else if (type === 'documentelementchangerequest') {
+      updateStateOwners({ documentElement: detail });
+    } else if (type === 'mediaangleschangerequest') {
+      updateStateOwners({ mediaAngles: detail });
+    }
+    // and we can update our default/options values
+    else if (type === 'optionschangerequest') {
+      // Doing a simple impl for now
+      Object.entries(detail ?? {}).forEach(([optionName, optionValue]) => {
+        // NOTE: updating options will *NOT* prompt any state updates.
+        // However, since we directly mutate options, this allows state owners to be
+        // "live" and automatically updated for any other event or similar monitoring.
+        // For a concrete example, see, e.g., the `mediaSubtitlesShowing.stateOwnersUpdateHandlers`
+        // responsible for managing/monitoring `defaultSubtitles` in the `defaultStateMediator`. (CJP)
+        stateOwners.options[optionName] = optionValue;
+      });
+      // updateStateFromFacade();
+    }
+  };
 
-  return {
+  mediaStore = {
     // note that none of these cases directly interact with the media element, root node, full screen element, etc.
     // note these "actions" could just be the events if we wanted, especially if we normalize on "detail" for
     // any payload-relevant values
     // This is roughly equivalent to our used to be in our state requests dictionary object, though much of the
     // "heavy lifting" is now moved into the facade `set()`
     dispatch(action) {
-      const { type, detail } = action;
-
-      // For any state change request "actions"/"events" of media (and related) state,
-      // these are handled by the `RequestMap`, which defines a function for a given change request type
-      // that is responsible for what should happen as a result
-      if (requestMap[type]) {
-        // Most state change requests do not directly update the media state. Instead
-        // they will typically interact in some way or another with one or more of the `StateOwner`s (like the media element).
-        // For some of our media UI state, however, it does directly update state. In those cases,
-        // the function can optionally return an object with the properties and values of the media state changes.
-        // See: RequestMap[MediaUIEvents.MEDIA_PREVIEW_REQUEST] for an example of this.
-        updateState(requestMap[type](stateMediator, stateOwners, action));
-        return;
-      }
-
-      // These are other state change requests so we can dynamically update things like the media element, fullscreenElement,
-      // or options-style properties in a single architecture.
-
-      // We can get change requests for the stateOwners themselves
-      if (type === 'mediaelementchangerequest') {
-        updateStateOwners({ media: detail });
-      } else if (type === 'fullscreenelementchangerequest') {
-        updateStateOwners({ fullscreenElement: detail });
-      } else if (type === 'documentelementchangerequest') {
-        updateStateOwners({ documentElement: detail });
-      }
-      // and we can update our default/options values
-      else if (type === 'optionschangerequest') {
-        // Doing a simple impl for now
-        Object.entries(detail ?? {}).forEach(([optionName, optionValue]) => {
-          // NOTE: updating options will *NOT* prompt any state updates.
-          // However, since we directly mutate options, this allows state owners to be
-          // "live" and automatically updated for any other event or similar monitoring.
-          // For a concrete example, see, e.g., the `mediaSubtitlesShowing.stateOwnersUpdateHandlers`
-          // responsible for managing/monitoring `defaultSubtitles` in the `defaultStateMediator`. (CJP)
-          stateOwners.options[optionName] = optionValue;
-        });
-        // updateStateFromFacade();
-      }
+      // Every request goes through any middleware first, which may veto, rewrite or delay it.
+      runMiddleware('request', action, handleRequest);
     },
     getState() {
       // return the current state, whatever it is
@@ -567,7 +641,16 @@ const createMediaStore = ({
         }
       };
     },
+    use(middleware) {
+      middlewares.push(middleware);
+      return () => {
+        const idx = middlewares.indexOf(middleware);
+        if (idx >= 0) middlewares.splice(idx, 1);
+      };
+    },
   };
+
+  return mediaStore;
 };
 
 export default createMediaStore;
@@ -0,0 +1,144 @@
+import { globalThis } from '../utils/server-safe-globals.js';
+
+/**
+ * @typedef {import('./state-mediator.js').StateOwners} StateOwners
+ */
+
+/**
+ * PreferenceStorage is where user preferences (e.g. the last set volume) are persisted. It is a subset of the
+ * `Storage` interface, so `localStorage` (the default) and `sessionStorage` can be used as is. Any of the
+ * methods may also return a Promise for app-supplied async stores (e.g. a user profile backend).
+ *
+ * @typedef {{
+ *   getItem(key: string): string|null|undefined|Promise<string|null|undefined>;
+ *   setItem(key: string, value: string): void|Promise<void>;
+ *   removeItem(key: string): void|Promise<void>;
+ * }} PreferenceStorage
+ */
+
+export const PreferenceKeys = {
+  VOLUME: 'media-chrome-pref-volume',
+  MUTED: 'media-chrome-pref-muted',
+  PLAYBACK_RATE: 'media-chrome-pref-playback-rate',
+  SUBTITLES: 'media-chrome-pref-subtitles',
+  SUBTITLES_LANG: 'media-chrome-pref-subtitles-lang',
+  AUDIO_TRACK_LANG: 'media-chrome-pref-audio-track-lang',
+  CAPTION_STYLE: 'media-chrome-pref-caption-style',
+  // Prefix of the key of a media's resume position, see `getResumeKey()`.
+  RESUME_TIME: 'media-chrome-resume-time',
+};
+
+/** The `StateOption` that turns off each preference. */
+export const PreferenceOptions = {
+  [PreferenceKeys.VOLUME]: 'noVolumePref',
+  [PreferenceKeys.MUTED]: 'noMutedPref',
+  [PreferenceKeys.PLAYBACK_RATE]: 'noPlaybackRatePref',
+  [PreferenceKeys.SUBTITLES]: 'noSubtitlesPref',
+  [PreferenceKeys.SUBTITLES_LANG]: 'noSubtitlesLangPref',
+  [PreferenceKeys.AUDIO_TRACK_LANG]: 'noAudioTrackLangPref',
+  [PreferenceKeys.CAPTION_STYLE]: 'noCaptionStylePref',
+};
+
+/**
+ * The key the resume position of a media is stored under. Media are identified
+ * by their `mediaid` attribute, or else their source URL.
+ * @param {import('./state-mediator.js').MediaStateOwner} media
+ * @returns {string|undefined}
+ */
+export const getResumeKey = (media) => {
+  const id =
+    media?.getAttribute?.('mediaid') || media?.currentSrc || media?.src;
+  if (!id) return undefined;
+  return `${PreferenceKeys.RESUME_TIME}:${id}`;
+};
+
+/**
+ * Creates a PreferenceStorage that only keeps preferences in memory, e.g. for
+ * testing or to keep preferences for the lifetime of the page.
+ * @returns {PreferenceStorage}
+ */
+export const createMemoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem(key) {
+      return items.get(key) ?? null;
+    },
+    setItem(key, value) {
+      items.set(key, `${value}`);
+    },
+    removeItem(key) {
+      items.delete(key);
+    },
+  };
+};
+
+/**
+ * @param {StateOwners} stateOwners
+ * @returns {PreferenceStorage|undefined}
+ */
+const getStorage = ({ options } = {}) => {
+  if (options?.preferences) return options.preferences;
+  try {
+    return globalThis.localStorage;
+  } catch (err) {
+    // Accessing localStorage may throw, e.g. in sandboxed iframes.
+    return undefined;
+  }
+};
+
+const isPreferenceOff = (stateOwners, key) =>
+  !!stateOwners?.options?.[PreferenceOptions[key]];
+
+/**
+ * Reads a preference and invokes the callback with its value, or `null` if it isn't stored
+ * or is turned off. For synchronous storage (like `localStorage`) the callback is invoked
+ * synchronously, for async storage once the value resolves.
+ * @param {StateOwners} stateOwners
+ * @param {string} key - One of the `PreferenceKeys`, or a resume key.
+ * @param {(value: string|null) => void} callback
+ */
+export const getPreference = (stateOwners, key, callback) => {
+  if (isPreferenceOff(stateOwners, key)) return callback(null);
+
+  const onError = (err) => {
+    console.debug(`Error getting preference ${key}`, err);
+    callback(null);
+  };
+
+  let value;
+  try {
+    value = getStorage(stateOwners)?.getItem(key);
+  } catch (err) {
+    return onError(err);
+  }
+
+  if (value instanceof Promise) {
+    value.then(
+      (resolvedValue) => callback(resolvedValue ?? null),
+      onError
+    );
+    return;
+  }
+  callback(value ?? null);
+};
+
+/**
+ * Stores a preference, unless it is turned off. A `null` or `undefined` value removes the preference.
+ * @param {StateOwners} stateOwners
+ * @param {string} key - One of the `PreferenceKeys`, or a resume key.
+ * @param {any} value
+ */
+export const setPreference = (stateOwners, key, value) => {
+  if (isPreferenceOff(stateOwners, key)) return;
+
+  try {
+    const storage = getStorage(stateOwners);
+    const result =
+      value == null
+        ? storage?.removeItem(key)
+        : storage?.setItem(key, `${value}`);
+    /** @type {Promise<void>} */ (result)?.catch?.(() => {});
+  } catch (err) {
+    // ignore
+  }
+};
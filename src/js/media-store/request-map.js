@@ -1,16 +1,28 @@
-import { globalThis } from '../utils/server-safe-globals.js';
 import {
   MediaUIEvents,
   StreamTypes,
-  TextTrackKinds,
   TextTrackModes,
 } from '../constants.js';
 import {
-  getTextTracksList,
+  parseCaptionStyle,
   parseTracks,
   updateTracksModeTo,
 } from '../utils/captions.js';
-import { getSubtitleTracks, toggleSubtitleTracks } from './util.js';
+import {
+  getAdBreakAtTime,
+  getAdBreakState,
+  getChapterAtTime,
+  getFrameRate,
+  getMediaStartDate,
+  getPresentedFrameTime,
+  getShowingSubtitleTracks,
+  getSubtitleTracks,
+  seekRespectingAdBreaks,
+  toggleSubtitleTracks,
+  trackPresentedFrame,
+} from './util.js';
+import { PreferenceKeys, setPreference } from './preferences.js';
+import { defaultThumbnailSource } from './thumbnails.js';
 
 /**
  * @typedef {import('./state-mediator.js').StateMediator} StateMediator
@@ -49,17 +61,20 @@ import { getSubtitleTracks, toggleSubtitleTracks } from './util.js';
  * ) => Partial<MediaState>|undefined|void}} RequestMap
  */
 
+// Seconds into a chapter after which "previous chapter" restarts the current chapter.
+const PREV_CHAPTER_THRESHOLD = 3;
+
+// Seconds into a playlist item after which "previous" restarts the current item.
+const PREV_PLAYLIST_ITEM_THRESHOLD = 3;
+
 /** @type {RequestMap} */
 export const requestMap = {
-  /**
-   * @TODO Consider adding state to `StateMediator` for e.g. `mediaThumbnailCues` and use that for derived state here (CJP)
-   */
   [MediaUIEvents.MEDIA_PREVIEW_REQUEST](
     stateMediator,
     stateOwners,
     { detail }
   ) {
-    const { media } = stateOwners;
+    const { media, options } = stateOwners;
 
     const mediaPreviewTime = detail ?? undefined;
     let mediaPreviewImage = undefined;
@@ -68,45 +83,26 @@ export const requestMap = {
     // preview-related state should be reset to nothing
     // when there is no media or the preview time request is null/undefined
     if (media && mediaPreviewTime != null) {
-      // preview thumbnail image-related derivation
-      const [track] = getTextTracksList(media, {
-        kind: TextTrackKinds.METADATA,
-        label: 'thumbnails',
-      });
+      // preview thumbnail image-related derivation, from whichever thumbnail source is configured
+      const thumbnailSource = options?.thumbnailSource ?? defaultThumbnailSource;
+      const thumbnail = thumbnailSource.getThumbnail(mediaPreviewTime, stateOwners);
 
-      const cue = Array.prototype.find.call(track?.cues ?? [], (c, i, cs) => {
-        // If our first preview image cue ends after mediaPreviewTime, use it.
-        if (i === 0) return c.endTime > mediaPreviewTime;
-        // If our last preview image cue ends at or before mediaPreviewTime, use it.
-        if (i === cs.length - 1) return c.startTime <= mediaPreviewTime;
-        // Otherwise, use the cue that contains mediaPreviewTime
-        return c.startTime <= mediaPreviewTime && c.endTime > mediaPreviewTime;
-      });
-
-      if (cue) {
-        const base = !/'^(?:[a-z]+:)?\/\//i.test(cue.text)
-          ? /** @type {HTMLTrackElement | null} */ (
-              media?.querySelector('track[label="thumbnails"]')
-            )?.src
-          : undefined;
-        const url = new URL(cue.text, base);
-        const previewCoordsStr = new URLSearchParams(url.hash).get('#xywh');
-        mediaPreviewCoords = previewCoordsStr.split(',');
-        mediaPreviewImage = url.href;
+      if (thumbnail?.url) {
+        mediaPreviewImage = thumbnail.url;
+        mediaPreviewCoords = /** @type {[string,string,string,string]} */ (
+          thumbnail.coords?.map(String)
+        );
       }
     }
 
     const mediaDuration = stateMediator.mediaDuration.get(stateOwners);
     // chapters cue text
     const mediaChaptersCues = stateMediator.mediaChaptersCues.get(stateOwners);
-    let mediaPreviewChapter = mediaChaptersCues.find((c, i, cs) => {
-      // Since Chapters may be "gappy", only treat the endtime as inclusive
-      // if it is the last chapter cue and that cue ends when the entire media ends
-      if (i === cs.length - 1 && mediaDuration === c.endTime) {
-        return c.startTime <= mediaPreviewTime && c.endTime >= mediaPreviewTime;
-      }
-      return c.startTime <= mediaPreviewTime && c.endTime > mediaPreviewTime;
-    })?.text;
+    let mediaPreviewChapter = getChapterAtTime(
+      mediaChaptersCues,
+      mediaPreviewTime,
+      mediaDuration
+    )?.text;
 
     // If the chapter is not found but the detail (preview time) is defined
     // set the chapter to an empty string to differentiate it from undefined.
@@ -181,9 +177,7 @@ export const requestMap = {
     stateMediator[key].set(value, stateOwners);
   },
   [MediaUIEvents.MEDIA_SEEK_REQUEST](stateMediator, stateOwners, { detail }) {
-    const key = 'mediaCurrentTime';
-    const value = detail;
-    stateMediator[key].set(value, stateOwners);
+    seekRespectingAdBreaks(stateMediator, stateOwners, detail);
   },
   [MediaUIEvents.MEDIA_SEEK_TO_LIVE_REQUEST](stateMediator, stateOwners) {
     // This is an example of a specialized state change request "action" that doesn't need a specialized
@@ -194,21 +188,190 @@ export const requestMap = {
     if (!Number.isNaN(Number(value))) return;
     stateMediator[key].set(value, stateOwners);
   },
+  [MediaUIEvents.MEDIA_SEEK_TO_DATE_REQUEST](stateMediator, stateOwners, { detail }) {
+    // The detail is a `Date`, a date string or milliseconds since the epoch.
+    const date = new Date(detail).getTime();
+    const startDate = getMediaStartDate(stateOwners.media);
+    // Without a program date time there's no way to know the media time of a date.
+    if (Number.isNaN(date) || startDate == null) return;
+    seekRespectingAdBreaks(stateMediator, stateOwners, (date - startDate) / 1000);
+  },
+  [MediaUIEvents.MEDIA_FRAME_STEP_REQUEST](stateMediator, stateOwners, { detail }) {
+    const { media } = stateOwners;
+    // The detail is the number of frames to step, e.g. 1 or -1.
+    const frames = Math.trunc(Number(detail));
+    if (!media || !frames) return;
+
+    stateMediator.mediaPaused.set(true, stateOwners);
+
+    const frameRate = getFrameRate(stateOwners);
+    const currentTime = stateMediator.mediaCurrentTime.get(stateOwners);
+    const frameTime =
+      getPresentedFrameTime(media, currentTime, frameRate) ??
+      Math.floor(currentTime * frameRate + 1e-6) / frameRate;
+
+    // Land in the middle of the frame so rounding of the time doesn't show a neighbouring frame.
+    let time = Math.max(frameTime + (frames + 0.5) / frameRate, 0);
+    const duration = stateMediator.mediaDuration.get(stateOwners);
+    if (duration > 0) time = Math.min(time, duration);
+
+    trackPresentedFrame(media);
+    seekRespectingAdBreaks(stateMediator, stateOwners, time);
+  },
+  [MediaUIEvents.MEDIA_RETRY_REQUEST](stateMediator, stateOwners) {
+    const { media } = stateOwners;
+    if (!media?.load) return;
+
+    // Reload the media and continue from the last known time, unless it's live.
+    const time = stateMediator.mediaStreamType.get(stateOwners) !== StreamTypes.LIVE
+      ? stateMediator.mediaCurrentTime.get(stateOwners)
+      : 0;
+    const autoplay = !media.paused;
+    // The same source is reloaded, so the ad breaks that were watched stay watched.
+    const { watched } = getAdBreakState(media);
+
+    media.addEventListener(
+      'loadedmetadata',
+      () => {
+        watched.forEach((startTime) => getAdBreakState(media).watched.add(startTime));
+        if (time) {
+          seekRespectingAdBreaks(stateMediator, stateOwners, time, { afterAdBreak: true });
+        }
+        if (autoplay) stateMediator.mediaPaused.set(false, stateOwners);
+      },
+      { once: true }
+    );
+    media.load();
+  },
+  [MediaUIEvents.MEDIA_PLAYBACK_QUALITY_REQUEST](stateMediator, stateOwners) {
+    // Reading the playback quality isn't free, so it's only read when a receiver asks for it.
+    return {
+      mediaPlaybackQuality: stateMediator.mediaPlaybackQuality.get(stateOwners),
+    };
+  },
+  [MediaUIEvents.MEDIA_SEEK_TO_NEXT_CHAPTER_REQUEST](stateMediator, stateOwners) {
+    const currentTime = stateMediator.mediaCurrentTime.get(stateOwners);
+    const nextChapter = stateMediator.mediaChaptersCues
+      .get(stateOwners)
+      .find(({ startTime }) => startTime > currentTime);
+    // If there is no next chapter, there's nowhere to seek to.
+    if (!nextChapter) return;
+    seekRespectingAdBreaks(stateMediator, stateOwners, nextChapter.startTime);
+  },
+  [MediaUIEvents.MEDIA_SEEK_TO_PREV_CHAPTER_REQUEST](stateMediator, stateOwners) {
+    const currentTime = stateMediator.mediaCurrentTime.get(stateOwners);
+    const mediaChaptersCues = stateMediator.mediaChaptersCues.get(stateOwners);
+    if (!mediaChaptersCues.length) return;
+    // Like a "previous track" control, restart the current chapter unless playback
+    // just started in it, in that case go to the start of the chapter before it.
+    const prevChapter = mediaChaptersCues
+      .filter(({ startTime }) => startTime < currentTime - PREV_CHAPTER_THRESHOLD)
+      .pop();
+    seekRespectingAdBreaks(stateMediator, stateOwners, prevChapter?.startTime ?? 0);
+  },
+  [MediaUIEvents.MEDIA_SKIP_AD_REQUEST](stateMediator, stateOwners) {
+    const { media } = stateOwners;
+    const key = 'mediaCurrentTime';
+    const currentTime = stateMediator[key].get(stateOwners);
+    const adBreak = getAdBreakAtTime(
+      stateMediator.mediaCuePoints.get(stateOwners),
+      currentTime
+    );
+    // Only ad breaks with a skip offset can be skipped, once they've played for that long.
+    if (!media || !(currentTime >= adBreak?.startTime + adBreak?.skipOffset)) return;
+
+    const adBreakState = getAdBreakState(media);
+    adBreakState.watched.add(adBreak.startTime);
+    const { resumeTime } = adBreakState;
+    adBreakState.resumeTime = undefined;
+    stateMediator[key].set(Math.max(adBreak.endTime, resumeTime ?? 0), stateOwners);
+  },
+  [MediaUIEvents.MEDIA_LOOP_RANGE_REQUEST](
+    stateMediator,
+    stateOwners,
+    { detail }
+  ) {
+    const key = 'mediaLoopRange';
+    const [start, end] = (Array.isArray(detail) ? detail : []).map(Number);
+    // A loop needs a start before its end, or there's nothing to loop.
+    if (!(end > start)) return;
+    stateMediator[key].set([Math.max(start, 0), end], stateOwners);
+  },
+  [MediaUIEvents.MEDIA_LOOP_CLEAR_REQUEST](stateMediator, stateOwners) {
+    const key = 'mediaLoopRange';
+    stateMediator[key].set(undefined, stateOwners);
+  },
+  [MediaUIEvents.MEDIA_ANGLE_REQUEST](stateMediator, stateOwners, { detail }) {
+    const key = 'mediaAngleSelected';
+    stateMediator[key].set(detail, stateOwners);
+  },
+  [MediaUIEvents.MEDIA_PLAYLIST_REQUEST](stateMediator, stateOwners, { detail }) {
+    const key = 'mediaPlaylist';
+    stateMediator[key].set(Array.isArray(detail) ? detail : [], stateOwners);
+  },
+  [MediaUIEvents.MEDIA_PLAYLIST_SELECT_REQUEST](
+    stateMediator,
+    stateOwners,
+    { detail }
+  ) {
+    const key = 'mediaPlaylistIndex';
+    stateMediator[key].set(Number(detail), stateOwners);
+  },
+  [MediaUIEvents.MEDIA_NEXT_REQUEST](stateMediator, stateOwners) {
+    const key = 'mediaPlaylistIndex';
+    const index = stateMediator[key].get(stateOwners) ?? -1;
+    stateMediator[key].set(index + 1, stateOwners);
+  },
+  [MediaUIEvents.MEDIA_PREV_REQUEST](stateMediator, stateOwners) {
+    const key = 'mediaPlaylistIndex';
+    const index = stateMediator[key].get(stateOwners);
+    if (index == null) return;
+
+    const { media } = stateOwners;
+    if (media?.currentTime > PREV_PLAYLIST_ITEM_THRESHOLD || index === 0) {
+      stateMediator.mediaCurrentTime.set(0, stateOwners);
+      return;
+    }
+    stateMediator[key].set(index - 1, stateOwners);
+  },
+  [MediaUIEvents.MEDIA_RESUME_REQUEST](stateMediator, stateOwners, { detail }) {
+    const key = 'mediaResumeTime';
+    const resumeTime = stateMediator[key].get(stateOwners);
+    if (resumeTime == null) return;
+
+    stateMediator[key].set(undefined, stateOwners);
+    // A `false` detail starts over instead of resuming.
+    if (detail === false) {
+      stateMediator.mediaCurrentTime.set(0, stateOwners);
+    } else {
+      seekRespectingAdBreaks(stateMediator, stateOwners, resumeTime, { afterAdBreak: true });
+    }
+    stateMediator.mediaPaused.set(false, stateOwners);
+  },
+  [MediaUIEvents.MEDIA_CAPTION_STYLE_REQUEST](
+    stateMediator,
+    stateOwners,
+    { detail }
+  ) {
+    const key = 'mediaCaptionStyle';
+    // A serialized style like `fontSize:150 color:yellow` is accepted as well.
+    const value = typeof detail === 'string' ? parseCaptionStyle(detail) : detail;
+    stateMediator[key].set(value, stateOwners);
+  },
   // Text Tracks state change requests
   [MediaUIEvents.MEDIA_SHOW_SUBTITLES_REQUEST](
     _stateMediator,
     stateOwners,
     { detail }
   ) {
-    const { options } = stateOwners;
     const tracks = getSubtitleTracks(stateOwners);
     const tracksToUpdate = parseTracks(detail);
     const preferredLanguage = tracksToUpdate[0]?.language;
-    if (preferredLanguage && !options.noSubtitlesLangPref) {
-      globalThis.localStorage.setItem(
-        'media-chrome-pref-subtitles-lang',
-        preferredLanguage
-      );
+    if (preferredLanguage) {
+      setPreference(stateOwners, PreferenceKeys.SUBTITLES_LANG, preferredLanguage);
+    }
+    if (tracksToUpdate.length) {
+      setPreference(stateOwners, PreferenceKeys.SUBTITLES, true);
     }
     updateTracksModeTo(TextTrackModes.SHOWING, tracks, tracksToUpdate);
   },
@@ -219,6 +382,9 @@ export const requestMap = {
   ) {
     const tracks = getSubtitleTracks(stateOwners);
     const tracksToUpdate = detail ?? [];
+    if (tracks.length) {
+      setPreference(stateOwners, PreferenceKeys.SUBTITLES, false);
+    }
     updateTracksModeTo(TextTrackModes.DISABLED, tracks, tracksToUpdate);
   },
   [MediaUIEvents.MEDIA_TOGGLE_SUBTITLES_REQUEST](
@@ -226,6 +392,11 @@ export const requestMap = {
     stateOwners,
     { detail }
   ) {
+    // Only remember actual toggles as a preference, not forced ones (e.g. disabling subtitles on teardown).
+    if (detail == null && getSubtitleTracks(stateOwners).length) {
+      const subtitlesShowing = !!getShowingSubtitleTracks(stateOwners).length;
+      setPreference(stateOwners, PreferenceKeys.SUBTITLES, !subtitlesShowing);
+    }
     toggleSubtitleTracks(stateOwners, detail);
   },
   // Renditions/Tracks state change requests
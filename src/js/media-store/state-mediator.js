@@ -17,20 +17,74 @@ import {
   pipSupported,
 } from '../utils/platform-tests.js';
 import {
+  applyCaptionStyle,
+  getAdBreakAtTime,
+  getAdBreakState,
+  getChapterAtTime,
   getShowingSubtitleTracks,
+  getAngleId,
+  getMediaStartDate,
+  getPlaylistIndex,
   getSubtitleTracks,
+  loadPlaylistItem,
+  resetAdBreakState,
+  seekRespectingAdBreaks,
+  syncAngle,
   toggleSubtitleTracks,
 } from './util.js';
-import { getTextTracksList } from '../utils/captions.js';
+import {
+  DEFAULT_CAPTION_STYLE,
+  getTextTracksList,
+  parseCaptionStyle,
+  sanitizeCaptionStyle,
+  stringifyCaptionStyle,
+} from '../utils/captions.js';
+import {
+  PreferenceKeys,
+  getPreference,
+  getResumeKey,
+  setPreference,
+} from './preferences.js';
 
 /**
  * @typedef {'on-demand'|'live'|'unknown'} StreamTypeValue
  */
 
+/**
+ * @typedef {import('./util.js').CuePoint} CuePoint
+ */
+
+/**
+ * @typedef {import('./util.js').PlaylistItem} PlaylistItem
+ */
+
+/**
+ * @typedef {import('../utils/captions.js').CaptionStyle} CaptionStyle
+ */
+
 /**
  * @typedef {'unavailable'|'unsupported'} AvailabilityTypeValue
  */
 
+/**
+ * An error of the media, following `MediaError`. Custom media elements can add details to
+ * the `message` and flag recoverable errors with `fatal: false`.
+ * @typedef {{ code: number; message: string; fatal: boolean }} MediaErrorState
+ */
+
+/**
+ * The playback quality of the media, following `VideoPlaybackQuality`. Custom media elements can
+ * add the `bitrate` of the playing rendition and the `bandwidthEstimate` in bits per second, and the
+ * `liveLatency` in seconds, to the object returned by their `getVideoPlaybackQuality()`.
+ * @typedef {{
+ *   droppedVideoFrames?: number;
+ *   totalVideoFrames?: number;
+ *   bitrate?: number;
+ *   bandwidthEstimate?: number;
+ *   liveLatency?: number;
+ * }} PlaybackQualityState
+ */
+
 /**
  *
  * MediaStateOwner is in a sense both a subset and a superset of `HTMLVideoElement` and is used as the primary
@@ -51,14 +105,15 @@ import { getTextTracksList } from '../utils/captions.js';
  *  streamType?: StreamTypeValue;
  *  targetLiveWindow?: number;
  *  liveEdgeStart?: number;
- *  videoRenditions?: { id?: any; }[] & EventTarget & { selectedIndex?: number };
- *  audioTracks?: { id?: any; enabled?: boolean; }[] & EventTarget;
+ *  videoRenditions?: { id?: any; frameRate?: number; }[] & EventTarget & { selectedIndex?: number };
+ *  audioTracks?: { id?: any; enabled?: boolean; language?: string; }[] & EventTarget;
  *  requestCast?: () => any;
  *  webkitDisplayingFullscreen?: boolean;
  *  webkitPresentationMode?: 'fullscreen'|'picture-in-picture';
  *  webkitEnterFullscreen?: () => any;
  *  webkitCurrentPlaybackTargetIsWireless?: boolean;
  *  webkitShowPlaybackTargetPicker?: () => any;
+ *  cuePoints?: CuePoint[];
  * }} MediaStateOwner
  */
 
@@ -76,8 +131,20 @@ import { getTextTracksList } from '../utils/captions.js';
  * @property {StreamTypeValue} [defaultStreamType]
  * @property {number} [defaultDuration]
  * @property {number} [liveEdgeOffset]
+ * @property {number} [frameRate] - The frames per second to step frames by. Defaults to the frame rate of the selected video rendition, or 30.
  * @property {boolean} [noVolumePref]
+ * @property {boolean} [noMutedPref]
+ * @property {boolean} [noPlaybackRatePref]
+ * @property {boolean} [noSubtitlesPref]
  * @property {boolean} [noSubtitlesLangPref]
+ * @property {boolean} [noAudioTrackLangPref]
+ * @property {boolean} [noCaptionStylePref]
+ * @property {import('./preferences.js').PreferenceStorage} [preferences] - Where user preferences are persisted. Defaults to `localStorage`.
+ * @property {PlaylistItem[]} [playlist] - The items that can be loaded in the media, in order.
+ * @property {boolean} [autoAdvance] - Load and play the next playlist item when the media ends.
+ * @property {CaptionStyle} [captionStyle] - The settings of the caption style that differ from the defaults. Overridden by the user's preference.
+ * @property {'auto'|'prompt'} [resume] - Remember the playback position of each media in the `preferences` storage and seek to it when the media is loaded again, or let the user choose with the `mediaResumeTime` state.
+ * @property {import('./thumbnails.js').ThumbnailSource} [thumbnailSource] - Resolves the preview thumbnail for a time. Defaults to the media's `getThumbnail(time)` method or the `thumbnails` metadata track.
  */
 
 /**
@@ -89,9 +156,11 @@ import { getTextTracksList } from '../utils/captions.js';
  * - fullscreenElement - the element that will be used when in full screen (e.g. for Media Chrome, this will typically be the MediaController)
  * - documentElement - top level node for DOM context (usually document and defaults to `document` in `createMediaStore()`)
  * - options - state behavior/user preferences (e.g. defaultSubtitles to enable subtitles by default as the relevant state or state owners change)
+ * - mediaAngles - all media elements of a synchronized multi-angle presentation, including `media`, which is the selected (primary) angle
  *
  * @typedef {object} StateOwners
  * @property {MediaStateOwner} [media]
+ * @property {MediaStateOwner[]} [mediaAngles]
  * @property {RootNodeStateOwner} [documentElement]
  * @property {FullScreenElementStateOwner} [fullscreenElement]
  * @property {StateOption} [options]
@@ -167,18 +236,35 @@ import { getTextTracksList } from '../utils/captions.js';
  *   mediaPlaybackRate: FacadeProp<HTMLMediaElement['playbackRate']>;
  *   mediaMuted: FacadeProp<HTMLMediaElement['muted']>;
  *   mediaVolume: FacadeProp<HTMLMediaElement['volume']>;
+ *   mediaResumeTime: FacadeProp<number|undefined>;
  *   mediaVolumeLevel: ReadonlyFacadeProp<'high'|'medium'|'low'|'off'>
  *   mediaCurrentTime: FacadeProp<HTMLMediaElement['currentTime']>;
+ *   mediaCurrentDate: ReadonlyFacadeProp<number|undefined>;
  *   mediaDuration: ReadonlyFacadeProp<HTMLMediaElement['duration']>;
  *   mediaLoading: ReadonlyFacadeProp<boolean>;
+ *   mediaError: ReadonlyFacadeProp<MediaErrorState|undefined>;
+ *   mediaPlaybackQuality: ReadonlyFacadeProp<PlaybackQualityState|undefined>;
+ *   mediaReadyState: ReadonlyFacadeProp<number|undefined>;
+ *   mediaVideoSize: ReadonlyFacadeProp<[number, number]|undefined>;
  *   mediaSeekable: ReadonlyFacadeProp<[number, number]|undefined>;
  *   mediaBuffered: ReadonlyFacadeProp<[number, number][]>;
  *   mediaStreamType: ReadonlyFacadeProp<StreamTypeValue>;
  *   mediaTargetLiveWindow: ReadonlyFacadeProp<number>;
  *   mediaTimeIsLive: ReadonlyFacadeProp<boolean>;
+ *   mediaLiveEdgeOffset: ReadonlyFacadeProp<number|undefined>;
  *   mediaSubtitlesList: ReadonlyFacadeProp<Pick<TextTrack,'kind'|'label'|'language'>[]>;
  *   mediaSubtitlesShowing: ReadonlyFacadeProp<Pick<TextTrack,'kind'|'label'|'language'>[]>;
+ *   mediaCaptionStyle: FacadeProp<Required<CaptionStyle>,CaptionStyle|null>;
  *   mediaChaptersCues: ReadonlyFacadeProp<Pick<VTTCue,'text'|'startTime'|'endTime'>[]>;
+ *   mediaCurrentChapter: ReadonlyFacadeProp<Pick<VTTCue,'text'|'startTime'|'endTime'>|undefined>;
+ *   mediaCuePoints: ReadonlyFacadeProp<CuePoint[]>;
+ *   mediaInAdBreak: ReadonlyFacadeProp<boolean>;
+ *   mediaAdSkipCountdown: ReadonlyFacadeProp<number|undefined>;
+ *   mediaLoopRange: FacadeProp<[number, number]|undefined>;
+ *   mediaAngleList: ReadonlyFacadeProp<{ id: string; label?: string }[]>;
+ *   mediaAngleSelected: FacadeProp<string|undefined,string>;
+ *   mediaPlaylist: FacadeProp<PlaylistItem[]>;
+ *   mediaPlaylistIndex: FacadeProp<number|undefined>;
  *   mediaIsPip: FacadeProp<boolean>;
  *   mediaRenditionList: ReadonlyFacadeProp<{ id?: string }[]>;
  *   mediaRenditionSelected: FacadeProp<{ id?: string }[],string>;
@@ -236,6 +322,35 @@ const StreamTypeValues = /** @type {StreamTypeValue[]} */ (
   Object.values(StreamTypes)
 );
 
+/**
+ * Loop ranges are UI state rather than media state, so they're kept here per media.
+ * @type {WeakMap<object, [number, number]>}
+ */
+const loopRanges = new WeakMap();
+
+/**
+ * Stored positions that are waiting for the user to resume or start over, per media.
+ * @type {WeakMap<object, number>}
+ */
+const resumeTimes = new WeakMap();
+/**
+ * The resume key each media's stored position was last read for. Until it is read,
+ * the position isn't saved, so it isn't overwritten.
+ * @type {WeakMap<object, string>}
+ */
+const restoredResumeKeys = new WeakMap();
+/**
+ * The last error each media dispatched with details, until a new source loads.
+ * @type {WeakMap<object, Partial<MediaErrorState>>}
+ */
+const mediaErrors = new WeakMap();
+// Positions in the first seconds aren't worth resuming from.
+const RESUME_MIN_TIME = 5;
+// Positions in the last seconds count as finished and aren't resumed from.
+const RESUME_END_THRESHOLD = 10;
+// Seconds of playback between saving the position.
+const RESUME_SAVE_INTERVAL = 5;
+
 let volumeSupported;
 export const volumeSupportPromise = hasVolumeSupportAsync().then(
   (supported) => {
@@ -320,9 +435,26 @@ export const stateMediator = {
       const { media } = stateOwners;
       if (!media) return;
       if (!Number.isFinite(+value)) return;
+      setPreference(stateOwners, PreferenceKeys.PLAYBACK_RATE, +value);
+      if (!stateOwners.options?.noPlaybackRatePref) {
+        // Loading a new source resets the playback rate to the default one, keep the preferred rate.
+        media.defaultPlaybackRate = +value;
+      }
       media.playbackRate = +value;
     },
     mediaEvents: ['ratechange', 'loadstart'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media) return;
+        getPreference(stateOwners, PreferenceKeys.PLAYBACK_RATE, (playbackRatePref) => {
+          if (playbackRatePref == null || !Number.isFinite(+playbackRatePref)) return;
+          media.defaultPlaybackRate = +playbackRatePref;
+          media.playbackRate = +playbackRatePref;
+          handler(+playbackRatePref);
+        });
+      },
+    ],
   },
   mediaMuted: {
     get(stateOwners) {
@@ -333,9 +465,24 @@ export const stateMediator = {
     set(value, stateOwners) {
       const { media } = stateOwners;
       if (!media) return;
+      setPreference(stateOwners, PreferenceKeys.MUTED, value);
       media.muted = value;
     },
     mediaEvents: ['volumechange'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media) return;
+        getPreference(stateOwners, PreferenceKeys.MUTED, (mutedPref) => {
+          if (mutedPref == null) return;
+          const muted = mutedPref === 'true';
+          // Don't unmute media that is muted to be allowed to autoplay.
+          if (!muted && media.muted && media.autoplay) return;
+          media.muted = muted;
+          handler(muted);
+        });
+      },
+    ],
   },
   mediaVolume: {
     get(stateOwners) {
@@ -346,41 +493,19 @@ export const stateMediator = {
     set(value, stateOwners) {
       const { media } = stateOwners;
       if (!media) return;
-      // Store the last set volume as a local preference, if ls is supported
-      /** @TODO How should we handle globalThis dependencies/"state ownership"? (CJP) */
-      try {
-        if (value == null) {
-          globalThis.localStorage.removeItem('media-chrome-pref-volume');
-        } else {
-          globalThis.localStorage.setItem(
-            'media-chrome-pref-volume',
-            value.toString()
-          );
-        }
-      } catch (err) {
-        // ignore
-      }
+      // Store the last set volume as a preference
+      setPreference(stateOwners, PreferenceKeys.VOLUME, value);
       if (!Number.isFinite(+value)) return;
       media.volume = +value;
     },
     mediaEvents: ['volumechange'],
     stateOwnersUpdateHandlers: [
       (handler, stateOwners) => {
-        const {
-          options: { noVolumePref },
-        } = stateOwners;
-        if (noVolumePref) return;
-        /** @TODO How should we handle globalThis dependencies/"state ownership"? (CJP) */
-        try {
-          const volumePref = globalThis.localStorage.getItem(
-            'media-chrome-pref-volume'
-          );
+        getPreference(stateOwners, PreferenceKeys.VOLUME, (volumePref) => {
           if (volumePref == null) return;
           stateMediator.mediaVolume.set(+volumePref, stateOwners);
-          handler(volumePref);
-        } catch (e) {
-          console.debug('Error getting volume pref', e);
-        }
+          handler(+volumePref);
+        });
       },
     ],
   },
@@ -398,6 +523,121 @@ export const stateMediator = {
     },
     mediaEvents: ['volumechange'],
   },
+  mediaResumeTime: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return undefined;
+
+      return resumeTimes.get(media);
+    },
+    set(value, stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return;
+
+      if (value == null) {
+        resumeTimes.delete(media);
+      } else {
+        resumeTimes.set(media, value);
+      }
+      media.dispatchEvent?.(new globalThis.CustomEvent('resumetimechange'));
+    },
+    mediaEvents: ['resumetimechange'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media, options } = stateOwners;
+        if (!media) return;
+
+        let lastSavedTime = 0;
+
+        const save = () => {
+          const key = getResumeKey(media);
+          if (!options?.resume || !key) return;
+          if (restoredResumeKeys.get(media) !== key) return;
+          // Wait for the user to resume or start over.
+          if (resumeTimes.has(media)) return;
+
+          const { currentTime, duration } = media;
+          // Live streams can't be resumed.
+          if (!(duration > 0) || !Number.isFinite(duration)) return;
+
+          lastSavedTime = currentTime;
+          const finished =
+            media.ended || currentTime > duration - RESUME_END_THRESHOLD;
+          setPreference(
+            stateOwners,
+            key,
+            finished || currentTime < RESUME_MIN_TIME ? undefined : currentTime
+          );
+        };
+
+        const onTimeUpdate = () => {
+          if (Math.abs(media.currentTime - lastSavedTime) < RESUME_SAVE_INTERVAL) return;
+          save();
+        };
+
+        const restore = () => {
+          const key = getResumeKey(media);
+          if (!options?.resume || !key) return;
+          if (restoredResumeKeys.get(media) === key) return;
+
+          getPreference(stateOwners, key, (value) => {
+            // The source may have changed while reading async storage.
+            if (getResumeKey(media) !== key) return;
+            restoredResumeKeys.set(media, key);
+
+            const time = +value;
+            if (
+              value == null ||
+              !(time >= RESUME_MIN_TIME) ||
+              time > media.duration - RESUME_END_THRESHOLD
+            ) {
+              return;
+            }
+
+            if (options.resume === 'auto') {
+              seekRespectingAdBreaks(stateMediator, stateOwners, time, { afterAdBreak: true });
+              return;
+            }
+            stateMediator.mediaResumeTime.set(time, stateOwners);
+          });
+        };
+
+        // A resume position doesn't carry over to a new source.
+        const onLoadStart = (event) => {
+          restoredResumeKeys.delete(media);
+          if (!resumeTimes.delete(media)) return;
+          handler(event);
+        };
+
+        // Playing without choosing to resume starts over.
+        const onPlay = (event) => {
+          if (!resumeTimes.delete(media)) return;
+          handler(event);
+        };
+
+        if (media.readyState >= 1) restore();
+
+        media.addEventListener('loadstart', onLoadStart);
+        media.addEventListener('loadedmetadata', restore);
+        media.addEventListener('play', onPlay);
+        media.addEventListener('timeupdate', onTimeUpdate);
+        media.addEventListener('pause', save);
+        media.addEventListener('ended', save);
+        globalThis.addEventListener?.('pagehide', save);
+
+        return () => {
+          save();
+          media.removeEventListener('loadstart', onLoadStart);
+          media.removeEventListener('loadedmetadata', restore);
+          media.removeEventListener('play', onPlay);
+          media.removeEventListener('timeupdate', onTimeUpdate);
+          media.removeEventListener('pause', save);
+          media.removeEventListener('ended', save);
+          globalThis.removeEventListener?.('pagehide', save);
+        };
+      },
+    ],
+  },
   mediaCurrentTime: {
     get(stateOwners) {
       const { media } = stateOwners;
@@ -413,6 +653,18 @@ export const stateMediator = {
     },
     mediaEvents: ['timeupdate', 'loadedmetadata'],
   },
+  mediaCurrentDate: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+
+      const startDate = getMediaStartDate(media);
+      if (startDate == null) return undefined;
+
+      // Milliseconds since the epoch, since `Date` objects can't be compared as state.
+      return Math.round(startDate + media.currentTime * 1000);
+    },
+    mediaEvents: ['timeupdate', 'loadedmetadata', 'emptied'],
+  },
   mediaDuration: {
     get(stateOwners) {
       const { media, options: { defaultDuration } = {} } = stateOwners;
@@ -437,9 +689,85 @@ export const stateMediator = {
     get(stateOwners) {
       const { media } = stateOwners;
 
+      // Media that failed to load won't finish loading.
+      if (stateMediator.mediaError.get(stateOwners)?.fatal) return false;
+
       return media?.readyState < 3;
     },
-    mediaEvents: ['waiting', 'playing', 'emptied'],
+    mediaEvents: ['waiting', 'playing', 'emptied', 'error'],
+  },
+  mediaError: {
+    get(stateOwners, event) {
+      const { media } = stateOwners;
+      if (!media) return undefined;
+
+      // Custom media elements can dispatch error events with richer details than `media.error`,
+      // they're kept until the media loads a new source or plays again.
+      if (event?.type === 'error' && event.detail?.code != null) {
+        mediaErrors.set(media, event.detail);
+      } else if (event && event.type !== 'error') {
+        mediaErrors.delete(media);
+      }
+      const error = /** @type {Partial<MediaErrorState>} */ (
+        mediaErrors.get(media) ?? media.error
+      );
+      if (!error) return undefined;
+
+      return {
+        code: error.code ?? 0,
+        message: error.message ?? '',
+        // Native media errors stop the playback.
+        fatal: error.fatal ?? true,
+      };
+    },
+    mediaEvents: ['error', 'emptied', 'loadstart', 'canplay', 'playing'],
+  },
+  mediaPlaybackQuality: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+
+      const quality = /** @type {VideoPlaybackQuality & PlaybackQualityState} */ (
+        media?.getVideoPlaybackQuality?.()
+      );
+      if (!quality) return undefined;
+
+      // Copy the values, the native object has getters that can't be spread.
+      return {
+        droppedVideoFrames: quality.droppedVideoFrames,
+        totalVideoFrames: quality.totalVideoFrames,
+        bitrate: quality.bitrate,
+        bandwidthEstimate: quality.bandwidthEstimate,
+        liveLatency: quality.liveLatency,
+      };
+    },
+    // There's no event for the playback quality and it changes with every frame, so it's
+    // only read on a mediaplaybackqualityrequest, and reset when the media is emptied.
+    mediaEvents: ['emptied'],
+  },
+  mediaReadyState: {
+    get(stateOwners) {
+      return stateOwners.media?.readyState;
+    },
+    mediaEvents: [
+      'emptied',
+      'loadedmetadata',
+      'loadeddata',
+      'canplay',
+      'canplaythrough',
+      'waiting',
+      'seeking',
+      'timeupdate',
+    ],
+  },
+  mediaVideoSize: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+
+      // Audio and media without metadata have no video size.
+      if (!media?.videoWidth || !media?.videoHeight) return undefined;
+      return [media.videoWidth, media.videoHeight];
+    },
+    mediaEvents: ['resize', 'loadedmetadata', 'emptied'],
   },
   mediaSeekable: {
     get(stateOwners) {
@@ -569,6 +897,34 @@ export const stateMediator = {
     },
     mediaEvents: ['playing', 'timeupdate', 'progress', 'waiting', 'emptied'],
   },
+  mediaLiveEdgeOffset: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+
+      // Only DVR streams have a window to be behind live in.
+      if (!(stateMediator.mediaTargetLiveWindow.get(stateOwners) > 0)) {
+        return undefined;
+      }
+
+      const [, seekableEnd] = stateMediator.mediaSeekable.get(stateOwners) ?? [];
+      if (seekableEnd == null) return undefined;
+
+      // Anywhere in the live edge counts as playing live.
+      if (stateMediator.mediaTimeIsLive.get(stateOwners)) return 0;
+
+      return Number(Math.min(0, media.currentTime - seekableEnd).toFixed(3));
+    },
+    mediaEvents: [
+      'timeupdate',
+      'progress',
+      'seeked',
+      'emptied',
+      'durationchange',
+      'loadedmetadata',
+      'streamtypechange',
+      'targetlivewindowchange',
+    ],
+  },
   // Text Tracks modeling
   mediaSubtitlesList: {
     get(stateOwners) {
@@ -593,8 +949,6 @@ export const stateMediator = {
         if (!media) return;
 
         const updateDefaultSubtitlesCallback = (event) => {
-          if (!options.defaultSubtitles) return;
-
           const nonSubsEvent =
             event &&
             ![TextTrackKinds.CAPTIONS, TextTrackKinds.SUBTITLES].includes(
@@ -604,8 +958,17 @@ export const stateMediator = {
 
           if (nonSubsEvent) return;
 
-          // NOTE: In this use case, since we're causing a side effect, no need to invoke `handler()`. (CJP)
-          toggleSubtitleTracks(stateOwners, true);
+          // A user's preference to show or hide subtitles takes precedence over `defaultSubtitles`.
+          getPreference(stateOwners, PreferenceKeys.SUBTITLES, (subtitlesPref) => {
+            const showSubtitles =
+              subtitlesPref != null
+                ? subtitlesPref === 'true'
+                : options.defaultSubtitles;
+            if (!showSubtitles) return;
+
+            // NOTE: In this use case, since we're causing a side effect, no need to invoke `handler()`. (CJP)
+            toggleSubtitleTracks(stateOwners, true);
+          });
         };
 
         media.textTracks?.addEventListener(
@@ -633,6 +996,56 @@ export const stateMediator = {
       },
     ],
   },
+  mediaCaptionStyle: {
+    get(stateOwners) {
+      return { ...DEFAULT_CAPTION_STYLE, ...stateOwners.options?.captionStyle };
+    },
+    set(value, stateOwners) {
+      const { media, options } = stateOwners;
+      if (!options) return;
+
+      // A partial style updates the current style, `null` resets it to the defaults.
+      const captionStyle =
+        value == null
+          ? undefined
+          : { ...options.captionStyle, ...sanitizeCaptionStyle(value) };
+
+      options.captionStyle = captionStyle;
+      setPreference(
+        stateOwners,
+        PreferenceKeys.CAPTION_STYLE,
+        captionStyle && stringifyCaptionStyle(captionStyle)
+      );
+
+      if (!media) return;
+      applyCaptionStyle(media, captionStyle);
+      media.dispatchEvent?.(new globalThis.CustomEvent('captionstylechange'));
+    },
+    mediaEvents: ['captionstylechange'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media, options } = stateOwners;
+        if (!media) return;
+
+        let tornDown = false;
+
+        // A user's preference takes precedence over the `captionStyle` option.
+        getPreference(stateOwners, PreferenceKeys.CAPTION_STYLE, (captionStylePref) => {
+          if (tornDown) return;
+          if (captionStylePref != null && options) {
+            options.captionStyle = parseCaptionStyle(captionStylePref);
+          }
+          applyCaptionStyle(media, options?.captionStyle);
+          handler(stateMediator.mediaCaptionStyle.get(stateOwners));
+        });
+
+        return () => {
+          tornDown = true;
+          applyCaptionStyle(media, undefined);
+        };
+      },
+    ],
+  },
   mediaChaptersCues: {
     get(stateOwners) {
       const { media } = stateOwners;
@@ -672,6 +1085,372 @@ export const stateMediator = {
       },
     ],
   },
+  mediaCurrentChapter: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return undefined;
+
+      return getChapterAtTime(
+        stateMediator.mediaChaptersCues.get(stateOwners),
+        media.currentTime,
+        stateMediator.mediaDuration.get(stateOwners)
+      );
+    },
+    mediaEvents: ['timeupdate', 'seeking', 'loadedmetadata', 'emptied'],
+    textTracksEvents: ['addtrack', 'removetrack', 'change'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media) return;
+
+        // Same as for `mediaChaptersCues`, the chapters may only be available once loaded.
+        const chaptersTrack = media.querySelector(
+          'track[kind="chapters"][default][src]'
+        );
+
+        /** @ts-ignore */
+        chaptersTrack?.addEventListener('load', handler);
+
+        return () => {
+          /** @ts-ignore */
+          chaptersTrack?.removeEventListener('load', handler);
+        };
+      },
+    ],
+  },
+  mediaCuePoints: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return [];
+
+      // Cue points can be set on the media, e.g. by a custom media element from an ad integration.
+      if (Array.isArray(media.cuePoints)) {
+        return media.cuePoints.map((cuePoint) => ({ ...cuePoint }));
+      }
+
+      const [cuePointsTrack] = getTextTracksList(media, {
+        kind: TextTrackKinds.METADATA,
+        label: 'cuepoints',
+      });
+
+      return Array.from(cuePointsTrack?.cues ?? []).map(
+        (/** @type VTTCue */ { text, startTime, endTime }) => {
+          // A cue's text is either JSON with the cue point's data (e.g. `{ "type": "ad" }`) or plain text.
+          let data;
+          try {
+            data = JSON.parse(text);
+          } catch (err) {
+            // plain text
+          }
+          return data && typeof data === 'object'
+            ? { ...data, startTime, endTime }
+            : { text, startTime, endTime };
+        }
+      );
+    },
+    mediaEvents: ['loadstart', 'loadedmetadata', 'cuepointschange'],
+    textTracksEvents: ['addtrack', 'removetrack', 'change'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media) return;
+
+        // Same as for `mediaChaptersCues`, the cue points may only be available once loaded.
+        const cuePointsTrack = media.querySelector?.(
+          'track[kind="metadata"][label="cuepoints"][src]'
+        );
+
+        /** @ts-ignore */
+        cuePointsTrack?.addEventListener('load', handler);
+
+        return () => {
+          /** @ts-ignore */
+          cuePointsTrack?.removeEventListener('load', handler);
+        };
+      },
+    ],
+  },
+  mediaInAdBreak: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return false;
+
+      return !!getAdBreakAtTime(
+        stateMediator.mediaCuePoints.get(stateOwners),
+        media.currentTime
+      );
+    },
+    mediaEvents: [
+      'timeupdate',
+      'seeking',
+      'loadstart',
+      'loadedmetadata',
+      'cuepointschange',
+    ],
+    textTracksEvents: ['addtrack', 'removetrack', 'change'],
+    stateOwnersUpdateHandlers: [
+      (_handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media) return;
+
+        // Marks ad breaks as watched once they've played through, and resumes
+        // a seek that was interrupted to play an ad break.
+        let prevTime = media.currentTime;
+        const onTimeUpdate = (event) => {
+          const adBreak = getAdBreakAtTime(
+            stateMediator.mediaCuePoints.get(stateOwners),
+            prevTime
+          );
+          prevTime = media.currentTime;
+
+          if (
+            !adBreak ||
+            media.seeking ||
+            (event.type !== 'ended' && media.currentTime < adBreak.endTime)
+          ) {
+            return;
+          }
+
+          const adBreakState = getAdBreakState(media);
+          adBreakState.watched.add(adBreak.startTime);
+          if (adBreakState.resumeTime > media.currentTime) {
+            media.currentTime = adBreakState.resumeTime;
+          }
+          adBreakState.resumeTime = undefined;
+        };
+        const onSeeked = () => {
+          prevTime = media.currentTime;
+        };
+        const onLoadStart = () => {
+          resetAdBreakState(media);
+        };
+
+        media.addEventListener('timeupdate', onTimeUpdate);
+        media.addEventListener('ended', onTimeUpdate);
+        media.addEventListener('seeked', onSeeked);
+        media.addEventListener('loadstart', onLoadStart);
+
+        return () => {
+          media.removeEventListener('timeupdate', onTimeUpdate);
+          media.removeEventListener('ended', onTimeUpdate);
+          media.removeEventListener('seeked', onSeeked);
+          media.removeEventListener('loadstart', onLoadStart);
+        };
+      },
+    ],
+  },
+  mediaAdSkipCountdown: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return undefined;
+
+      // The seconds until the ad break that is playing can be skipped, 0 once it can be.
+      const adBreak = getAdBreakAtTime(
+        stateMediator.mediaCuePoints.get(stateOwners),
+        media.currentTime
+      );
+      if (adBreak?.skipOffset == null) return undefined;
+      return Math.max(
+        Math.ceil(adBreak.startTime + adBreak.skipOffset - media.currentTime),
+        0
+      );
+    },
+    mediaEvents: [
+      'timeupdate',
+      'seeking',
+      'loadstart',
+      'loadedmetadata',
+      'cuepointschange',
+    ],
+    textTracksEvents: ['addtrack', 'removetrack', 'change'],
+  },
+  mediaLoopRange: {
+    get(stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return undefined;
+
+      return loopRanges.get(media);
+    },
+    set(value, stateOwners) {
+      const { media } = stateOwners;
+      if (!media) return;
+
+      if (value == null) {
+        loopRanges.delete(media);
+      } else {
+        loopRanges.set(media, value);
+
+        // Jump into the loop if playback is outside of it.
+        const [start, end] = value;
+        if (media.readyState && !(media.currentTime >= start && media.currentTime < end)) {
+          media.currentTime = start;
+        }
+      }
+
+      media.dispatchEvent?.(new globalThis.CustomEvent('looprangechange'));
+    },
+    mediaEvents: ['looprangechange'],
+    stateOwnersUpdateHandlers: [
+      (handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media) return;
+
+        // Seeks back to the start of the loop whenever playback reaches its end.
+        const onTimeUpdate = (event) => {
+          const loopRange = loopRanges.get(media);
+          if (!loopRange || media.seeking) return;
+
+          const [start, end] = loopRange;
+          if (event.type !== 'ended' && media.currentTime < end) return;
+
+          media.currentTime = start;
+          if (event.type === 'ended') media.play?.()?.catch(() => {});
+        };
+        // A loop range doesn't carry over to a new source.
+        const onLoadStart = (event) => {
+          if (!loopRanges.delete(media)) return;
+          handler(event);
+        };
+
+        media.addEventListener('timeupdate', onTimeUpdate);
+        media.addEventListener('ended', onTimeUpdate);
+        media.addEventListener('loadstart', onLoadStart);
+
+        return () => {
+          media.removeEventListener('timeupdate', onTimeUpdate);
+          media.removeEventListener('ended', onTimeUpdate);
+          media.removeEventListener('loadstart', onLoadStart);
+        };
+      },
+    ],
+  },
+  mediaAngleList: {
+    get(stateOwners) {
+      const { mediaAngles = [] } = stateOwners;
+      // A single media element isn't a multi-angle presentation.
+      if (mediaAngles.length < 2) return [];
+
+      return mediaAngles.map((angle, index) => ({
+        id: getAngleId(angle, index),
+        label: angle.getAttribute?.('label') ?? undefined,
+      }));
+    },
+    mediaEvents: ['mediaanglechange'],
+  },
+  mediaAngleSelected: {
+    get(stateOwners) {
+      const { media, mediaAngles = [] } = stateOwners;
+      const index = mediaAngles.indexOf(media);
+      if (!media || mediaAngles.length < 2 || index === -1) return undefined;
+
+      return getAngleId(media, index);
+    },
+    set(value, stateOwners) {
+      const { media, mediaAngles = [] } = stateOwners;
+      if (!media) return;
+
+      const angle = mediaAngles.find(
+        (angle, index) => getAngleId(angle, index) === `${value}`
+      );
+      if (!angle || angle === media) return;
+
+      // Hand over time, rate and audio before swapping which angle is visible.
+      syncAngle(media, angle);
+      angle.volume = media.volume;
+      angle.muted = media.muted;
+      angle.hidden = false;
+      media.muted = true;
+      media.hidden = true;
+
+      // Let the media container pick up the new primary media.
+      angle.dispatchEvent?.(
+        new globalThis.CustomEvent('mediaanglechange', {
+          composed: true,
+          bubbles: true,
+        })
+      );
+    },
+    mediaEvents: ['mediaanglechange'],
+    stateOwnersUpdateHandlers: [
+      (_handler, stateOwners) => {
+        const { media, mediaAngles = [] } = stateOwners;
+        if (!media || mediaAngles.length < 2) return;
+
+        const followers = mediaAngles.filter((angle) => angle !== media);
+        // Only the primary angle is seen and heard.
+        followers.forEach((angle) => {
+          angle.hidden = true;
+          angle.muted = true;
+        });
+
+        const onChange = () => {
+          followers.forEach((angle) => syncAngle(media, angle));
+        };
+        onChange();
+
+        const events = ['play', 'pause', 'seeked', 'ratechange', 'timeupdate'];
+        events.forEach((type) => media.addEventListener(type, onChange));
+
+        return () => {
+          events.forEach((type) => media.removeEventListener(type, onChange));
+        };
+      },
+    ],
+  },
+  mediaPlaylist: {
+    get(stateOwners) {
+      return stateOwners.options?.playlist ?? [];
+    },
+    set(value, stateOwners) {
+      const { media, options } = stateOwners;
+      if (!options) return;
+
+      options.playlist = value ?? [];
+      media?.dispatchEvent?.(new globalThis.CustomEvent('playlistchange'));
+    },
+    mediaEvents: ['playlistchange'],
+  },
+  mediaPlaylistIndex: {
+    get(stateOwners) {
+      const { media, options } = stateOwners;
+      const index = getPlaylistIndex(options?.playlist ?? [], media);
+      return index === -1 ? undefined : index;
+    },
+    set(value, stateOwners) {
+      const { media, options } = stateOwners;
+      const item = options?.playlist?.[value];
+      if (!media || !item) return;
+
+      // Keep playing if the media was playing or just finished playing.
+      loadPlaylistItem(media, item, !media.paused || !!media.ended);
+      media.dispatchEvent?.(new globalThis.CustomEvent('playlistchange'));
+    },
+    mediaEvents: ['playlistchange', 'loadstart', 'emptied'],
+    stateOwnersUpdateHandlers: [
+      (_handler, stateOwners) => {
+        const { media, options } = stateOwners;
+        if (!media) return;
+
+        const onEnded = () => {
+          // Options are "live", so check them when the media ends.
+          if (!options?.autoAdvance) return;
+          // A loop range keeps playing the same item.
+          if (loopRanges.has(media)) return;
+          const playlist = options.playlist ?? [];
+          const index = getPlaylistIndex(playlist, media);
+          if (index === -1 || index + 1 >= playlist.length) return;
+
+          stateMediator.mediaPlaylistIndex.set(index + 1, stateOwners);
+        };
+
+        media.addEventListener('ended', onEnded);
+
+        return () => {
+          media.removeEventListener('ended', onEnded);
+        };
+      },
+    ],
+  },
   // Modeling state tied to root node
   mediaIsPip: {
     get(stateOwners) {
@@ -854,10 +1633,46 @@ export const stateMediator = {
 
       for (let track of media.audioTracks) {
         track.enabled = audioTrackId == track.id;
+        if (track.enabled && track.language) {
+          setPreference(stateOwners, PreferenceKeys.AUDIO_TRACK_LANG, track.language);
+        }
       }
     },
     mediaEvents: ['emptied'],
     audioTracksEvents: ['addtrack', 'removetrack', 'change'],
+    stateOwnersUpdateHandlers: [
+      (_handler, stateOwners) => {
+        const { media } = stateOwners;
+        if (!media?.audioTracks) return;
+
+        const updatePreferredAudioTrackCallback = () => {
+          getPreference(stateOwners, PreferenceKeys.AUDIO_TRACK_LANG, (audioTrackLangPref) => {
+            if (!audioTrackLangPref) return;
+            const audioTracks = [...(media.audioTracks ?? [])];
+            const preferredTrack =
+              audioTracks.find(({ language }) => language === audioTrackLangPref) ??
+              audioTracks.find(({ language }) =>
+                language?.split('-')[0] === audioTrackLangPref.split('-')[0]
+              );
+            if (!preferredTrack || preferredTrack.enabled) return;
+
+            // NOTE: Enabling the track fires a `change` event, so no need to invoke `handler()`.
+            for (let track of media.audioTracks) {
+              track.enabled = track === preferredTrack;
+            }
+          });
+        };
+
+        media.audioTracks.addEventListener('addtrack', updatePreferredAudioTrackCallback);
+
+        // Invoke immediately as well, in case audio tracks are already added
+        updatePreferredAudioTrackCallback();
+
+        return () => {
+          media.audioTracks?.removeEventListener('addtrack', updatePreferredAudioTrackCallback);
+        };
+      },
+    ],
   },
   mediaIsFullscreen: {
     get(stateOwners) {
@@ -0,0 +1,196 @@
+import { globalThis } from '../utils/server-safe-globals.js';
+import { TextTrackKinds } from '../constants.js';
+import { getTextTracksList } from '../utils/captions.js';
+
+/**
+ * @typedef {import('./state-mediator.js').StateOwners} StateOwners
+ */
+
+/**
+ * A preview thumbnail. The `url` is the image (or sprite sheet) and the optional `coords` are
+ * the `[x, y, width, height]` of the thumbnail in the image. Without coords the whole image is shown.
+ * @typedef {{ url: string; coords?: [number, number, number, number] }} Thumbnail
+ */
+
+/**
+ * ThumbnailSource resolves the preview thumbnail for a given time. Thumbnails are resolved synchronously
+ * while previewing, so sources that need to load data (e.g. a storyboard) should do so up front and
+ * return `undefined` until they're ready.
+ * @typedef {{ getThumbnail(time: number, stateOwners: StateOwners): Thumbnail | undefined }} ThumbnailSource
+ */
+
+/**
+ * Resolves thumbnails from the cues of a metadata text track (by default labelled `thumbnails`),
+ * where each cue's text is an image URL with a `#xywh=x,y,w,h` media fragment.
+ * @param {{ label?: string }} [config]
+ * @returns {ThumbnailSource}
+ */
+export const createTextTrackThumbnailSource = (config = {}) => {
+  const { label = 'thumbnails' } = config;
+  return {
+    getThumbnail(time, { media }) {
+      if (!media) return undefined;
+
+      const [track] = getTextTracksList(media, {
+        kind: TextTrackKinds.METADATA,
+        label,
+      });
+
+      const cue = Array.prototype.find.call(track?.cues ?? [], (c, i, cs) => {
+        // If our first preview image cue ends after the time, use it.
+        if (i === 0) return c.endTime > time;
+        // If our last preview image cue ends at or before the time, use it.
+        if (i === cs.length - 1) return c.startTime <= time;
+        // Otherwise, use the cue that contains the time
+        return c.startTime <= time && c.endTime > time;
+      });
+
+      if (!cue) return undefined;
+
+      const base = !/^(?:[a-z]+:)?\/\//i.test(cue.text)
+        ? /** @type {HTMLTrackElement | null} */ (
+            media.querySelector?.(`track[label="${label}"]`)
+          )?.src
+        : undefined;
+      const url = new URL(cue.text, base);
+      const coordsStr = new URLSearchParams(url.hash).get('#xywh');
+
+      return {
+        url: url.href,
+        coords: /** @type {[number, number, number, number]} */ (
+          coordsStr?.split(',').map(Number)
+        ),
+      };
+    },
+  };
+};
+
+/**
+ * A storyboard is a sprite sheet (or multiple sheets) of equally sized tiles. Tiles are either laid out in a
+ * grid, one for every `interval` seconds, or listed explicitly in `tiles` with their start time and position.
+ * Snake cased property names (e.g. `tile_width`) are accepted as well.
+ * @typedef {{
+ *   url: string | string[];
+ *   tileWidth: number;
+ *   tileHeight: number;
+ *   columns?: number;
+ *   rows?: number;
+ *   interval?: number;
+ *   tiles?: { start: number; x: number; y: number; }[];
+ * }} Storyboard
+ */
+
+/**
+ * @param {Storyboard} storyboard
+ * @param {number} time
+ * @param {string} [base]
+ * @returns {Thumbnail | undefined}
+ */
+export const getStoryboardThumbnail = (storyboard, time, base) => {
+  const tileWidth = storyboard.tileWidth ?? storyboard['tile_width'];
+  const tileHeight = storyboard.tileHeight ?? storyboard['tile_height'];
+  const urls = [].concat(storyboard.url ?? storyboard['urls'] ?? []);
+  if (!urls.length || !tileWidth || !tileHeight) return undefined;
+
+  const toUrl = (url) => new URL(url, base).href;
+
+  if (Array.isArray(storyboard.tiles)) {
+    const tile =
+      storyboard.tiles.filter(({ start }) => start <= time).pop() ??
+      storyboard.tiles[0];
+    if (!tile) return undefined;
+    return {
+      url: toUrl(urls[0]),
+      coords: [tile.x, tile.y, tileWidth, tileHeight],
+    };
+  }
+
+  const { columns, interval } = storyboard;
+  if (!columns || !interval) return undefined;
+
+  const rows = storyboard.rows ?? Infinity;
+  // The last interval before the end of the media can be past the last tile.
+  const index = Math.min(
+    Math.max(Math.floor(time / interval), 0),
+    columns * rows * urls.length - 1
+  );
+  const sheetIndex = Math.min(
+    Math.floor(index / (columns * rows)) || 0,
+    urls.length - 1
+  );
+  const tileIndex = index % (columns * rows);
+
+  return {
+    url: toUrl(urls[sheetIndex]),
+    coords: [
+      (tileIndex % columns) * tileWidth,
+      Math.floor(tileIndex / columns) * tileHeight,
+      tileWidth,
+      tileHeight,
+    ],
+  };
+};
+
+/**
+ * Resolves thumbnails from a JSON storyboard, either the storyboard object itself or a URL to load it from.
+ * @param {Storyboard | string} storyboardOrUrl
+ * @returns {ThumbnailSource}
+ */
+export const createStoryboardThumbnailSource = (storyboardOrUrl) => {
+  /** @type {Storyboard | undefined} */
+  let storyboard;
+  let base;
+
+  if (typeof storyboardOrUrl === 'string') {
+    base = new URL(storyboardOrUrl, globalThis.document?.baseURI).href;
+    fetch(base)
+      .then((res) => res.json())
+      .then((json) => {
+        storyboard = json;
+      })
+      .catch((err) => {
+        console.warn('Media Chrome: Failed to load storyboard', err);
+      });
+  } else {
+    storyboard = storyboardOrUrl;
+  }
+
+  return {
+    getThumbnail(time) {
+      if (!storyboard) return undefined;
+      return getStoryboardThumbnail(storyboard, time, base);
+    },
+  };
+};
+
+/**
+ * Resolves thumbnails from a `getThumbnail(time)` method on the media element, which should
+ * synchronously return a `Thumbnail` (or a `Thumbnail`'s URL).
+ * @returns {ThumbnailSource}
+ */
+export const createMediaThumbnailSource = () => ({
+  getThumbnail(time, { media }) {
+    // @ts-ignore
+    const thumbnail = media?.getThumbnail?.(time);
+    if (!thumbnail) return undefined;
+    return typeof thumbnail === 'string' ? { url: thumbnail } : thumbnail;
+  },
+});
+
+const mediaThumbnailSource = createMediaThumbnailSource();
+const textTrackThumbnailSource = createTextTrackThumbnailSource();
+
+/**
+ * The default ThumbnailSource uses the media's `getThumbnail(time)` method when available
+ * and otherwise the metadata text track labelled `thumbnails`.
+ * @type {ThumbnailSource}
+ */
+export const defaultThumbnailSource = {
+  getThumbnail(time, stateOwners) {
+    // @ts-ignore
+    if (typeof stateOwners.media?.getThumbnail === 'function') {
+      return mediaThumbnailSource.getThumbnail(time, stateOwners);
+    }
+    return textTrackThumbnailSource.getThumbnail(time, stateOwners);
+  },
+};
@@ -1,5 +1,13 @@
 import { TextTrackKinds, TextTrackModes } from '../constants.js';
-import { getTextTracksList, updateTracksModeTo } from '../utils/captions.js';
+import { document } from '../utils/server-safe-globals.js';
+import {
+  getCaptionStyleCSS,
+  getTextTracksList,
+  isTrackCustomRendered,
+  updateTracksModeTo,
+} from '../utils/captions.js';
+import { DEFAULT_FRAME_RATE } from '../utils/time.js';
+import { PreferenceKeys, getPreference } from './preferences.js';
 
 export const getSubtitleTracks = (stateOwners) => {
   return getTextTracksList(stateOwners.media, (textTrack) => {
@@ -12,7 +20,9 @@ export const getSubtitleTracks = (stateOwners) => {
 export const getShowingSubtitleTracks = (stateOwners) => {
   return getTextTracksList(stateOwners.media, (textTrack) => {
     return (
-      textTrack.mode === TextTrackModes.SHOWING &&
+      (textTrack.mode === TextTrackModes.SHOWING ||
+        // Custom rendered tracks are hidden from the browser but shown to the user.
+        (textTrack.mode === TextTrackModes.HIDDEN && isTrackCustomRendered(textTrack))) &&
       [TextTrackKinds.SUBTITLES, TextTrackKinds.CAPTIONS].includes(
         textTrack.kind
       )
@@ -41,13 +51,21 @@ export const toggleSubtitleTracks = (stateOwners, force) => {
   if (force === false || (subtitlesShowing && force !== true)) {
     updateTracksModeTo(TextTrackModes.DISABLED, tracks, showingSubitleTracks);
   } else if (force === true || (!subtitlesShowing && force !== false)) {
-    let subTrack = tracks[0];
+    const showSubtitleTrack = ({ language, label, kind }) => {
+      updateTracksModeTo(TextTrackModes.DISABLED, tracks, showingSubitleTracks);
+      updateTracksModeTo(TextTrackModes.SHOWING, tracks, [
+        { language, label, kind },
+      ]);
+    };
+
     const { options } = stateOwners;
-    if (!options?.noSubtitlesLangPref) {
-      const subtitlesPref = globalThis.localStorage.getItem(
-        'media-chrome-pref-subtitles-lang'
-      );
+    if (options?.noSubtitlesLangPref) {
+      showSubtitleTrack(tracks[0]);
+      return;
+    }
 
+    // NOTE: For synchronous preference storage (like localStorage) this is invoked synchronously.
+    getPreference(stateOwners, PreferenceKeys.SUBTITLES_LANG, (subtitlesPref) => {
       const userLangPrefs = subtitlesPref
         ? [subtitlesPref, ...globalThis.navigator.languages]
         : globalThis.navigator.languages;
@@ -69,15 +87,338 @@ export const toggleSubtitleTracks = (stateOwners, force) => {
 
       // Since there may not have been any user preferred subs/cc match, keep the default (picking the first) as
       // the subtitle track to show for these cases.
-      if (preferredAvailableSubs[0]) {
-        subTrack = preferredAvailableSubs[0];
-      }
+      showSubtitleTrack(preferredAvailableSubs[0] ?? tracks[0]);
+    });
+  }
+};
+
+/**
+ * Finds the chapter cue that contains a given time.
+ * @param {Pick<VTTCue,'text'|'startTime'|'endTime'>[]} chaptersCues
+ * @param {number} time
+ * @param {number} [duration]
+ */
+export const getChapterAtTime = (chaptersCues, time, duration) => {
+  if (time == null) return undefined;
+  return chaptersCues.find((c, i, cs) => {
+    // Since Chapters may be "gappy", only treat the endtime as inclusive
+    // if it is the last chapter cue and that cue ends when the entire media ends
+    if (i === cs.length - 1 && duration === c.endTime) {
+      return c.startTime <= time && c.endTime >= time;
     }
-    const { language, label, kind } = subTrack;
-    updateTracksModeTo(TextTrackModes.DISABLED, tracks, showingSubitleTracks);
-    updateTracksModeTo(TextTrackModes.SHOWING, tracks, [
-      { language, label, kind },
-    ]);
+    return c.startTime <= time && c.endTime > time;
+  });
+};
+
+/**
+ * A cue point marks a time (or time range) in the media, like an ad break.
+ * @typedef {{ startTime: number; endTime?: number; type?: string; text?: string; skipOffset?: number; }} CuePoint
+ */
+
+/**
+ * @param {CuePoint} cuePoint
+ */
+export const isAdBreak = (cuePoint) =>
+  cuePoint?.type === 'ad' && cuePoint.endTime > cuePoint.startTime;
+
+/**
+ * Finds the ad break that contains a given time.
+ * @param {CuePoint[]} cuePoints
+ * @param {number} time
+ */
+export const getAdBreakAtTime = (cuePoints, time) => {
+  if (time == null || Number.isNaN(time)) return undefined;
+  return cuePoints.find(
+    (c) => isAdBreak(c) && c.startTime <= time && c.endTime > time
+  );
+};
+
+/**
+ * The start times of the ad breaks that have been watched and the time to
+ * resume at after an ad break that interrupted a seek.
+ * @typedef {{ watched: Set<number>; resumeTime?: number; }} AdBreakState
+ */
+
+/** @type {WeakMap<object, AdBreakState>} */
+const adBreakStates = new WeakMap();
+
+/**
+ * @param {object} media
+ * @returns {AdBreakState}
+ */
+export const getAdBreakState = (media) => {
+  if (!media) return { watched: new Set() };
+  if (!adBreakStates.has(media)) {
+    adBreakStates.set(media, { watched: new Set() });
+  }
+  return adBreakStates.get(media);
+};
+
+export const resetAdBreakState = (media) => {
+  if (media) adBreakStates.delete(media);
+};
+
+/**
+ * Finds the last unwatched ad break that would be skipped by seeking from one time to another.
+ * @param {object} media
+ * @param {CuePoint[]} cuePoints
+ * @param {number} fromTime
+ * @param {number} toTime
+ */
+export const getSkippedAdBreak = (media, cuePoints, fromTime, toTime) => {
+  if (!(toTime > fromTime)) return undefined;
+  const { watched } = getAdBreakState(media);
+  return cuePoints
+    .filter(
+      (c) =>
+        isAdBreak(c) &&
+        !watched.has(c.startTime) &&
+        c.startTime > fromTime &&
+        c.startTime <= toTime
+    )
+    .pop();
+};
+
+/**
+ * Seeks to a time unless that would skip an ad break that hasn't been watched yet. Seeking over
+ * an unwatched ad break seeks to its start instead and resumes at the time once it's watched.
+ * While in an unwatched ad break, seeking is not allowed at all, unless `afterAdBreak` is set
+ * to seek once the ad break is watched, e.g. to resume a stored position after a pre-roll.
+ * @param {import('./state-mediator.js').StateMediator} stateMediator
+ * @param {import('./state-mediator.js').StateOwners} stateOwners
+ * @param {number} time
+ * @param {{ afterAdBreak?: boolean }} [options]
+ */
+export const seekRespectingAdBreaks = (stateMediator, stateOwners, time, options = {}) => {
+  const { afterAdBreak = false } = options;
+  const { media } = stateOwners;
+  const key = 'mediaCurrentTime';
+  const cuePoints = stateMediator.mediaCuePoints.get(stateOwners);
+  const currentTime = stateMediator[key].get(stateOwners);
+
+  if (media && cuePoints.length) {
+    const adBreakState = getAdBreakState(media);
+    const currentAdBreak = getAdBreakAtTime(cuePoints, currentTime);
+    if (currentAdBreak && !adBreakState.watched.has(currentAdBreak.startTime)) {
+      if (afterAdBreak) adBreakState.resumeTime = time;
+      return;
+    }
+
+    const skippedAdBreak = getSkippedAdBreak(media, cuePoints, currentTime, time);
+    if (skippedAdBreak) {
+      adBreakState.resumeTime = time;
+      time = skippedAdBreak.startTime;
+    }
+  }
+
+  stateMediator[key].set(time, stateOwners);
+};
+
+/**
+ * Gets the frames per second of the media, from the `frameRate` option if configured,
+ * else from the selected video rendition, else the default of 30.
+ * @param {import('./state-mediator.js').StateOwners} stateOwners
+ * @returns {number}
+ */
+export const getFrameRate = ({ media, options }) => {
+  const renditions = media?.videoRenditions;
+  const renditionFrameRate = renditions?.[renditions.selectedIndex]?.frameRate;
+  return [options?.frameRate, renditionFrameRate].find((rate) => rate > 0) ?? DEFAULT_FRAME_RATE;
+};
+
+/**
+ * Gets the wall-clock date of the media time 0 from the program date time of a live stream,
+ * exposed by Safari and custom media elements like hls-video with `getStartDate()`.
+ * @param {import('./state-mediator.js').MediaStateOwner & { getStartDate?: () => Date }} media
+ * @returns {number | undefined} Milliseconds since the epoch.
+ */
+export const getMediaStartDate = (media) => {
+  const startDate = media?.getStartDate?.()?.getTime();
+  // Safari returns an invalid date if the stream has no program date time.
+  return Number.isFinite(startDate) ? startDate : undefined;
+};
+
+/**
+ * The media time of the last frame presented after a frame step, per media.
+ * @type {WeakMap<object, number>}
+ */
+const presentedFrameTimes = new WeakMap();
+
+/**
+ * Gets the start time of the frame that is shown, if it's known from a previous frame step
+ * and the media hasn't moved to another frame since.
+ * @param {object} media
+ * @param {number} currentTime
+ * @param {number} frameRate
+ * @returns {number | undefined}
+ */
+export const getPresentedFrameTime = (media, currentTime, frameRate) => {
+  const frameTime = presentedFrameTimes.get(media);
+  if (frameTime == null) return undefined;
+  return currentTime >= frameTime && currentTime < frameTime + 1 / frameRate
+    ? frameTime
+    : undefined;
+};
+
+/**
+ * Remembers the media time of the next frame the video presents, where the browser
+ * supports `requestVideoFrameCallback()`. Its `mediaTime` is the exact start of the frame,
+ * unlike `currentTime` which can be anywhere in the frame.
+ * @param {import('./state-mediator.js').MediaStateOwner} media
+ */
+export const trackPresentedFrame = (media) => {
+  if (typeof media?.requestVideoFrameCallback !== 'function') return;
+  // Forget the frame of the previous step, it's stale until the next frame is presented.
+  presentedFrameTimes.delete(media);
+  media.requestVideoFrameCallback((_now, { mediaTime }) => {
+    presentedFrameTimes.set(media, mediaTime);
+  });
+};
+
+/**
+ * Angles are identified by their element `id`, or else by their index.
+ * @param {{ id?: string }} angle
+ * @param {number} index
+ */
+export const getAngleId = (angle, index) => angle.id || `${index}`;
+
+// Drift (in seconds) past which a follower angle is seeked instead of nudged.
+const ANGLE_MAX_DRIFT = 1;
+// Drift (in seconds) that is small enough to ignore while playing.
+const ANGLE_DRIFT_TOLERANCE = 0.1;
+// How much faster or slower a follower angle plays to catch up.
+const ANGLE_DRIFT_RATE_ADJUSTMENT = 0.05;
+
+/**
+ * Makes a follower angle follow the primary media's play/pause, time and playback rate.
+ * Small drift is corrected by nudging the playback rate, which is smoother than seeking.
+ * @param {import('./state-mediator.js').MediaStateOwner} primary
+ * @param {import('./state-mediator.js').MediaStateOwner} follower
+ */
+export const syncAngle = (primary, follower) => {
+  const drift = follower.currentTime - primary.currentTime;
+  const maxDrift = primary.paused ? 0.01 : ANGLE_MAX_DRIFT;
+  let playbackRate = primary.playbackRate;
+
+  if (Math.abs(drift) > maxDrift) {
+    if (follower.readyState) follower.currentTime = primary.currentTime;
+  } else if (Math.abs(drift) > ANGLE_DRIFT_TOLERANCE && !primary.paused) {
+    playbackRate *= 1 - Math.sign(drift) * ANGLE_DRIFT_RATE_ADJUSTMENT;
+  }
+
+  if (follower.playbackRate !== playbackRate) {
+    follower.playbackRate = playbackRate;
+  }
+
+  if (primary.paused && !follower.paused) {
+    follower.pause?.();
+  } else if (!primary.paused && follower.paused) {
+    follower.play()?.catch?.(() => {});
+  }
+};
+
+/**
+ * An item of a playlist.
+ * @typedef {{
+ *   src: string;
+ *   poster?: string;
+ *   title?: string;
+ *   tracks?: { src: string; kind?: string; label?: string; srclang?: string; default?: boolean; }[];
+ * }} PlaylistItem
+ */
+
+const resolveUrl = (url, base) => {
+  try {
+    return new URL(url, base).href;
+  } catch {
+    return url;
+  }
+};
+
+/**
+ * Finds the index of the playlist item that is loaded in the media, if any.
+ * @param {PlaylistItem[]} playlist
+ * @param {import('./state-mediator.js').MediaStateOwner} media
+ */
+export const getPlaylistIndex = (playlist, media) => {
+  const src = media?.getAttribute?.('src') ?? media?.src;
+  if (!src) return -1;
+  const { baseURI } = media;
+  return playlist.findIndex(
+    (item) =>
+      item.src === src || resolveUrl(item.src, baseURI) === resolveUrl(src, baseURI)
+  );
+};
+
+/**
+ * Swaps the source, poster and text tracks of the media for those of a playlist item.
+ * @param {import('./state-mediator.js').MediaStateOwner} media
+ * @param {PlaylistItem} item
+ * @param {boolean} [autoplay]
+ */
+export const loadPlaylistItem = (media, item, autoplay = false) => {
+  if (item.poster) {
+    media.setAttribute?.('poster', item.poster);
+  } else {
+    media.removeAttribute?.('poster');
+  }
+
+  media.querySelectorAll?.('track').forEach((track) => track.remove());
+  item.tracks?.forEach(({ default: isDefault, ...attrs }) => {
+    const track = document.createElement('track');
+    Object.entries(attrs).forEach(([name, value]) => {
+      if (value != null) track.setAttribute(name, value);
+    });
+    track.toggleAttribute('default', !!isDefault);
+    media.append?.(track);
+  });
+
+  media.src = item.src;
+  media.load?.();
+  if (autoplay) media.play()?.catch?.(() => {});
+};
+
+// Identifies the media a `::cue` rule applies to.
+const CAPTION_STYLE_ATTR = 'data-caption-style';
+let captionStyleCount = 0;
+/** @type {WeakMap<object, HTMLStyleElement>} */
+const captionStyleElements = new WeakMap();
+
+/**
+ * Applies a caption style to the captions of the media. Media that render captions
+ * themselves can implement a `captionStyle` property to receive the style, for native
+ * captions a `::cue` rule is added to the document or shadow root of the media.
+ * @param {import('./state-mediator.js').MediaStateOwner & { captionStyle?: import('../utils/captions.js').CaptionStyle }} media
+ * @param {import('../utils/captions.js').CaptionStyle} [style] - Removes the style if `undefined`.
+ */
+export const applyCaptionStyle = (media, style) => {
+  if ('captionStyle' in media) {
+    media.captionStyle = style;
+    return;
+  }
+
+  const css = style ? getCaptionStyleCSS(style) : '';
+  let styleEl = captionStyleElements.get(media);
+
+  if (!css || !media.isConnected) {
+    styleEl?.remove();
+    captionStyleElements.delete(media);
+    media.removeAttribute?.(CAPTION_STYLE_ATTR);
+    return;
+  }
+
+  if (!styleEl) {
+    styleEl = document.createElement('style');
+    captionStyleElements.set(media, styleEl);
+  }
+
+  const id = media.getAttribute(CAPTION_STYLE_ATTR) ?? `${++captionStyleCount}`;
+  media.setAttribute(CAPTION_STYLE_ATTR, id);
+  styleEl.textContent = `[${CAPTION_STYLE_ATTR}="${id}"]::cue { ${css} }`;
+
+  if (!styleEl.isConnected) {
+    const root = /** @type {Document|ShadowRoot} */ (media.getRootNode());
+    (/** @type {Document} */ (root).head ?? root).append(styleEl);
   }
 };
 
@@ -1,5 +1,5 @@
 import { MediaStateReceiverAttributes } from './constants.js';
-import { getOrInsertCSSRule } from './utils/element-utils.js';
+import { getOrInsertCSSRule, onLangChange } from './utils/element-utils.js';
 import { globalThis, document } from './utils/server-safe-globals.js';
 // Todo: Use data locals: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleTimeString
 
@@ -67,6 +67,7 @@ template.innerHTML = /*html*/`
  */
 class MediaTextDisplay extends globalThis.HTMLElement {
   #mediaController;
+  #removeLangChangeListener;
 
   static get observedAttributes() {
     return [MediaStateReceiverAttributes.MEDIA_CONTROLLER];
@@ -108,13 +109,26 @@ class MediaTextDisplay extends globalThis.HTMLElement {
       this.#mediaController = this.getRootNode()?.getElementById(mediaControllerId);
       this.#mediaController?.associateElement?.(this);
     }
+
+    this.#removeLangChangeListener = onLangChange(this, () =>
+      this.langChangedCallback()
+    );
   }
 
   disconnectedCallback() {
     // Use cached mediaController, getRootNode() doesn't work if disconnected.
     this.#mediaController?.unassociateElement?.(this);
     this.#mediaController = null;
+
+    this.#removeLangChangeListener?.();
+    this.#removeLangChangeListener = undefined;
   }
+
+  /**
+   * Called when the `lang` attribute of the media controller changes,
+   * override to update the labels.
+   */
+  langChangedCallback() {}
 }
 
 if (!globalThis.customElements.get('media-text-display')) {
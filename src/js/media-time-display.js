@@ -3,18 +3,30 @@ import {
   getBooleanAttr,
   getNumericAttr,
   getOrInsertCSSRule,
+  getStringAttr,
   setBooleanAttr,
   setNumericAttr,
+  setStringAttr,
+  getLocale,
 } from './utils/element-utils.js';
 import { globalThis } from './utils/server-safe-globals.js';
-import { formatAsTimePhrase, formatTime } from './utils/time.js';
+import {
+  DEFAULT_FRAME_RATE,
+  TimeFormats,
+  formatAsTimePhrase,
+  formatClockTime,
+  formatDisplayTime,
+} from './utils/time.js';
+import { capitalize } from './utils/utils.js';
 import { MediaUIAttributes } from './constants.js';
-import { nouns } from './labels/labels.js';
+import { nouns, verbs } from './labels/labels.js';
 
 export const Attributes = {
   REMAINING: 'remaining',
   SHOW_DURATION: 'showduration',
   NO_TOGGLE: 'notoggle',
+  FORMAT: 'format',
+  FRAME_RATE: 'framerate',
 };
 
 const CombinedAttributes = [
@@ -22,6 +34,8 @@ const CombinedAttributes = [
   MediaUIAttributes.MEDIA_CURRENT_TIME,
   MediaUIAttributes.MEDIA_DURATION,
   MediaUIAttributes.MEDIA_SEEKABLE,
+  MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET,
+  MediaUIAttributes.MEDIA_CURRENT_DATE,
 ];
 
 // Todo: Use data locals: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleTimeString
@@ -30,7 +44,34 @@ const ButtonPressedKeys = ['Enter', ' '];
 
 const DEFAULT_TIMES_SEP = '&nbsp;/&nbsp;';
 
+/**
+ * The phrase of a time that matches how it's displayed, for the `aria-valuetext`.
+ * @param {MediaTimeDisplay} el
+ * @param {number} seconds
+ * @param {string} [lang]
+ */
+const formatTimePhrase = (el, seconds, lang) => {
+  // There's no telling how to phrase the time of a custom formatter.
+  if (el.formatter) return formatDisplayTime(el, seconds, { lang });
+  return formatAsTimePhrase(seconds, lang, { format: el.format, frameRate: el.frameRate });
+};
+
 const formatTimesLabel = (el, { timesSep = DEFAULT_TIMES_SEP } = {}) => {
+  const lang = getLocale(el);
+
+  // Streams with a program date time can show the wall-clock time instead.
+  if (el.format === TimeFormats.CLOCK && el.mediaCurrentDate != null) {
+    return formatClockTime(el.mediaCurrentDate, lang);
+  }
+
+  // DVR streams show how far behind live the playback is instead.
+  const liveEdgeOffset = el.mediaLiveEdgeOffset;
+  if (liveEdgeOffset != null) {
+    return liveEdgeOffset < 0
+      ? nouns.BEHIND_LIVE({ time: formatDisplayTime(el, liveEdgeOffset, { lang }), lang })
+      : capitalize(nouns.LIVE({ lang }));
+  }
+
   const showRemaining = el.hasAttribute(Attributes.REMAINING);
   const showDuration = el.hasAttribute(Attributes.SHOW_DURATION);
   const currentTime = el.mediaCurrentTime ?? 0;
@@ -38,36 +79,56 @@ const formatTimesLabel = (el, { timesSep = DEFAULT_TIMES_SEP } = {}) => {
   const endTime = el.mediaDuration ?? seekableEnd ?? 0;
 
   const timeLabel = showRemaining
-    ? formatTime(0 - (endTime - currentTime))
-    : formatTime(currentTime);
+    ? formatDisplayTime(el, 0 - (endTime - currentTime), { lang })
+    : formatDisplayTime(el, currentTime, { lang });
 
   if (!showDuration) return timeLabel;
-  return `${timeLabel}${timesSep}${formatTime(endTime)}`;
+  return `${timeLabel}${timesSep}${formatDisplayTime(el, endTime, { lang })}`;
 };
 
-const DEFAULT_MISSING_TIME_PHRASE = 'video not loaded, unknown time.';
-
 const updateAriaValueText = (el) => {
+  const lang = getLocale(el);
+
+  if (el.format === TimeFormats.CLOCK && el.mediaCurrentDate != null) {
+    el.setAttribute('aria-valuetext', formatClockTime(el.mediaCurrentDate, lang));
+    return;
+  }
+
+  const liveEdgeOffset = el.mediaLiveEdgeOffset;
+  if (liveEdgeOffset != null) {
+    el.setAttribute(
+      'aria-valuetext',
+      liveEdgeOffset < 0
+        ? nouns.BEHIND_LIVE({ time: formatTimePhrase(el, -liveEdgeOffset, lang), lang })
+        : verbs.PLAYING_LIVE({ lang })
+    );
+    return;
+  }
+
   const currentTime = el.mediaCurrentTime;
   const [, seekableEnd] = el.mediaSeekable ?? [];
   const endTime = el.mediaDuration || seekableEnd;
   if (currentTime == null || endTime == null) {
-    el.setAttribute('aria-valuetext', DEFAULT_MISSING_TIME_PHRASE);
+    el.setAttribute('aria-valuetext', nouns.UNKNOWN_TIME({ lang }));
     return;
   }
   const showRemaining = el.hasAttribute(Attributes.REMAINING);
   const showDuration = el.hasAttribute(Attributes.SHOW_DURATION);
 
   const currentTimePhrase = showRemaining
-    ? formatAsTimePhrase(0 - (endTime - currentTime))
-    : formatAsTimePhrase(currentTime);
+    ? formatTimePhrase(el, 0 - (endTime - currentTime), lang)
+    : formatTimePhrase(el, currentTime, lang);
 
   if (!showDuration) {
     el.setAttribute('aria-valuetext', currentTimePhrase);
     return;
   }
-  const totalTimePhrase = formatAsTimePhrase(endTime);
-  const fullPhrase = `${currentTimePhrase} of ${totalTimePhrase}`;
+  const totalTimePhrase = formatTimePhrase(el, endTime, lang);
+  const fullPhrase = nouns.TIME_OF_DURATION({
+    time: currentTimePhrase,
+    duration: totalTimePhrase,
+    lang,
+  });
   el.setAttribute('aria-valuetext', fullPhrase);
 };
 
@@ -76,9 +137,14 @@ const updateAriaValueText = (el) => {
  * @attr {boolean} showduration - Toggle on to show the duration.
  * @attr {boolean} disabled - The Boolean disabled attribute makes the element not mutable or focusable.
  * @attr {boolean} notoggle - Set this to disable click or tap behavior that toggles between remaining and current time.
+ * @attr {string} format - Set to `frames` for an SMPTE timecode (`hh:mm:ss:ff`), `milliseconds` for `h:mm:ss.mmm`,
+ * `seconds` for the total seconds or `clock` to show the local wall-clock time of live streams with a program date time.
+ * @attr {string} framerate - The frames per second of the `frames` format, defaults to 30.
  * @attr {string} mediacurrenttime - (read-only) Set to the current media time.
  * @attr {string} mediaduration - (read-only) Set to the media duration.
  * @attr {string} mediaseekable - (read-only) Set to the seekable time ranges.
+ * @attr {string} mediacurrentdate - (read-only) Set to the wall-clock date of the current time in milliseconds since the epoch.
+ * @attr {string} medialiveedgeoffset - (read-only) Set to the seconds behind the live edge of a DVR stream, shown instead of the current time.
  *
  * @cssproperty [--media-time-display-display = inline-flex] - `display` property of display.
  * @cssproperty --media-control-hover-background - `background` of control hover state.
@@ -86,6 +152,8 @@ const updateAriaValueText = (el) => {
 class MediaTimeDisplay extends MediaTextDisplay {
   /** @type {HTMLSlotElement} */
   #slot;
+  /** @type {import('./utils/time.js').TimeFormatter | undefined} */
+  #formatter;
 
   static get observedAttributes() {
     return [...super.observedAttributes, ...CombinedAttributes, 'disabled'];
@@ -114,7 +182,7 @@ class MediaTimeDisplay extends MediaTextDisplay {
     }
 
     this.setAttribute('role', 'progressbar');
-    this.setAttribute('aria-label', nouns.PLAYBACK_TIME());
+    this.setAttribute('aria-label', nouns.PLAYBACK_TIME({ lang: getLocale(this) }));
 
     const keyUpHandler = (evt) => {
       const { key } = evt;
@@ -151,6 +219,11 @@ class MediaTimeDisplay extends MediaTextDisplay {
     }
   }
 
+  langChangedCallback() {
+    this.setAttribute('aria-label', nouns.PLAYBACK_TIME({ lang: getLocale(this) }));
+    this.update();
+  }
+
   disconnectedCallback() {
     this.disable();
     super.disconnectedCallback();
@@ -216,6 +289,45 @@ class MediaTimeDisplay extends MediaTextDisplay {
     setBooleanAttr(this, Attributes.NO_TOGGLE, notoggle);
   }
 
+  /**
+   * The time format, `frames`, `milliseconds`, `seconds`, or `clock` to show the wall-clock
+   * time if the stream has a program date time
+   * @type {string | undefined}
+   */
+  get format() {
+    return getStringAttr(this, Attributes.FORMAT);
+  }
+
+  set format(value) {
+    setStringAttr(this, Attributes.FORMAT, value);
+  }
+
+  /**
+   * The frames per second of the `frames` format
+   * @type {number}
+   */
+  get frameRate() {
+    return getNumericAttr(this, Attributes.FRAME_RATE, DEFAULT_FRAME_RATE);
+  }
+
+  set frameRate(value) {
+    setNumericAttr(this, Attributes.FRAME_RATE, value);
+  }
+
+  /**
+   * A function that formats the times instead of the `format`, it's called with the time
+   * in seconds and the `format`, `frameRate` and `lang` options.
+   * @type {import('./utils/time.js').TimeFormatter | undefined}
+   */
+  get formatter() {
+    return this.#formatter;
+  }
+
+  set formatter(value) {
+    this.#formatter = value ?? undefined;
+    this.update();
+  }
+
   // Props derived from media UI attributes
 
   /**
@@ -242,6 +354,18 @@ class MediaTimeDisplay extends MediaTextDisplay {
     setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_TIME, time);
   }
 
+  /**
+   * The wall-clock date of the current time
+   * @type {number | undefined} In milliseconds since the epoch
+   */
+  get mediaCurrentDate() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_DATE);
+  }
+
+  set mediaCurrentDate(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_CURRENT_DATE, value);
+  }
+
   /**
    * Range of values that can be seeked to
    * @type {[number, number] | undefined} An array of two numbers [start, end]
@@ -261,6 +385,18 @@ class MediaTimeDisplay extends MediaTextDisplay {
     this.setAttribute(MediaUIAttributes.MEDIA_SEEKABLE, range.join(':'));
   }
 
+  /**
+   * The seconds behind the live edge of a DVR stream, 0 when playing live
+   * @type {number | undefined}
+   */
+  get mediaLiveEdgeOffset() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET);
+  }
+
+  set mediaLiveEdgeOffset(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET, value);
+  }
+
   update() {
     const timesLabel = formatTimesLabel(this);
     updateAriaValueText(this);
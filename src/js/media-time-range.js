@@ -4,7 +4,7 @@ import './media-preview-thumbnail.js';
 import './media-preview-time-display.js';
 import './media-preview-chapter-display.js';
 import { MediaUIEvents, MediaUIAttributes } from './constants.js';
-import { nouns } from './labels/labels.js';
+import { nouns, verbs } from './labels/labels.js';
 import { formatAsTimePhrase } from './utils/time.js';
 import { isElementVisible } from './utils/element-utils.js';
 import { RangeAnimation } from './utils/range-animation.js';
@@ -18,17 +18,34 @@ import {
   setNumericAttr,
   getStringAttr,
   setStringAttr,
+  getLocale,
 } from './utils/element-utils.js';
 
-const DEFAULT_MISSING_TIME_PHRASE = 'video not loaded, unknown time.';
+export const Attributes = {
+  FORMAT: 'format',
+  FRAME_RATE: 'framerate',
+};
 
 const updateAriaValueText = (el) => {
   const range = el.range;
-  const currentTimePhrase = formatAsTimePhrase(+calcTimeFromRangeValue(el));
-  const totalTimePhrase = formatAsTimePhrase(+el.mediaSeekableEnd);
+  const lang = getLocale(el);
+
+  if (el.mediaLiveEdgeOffset != null) {
+    const behindLive = el.mediaSeekableEnd - calcTimeFromRangeValue(el);
+    range.setAttribute(
+      'aria-valuetext',
+      behindLive >= 1
+        ? nouns.BEHIND_LIVE({ time: formatAsTimePhrase(behindLive, lang), lang })
+        : verbs.PLAYING_LIVE({ lang })
+    );
+    return;
+  }
+
+  const currentTimePhrase = formatAsTimePhrase(+calcTimeFromRangeValue(el), lang);
+  const totalTimePhrase = formatAsTimePhrase(+el.mediaSeekableEnd, lang);
   const fullPhrase = !(currentTimePhrase && totalTimePhrase)
-    ? DEFAULT_MISSING_TIME_PHRASE
-    : `${currentTimePhrase} of ${totalTimePhrase}`;
+    ? nouns.UNKNOWN_TIME({ lang })
+    : nouns.TIME_OF_DURATION({ time: currentTimePhrase, duration: totalTimePhrase, lang });
   range.setAttribute('aria-valuetext', fullPhrase);
 };
 
@@ -214,6 +231,34 @@ template.innerHTML = /*html*/`
       --media-time-range-hover-display: block;
     }
 
+    #cue-points {
+      position: absolute;
+      width: 100%;
+      height: var(--media-range-track-height, 4px);
+      pointer-events: none;
+    }
+
+    [part~="cue-point"] {
+      position: absolute;
+      height: 100%;
+      width: var(--media-cue-point-width, 4px);
+      transform: translateX(-50%);
+      background: var(--media-cue-point-background, rgb(255 204 0));
+      border-radius: var(--media-cue-point-border-radius, 1px);
+    }
+
+    #loop-range {
+      position: absolute;
+      height: var(--media-range-track-height, 4px);
+      pointer-events: none;
+      background: var(--media-loop-range-background, rgb(255 255 255 / .5));
+      border-radius: var(--media-loop-range-border-radius, 0);
+    }
+
+    :host(:not([${MediaUIAttributes.MEDIA_LOOP_RANGE}])) #loop-range {
+      display: none;
+    }
+
     [part~="arrow"],
     ::slotted([part~="arrow"]) {
       display: var(--media-box-arrow-display, inline-block);
@@ -240,6 +285,8 @@ template.innerHTML = /*html*/`
       <slot name="preview-arrow"><div part="arrow"></div></slot>
     </slot>
   </div>
+  <div id="loop-range" part="loop-range"></div>
+  <div id="cue-points"></div>
   <div id="current-rail">
     <slot name="current" part="box current-box">
       ${/* Example: add the current time w/ arrow to the playhead
@@ -260,11 +307,20 @@ const calcTimeFromRangeValue = (el, value = el.range.valueAsNumber) => {
   return (value * (el.mediaSeekableEnd - el.mediaSeekableStart)) + el.mediaSeekableStart;
 }
 
+const calcRangeValueFromLiveEdgeOffset = (el) => {
+  const windowDuration = el.mediaSeekableEnd - el.mediaSeekableStart;
+  if (!(windowDuration > 0)) return 1;
+  return Math.max(0, Math.min(1 + el.mediaLiveEdgeOffset / windowDuration, 1));
+}
+
 /**
  * @slot preview - An element that slides along the timeline to the position of the pointer hovering.
  * @slot preview-arrow - An arrow element that slides along the timeline to the position of the pointer hovering.
  * @slot current - An element that slides along the timeline to the position of the current time.
  *
+ * @attr {string} format - The time format of the preview box: `frames` for an SMPTE timecode, `milliseconds`, `seconds`,
+ * or `clock` to show the local wall-clock time for live streams with a program date time.
+ * @attr {string} framerate - The frames per second of the `frames` format, defaults to 30.
  * @attr {string} mediabuffered - (read-only) Set to the buffered time ranges.
  * @attr {string} mediaplaybackrate - (read-only) Set to the media playback rate.
  * @attr {string} mediaduration - (read-only) Set to the media duration.
@@ -274,11 +330,16 @@ const calcTimeFromRangeValue = (el, value = el.range.valueAsNumber) => {
  * @attr {string} mediacurrenttime - (read-only) Set to the current media time.
  * @attr {string} mediapreviewimage - (read-only) Set to the timeline preview image URL.
  * @attr {string} mediapreviewtime - (read-only) Set to the timeline preview time.
+ * @attr {boolean} mediainadbreak - (read-only) Present if the media is playing an ad break.
+ * @attr {string} medialooprange - (read-only) Set to the start and end time of the loop.
+ * @attr {string} medialiveedgeoffset - (read-only) Set to the seconds behind the live edge of a DVR stream.
  *
  * @csspart box - A CSS part that selects both the preview and current box elements.
  * @csspart preview-box - A CSS part that selects the preview box element.
  * @csspart current-box - A CSS part that selects the current box element.
  * @csspart arrow - A CSS part that selects the arrow element.
+ * @csspart loop-range - A CSS part that selects the highlighted loop region.
+ * @csspart cue-point - A CSS part that selects the cue point markers, ad breaks also have an `ad` part.
  *
  * @cssproperty [--media-time-range-display = inline-block] - `display` property of range.
  *
@@ -327,6 +388,13 @@ const calcTimeFromRangeValue = (el, value = el.range.valueAsNumber) => {
  * @cssproperty --media-box-arrow-height - `height` of range box arrow.
  * @cssproperty --media-box-arrow-width - `width` of range box arrow.
  * @cssproperty --media-box-arrow-offset - `translateX` offset of range box arrow.
+ *
+ * @cssproperty --media-cue-point-width - `width` of cue point markers.
+ * @cssproperty --media-cue-point-background - `background` of cue point markers.
+ * @cssproperty --media-cue-point-border-radius - `border-radius` of cue point markers.
+ *
+ * @cssproperty --media-loop-range-background - `background` of the loop region.
+ * @cssproperty --media-loop-range-border-radius - `border-radius` of the loop region.
  */
 class MediaTimeRange extends MediaChromeRange {
   static get observedAttributes() {
@@ -335,6 +403,7 @@ class MediaTimeRange extends MediaChromeRange {
       MediaUIAttributes.MEDIA_PAUSED,
       MediaUIAttributes.MEDIA_DURATION,
       MediaUIAttributes.MEDIA_SEEKABLE,
+      MediaUIAttributes.MEDIA_LOOP_RANGE,
       MediaUIAttributes.MEDIA_CURRENT_TIME,
       MediaUIAttributes.MEDIA_PREVIEW_IMAGE,
       MediaUIAttributes.MEDIA_PREVIEW_TIME,
@@ -343,6 +412,10 @@ class MediaTimeRange extends MediaChromeRange {
       MediaUIAttributes.MEDIA_PLAYBACK_RATE,
       MediaUIAttributes.MEDIA_LOADING,
       MediaUIAttributes.MEDIA_ENDED,
+      MediaUIAttributes.MEDIA_IN_AD_BREAK,
+      MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET,
+      Attributes.FORMAT,
+      Attributes.FRAME_RATE,
     ];
   }
 
@@ -360,6 +433,7 @@ class MediaTimeRange extends MediaChromeRange {
   /** @type {number} */
   #boxPaddingRight;
   #mediaChaptersCues;
+  #mediaCuePoints;
 
   constructor() {
     super();
@@ -379,7 +453,7 @@ class MediaTimeRange extends MediaChromeRange {
 
   connectedCallback() {
     super.connectedCallback();
-    this.range.setAttribute('aria-label', nouns.SEEK());
+    this.range.setAttribute('aria-label', nouns.SEEK({ lang: getLocale(this) }));
     this.#toggleRangeAnimation();
 
     // NOTE: Adding an event listener to an ancestor here.
@@ -395,6 +469,11 @@ class MediaTimeRange extends MediaChromeRange {
     this.#rootNode = null;
   }
 
+  langChangedCallback() {
+    this.range.setAttribute('aria-label', nouns.SEEK({ lang: getLocale(this) }));
+    updateAriaValueText(this);
+  }
+
   attributeChangedCallback(attrName, oldValue, newValue) {
     super.attributeChangedCallback(attrName, oldValue, newValue);
 
@@ -406,13 +485,20 @@ class MediaTimeRange extends MediaChromeRange {
       attrName === MediaUIAttributes.MEDIA_ENDED ||
       attrName === MediaUIAttributes.MEDIA_LOADING ||
       attrName === MediaUIAttributes.MEDIA_DURATION ||
-      attrName === MediaUIAttributes.MEDIA_SEEKABLE
+      attrName === MediaUIAttributes.MEDIA_SEEKABLE ||
+      attrName === MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET
     ) {
-      this.#animation.update({
-        start: calcRangeValueFromTime(this),
-        duration: this.mediaSeekableEnd - this.mediaSeekableStart,
-        playbackRate: this.mediaPlaybackRate
-      });
+      if (this.mediaLiveEdgeOffset != null) {
+        // The seekable window of a DVR stream slides along with the playback,
+        // so the value only changes relative to the live edge.
+        this.#updateRange(calcRangeValueFromLiveEdgeOffset(this));
+      } else {
+        this.#animation.update({
+          start: calcRangeValueFromTime(this),
+          duration: this.mediaSeekableEnd - this.mediaSeekableStart,
+          playbackRate: this.mediaPlaybackRate
+        });
+      }
       this.#toggleRangeAnimation();
       updateAriaValueText(this);
     }
@@ -420,8 +506,24 @@ class MediaTimeRange extends MediaChromeRange {
       this.updateBufferedBar();
     }
 
+    if (
+      attrName === MediaUIAttributes.MEDIA_LOOP_RANGE ||
+      attrName === MediaUIAttributes.MEDIA_DURATION ||
+      attrName === MediaUIAttributes.MEDIA_SEEKABLE
+    ) {
+      this.updateLoopRange();
+    }
+
+    if (attrName === Attributes.FORMAT || attrName === Attributes.FRAME_RATE) {
+      // Pass the format on to the default preview time display.
+      const previewTimeDisplay = this.shadowRoot.querySelector('media-preview-time-display');
+      if (newValue == null) previewTimeDisplay?.removeAttribute(attrName);
+      else previewTimeDisplay?.setAttribute(attrName, newValue);
+    }
+
     if (attrName === MediaUIAttributes.MEDIA_DURATION) {
       this.mediaChaptersCues = this.#mediaChaptersCues;
+      this.mediaCuePoints = this.#mediaCuePoints;
       this.updateBar();
     }
   }
@@ -440,6 +542,7 @@ class MediaTimeRange extends MediaChromeRange {
       && !this.mediaLoading
       && !this.mediaEnded
       && this.mediaDuration > 0
+      && this.mediaLiveEdgeOffset == null
       && isElementVisible(this);
   }
 
@@ -463,6 +566,39 @@ class MediaTimeRange extends MediaChromeRange {
     })));
   }
 
+  /**
+   * @type {import('./media-store/util.js').CuePoint[]}
+   */
+  get mediaCuePoints() {
+    return this.#mediaCuePoints;
+  }
+
+  set mediaCuePoints(value) {
+    this.#mediaCuePoints = value;
+
+    const container = this.shadowRoot.querySelector('#cue-points');
+    container.textContent = '';
+    if (Number.isNaN(this.mediaSeekableEnd)) return;
+
+    for (const cuePoint of this.#mediaCuePoints ?? []) {
+      const marker = document.createElement('div');
+      marker.setAttribute('part', cuePoint.type === 'ad' ? 'cue-point ad' : 'cue-point');
+      marker.style.left = `${calcRangeValueFromTime(this, cuePoint.startTime) * 100}%`;
+      container.append(marker);
+    }
+  }
+
+  /**
+   * @type {boolean} Is the media playing an ad break
+   */
+  get mediaInAdBreak() {
+    return getBooleanAttr(this, MediaUIAttributes.MEDIA_IN_AD_BREAK);
+  }
+
+  set mediaInAdBreak(value) {
+    setBooleanAttr(this, MediaUIAttributes.MEDIA_IN_AD_BREAK, value);
+  }
+
   /**
    * @type {boolean} Is the media paused
    */
@@ -571,6 +707,24 @@ class MediaTimeRange extends MediaChromeRange {
     return start;
   }
 
+  /**
+   * The part of the media that is looped
+   * @type {Array<number> | undefined} An array of two numbers [start, end]
+   */
+  get mediaLoopRange() {
+    const loopRange = this.getAttribute(MediaUIAttributes.MEDIA_LOOP_RANGE);
+    if (!loopRange) return undefined;
+    return loopRange.split(':').map((time) => +time);
+  }
+
+  set mediaLoopRange(range) {
+    if (range == null) {
+      this.removeAttribute(MediaUIAttributes.MEDIA_LOOP_RANGE);
+      return;
+    }
+    this.setAttribute(MediaUIAttributes.MEDIA_LOOP_RANGE, range.join(':'));
+  }
+
   /**
    * @type {string | undefined} The url of the preview image
    */
@@ -593,6 +747,18 @@ class MediaTimeRange extends MediaChromeRange {
     setNumericAttr(this, MediaUIAttributes.MEDIA_PREVIEW_TIME, value);
   }
 
+  /**
+   * The seconds behind the live edge of a DVR stream, 0 when playing live
+   * @type {number | undefined}
+   */
+  get mediaLiveEdgeOffset() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET);
+  }
+
+  set mediaLiveEdgeOffset(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_LIVE_EDGE_OFFSET, value);
+  }
+
   /**
    * @type {boolean | undefined}
    */
@@ -639,6 +805,18 @@ class MediaTimeRange extends MediaChromeRange {
     style.setProperty('width', `${relativeBufferedEnd * 100}%`);
   }
 
+  updateLoopRange() {
+    const [start, end] = this.mediaLoopRange ?? [];
+    if (end == null) return;
+
+    const relativeStart = calcRangeValueFromTime(this, start);
+    const relativeEnd = calcRangeValueFromTime(this, end);
+
+    const { style } = getOrInsertCSSRule(this.shadowRoot, '#loop-range');
+    style.setProperty('left', `${relativeStart * 100}%`);
+    style.setProperty('width', `${(relativeEnd - relativeStart) * 100}%`);
+  }
+
   updateCurrentBox() {
     // If there are no elements in the current box no need for expensive style updates.
     /** @type {HTMLSlotElement} */
@@ -782,10 +960,14 @@ class MediaTimeRange extends MediaChromeRange {
 
     // At least require a 1s difference before requesting a new preview thumbnail,
     // unless it's at the beginning or end of the timeline.
-    const diff = Math.round(this.#previewTime) - Math.round(pointerRatio * duration);
+    // The seekable window of a DVR stream doesn't start at 0 and ends before the infinite duration.
+    const previewTime = this.mediaLiveEdgeOffset != null
+      ? calcTimeFromRangeValue(this, pointerRatio)
+      : pointerRatio * duration;
+    const diff = Math.round(this.#previewTime) - Math.round(previewTime);
     if (Math.abs(diff) < 1 && pointerRatio > .01 && pointerRatio < 0.99) return;
 
-    this.#previewTime = pointerRatio * duration;
+    this.#previewTime = previewTime;
     this.#previewRequest(this.#previewTime);
   }
 
@@ -0,0 +1,358 @@
+import { globalThis, document } from './utils/server-safe-globals.js';
+import { MediaUIEvents, MediaUIAttributes, MediaStateChangeEvents } from './constants.js';
+import { MediaChromeDialog } from './media-chrome-dialog.js';
+import { nouns, verbs } from './labels/labels.js';
+import {
+  getBooleanAttr,
+  setBooleanAttr,
+  getNumericAttr,
+  setNumericAttr,
+  getMediaController,
+  getLocale,
+} from './utils/element-utils.js';
+import { capitalize } from './utils/utils.js';
+
+export const Attributes = {
+  COUNTDOWN: 'countdown',
+};
+
+const DEFAULT_COUNTDOWN = 10;
+
+const template = document.createElement('template');
+// prettier-ignore
+template.innerHTML = MediaChromeDialog.template.innerHTML + /*html*/`
+  <style>
+    :host {
+      flex-direction: column;
+      gap: var(--media-up-next-dialog-gap, 10px);
+      padding: var(--media-up-next-dialog-padding, 10px);
+    }
+
+    [part~=content] {
+      display: flex;
+      gap: var(--media-up-next-dialog-gap, 10px);
+      align-items: center;
+    }
+
+    [part~=poster] {
+      width: var(--media-up-next-dialog-poster-width, 120px);
+      aspect-ratio: 16 / 9;
+      object-fit: cover;
+      border-radius: var(--media-up-next-dialog-poster-border-radius, 2px);
+    }
+
+    [part~=poster]:not([src]) {
+      display: none;
+    }
+
+    [part~=text] {
+      display: flex;
+      flex-direction: column;
+    }
+
+    [part~=title] {
+      font-weight: bold;
+    }
+
+    [part~=buttons] {
+      display: flex;
+      gap: var(--media-up-next-dialog-gap, 10px);
+      justify-content: end;
+    }
+
+    [part~=button] {
+      font: inherit;
+      color: inherit;
+      cursor: pointer;
+      padding: var(--media-up-next-dialog-button-padding, 4px 10px);
+      border: var(--media-up-next-dialog-button-border, none);
+      border-radius: var(--media-up-next-dialog-button-border-radius, 2px);
+      background: var(--media-up-next-dialog-button-background, rgb(255 255 255 / .1));
+    }
+
+    [part~=play-button] {
+      background: var(--media-up-next-dialog-play-button-background, rgb(255 255 255 / .25));
+    }
+  </style>
+
+  <div part="content">
+    <img part="poster" alt="">
+    <div part="text">
+      <slot name="heading"><span part="heading"></span></slot>
+      <span part="title"></span>
+      <span part="countdown"></span>
+    </div>
+  </div>
+  <div part="buttons">
+    <button part="button cancel-button" type="button"></button>
+    <button part="button play-button" type="button"></button>
+  </div>
+`;
+
+/**
+ * An end card shown when the media ends. It shows the title and poster of the next item
+ * and counts down before loading it. The countdown is paused while the user is active,
+ * unless the controller's `autohide` is off.
+ *
+ * The next item is the next item of the media controller's playlist, unless `nextItem` is set.
+ * Before loading the next item, an `upnext` event is dispatched with the item as its `detail`.
+ * Canceling it keeps the next item of the playlist from loading. A `nextItem` isn't part of the
+ * playlist, so apps that set it load the item themselves when the event is dispatched.
+ *
+ * @extends {MediaChromeDialog}
+ *
+ * @slot - Default slotted elements.
+ * @slot heading - An element shown above the title of the next item, defaults to “Up next”.
+ *
+ * @attr {string} countdown - The seconds to count down before loading the next item, defaults to 10.
+ * @attr {boolean} mediaended - (read-only) Present if the media has ended.
+ * @attr {string} mediaplaylistindex - (read-only) Set to the index of the playlist item that is loaded.
+ *
+ * @csspart content - The poster and text of the next item.
+ * @csspart poster - The poster image of the next item.
+ * @csspart heading - The default “Up next” heading.
+ * @csspart title - The title of the next item.
+ * @csspart countdown - The countdown text.
+ * @csspart button - The cancel and play now buttons.
+ * @csspart cancel-button - The cancel button.
+ * @csspart play-button - The play now button.
+ *
+ * @cssproperty --media-up-next-dialog-gap - `gap` between the contents of the dialog.
+ * @cssproperty --media-up-next-dialog-padding - `padding` of the dialog.
+ * @cssproperty --media-up-next-dialog-poster-width - `width` of the poster image.
+ * @cssproperty --media-up-next-dialog-poster-border-radius - `border-radius` of the poster image.
+ * @cssproperty --media-up-next-dialog-button-padding - `padding` of the buttons.
+ * @cssproperty --media-up-next-dialog-button-border - `border` of the buttons.
+ * @cssproperty --media-up-next-dialog-button-border-radius - `border-radius` of the buttons.
+ * @cssproperty --media-up-next-dialog-button-background - `background` of the buttons.
+ * @cssproperty --media-up-next-dialog-play-button-background - `background` of the play now button.
+ */
+class MediaUpNextDialog extends MediaChromeDialog {
+  static template = template;
+
+  static get observedAttributes() {
+    return [
+      ...super.observedAttributes,
+      Attributes.COUNTDOWN,
+      MediaUIAttributes.MEDIA_ENDED,
+      MediaUIAttributes.MEDIA_PLAYLIST_INDEX,
+    ];
+  }
+
+  /** @type {import('./media-store/util.js').PlaylistItem[]} */
+  #playlist = [];
+  /** @type {import('./media-store/util.js').PlaylistItem | undefined} */
+  #nextItem;
+  #mediaController;
+  #userActive = false;
+  #remaining = 0;
+  #interval;
+
+  constructor() {
+    super();
+
+    this.shadowRoot
+      .querySelector('[part~=cancel-button]')
+      .addEventListener('click', () => this.cancel());
+    this.shadowRoot
+      .querySelector('[part~=play-button]')
+      .addEventListener('click', () => this.playNext());
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#mediaController = getMediaController(this);
+    this.#mediaController?.addEventListener(
+      MediaStateChangeEvents.USER_INACTIVE,
+      this.#onUserInactiveChange
+    );
+    this.#userActive = !!this.#mediaController && !this.#mediaController.hasAttribute('userinactive');
+
+    this.#render();
+    this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+    this.#mediaController?.removeEventListener(
+      MediaStateChangeEvents.USER_INACTIVE,
+      this.#onUserInactiveChange
+    );
+    this.#mediaController = undefined;
+    this.#stopCountdown();
+  }
+
+  langChangedCallback() {
+    this.#render();
+    this.#renderCountdown();
+  }
+
+  attributeChangedCallback(attrName, oldValue, newValue) {
+    super.attributeChangedCallback(attrName, oldValue, newValue);
+    if (oldValue === newValue) return;
+
+    if (attrName === 'hidden' && this.hidden) {
+      this.#stopCountdown();
+    } else if (attrName === MediaUIAttributes.MEDIA_PLAYLIST_INDEX) {
+      this.#render();
+    } else if (attrName === MediaUIAttributes.MEDIA_ENDED) {
+      this.#update();
+    }
+  }
+
+  /**
+   * The seconds to count down before loading the next item.
+   * @type {number}
+   */
+  get countdown() {
+    return getNumericAttr(this, Attributes.COUNTDOWN, DEFAULT_COUNTDOWN);
+  }
+
+  set countdown(value) {
+    setNumericAttr(this, Attributes.COUNTDOWN, value);
+  }
+
+  /**
+   * @type {boolean} Has the media ended
+   */
+  get mediaEnded() {
+    return getBooleanAttr(this, MediaUIAttributes.MEDIA_ENDED);
+  }
+
+  set mediaEnded(value) {
+    setBooleanAttr(this, MediaUIAttributes.MEDIA_ENDED, value);
+  }
+
+  /**
+   * @type {import('./media-store/util.js').PlaylistItem[]}
+   */
+  get mediaPlaylist() {
+    return this.#playlist;
+  }
+
+  set mediaPlaylist(value) {
+    this.#playlist = value ?? [];
+    this.#render();
+  }
+
+  /**
+   * @type {number | undefined} The index of the playlist item that is loaded
+   */
+  get mediaPlaylistIndex() {
+    return getNumericAttr(this, MediaUIAttributes.MEDIA_PLAYLIST_INDEX);
+  }
+
+  set mediaPlaylistIndex(value) {
+    setNumericAttr(this, MediaUIAttributes.MEDIA_PLAYLIST_INDEX, value);
+  }
+
+  /**
+   * The item to show and load next, defaults to the next item of the playlist.
+   * @type {import('./media-store/util.js').PlaylistItem | undefined}
+   */
+  get nextItem() {
+    if (this.#nextItem) return this.#nextItem;
+    const index = this.mediaPlaylistIndex;
+    return index == null ? undefined : this.#playlist[index + 1];
+  }
+
+  set nextItem(value) {
+    this.#nextItem = value ?? undefined;
+    this.#render();
+  }
+
+  /**
+   * Hides the dialog without loading the next item.
+   */
+  cancel() {
+    this.hidden = true;
+  }
+
+  /**
+   * Loads the next item now, unless the `upnext` event is canceled.
+   * Only the next item of the playlist is requested, a `nextItem` is loaded by the app.
+   */
+  playNext() {
+    const item = this.nextItem;
+    const isPlaylistItem = !this.#nextItem;
+    this.hidden = true;
+    if (!item) return;
+
+    const upNextEvent = new globalThis.CustomEvent('upnext', {
+      composed: true,
+      bubbles: true,
+      cancelable: true,
+      detail: item,
+    });
+    if (!this.dispatchEvent(upNextEvent) || !isPlaylistItem) return;
+
+    this.dispatchEvent(
+      new globalThis.CustomEvent(MediaUIEvents.MEDIA_NEXT_REQUEST, {
+        composed: true,
+        bubbles: true,
+      })
+    );
+  }
+
+  #onUserInactiveChange = (event) => {
+    this.#userActive = !event.detail;
+  };
+
+  #update() {
+    const show = this.mediaEnded && !!this.nextItem;
+    this.hidden = !show;
+    if (!show) return;
+
+    this.#remaining = this.countdown;
+    this.#renderCountdown();
+
+    this.#stopCountdown();
+    this.#interval = setInterval(() => this.#tick(), 1000);
+  }
+
+  #tick() {
+    // Let the user look around without being rushed, unless the controls never hide
+    // and the user would stay active.
+    if (this.#userActive && !(this.#mediaController?.autohide < 0)) return;
+
+    this.#remaining--;
+    this.#renderCountdown();
+    if (this.#remaining <= 0) this.playNext();
+  }
+
+  #stopCountdown() {
+    clearInterval(this.#interval);
+    this.#interval = undefined;
+  }
+
+  #render() {
+    const item = this.nextItem;
+    const poster = /** @type {HTMLImageElement} */ (this.shadowRoot.querySelector('[part~=poster]'));
+    if (item?.poster) {
+      poster.src = item.poster;
+    } else {
+      poster.removeAttribute('src');
+    }
+
+    const lang = getLocale(this);
+    this.setAttribute('aria-label', nouns.UP_NEXT({ lang }));
+    this.shadowRoot.querySelector('[part~=heading]').textContent = capitalize(nouns.UP_NEXT({ lang }));
+    this.shadowRoot.querySelector('[part~=title]').textContent = item?.title ?? '';
+    this.shadowRoot.querySelector('[part~=cancel-button]').textContent = capitalize(verbs.CANCEL({ lang }));
+    this.shadowRoot.querySelector('[part~=play-button]').textContent = capitalize(verbs.PLAY_NOW({ lang }));
+  }
+
+  #renderCountdown() {
+    this.shadowRoot.querySelector('[part~=countdown]').textContent = capitalize(
+      verbs.PLAY_NEXT_IN_N_SECS({ seconds: Math.max(this.#remaining, 0), lang: getLocale(this) })
+    );
+  }
+}
+
+if (!globalThis.customElements.get('media-up-next-dialog')) {
+  globalThis.customElements.define('media-up-next-dialog', MediaUpNextDialog);
+}
+
+export { MediaUpNextDialog };
+export default MediaUpNextDialog;
@@ -9,6 +9,7 @@ import {
   setBooleanAttr,
   setNumericAttr,
   setStringAttr,
+  getLocale,
 } from './utils/element-utils.js';
 
 const DEFAULT_VOLUME = 1;
@@ -53,7 +54,11 @@ class MediaVolumeRange extends MediaChromeRange {
 
   connectedCallback() {
     super.connectedCallback();
-    this.range.setAttribute('aria-label', nouns.VOLUME());
+    this.langChangedCallback();
+  }
+
+  langChangedCallback() {
+    this.range.setAttribute('aria-label', nouns.VOLUME({ lang: getLocale(this) }));
   }
 
   attributeChangedCallback(attrName, oldValue, newValue) {
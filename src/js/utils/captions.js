@@ -1,4 +1,4 @@
-import { MediaUIAttributes } from '../constants.js';
+import { MediaUIAttributes, TextTrackModes } from '../constants.js';
 
 // NOTE: This is generic for any CSS/html list representation. Consider renaming and moving to generic module.
 /**
@@ -244,3 +244,192 @@ export const areSubsOn = (el) => {
   );
   return showingSubtitles;
 };
+
+/** Text tracks whose cues are rendered by a custom caption renderer instead of the browser. */
+const customRenderedTracks = new WeakSet();
+
+/**
+ * Marks a text track as rendered by a custom caption renderer like `<media-captions-display>`.
+ * Its mode is set to `hidden` so the browser doesn't render the cues, yet it still counts as showing.
+ * When unmarked, a hidden track is showing again.
+ * @param {TextTrack} track
+ * @param {boolean} rendered
+ */
+export const setTrackCustomRendered = (track, rendered) => {
+  if (rendered) {
+    customRenderedTracks.add(track);
+    if (track.mode === TextTrackModes.SHOWING) {
+      track.mode = /** @type {TextTrackMode} */ (TextTrackModes.HIDDEN);
+    }
+  } else if (customRenderedTracks.delete(track) && track.mode === TextTrackModes.HIDDEN) {
+    track.mode = /** @type {TextTrackMode} */ (TextTrackModes.SHOWING);
+  }
+};
+
+/**
+ * @param {TextTrack} track
+ * @returns {boolean}
+ */
+export const isTrackCustomRendered = (track) => customRenderedTracks.has(track);
+
+/**
+ * The caption style settings required by the FCC. Values are the keys of `CaptionStyleOptions`.
+ *
+ * @typedef {object} CaptionStyle
+ * @property {number} [fontSize] - Percentage of the default font size.
+ * @property {string} [fontFamily]
+ * @property {string} [color]
+ * @property {number} [textOpacity] - Between 0 and 1.
+ * @property {string} [backgroundColor]
+ * @property {number} [backgroundOpacity] - Between 0 and 1.
+ * @property {string} [edgeStyle]
+ */
+
+/** The RGB channels of the caption colors. */
+const CaptionColors = {
+  white: '255 255 255',
+  yellow: '255 255 0',
+  green: '0 255 0',
+  cyan: '0 255 255',
+  blue: '0 0 255',
+  magenta: '255 0 255',
+  red: '255 0 0',
+  black: '0 0 0',
+};
+
+const CaptionOpacities = [0, 0.25, 0.5, 0.75, 1];
+
+/** The options of each caption style setting, mapped to their CSS value if it differs. */
+export const CaptionStyleOptions = {
+  fontSize: [50, 75, 100, 150, 200, 300],
+  fontFamily: {
+    'proportional-sans-serif': 'Arial, Helvetica, sans-serif',
+    'monospace-sans-serif': '"Lucida Console", Monaco, monospace',
+    'proportional-serif': 'Georgia, "Times New Roman", serif',
+    'monospace-serif': '"Courier New", Courier, monospace',
+    casual: '"Comic Sans MS", "Comic Neue", cursive',
+    cursive: '"Brush Script MT", "Segoe Script", cursive',
+    'small-caps': 'Arial, Helvetica, sans-serif',
+  },
+  color: CaptionColors,
+  textOpacity: CaptionOpacities,
+  backgroundColor: CaptionColors,
+  backgroundOpacity: CaptionOpacities,
+  edgeStyle: {
+    none: 'none',
+    raised: '1px 1px 0 rgb(0 0 0 / .8), 2px 2px 0 rgb(0 0 0 / .8)',
+    depressed: '-1px -1px 0 rgb(0 0 0 / .8), 1px 1px 0 rgb(255 255 255 / .5)',
+    uniform: '0 0 2px #000, 0 0 2px #000, 0 0 2px #000, 0 0 2px #000',
+    dropshadow: '2px 2px 3px rgb(0 0 0 / .8)',
+  },
+};
+
+/**
+ * The caption style of most browsers, used for the settings that aren't set.
+ * @type {Required<CaptionStyle>}
+ */
+export const DEFAULT_CAPTION_STYLE = {
+  fontSize: 100,
+  fontFamily: 'proportional-sans-serif',
+  color: 'white',
+  textOpacity: 1,
+  backgroundColor: 'black',
+  backgroundOpacity: 0.75,
+  edgeStyle: 'none',
+};
+
+const NUMERIC_CAPTION_STYLE_KEYS = ['fontSize', 'textOpacity', 'backgroundOpacity'];
+
+/**
+ * Keeps the known settings with a valid option of a caption style.
+ * @param {{ [key: string]: any }} [style]
+ * @returns {CaptionStyle}
+ */
+export const sanitizeCaptionStyle = (style = {}) => {
+  return Object.fromEntries(
+    Object.entries(style ?? {})
+      .map(([key, value]) => [
+        key,
+        NUMERIC_CAPTION_STYLE_KEYS.includes(key) ? Number(value) : value,
+      ])
+      .filter(([key, value]) => {
+        // Only own keys, inherited ones like `constructor` aren't options.
+        if (!Object.prototype.hasOwnProperty.call(CaptionStyleOptions, key)) return false;
+        const options = CaptionStyleOptions[key];
+        return Array.isArray(options)
+          ? options.includes(value)
+          : Object.prototype.hasOwnProperty.call(options, value);
+      })
+  );
+};
+
+/**
+ * Serializes a caption style as a whitespace separated list of "key:value" pairs,
+ * e.g. `fontSize:150 color:yellow`.
+ * @param {CaptionStyle} [style]
+ * @returns {string}
+ */
+export const stringifyCaptionStyle = (style = {}) => {
+  return Object.entries(style ?? {})
+    .filter(([, value]) => value != null)
+    .map(([key, value]) => `${key}:${value}`)
+    .join(' ');
+};
+
+/**
+ * Parses a caption style serialized with `stringifyCaptionStyle()`.
+ * @param {string} [styleStr = '']
+ * @returns {CaptionStyle}
+ */
+export const parseCaptionStyle = (styleStr = '') => {
+  return sanitizeCaptionStyle(
+    Object.fromEntries(
+      (styleStr ?? '')
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((pair) => pair.split(':'))
+    )
+  );
+};
+
+/**
+ * Returns the CSS declarations for the `::cue` pseudo-element of a caption style.
+ * Only the settings that are set are included, so the others keep the browser defaults.
+ * @param {CaptionStyle} [style]
+ * @returns {string}
+ */
+export const getCaptionStyleCSS = (style = {}) => {
+  const {
+    fontSize,
+    fontFamily,
+    color,
+    textOpacity,
+    backgroundColor,
+    backgroundOpacity,
+    edgeStyle,
+  } = style;
+  const declarations = [];
+
+  if (fontSize != null) {
+    declarations.push(`font-size: ${fontSize}%`);
+  }
+  if (fontFamily != null) {
+    declarations.push(`font-family: ${CaptionStyleOptions.fontFamily[fontFamily]}`);
+    if (fontFamily === 'small-caps') declarations.push('font-variant: small-caps');
+  }
+  if (color != null || textOpacity != null) {
+    const rgb = CaptionColors[color ?? DEFAULT_CAPTION_STYLE.color];
+    declarations.push(`color: rgb(${rgb} / ${textOpacity ?? DEFAULT_CAPTION_STYLE.textOpacity})`);
+  }
+  if (backgroundColor != null || backgroundOpacity != null) {
+    const rgb = CaptionColors[backgroundColor ?? DEFAULT_CAPTION_STYLE.backgroundColor];
+    declarations.push(
+      `background-color: rgb(${rgb} / ${backgroundOpacity ?? DEFAULT_CAPTION_STYLE.backgroundOpacity})`
+    );
+  }
+  if (edgeStyle != null) {
+    declarations.push(`text-shadow: ${CaptionStyleOptions.edgeStyle[edgeStyle]}`);
+  }
+
+  return declarations.join('; ');
+};
@@ -1,4 +1,4 @@
-import { MediaStateReceiverAttributes } from '../constants.js';
+import { MediaStateChangeEvents, MediaStateReceiverAttributes } from '../constants.js';
 
 /** @typedef {import('../media-controller.js').MediaController} MediaController */
 
@@ -32,6 +32,30 @@ export function getAttributeMediaController(host) {
   }
 }
 
+/**
+ * Get the language of the labels from the `lang` attribute of the media controller.
+ * @param  {any} host (Should be an HTMLElement, but need any for SSR cases)
+ * @return {string | undefined} The language tag, or undefined for English.
+ */
+export function getLocale(host) {
+  return getMediaController(host)?.getAttribute('lang') || undefined;
+}
+
+/**
+ * Listen for changes of the `lang` attribute of the media controller.
+ * @param  {any} host (Should be an HTMLElement, but need any for SSR cases)
+ * @param  {(lang: string | undefined) => void} callback
+ * @return {() => void} A function that removes the listener.
+ */
+export function onLangChange(host, callback) {
+  const mediaController = getMediaController(host);
+  const listener = () => callback(getLocale(host));
+  mediaController?.addEventListener(MediaStateChangeEvents.LANG_CHANGE, listener);
+  return () => {
+    mediaController?.removeEventListener(MediaStateChangeEvents.LANG_CHANGE, listener);
+  };
+}
+
 export const updateIconText = (svg, value, selector = '.value') => {
   const node = svg.querySelector(selector);
 
@@ -0,0 +1,229 @@
+import { MediaUIEvents, MediaUIProps } from '../constants.js';
+
+/**
+ * @typedef {{ type: string, detail?: any }} HotkeyRequest
+ */
+
+/**
+ * A hotkey action is either a string in the form `"<request>[:<detail>]"` (e.g. `"mediaseekrequest:-10"`),
+ * the name of one of the `HotkeyToggles` (e.g. `"togglepaused"`) or a function that receives the current
+ * media state and returns the request to dispatch (or nothing to skip it).
+ * @typedef {string | ((state: any, event?: KeyboardEvent) => HotkeyRequest | undefined | void)} HotkeyAction
+ */
+
+/** @typedef {Record<string, HotkeyAction>} HotkeyMap */
+
+export const DEFAULT_SEEK_OFFSET = 10;
+
+const Modifiers = ['ctrl', 'alt', 'meta', 'shift'];
+
+const KeyAliases = {
+  ' ': 'space',
+  control: 'ctrl',
+  cmd: 'meta',
+  command: 'meta',
+  option: 'alt',
+};
+
+/**
+ * Toggles pick the request to dispatch based on the current media state.
+ * These were copied from the relevant buttons.
+ */
+export const HotkeyToggles = {
+  togglepaused: (state) =>
+    state.mediaPaused
+      ? MediaUIEvents.MEDIA_PLAY_REQUEST
+      : MediaUIEvents.MEDIA_PAUSE_REQUEST,
+  togglemuted: (state) =>
+    state.mediaVolumeLevel === 'off'
+      ? MediaUIEvents.MEDIA_UNMUTE_REQUEST
+      : MediaUIEvents.MEDIA_MUTE_REQUEST,
+  togglefullscreen: (state) =>
+    state.mediaIsFullscreen
+      ? MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST
+      : MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST,
+};
+
+/** @type {HotkeyMap} */
+export const DefaultHotkeys = {
+  space: 'togglepaused',
+  k: 'togglepaused',
+  m: 'togglemuted',
+  f: 'togglefullscreen',
+  c: MediaUIEvents.MEDIA_TOGGLE_SUBTITLES_REQUEST,
+  arrowleft: `${MediaUIEvents.MEDIA_SEEK_REQUEST}:-${DEFAULT_SEEK_OFFSET}`,
+  arrowright: `${MediaUIEvents.MEDIA_SEEK_REQUEST}:+${DEFAULT_SEEK_OFFSET}`,
+  ',': `${MediaUIEvents.MEDIA_FRAME_STEP_REQUEST}:-1`,
+  '.': `${MediaUIEvents.MEDIA_FRAME_STEP_REQUEST}:+1`,
+};
+
+/**
+ * Requests whose numeric detail may be given relative to ("+5", "-5") or
+ * as a percentage ("50%") of a current media state value.
+ */
+const RelativeRequests = {
+  [MediaUIEvents.MEDIA_SEEK_REQUEST]: {
+    base: MediaUIProps.MEDIA_CURRENT_TIME,
+    whole: (state) => state[MediaUIProps.MEDIA_DURATION],
+    min: 0,
+    max: (state) => state[MediaUIProps.MEDIA_DURATION],
+  },
+  [MediaUIEvents.MEDIA_VOLUME_REQUEST]: {
+    base: MediaUIProps.MEDIA_VOLUME,
+    whole: () => 1,
+    min: 0,
+    max: () => 1,
+  },
+  [MediaUIEvents.MEDIA_PLAYBACK_RATE_REQUEST]: {
+    base: MediaUIProps.MEDIA_PLAYBACK_RATE,
+    whole: () => 1,
+    min: 0,
+    max: () => undefined,
+  },
+};
+
+/**
+ * Normalizes a key combo like `"Shift+ArrowLeft"` or `" "` into the canonical
+ * lowercase form used as hotkey map keys, e.g. `"shift+arrowleft"` or `"space"`.
+ * Modifiers are always ordered ctrl, alt, meta, shift.
+ * @param {string} combo
+ * @returns {string}
+ */
+export const normalizeKeyCombo = (combo = '') => {
+  // A trailing "+" is the plus key itself, e.g. "shift++".
+  const parts = combo === '+' ? ['+'] : combo.split(/\+(?!$)/);
+  const key = parts.pop();
+  const normalizedKey = KeyAliases[key.toLowerCase()] ?? key.toLowerCase();
+  const modifiers = parts
+    .map((mod) => KeyAliases[mod.toLowerCase()] ?? mod.toLowerCase())
+    .filter((mod) => Modifiers.includes(mod));
+
+  return Modifiers.filter((mod) => modifiers.includes(mod))
+    .concat(normalizedKey)
+    .join('+');
+};
+
+/**
+ * Gets the normalized key combo for a keyboard event.
+ * @param {Pick<KeyboardEvent, 'key' | 'ctrlKey' | 'altKey' | 'metaKey' | 'shiftKey'>} event
+ * @returns {string}
+ */
+export const getKeyCombo = ({ key, ctrlKey, altKey, metaKey, shiftKey }) => {
+  const modifiers = [
+    ctrlKey && 'ctrl',
+    altKey && 'alt',
+    metaKey && 'meta',
+    shiftKey && 'shift',
+  ].filter(Boolean);
+  return normalizeKeyCombo([...modifiers, key].join('+'));
+};
+
+/**
+ * Expands key ranges like `"0-9"` or `"shift+a-c"` into each key combo of the range.
+ * @param {string} combo
+ * @returns {string[]}
+ */
+const expandKeyRange = (combo) => {
+  const [, prefix, from, to] = combo.match(/^(.*?)(\S)-(\S)$/) ?? [];
+  if (!from || (prefix && !prefix.endsWith('+'))) return [combo];
+
+  const start = from.charCodeAt(0);
+  const end = to.charCodeAt(0);
+  if (end <= start) return [combo];
+
+  return Array.from({ length: end - start + 1 }, (_, i) =>
+    `${prefix}${String.fromCharCode(start + i)}`
+  );
+};
+
+/**
+ * Normalizes the keys of a hotkey map and expands any key ranges.
+ * For ranged keys a `#` in a string action is replaced by the key,
+ * e.g. `{ '0-9': 'mediaseekrequest:#0%' }` seeks to 0%, 10%, ... 90%.
+ * @param {HotkeyMap} [hotkeyMap]
+ * @returns {HotkeyMap}
+ */
+export const normalizeHotkeyMap = (hotkeyMap = {}) => {
+  return Object.entries(hotkeyMap).reduce((map, [combo, action]) => {
+    const combos = expandKeyRange(combo);
+    combos.forEach((rangeCombo) => {
+      const key = normalizeKeyCombo(rangeCombo).split('+').pop();
+      map[normalizeKeyCombo(rangeCombo)] =
+        combos.length > 1 && typeof action === 'string'
+          ? action.replace(/#/g, key)
+          : action;
+    });
+    return map;
+  }, {});
+};
+
+/**
+ * Parses `hotkeys` attribute tokens. Tokens in the form `<keys>:<request>[:<detail>]`
+ * add a binding, e.g. `j:mediaseekrequest:-10` or `shift+>:mediaplaybackraterequest:+0.25`.
+ * Tokens in the form `no<keys>` disable a binding, e.g. `noarrowleft` or `nospace`.
+ * @param {Iterable<string>} tokens
+ * @returns {{ bindings: HotkeyMap, disabled: string[] }}
+ */
+export const parseHotkeys = (tokens = []) => {
+  /** @type {HotkeyMap} */
+  const bindings = {};
+  const disabled = [];
+
+  for (const token of tokens) {
+    // Skip the first character so the colon key itself can be bound, e.g. "::togglepaused".
+    const separator = token.indexOf(':', 1);
+    if (separator > 0) {
+      bindings[token.slice(0, separator)] = token.slice(separator + 1);
+    } else if (token.startsWith('no') && token.length > 2) {
+      disabled.push(normalizeKeyCombo(token.slice(2)));
+    }
+  }
+
+  return { bindings: normalizeHotkeyMap(bindings), disabled };
+};
+
+const parseDetail = (type, detail, state) => {
+  if (detail == null || detail === '') return undefined;
+
+  const relative = RelativeRequests[type];
+  const percent = detail.endsWith('%');
+  const value = parseFloat(detail);
+
+  if (Number.isNaN(value)) return detail;
+  if (!relative) return value;
+
+  let result = value;
+  if (percent) {
+    const whole = relative.whole(state);
+    if (whole == null || Number.isNaN(+whole)) return undefined;
+    result = (whole * value) / 100;
+  }
+  if (/^[+-]/.test(detail)) {
+    result = (state[relative.base] ?? 0) + result;
+  }
+
+  const max = relative.max(state);
+  if (max != null && !Number.isNaN(+max)) result = Math.min(result, max);
+  return Math.max(result, relative.min);
+};
+
+/**
+ * Resolves a hotkey action into the media request that should be dispatched.
+ * @param {HotkeyAction} action
+ * @param {any} state - The current media state.
+ * @param {KeyboardEvent} [event]
+ * @returns {HotkeyRequest | undefined}
+ */
+export const resolveHotkeyAction = (action, state = {}, event) => {
+  if (typeof action === 'function') {
+    return action(state, event) || undefined;
+  }
+  if (typeof action !== 'string' || !action) return undefined;
+
+  const separator = action.indexOf(':');
+  const name = separator < 0 ? action : action.slice(0, separator);
+  const detail = separator < 0 ? undefined : action.slice(separator + 1);
+  const type = HotkeyToggles[name]?.(state) ?? name;
+
+  return { type, detail: parseDetail(type, detail, state) };
+};
@@ -108,6 +108,7 @@ const isShimmed = Object.keys(globalThisShim)
   * ResizeObserver?,
   * CastableVideoElement?,
   * navigator?,
+  * devicePixelRatio?,
   * matchMedia,
   * } }
   * */
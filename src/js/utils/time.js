@@ -1,4 +1,5 @@
 import { isValidNumber } from './utils.js';
+import { nouns } from '../labels/labels.js';
 
 const UnitLabels = [
   {
@@ -14,7 +15,20 @@ const UnitLabels = [
     plural: 'seconds',
   },
 ];
-const toTimeUnitPhrase = (timeUnitValue, unitIndex) => {
+const toTimeUnitPhrase = (timeUnitValue, unitIndex, lang) => {
+  if (lang) {
+    try {
+      // Pluralized for the language, e.g. "1 Stunde" and "2 Stunden".
+      return new Intl.NumberFormat(lang, {
+        style: 'unit',
+        unit: UnitLabels[unitIndex].singular,
+        unitDisplay: 'long',
+      }).format(timeUnitValue);
+    } catch {
+      // Fall back to English for invalid language tags.
+    }
+  }
+
   const unitLabel =
     timeUnitValue === 1
       ? UnitLabels[unitIndex].singular
@@ -23,40 +37,156 @@ const toTimeUnitPhrase = (timeUnitValue, unitIndex) => {
   return `${timeUnitValue} ${unitLabel}`;
 };
 
+/**
+ * The values of the `format` attribute of the time displays.
+ */
+export const TimeFormats = {
+  CLOCK: 'clock',
+  FRAMES: 'frames',
+  MILLISECONDS: 'milliseconds',
+  SECONDS: 'seconds',
+};
+
+export const DEFAULT_FRAME_RATE = 30;
+
+/**
+ * @typedef {{ format?: string, frameRate?: number, guide?: number, lang?: string }} TimeFormatOptions
+ */
+
+/**
+ * A function to format the times of the time displays.
+ * @typedef {(seconds: number, options: TimeFormatOptions) => string} TimeFormatter
+ */
+
+/**
+ * @param {number} seconds - a positive time, represented as seconds
+ * @returns {number[]} The hours, minutes and seconds
+ */
+const toTimeParts = (seconds) => [
+  Math.floor(seconds / 3600),
+  Math.floor((seconds / 60) % 60),
+  Math.floor(seconds % 60),
+];
+
+/**
+ * @param {number} seconds - a positive time, represented as seconds
+ * @param {number} frameRate
+ * @returns {number[]} The hours, minutes, seconds and frames
+ */
+const toTimecodeParts = (seconds, frameRate) => {
+  // Fractional rates like 29.97 count frames with the nominal rate (non-drop-frame).
+  const nominalRate = Math.round(frameRate);
+  // Nudged so times on a frame boundary don't round down to the previous frame.
+  const totalFrames = Math.floor(seconds * frameRate + 1e-6);
+  return [
+    ...toTimeParts(Math.floor(totalFrames / nominalRate)),
+    totalFrames % nominalRate,
+  ];
+};
+
+/**
+ * @param {number} seconds - a positive time, represented as seconds
+ * @returns {number} The milliseconds past the whole second
+ */
+const toMilliseconds = (seconds) => Math.floor(seconds * 1000 + 1e-6) % 1000;
+
 /**
  * This function converts numeric seconds into a phrase
  * @param {number} seconds - a (positive or negative) time, represented as seconds
+ * @param {string} [lang] - The language of the phrase, defaults to English
+ * @param {TimeFormatOptions} [options] - The `format` and `frameRate` to phrase the time for
  * @returns {string} The time, represented as a phrase of hours, minutes, and seconds
  */
-export const formatAsTimePhrase = (seconds) => {
+export const formatAsTimePhrase = (seconds, lang, options = {}) => {
   if (!isValidNumber(seconds)) return '';
+  const { format, frameRate = DEFAULT_FRAME_RATE } = options;
   const positiveSeconds = Math.abs(seconds);
   const negative = positiveSeconds !== seconds;
-  const secondsDateTime = new Date(0, 0, 0, 0, 0, positiveSeconds, 0);
-  const timeParts = [
-    secondsDateTime.getHours(),
-    secondsDateTime.getMinutes(),
-    secondsDateTime.getSeconds(),
-  ];
-  // NOTE: Everything above should be useable for the `formatTime` function.
-
-  const timeString = timeParts
-    // Convert non-0 values to a string of the value plus its unit
-    .map(
-      (timeUnitValue, index) =>
-        timeUnitValue && toTimeUnitPhrase(timeUnitValue, index)
-    )
+
+  let timeParts = toTimeParts(positiveSeconds);
+  let frames = 0;
+
+  if (format === TimeFormats.SECONDS) {
+    timeParts = [0, 0, Math.floor(positiveSeconds)];
+  } else if (format === TimeFormats.FRAMES && frameRate > 0) {
+    timeParts = toTimecodeParts(positiveSeconds, frameRate);
+    frames = timeParts.pop();
+  } else if (format === TimeFormats.MILLISECONDS) {
+    timeParts[2] = Number((timeParts[2] + toMilliseconds(positiveSeconds) / 1000).toFixed(3));
+  }
+
+  const timeString = [
+    ...timeParts
+      // Convert non-0 values to a string of the value plus its unit
+      .map(
+        (timeUnitValue, index) =>
+          timeUnitValue && toTimeUnitPhrase(timeUnitValue, index, lang)
+      ),
+    frames && nouns.FRAMES({ frames, lang }),
+  ]
     // Ignore/exclude any 0 values
     .filter((x) => x)
     // join into a single comma-separated string phrase
     .join(', ');
 
   // If the time was negative, assume it represents some remaining amount of time/"count down".
-  const negativeSuffix = negative ? ' remaining' : '';
-
-  return `${timeString}${negativeSuffix}`;
+  return negative ? nouns.TIME_REMAINING({ time: timeString, lang }) : timeString;
 };
 
+/**
+ * This function converts numeric seconds into an SMPTE timecode, e.g. "01:02:03:04"
+ * @param {number} seconds - a (positive or negative) time, represented as seconds
+ * @param {number} [frameRate] - The frames per second, defaults to 30
+ * @returns {string} The time as hours, minutes, seconds and frames
+ */
+export function formatTimecode(seconds, frameRate = DEFAULT_FRAME_RATE) {
+  if (!isValidNumber(seconds) || !(frameRate > 0)) return '00:00:00:00';
+  const timecode = toTimecodeParts(Math.abs(seconds), frameRate)
+    .map((part) => `${part}`.padStart(2, '0'))
+    .join(':');
+  return `${seconds < 0 ? '-' : ''}${timecode}`;
+}
+
+/**
+ * Formats a time for the `format` of the time displays, e.g. "1:02:03" by default,
+ * "01:02:03:04" for `frames`, "1:02:03.040" for `milliseconds` or "3723" for `seconds`.
+ * @param {number} seconds - a (positive or negative) time, represented as seconds
+ * @param {TimeFormatOptions} [options]
+ * @returns {string}
+ */
+export function formatTimeAs(seconds, options = {}) {
+  const { format, frameRate, guide } = options;
+
+  if (format === TimeFormats.FRAMES) {
+    return formatTimecode(seconds, frameRate);
+  }
+
+  if (format === TimeFormats.MILLISECONDS) {
+    const milliseconds = isValidNumber(seconds) ? toMilliseconds(Math.abs(seconds)) : 0;
+    return `${formatTime(seconds, guide)}.${`${milliseconds}`.padStart(3, '0')}`;
+  }
+
+  if (format === TimeFormats.SECONDS) {
+    if (!isValidNumber(seconds)) return '0';
+    return `${seconds < 0 ? '-' : ''}${Math.floor(Math.abs(seconds))}`;
+  }
+
+  return formatTime(seconds, guide);
+}
+
+/**
+ * Formats a time with the `formatter` of a time display, or else with its `format` and `frameRate`.
+ * @param {{ formatter?: TimeFormatter, format?: string, frameRate?: number }} display
+ * @param {number} seconds - a (positive or negative) time, represented as seconds
+ * @param {TimeFormatOptions} [options] - More options for the formatter, e.g. the `lang`
+ * @returns {string}
+ */
+export function formatDisplayTime(display, seconds, options = {}) {
+  const { formatter, format, frameRate } = display;
+  const formatOptions = { format, frameRate, ...options };
+  return formatter ? formatter(seconds, formatOptions) : formatTimeAs(seconds, formatOptions);
+}
+
 export function formatTime(seconds, guide) {
   // Handle negative values at the end
   let negative = false;
@@ -96,6 +226,22 @@ export function formatTime(seconds, guide) {
   return (negative ? '-' : '') + h + m + s;
 }
 
+/**
+ * This function converts a date into a local wall-clock time, e.g. "2:45:07 PM"
+ * @param {number} date - Milliseconds since the epoch
+ * @param {string} [lang] - The language of the time, defaults to the user's locale
+ * @returns {string} The time in the user's locale, or an empty string for an invalid date
+ */
+export const formatClockTime = (date, lang) => {
+  if (!isValidNumber(date)) return '';
+  try {
+    return new Date(date).toLocaleTimeString(lang);
+  } catch {
+    // Invalid language tags throw a RangeError.
+    return new Date(date).toLocaleTimeString();
+  }
+};
+
 /** @type {TimeRanges} */
 export const emptyTimeRanges = Object.freeze({
   length: 0,
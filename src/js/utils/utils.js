@@ -51,6 +51,34 @@ export function parseAudioTrack(audioTrack) {
   }
 }
 
+export function stringifyAngleList(angles) {
+  return angles
+    ?.map(stringifyAngle)
+    .join(' ');
+}
+
+export function parseAngleList(angles) {
+  return angles
+    ?.split(/\s+/)
+    .filter(Boolean)
+    .map(parseAngle);
+}
+
+export function stringifyAngle(angle) {
+  if (angle) {
+    const { id, label } = angle;
+    // Angle labels are free text like "Wide shot" so encode the spaces.
+    return [id, label && encodeURIComponent(label)].filter(a => a != null).join(':')
+  }
+}
+
+export function parseAngle(angle) {
+  if (angle) {
+    const [id, label] = angle.split(':');
+    return { id, label: label && decodeURIComponent(label) };
+  }
+}
+
 export function dashedToCamel(word) {
   return word
     .split('-')
@@ -78,6 +106,10 @@ export function camelCase(name) {
   return name.replace(/[-_]([a-z])/g, ($0, $1) => $1.toUpperCase());
 }
 
+export function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
 export function isValidNumber(x) {
   return typeof x === 'number' && !Number.isNaN(x) && Number.isFinite(x);
 }
@@ -0,0 +1,61 @@
+import { fixture, assert } from '@open-wc/testing';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+import '../../../src/js/extras/media-clip-selector/index.js';
+
+describe('<media-clip-selector>', () => {
+  it('defaults the clip to the second quarter of the media', async () => {
+    const clipSelector = await fixture(`
+      <media-clip-selector mediaduration="100"></media-clip-selector>
+    `);
+
+    assert.deepEqual(clipSelector.getCurrentClipBounds(), {
+      startTime: 25,
+      endTime: 50,
+    });
+  });
+
+  it('moves the focused handle with the arrow keys', async () => {
+    const clipSelector = await fixture(`
+      <media-clip-selector mediaduration="100" mediaclipstart="10" mediaclipend="20"></media-clip-selector>
+    `);
+    const startHandle = clipSelector.shadowRoot.querySelector('#startHandle');
+    const endHandle = clipSelector.shadowRoot.querySelector('#endHandle');
+
+    const changes = [];
+    clipSelector.addEventListener('clipchange', (e) => changes.push(e.detail));
+
+    const keydown = (target, key) =>
+      target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+    keydown(startHandle, 'ArrowRight');
+    keydown(endHandle, 'PageUp');
+    keydown(startHandle, 'End');
+
+    assert.deepEqual(changes, [
+      { startTime: 11, endTime: 20 },
+      { startTime: 11, endTime: 30 },
+      { startTime: 29, endTime: 30 },
+    ]);
+    assert.equal(clipSelector.getAttribute('mediaclipstart'), '29');
+    assert.equal(startHandle.getAttribute('aria-valuetext'), '29 seconds');
+  });
+
+  it('drives the loop range when looping', async () => {
+    const clipSelector = await fixture(`
+      <media-clip-selector mediaduration="100" mediaclipstart="10" mediaclipend="20"></media-clip-selector>
+    `);
+
+    const loopRanges = [];
+    clipSelector.addEventListener(MediaUIEvents.MEDIA_LOOP_RANGE_REQUEST, (e) =>
+      loopRanges.push(e.detail)
+    );
+
+    clipSelector.loop = true;
+    clipSelector.setClipBounds(10, 40, 'end');
+
+    assert.deepEqual(loopRanges, [
+      [10, 20],
+      [10, 40],
+    ]);
+  });
+});
@@ -0,0 +1,107 @@
+import { assert, fixture } from '@open-wc/testing';
+import {
+  addTranslation,
+  formatNumber,
+  nouns,
+  verbs,
+} from '../../../src/js/labels/labels.js';
+import '../../../src/js/index.js';
+import '../../../src/js/extras/media-clip-selector/index.js';
+
+describe('labels', () => {
+  it('defaults to English', () => {
+    assert.equal(verbs.PLAY(), 'play');
+    assert.equal(verbs.PLAY({ lang: 'xx' }), 'play');
+    assert.equal(verbs.SEEK_FORWARD_N_SECS({ seekOffset: 5 }), 'seek forward 5 seconds');
+  });
+
+  it('uses added translations with placeholders or functions', () => {
+    addTranslation('de', {
+      PLAY: 'abspielen',
+      SEEK_FORWARD_N_SECS: '{seekOffset} Sekunden vorspulen',
+      TIME_OF_DURATION: ({ time, duration }) => `${time} von ${duration}`,
+    });
+
+    assert.equal(verbs.PLAY({ lang: 'de' }), 'abspielen');
+    assert.equal(
+      verbs.SEEK_FORWARD_N_SECS({ seekOffset: 5, lang: 'de' }),
+      '5 Sekunden vorspulen'
+    );
+    assert.equal(
+      nouns.TIME_OF_DURATION({ time: '1 Minute', duration: '2 Minuten', lang: 'de' }),
+      '1 Minute von 2 Minuten'
+    );
+    // Missing translations fall back to English.
+    assert.equal(verbs.PAUSE({ lang: 'de' }), 'pause');
+  });
+
+  it('falls back from a regional language to the base language', () => {
+    addTranslation('pt', { PLAY: 'reproduzir', PAUSE: 'pausar' });
+    addTranslation('pt-BR', { PLAY: 'tocar' });
+
+    assert.equal(verbs.PLAY({ lang: 'pt-br' }), 'tocar');
+    assert.equal(verbs.PAUSE({ lang: 'pt-BR' }), 'pausar');
+    assert.equal(verbs.PLAY({ lang: 'pt' }), 'reproduzir');
+  });
+
+  it('formats numbers for a language', () => {
+    assert.equal(formatNumber(1.5), '1.5');
+    assert.equal(formatNumber(1.5, { lang: 'de' }), '1,5');
+    assert.equal(formatNumber(1.5, { lang: '_' }), '1.5');
+  });
+
+  it('updates the labels of the controls when the lang changes', async () => {
+    addTranslation('fr', { PLAY: 'lecture', SEEK: 'rechercher' });
+
+    const mediaController = await fixture(`
+      <media-controller>
+        <media-play-button mediapaused></media-play-button>
+        <media-time-range></media-time-range>
+      </media-controller>
+    `);
+    const playButton = mediaController.querySelector('media-play-button');
+    const timeRange = mediaController.querySelector('media-time-range');
+
+    assert.equal(playButton.getAttribute('aria-label'), 'play');
+
+    let langChanges = 0;
+    mediaController.addEventListener('langchange', () => langChanges++);
+    mediaController.setAttribute('lang', 'fr');
+
+    assert.equal(langChanges, 1);
+    assert.equal(playButton.getAttribute('aria-label'), 'lecture');
+    assert.equal(timeRange.range.getAttribute('aria-label'), 'rechercher');
+
+    mediaController.removeAttribute('lang');
+    assert.equal(playButton.getAttribute('aria-label'), 'play');
+  });
+
+  it('localizes the loading indicator and the clip selector', async () => {
+    addTranslation('es', {
+      MEDIA_LOADING: 'cargando',
+      CLIP_START: 'inicio del clip',
+      CLIP_END: 'fin del clip',
+    });
+
+    const mediaController = await fixture(`
+      <media-controller lang="es">
+        <media-loading-indicator></media-loading-indicator>
+        <media-clip-selector mediaduration="100" mediaclipstart="10" mediaclipend="20"></media-clip-selector>
+      </media-controller>
+    `);
+    const loadingIndicator = mediaController.querySelector('media-loading-indicator');
+    const clipSelector = mediaController.querySelector('media-clip-selector');
+    const startHandle = clipSelector.shadowRoot.querySelector('#startHandle');
+    const endHandle = clipSelector.shadowRoot.querySelector('#endHandle');
+
+    assert.equal(loadingIndicator.shadowRoot.querySelector('#status').textContent, 'cargando');
+    assert.equal(startHandle.getAttribute('aria-label'), 'inicio del clip');
+    assert.equal(endHandle.getAttribute('aria-label'), 'fin del clip');
+    assert.equal(startHandle.getAttribute('aria-valuetext'), '10 segundos');
+
+    mediaController.removeAttribute('lang');
+    assert.equal(loadingIndicator.shadowRoot.querySelector('#status').textContent, 'media loading');
+    assert.equal(startHandle.getAttribute('aria-label'), 'clip start');
+    assert.equal(startHandle.getAttribute('aria-valuetext'), '10 seconds');
+  });
+});
@@ -0,0 +1,58 @@
+import { fixture, assert, aTimeout } from '@open-wc/testing';
+import { getShowingSubtitleTracks } from '../../src/js/media-store/util.js';
+import { getCueBox } from '../../src/js/media-captions-display.js';
+import '../../src/js/index.js';
+
+describe('<media-captions-display>', () => {
+  it('computes the cue box from the cue settings', () => {
+    const cue = new VTTCue(0, 1, 'Hello');
+    assert.deepEqual(getCueBox(cue), { left: 0, width: 100, textAlign: 'center' });
+
+    cue.align = 'start';
+    cue.position = 10;
+    cue.size = 50;
+    assert.deepEqual(getCueBox(cue), { left: 10, width: 50, textAlign: 'start' });
+
+    cue.align = 'center';
+    cue.position = 20;
+    cue.size = 100;
+    assert.deepEqual(getCueBox(cue), { left: 0, width: 40, textAlign: 'center' });
+  });
+
+  it('hides the native rendering while the track counts as showing', async () => {
+    const controller = await fixture(`
+      <media-controller>
+        <video slot="media" muted></video>
+        <media-captions-display slot="centered-chrome"></media-captions-display>
+      </media-controller>
+    `);
+    const media = controller.media;
+    const display = controller.querySelector('media-captions-display');
+
+    const track = media.addTextTrack('captions', 'English', 'en');
+    track.addCue(new VTTCue(0, 10, 'Hello'));
+    track.mode = 'showing';
+    await aTimeout(50);
+
+    assert.equal(track.mode, 'hidden');
+    assert.deepEqual(getShowingSubtitleTracks({ media }), [track]);
+    assert.equal(display.getAttribute('mediasubtitlesshowing'), 'en:English');
+
+    display.remove();
+    assert.equal(track.mode, 'showing');
+  });
+
+  it('moves up while the controls are showing', async () => {
+    const controller = await fixture(`
+      <media-controller>
+        <video slot="media" muted></video>
+        <media-captions-display slot="centered-chrome"></media-captions-display>
+      </media-controller>
+    `);
+    const display = controller.querySelector('media-captions-display');
+    assert.isFalse(display.userInactive);
+
+    controller.dispatchEvent(new CustomEvent('userinactivechange', { detail: true }));
+    assert.isTrue(display.userInactive);
+  });
+});
@@ -0,0 +1,62 @@
+import { fixture, assert } from '@open-wc/testing';
+import { MediaUIEvents } from '../../src/js/constants.js';
+import '../../src/js/media-chapters-menu.js';
+
+describe('<media-chapters-menu>', () => {
+  const cues = [
+    { text: 'Intro', startTime: 0, endTime: 30 },
+    { text: 'Middle', startTime: 30, endTime: 60 },
+    { text: 'End', startTime: 60, endTime: 90 },
+  ];
+
+  it('lists the chapters', async () => {
+    const menu = await fixture(`<media-chapters-menu></media-chapters-menu>`);
+    menu.mediaChaptersCues = cues;
+
+    assert.deepEqual(
+      menu.radioGroupItems.map((item) => item.value),
+      ['0', '30', '60']
+    );
+    assert.equal(
+      menu.radioGroupItems[1].querySelector('[slot=description]').textContent,
+      '0:30'
+    );
+  });
+
+  it('checks the current chapter without seeking', async () => {
+    const menu = await fixture(`<media-chapters-menu></media-chapters-menu>`);
+    const seeks = [];
+    menu.addEventListener(MediaUIEvents.MEDIA_SEEK_REQUEST, (e) => seeks.push(e.detail));
+
+    menu.mediaChaptersCues = cues;
+    assert.isEmpty(menu.checkedItems);
+
+    menu.mediaCurrentChapter = cues[1];
+    assert.deepEqual(menu.checkedItems.map((item) => item.value), ['30']);
+
+    menu.mediaCurrentChapter = cues[2];
+    assert.deepEqual(menu.checkedItems.map((item) => item.value), ['60']);
+
+    menu.mediaCurrentChapter = undefined;
+    assert.isEmpty(menu.checkedItems);
+    assert.isEmpty(seeks);
+  });
+
+  it('keeps the current chapter checked when the chapters change', async () => {
+    const menu = await fixture(`<media-chapters-menu></media-chapters-menu>`);
+    menu.mediaCurrentChapter = cues[2];
+
+    menu.mediaChaptersCues = cues;
+    assert.deepEqual(menu.checkedItems.map((item) => item.value), ['60']);
+  });
+
+  it('seeks to the start of the chosen chapter', async () => {
+    const menu = await fixture(`<media-chapters-menu></media-chapters-menu>`);
+    const seeks = [];
+    menu.addEventListener(MediaUIEvents.MEDIA_SEEK_REQUEST, (e) => seeks.push(e.detail));
+    menu.mediaChaptersCues = cues;
+
+    menu.radioGroupItems[1].click();
+    assert.deepEqual(seeks, [30]);
+  });
+});
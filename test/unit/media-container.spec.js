@@ -1,6 +1,9 @@
-import { spy } from 'sinon';
+import { spy, useFakeTimers } from 'sinon';
 import { fixture, assert, aTimeout } from '@open-wc/testing';
+import { InvokeEvent } from '../../src/js/utils/events.js';
 import '../../src/js/media-container.js';
+import '../../src/js/media-chrome-dialog.js';
+import '../../src/js/media-error-dialog.js';
 
 describe('<media-container>', () => {
   it('calls media callbacks', async () => {
@@ -47,4 +50,206 @@ describe('<media-container>', () => {
     assert.equal(mediaContainer.media, null);
   });
 
+  it('uses a single media element even if it is hidden', async () => {
+    const mediaContainer = await fixture(`
+      <media-container>
+        <video slot="media" hidden></video>
+      </media-container>
+    `);
+
+    assert.equal(mediaContainer.media, mediaContainer.querySelector('video'));
+  });
+
+  it('uses the selected angle as the media', async () => {
+    const mediaContainer = await fixture(`
+      <media-container>
+        <video slot="media" id="wide"></video>
+        <video slot="media" id="stage"></video>
+      </media-container>
+    `);
+    const [wide, stage] = mediaContainer.querySelectorAll('video');
+    assert.equal(mediaContainer.media, wide);
+
+    // Hiding an angle doesn't select another one.
+    wide.hidden = true;
+    assert.equal(mediaContainer.media, wide);
+
+    stage.dispatchEvent(new CustomEvent('mediaanglechange', { bubbles: true, composed: true }));
+    assert.equal(mediaContainer.media, stage);
+
+    stage.remove();
+    assert.equal(mediaContainer.media, wide);
+  });
+
+  describe('autohide', () => {
+    let clock;
+
+    afterEach(() => {
+      clock?.restore();
+    });
+
+    it('shows and hides the controls programmatically', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2"></media-container>
+      `);
+      clock = useFakeTimers();
+
+      mediaContainer.showControls(500);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+      clock.tick(500);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+
+      mediaContainer.showControls();
+      mediaContainer.hideControls();
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+    });
+
+    it('keeps the controls visible while a keepvisible element is shown', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2">
+          <div keepvisible></div>
+        </media-container>
+      `);
+      const overlay = mediaContainer.querySelector('[keepvisible]');
+      clock = useFakeTimers();
+
+      mediaContainer.showControls();
+      clock.tick(2000);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+
+      overlay.hidden = true;
+      // MutationObserver callbacks run as a microtask
+      await Promise.resolve();
+      clock.tick(2000);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+    });
+
+    it('keeps the controls visible only for dialogs the user opened', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2">
+          <button></button>
+          <media-chrome-dialog hidden></media-chrome-dialog>
+        </media-container>
+      `);
+      const button = mediaContainer.querySelector('button');
+      const dialog = mediaContainer.querySelector('media-chrome-dialog');
+      clock = useFakeTimers();
+
+      // A dialog that opens by itself lets the controls hide.
+      dialog.hidden = false;
+      mediaContainer.showControls();
+      clock.tick(2000);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+
+      dialog.hidden = true;
+      dialog.dispatchEvent(new InvokeEvent({ relatedTarget: button }));
+      assert.isFalse(dialog.hidden);
+      mediaContainer.showControls();
+      clock.tick(2000);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+    });
+
+    it('keeps the controls visible while an error is shown', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2">
+          <media-error-dialog></media-error-dialog>
+        </media-container>
+      `);
+      const errorDialog = mediaContainer.querySelector('media-error-dialog');
+      clock = useFakeTimers();
+
+      errorDialog.mediaError = { code: 2, message: '', fatal: true };
+      assert.isFalse(errorDialog.hidden);
+      mediaContainer.showControls();
+      clock.tick(2000);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+    });
+
+    it('hides faster after keyboard use', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2"></media-container>
+      `);
+      assert.equal(mediaContainer.keyboardAutohide, 1);
+      clock = useFakeTimers();
+
+      mediaContainer.dispatchEvent(new KeyboardEvent('keyup', { key: 'Tab' }));
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+      clock.tick(999);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+      clock.tick(1);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+
+      // Mouse use waits for the full autohide delay.
+      mediaContainer.dispatchEvent(new PointerEvent('pointermove', { pointerType: 'mouse' }));
+      clock.tick(1000);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+      clock.tick(1000);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+
+      mediaContainer.setAttribute('keyboardautohide', '0.5');
+      assert.equal(mediaContainer.keyboardAutohide, 0.5);
+      mediaContainer.dispatchEvent(new KeyboardEvent('keyup', { key: 'Tab' }));
+      clock.tick(500);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+    });
+
+    it('shows the controls for the given time', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2"></media-container>
+      `);
+      clock = useFakeTimers();
+
+      mediaContainer.showControls(3000);
+      clock.tick(2000);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'), 'ignores the autohide delay');
+      clock.tick(1000);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+
+      mediaContainer.autohide = -1;
+      mediaContainer.showControls(500);
+      clock.tick(500);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'), 'autohide is off');
+    });
+
+    it('hides the controls even if something keeps them visible', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="-1">
+          <div keepvisible></div>
+        </media-container>
+      `);
+      const events = [];
+      mediaContainer.addEventListener('userinactivechange', (e) => events.push(e.detail));
+      clock = useFakeTimers();
+
+      mediaContainer.showControls();
+      mediaContainer.hideControls();
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+
+      // A pending hide doesn't fire again.
+      clock.tick(5000);
+      assert.deepEqual(events, [false, true]);
+    });
+
+    it('keeps the controls visible once an element gets the keepvisible attribute', async () => {
+      const mediaContainer = await fixture(`
+        <media-container autohide="2">
+          <div></div>
+        </media-container>
+      `);
+      const overlay = mediaContainer.querySelector('div');
+      clock = useFakeTimers();
+
+      overlay.setAttribute('keepvisible', '');
+      // MutationObserver callbacks run as a microtask
+      await Promise.resolve();
+      mediaContainer.showControls();
+      clock.tick(2000);
+      assert.isFalse(mediaContainer.hasAttribute('userinactive'));
+
+      overlay.removeAttribute('keepvisible');
+      await Promise.resolve();
+      clock.tick(2000);
+      assert.isTrue(mediaContainer.hasAttribute('userinactive'));
+    });
+  });
 });
@@ -0,0 +1,43 @@
+import { fixture, assert } from '@open-wc/testing';
+import '../../src/js/media-duration-display.js';
+
+describe('<media-duration-display>', () => {
+  const getText = (el) => el.shadowRoot.querySelector('slot').textContent;
+
+  it('shows the duration in the format', async () => {
+    const el = await fixture(`
+      <media-duration-display mediaduration="3723.5"></media-duration-display>
+    `);
+    assert.equal(getText(el), '1:02:03');
+
+    el.setAttribute('format', 'frames');
+    assert.equal(getText(el), '01:02:03:15');
+
+    el.setAttribute('framerate', '25');
+    assert.equal(getText(el), '01:02:03:12');
+
+    el.format = 'milliseconds';
+    assert.equal(getText(el), '1:02:03.500');
+
+    el.format = 'seconds';
+    assert.equal(getText(el), '3723');
+  });
+
+  it('formats the duration with the formatter', async () => {
+    const el = await fixture(`
+      <media-duration-display mediaduration="120" format="frames" framerate="25"></media-duration-display>
+    `);
+    let formatOptions;
+    el.formatter = (seconds, options) => {
+      formatOptions = options;
+      return `${seconds} sec`;
+    };
+
+    assert.equal(getText(el), '120 sec');
+    assert.equal(formatOptions.format, 'frames');
+    assert.equal(formatOptions.frameRate, 25);
+
+    el.mediaDuration = 60;
+    assert.equal(getText(el), '60 sec');
+  });
+});
@@ -0,0 +1,333 @@
+import { fixture, assert, aTimeout } from '@open-wc/testing';
+import { MediaUIEvents, MediaContainerEvents } from '../../src/js/constants.js';
+import '../../src/js/media-controller.js';
+import '../../src/js/media-gesture-receiver.js';
+
+describe('<media-gesture-receiver>', () => {
+  it('accumulates double tap seeks', async () => {
+    const gestureReceiver = await fixture(`
+      <media-gesture-receiver mediacurrenttime="30" mediaduration="60" seekoffset="5"></media-gesture-receiver>
+    `);
+
+    const seeks = [];
+    gestureReceiver.addEventListener(MediaUIEvents.MEDIA_SEEK_REQUEST, (e) =>
+      seeks.push(e.detail)
+    );
+
+    const tap = new MouseEvent('click');
+    gestureReceiver.handleDoubleTap(tap, 1);
+    gestureReceiver.handleDoubleTap(tap, 1);
+    gestureReceiver.handleDoubleTap(tap, -1);
+
+    assert.deepEqual(seeks, [35, 40, 25]);
+  });
+
+  it('clamps double tap seeks to the media duration', async () => {
+    const gestureReceiver = await fixture(`
+      <media-gesture-receiver mediacurrenttime="55" mediaduration="60"></media-gesture-receiver>
+    `);
+
+    let seekTime;
+    gestureReceiver.addEventListener(
+      MediaUIEvents.MEDIA_SEEK_REQUEST,
+      (e) => (seekTime = e.detail)
+    );
+
+    gestureReceiver.handleDoubleTap(new MouseEvent('click'), 1);
+
+    assert.equal(seekTime, 60);
+  });
+
+  it('toggles fullscreen on a mouse double click', async () => {
+    const gestureReceiver = await fixture(`
+      <media-gesture-receiver></media-gesture-receiver>
+    `);
+
+    const requests = [];
+    gestureReceiver.addEventListener(
+      MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST,
+      (e) => requests.push(e.type)
+    );
+    gestureReceiver.addEventListener(
+      MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST,
+      (e) => requests.push(e.type)
+    );
+
+    gestureReceiver.handleMouseDoubleClick(new MouseEvent('dblclick'));
+    gestureReceiver.mediaIsFullscreen = true;
+    gestureReceiver.handleMouseDoubleClick(new MouseEvent('dblclick'));
+
+    assert.deepEqual(requests, [
+      MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST,
+      MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST,
+    ]);
+  });
+
+  it('toggles playback on a click and only fullscreen on a mouse double click', async () => {
+    const mediaController = await fixture(`
+      <media-controller style="width: 400px; height: 200px;">
+        <media-gesture-receiver slot="gestures-chrome" mediapaused></media-gesture-receiver>
+      </media-controller>
+    `);
+    const gestureReceiver = mediaController.querySelector('media-gesture-receiver');
+    const { left, top } = gestureReceiver.getBoundingClientRect();
+    const eventInit = { bubbles: true, composed: true, clientX: left + 200, clientY: top + 100 };
+
+    const requests = [];
+    [
+      MediaUIEvents.MEDIA_PLAY_REQUEST,
+      MediaUIEvents.MEDIA_PAUSE_REQUEST,
+      MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST,
+    ].forEach((type) => gestureReceiver.addEventListener(type, (e) => requests.push(e.type)));
+
+    const click = (detail) => {
+      gestureReceiver.dispatchEvent(new PointerEvent('pointerdown', { ...eventInit, pointerType: 'mouse' }));
+      gestureReceiver.dispatchEvent(new MouseEvent('click', { ...eventInit, detail }));
+    };
+
+    click(1);
+    assert.deepEqual(requests, [MediaUIEvents.MEDIA_PLAY_REQUEST], 'toggles playback right away');
+
+    click(2);
+    gestureReceiver.dispatchEvent(new MouseEvent('dblclick', eventInit));
+    assert.deepEqual(requests, [
+      MediaUIEvents.MEDIA_PLAY_REQUEST,
+      MediaUIEvents.MEDIA_PAUSE_REQUEST,
+      MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST,
+    ]);
+  });
+
+  it('turns off touch scrolling for the enabled drag gestures', async () => {
+    const mediaController = await fixture(`
+      <media-controller>
+        <media-gesture-receiver slot="gestures-chrome" dragseek></media-gesture-receiver>
+      </media-controller>
+    `);
+    const gestureReceiver = mediaController.querySelector('media-gesture-receiver');
+
+    assert.equal(mediaController.style.touchAction, 'pan-y pinch-zoom');
+
+    gestureReceiver.dragVolume = true;
+    assert.equal(mediaController.style.touchAction, 'pinch-zoom');
+
+    gestureReceiver.remove();
+    assert.equal(mediaController.style.touchAction, '');
+  });
+
+  it('turns touch scrolling back on while the gestures are disabled', async () => {
+    const mediaController = await fixture(`
+      <media-controller>
+        <media-gesture-receiver slot="gestures-chrome" dragseek></media-gesture-receiver>
+      </media-controller>
+    `);
+    assert.equal(mediaController.style.touchAction, 'pan-y pinch-zoom');
+
+    mediaController.setAttribute('gesturesdisabled', '');
+    await aTimeout(0);
+    assert.equal(mediaController.style.touchAction, '');
+
+    mediaController.removeAttribute('gesturesdisabled');
+    await aTimeout(0);
+    assert.equal(mediaController.style.touchAction, 'pan-y pinch-zoom');
+  });
+
+  describe('pointer gestures', () => {
+    let mediaController;
+    let gestureReceiver;
+    let requests;
+    let origin;
+
+    const pointer = (type, pointerId, x, y) => {
+      gestureReceiver.dispatchEvent(
+        new PointerEvent(type, {
+          bubbles: true,
+          composed: true,
+          pointerType: 'touch',
+          pointerId,
+          clientX: origin.left + x,
+          clientY: origin.top + y,
+        })
+      );
+    };
+
+    const click = (x, y) => {
+      gestureReceiver.dispatchEvent(
+        new MouseEvent('click', {
+          bubbles: true,
+          composed: true,
+          clientX: origin.left + x,
+          clientY: origin.top + y,
+        })
+      );
+    };
+
+    beforeEach(async () => {
+      mediaController = await fixture(`
+        <media-controller style="width: 400px; height: 200px;">
+          <media-gesture-receiver slot="gestures-chrome" doubletapdelay="10"></media-gesture-receiver>
+        </media-controller>
+      `);
+      gestureReceiver = mediaController.querySelector('media-gesture-receiver');
+      origin = gestureReceiver.getBoundingClientRect();
+
+      requests = [];
+      [
+        MediaUIEvents.MEDIA_PREVIEW_REQUEST,
+        MediaUIEvents.MEDIA_SEEK_REQUEST,
+        MediaUIEvents.MEDIA_VOLUME_REQUEST,
+        MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST,
+        MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST,
+      ].forEach((type) =>
+        gestureReceiver.addEventListener(type, (e) => {
+          // Keep the requests from reaching the controller, there's no media.
+          e.stopPropagation();
+          requests.push([e.type, e.detail]);
+        })
+      );
+    });
+
+    it('scrubs on a horizontal drag and seeks on release', () => {
+      gestureReceiver.dragSeek = true;
+      gestureReceiver.mediaDuration = 100;
+      gestureReceiver.mediaCurrentTime = 50;
+
+      pointer('pointerdown', 1, 200, 100);
+      pointer('pointermove', 1, 220, 100);
+      pointer('pointermove', 1, 300, 100);
+      pointer('pointerup', 1, 300, 100);
+
+      assert.deepEqual(requests, [
+        [MediaUIEvents.MEDIA_PREVIEW_REQUEST, 70],
+        [MediaUIEvents.MEDIA_SEEK_REQUEST, 70],
+        [MediaUIEvents.MEDIA_PREVIEW_REQUEST, null],
+      ]);
+    });
+
+    it('clears the preview without seeking when the drag is canceled', () => {
+      gestureReceiver.dragSeek = true;
+      gestureReceiver.mediaDuration = 100;
+      gestureReceiver.mediaCurrentTime = 50;
+
+      pointer('pointerdown', 1, 200, 100);
+      pointer('pointermove', 1, 220, 100);
+      pointer('pointermove', 1, 180, 100);
+      pointer('pointercancel', 1, 180, 100);
+
+      assert.deepEqual(requests, [
+        [MediaUIEvents.MEDIA_PREVIEW_REQUEST, 40],
+        [MediaUIEvents.MEDIA_PREVIEW_REQUEST, null],
+      ]);
+    });
+
+    it('changes the volume on a vertical drag on the right half', () => {
+      gestureReceiver.dragVolume = true;
+      gestureReceiver.mediaVolume = 0.5;
+
+      pointer('pointerdown', 1, 300, 100);
+      pointer('pointermove', 1, 300, 80);
+      pointer('pointermove', 1, 300, 0);
+      pointer('pointermove', 1, 300, -100);
+      pointer('pointerup', 1, 300, -100);
+
+      assert.deepEqual(
+        requests.map(([, detail]) => detail.toFixed(2)),
+        ['0.90', '1.00']
+      );
+      assert.isTrue(
+        requests.every(([type]) => type === MediaUIEvents.MEDIA_VOLUME_REQUEST)
+      );
+    });
+
+    it('does not change the volume on a vertical drag on the left half', () => {
+      gestureReceiver.dragVolume = true;
+      gestureReceiver.mediaVolume = 0.5;
+
+      pointer('pointerdown', 1, 100, 100);
+      pointer('pointermove', 1, 100, 80);
+      pointer('pointermove', 1, 100, 0);
+      pointer('pointerup', 1, 100, 0);
+
+      assert.isEmpty(requests);
+    });
+
+    it('toggles fullscreen on a swipe past the swipe distance', () => {
+      gestureReceiver.swipeFullscreen = true;
+
+      // Too short to be a swipe.
+      pointer('pointerdown', 1, 200, 150);
+      pointer('pointermove', 1, 200, 130);
+      pointer('pointerup', 1, 200, 100);
+      assert.isEmpty(requests);
+
+      pointer('pointerdown', 1, 200, 150);
+      pointer('pointermove', 1, 200, 130);
+      pointer('pointerup', 1, 200, 50);
+      assert.deepEqual(requests, [[MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST, undefined]]);
+
+      gestureReceiver.mediaIsFullscreen = true;
+      pointer('pointerdown', 1, 200, 50);
+      pointer('pointermove', 1, 200, 70);
+      pointer('pointerup', 1, 200, 150);
+      assert.deepEqual(requests.at(-1), [MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST, undefined]);
+    });
+
+    it('toggles fullscreen on a pinch past the pinch ratio', () => {
+      gestureReceiver.pinchFullscreen = true;
+
+      pointer('pointerdown', 1, 150, 100);
+      pointer('pointerdown', 2, 250, 100);
+      pointer('pointermove', 2, 260, 100);
+      assert.isEmpty(requests);
+
+      pointer('pointermove', 2, 300, 100);
+      assert.deepEqual(requests, [[MediaUIEvents.MEDIA_ENTER_FULLSCREEN_REQUEST, undefined]]);
+
+      // A pinch only toggles once.
+      pointer('pointermove', 2, 350, 100);
+      pointer('pointerup', 2, 350, 100);
+      pointer('pointerup', 1, 150, 100);
+      assert.equal(requests.length, 1);
+
+      gestureReceiver.mediaIsFullscreen = true;
+      pointer('pointerdown', 1, 100, 100);
+      pointer('pointerdown', 2, 300, 100);
+      pointer('pointermove', 2, 200, 100);
+      assert.deepEqual(requests.at(-1), [MediaUIEvents.MEDIA_EXIT_FULLSCREEN_REQUEST, undefined]);
+    });
+
+    it('toggles the controls on a tap', async () => {
+      const inactiveRequests = [];
+      mediaController.addEventListener(MediaContainerEvents.USER_INACTIVE_REQUEST, (e) =>
+        inactiveRequests.push(e.detail)
+      );
+
+      const controlsVisible = !mediaController.hasAttribute('userinactive');
+      pointer('pointerdown', 1, 200, 100);
+      pointer('pointerup', 1, 200, 100);
+      click(200, 100);
+      assert.isEmpty(inactiveRequests, 'waits for a possible double tap');
+
+      await aTimeout(50);
+      assert.deepEqual(inactiveRequests, [controlsVisible]);
+    });
+
+    it('ignores the click that ends a drag', async () => {
+      gestureReceiver.dragSeek = true;
+      gestureReceiver.mediaDuration = 100;
+      gestureReceiver.mediaCurrentTime = 50;
+
+      const inactiveRequests = [];
+      mediaController.addEventListener(MediaContainerEvents.USER_INACTIVE_REQUEST, (e) =>
+        inactiveRequests.push(e.detail)
+      );
+
+      pointer('pointerdown', 1, 200, 100);
+      pointer('pointermove', 1, 300, 100);
+      pointer('pointerup', 1, 300, 100);
+      click(300, 100);
+      await aTimeout(50);
+
+      assert.isEmpty(inactiveRequests);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { fixture, assert } from '@open-wc/testing';
+import '../../src/js/media-preview-time-display.js';
+
+describe('<media-preview-time-display>', () => {
+  const getText = (el) => el.shadowRoot.querySelector('slot').textContent;
+
+  it('shows the preview time in the format', async () => {
+    const el = await fixture(`
+      <media-preview-time-display mediapreviewtime="3723.5"></media-preview-time-display>
+    `);
+    assert.equal(getText(el), '1:02:03');
+
+    el.setAttribute('format', 'frames');
+    assert.equal(getText(el), '01:02:03:15');
+
+    el.setAttribute('framerate', '25');
+    assert.equal(getText(el), '01:02:03:12');
+
+    el.format = 'milliseconds';
+    assert.equal(getText(el), '1:02:03.500');
+
+    el.format = 'seconds';
+    assert.equal(getText(el), '3723');
+  });
+
+  it('formats the preview time with the formatter', async () => {
+    const el = await fixture(`
+      <media-preview-time-display mediapreviewtime="30" format="seconds"></media-preview-time-display>
+    `);
+    let formatOptions;
+    el.formatter = (seconds, options) => {
+      formatOptions = options;
+      return `${seconds} sec`;
+    };
+
+    assert.equal(getText(el), '30 sec');
+    assert.equal(formatOptions.format, 'seconds');
+
+    el.mediaPreviewTime = 45;
+    assert.equal(getText(el), '45 sec');
+  });
+
+  it('shows the offset from the live edge of DVR streams', async () => {
+    const el = await fixture(`
+      <media-preview-time-display mediapreviewtime="80"></media-preview-time-display>
+    `);
+    assert.equal(getText(el), '1:20');
+
+    el.mediaSeekable = [0, 100];
+    el.mediaLiveEdgeOffset = -5;
+    assert.equal(getText(el), '-0:20');
+
+    el.mediaSeekable = [0, 110];
+    assert.equal(getText(el), '-0:30');
+
+    el.mediaLiveEdgeOffset = undefined;
+    assert.equal(getText(el), '1:20');
+  });
+});
@@ -0,0 +1,57 @@
+import { fixture, assert, aTimeout } from '@open-wc/testing';
+import '../../src/js/media-settings-menu.js';
+
+describe('<media-settings-menu>', () => {
+  const keydown = (el, key) =>
+    el.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true }));
+
+  it('nests the submenus listed in the submenus attribute', async () => {
+    const menu = await fixture(`
+      <media-settings-menu submenus="playbackrate captions unknown"></media-settings-menu>
+    `);
+
+    const submenus = [...menu.querySelectorAll('[slot="submenu"]')];
+    assert.deepEqual(
+      submenus.map((el) => el.localName),
+      ['media-playback-rate-menu', 'media-captions-menu']
+    );
+    assert.isTrue(submenus.every((el) => el.hidden));
+
+    menu.submenus = 'rendition';
+    assert.deepEqual(
+      [...menu.querySelectorAll('[slot="submenu"]')].map((el) => el.localName),
+      ['media-rendition-menu']
+    );
+  });
+
+  it('labels the submenu items with the current value', async () => {
+    const menu = await fixture(`
+      <media-settings-menu submenus="playbackrate"></media-settings-menu>
+    `);
+    // Wait for the slotchange events.
+    await aTimeout(10);
+
+    const item = menu.querySelector('media-settings-menu-item');
+    assert.equal(item.getAttribute('aria-label'), 'Speed: 1x');
+  });
+
+  it('opens and closes submenus with the arrow keys', async () => {
+    const menu = await fixture(`
+      <media-settings-menu submenus="playbackrate"></media-settings-menu>
+    `);
+    await aTimeout(10);
+
+    const item = menu.querySelector('media-settings-menu-item');
+    const submenu = menu.querySelector('media-playback-rate-menu');
+    item.focus();
+
+    keydown(item, 'ArrowRight');
+    assert.isFalse(submenu.hidden);
+    assert.equal(document.activeElement, submenu);
+    assert.equal(submenu.shadowRoot.activeElement, submenu.checkedItems[0]);
+
+    keydown(submenu.checkedItems[0], 'ArrowLeft');
+    assert.isTrue(submenu.hidden);
+    assert.equal(document.activeElement, item);
+  });
+});
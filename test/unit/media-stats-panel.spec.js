@@ -0,0 +1,91 @@
+import { fixture, assert, aTimeout } from '@open-wc/testing';
+import { getBufferAhead } from '../../src/js/media-stats-panel.js';
+import { MediaUIEvents } from '../../src/js/constants.js';
+import '../../src/js/index.js';
+
+describe('<media-stats-panel>', () => {
+  const getStats = (panel) =>
+    Object.fromEntries(
+      [...panel.shadowRoot.querySelectorAll('[part~=row]')].map((row) => [
+        row.querySelector('[part~=label]').textContent,
+        row.querySelector('[part~=value]').textContent,
+      ])
+    );
+
+  it('gets the seconds buffered ahead of the current time', () => {
+    const buffered = [[0, 5], [10, 30]];
+    assert.equal(getBufferAhead(buffered, 2), 3);
+    assert.equal(getBufferAhead(buffered, 12), 18);
+    assert.equal(getBufferAhead(buffered, 7), 0);
+  });
+
+  it('shows the statistics of the media', async () => {
+    const panel = await fixture(`<media-stats-panel></media-stats-panel>`);
+    Object.assign(panel, {
+      mediaRenditionList: [
+        { id: '0', width: 1280, height: 720, bitrate: 2500000 },
+        { id: '1', width: 1920, height: 1080, bitrate: 5000000 },
+      ],
+      mediaRenditionSelected: '1',
+      mediaBuffered: [[0, 20]],
+      mediaCurrentTime: 12.5,
+      mediaPlaybackQuality: { droppedVideoFrames: 3, totalVideoFrames: 1200 },
+      mediaReadyState: 4,
+      mediaStreamType: 'on-demand',
+      mediaVideoSize: [1920, 1080],
+    });
+    panel.update();
+
+    const stats = getStats(panel);
+    assert.equal(stats['Rendition'], '1920×1080 5,000 kb/s (1)');
+    assert.equal(stats['Buffer ahead'], '7.50 sec');
+    assert.equal(stats['Dropped frames'], '3 / 1,200');
+    assert.equal(stats['Ready state'], '4 (HAVE_ENOUGH_DATA)');
+    assert.equal(stats['Video resolution'], '1920×1080');
+    assert.notProperty(stats, 'Live latency');
+  });
+
+  it('shows the live latency of live streams', async () => {
+    const panel = await fixture(`<media-stats-panel></media-stats-panel>`);
+    Object.assign(panel, {
+      mediaStreamType: 'live',
+      mediaSeekable: [0, 100],
+      mediaCurrentTime: 94,
+    });
+    panel.update();
+    assert.equal(getStats(panel)['Live latency'], '6.00 sec');
+
+    panel.mediaPlaybackQuality = { liveLatency: 2.5 };
+    panel.update();
+    assert.equal(getStats(panel)['Live latency'], '2.50 sec');
+  });
+
+  it('only updates while open', async () => {
+    const panel = await fixture(`<media-stats-panel hidden refreshinterval="10"></media-stats-panel>`);
+    panel.mediaReadyState = 1;
+    assert.notProperty(getStats(panel), 'Ready state');
+
+    panel.hidden = false;
+    assert.equal(getStats(panel)['Ready state'], '1 (HAVE_METADATA)');
+  });
+
+  it('requests the playback quality while open', async () => {
+    const panel = await fixture(`<media-stats-panel hidden refreshinterval="10"></media-stats-panel>`);
+    let requests = 0;
+    panel.addEventListener(MediaUIEvents.MEDIA_PLAYBACK_QUALITY_REQUEST, () => requests++);
+
+    await aTimeout(30);
+    assert.equal(requests, 0);
+
+    panel.hidden = false;
+    assert.equal(requests, 1);
+
+    await aTimeout(30);
+    assert.isAbove(requests, 1);
+
+    panel.hidden = true;
+    const count = requests;
+    await aTimeout(30);
+    assert.equal(requests, count);
+  });
+});
@@ -0,0 +1,123 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import {
+  getAdBreakAtTime,
+  getAdBreakState,
+  getSkippedAdBreak,
+  resetAdBreakState,
+} from '../../../src/js/media-store/util.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('ad breaks', () => {
+  const cuePoints = [
+    { startTime: 0, endTime: 10, type: 'ad', skipOffset: 5 },
+    { startTime: 30, type: 'marker', text: 'Intro' },
+    { startTime: 60, endTime: 75, type: 'ad' },
+  ];
+
+  const createMedia = () => ({ readyState: 4, currentTime: 0, cuePoints });
+
+  it('finds the ad break at a time', () => {
+    assert.equal(getAdBreakAtTime(cuePoints, 5), cuePoints[0]);
+    assert.equal(getAdBreakAtTime(cuePoints, 10), undefined);
+    assert.equal(getAdBreakAtTime(cuePoints, 30), undefined);
+  });
+
+  it('finds the unwatched ad break skipped by a seek', () => {
+    const media = createMedia();
+    assert.equal(getSkippedAdBreak(media, cuePoints, 20, 90), cuePoints[2]);
+    assert.equal(getSkippedAdBreak(media, cuePoints, 90, 20), undefined);
+
+    getAdBreakState(media).watched.add(60);
+    assert.equal(getSkippedAdBreak(media, cuePoints, 20, 90), undefined);
+  });
+
+  it('plays a skipped ad break before seeking', () => {
+    const media = createMedia();
+    media.currentTime = 20;
+
+    requestMap[MediaUIEvents.MEDIA_SEEK_REQUEST](stateMediator, { media }, {
+      detail: 90,
+    });
+
+    assert.equal(media.currentTime, 60);
+    assert.equal(getAdBreakState(media).resumeTime, 90);
+  });
+
+  it('ignores seeks during an unwatched ad break', () => {
+    const media = createMedia();
+    media.currentTime = 2;
+
+    requestMap[MediaUIEvents.MEDIA_SEEK_REQUEST](stateMediator, { media }, {
+      detail: 20,
+    });
+
+    assert.equal(media.currentTime, 2);
+  });
+
+  it('skips an ad break after its skip offset', () => {
+    const media = createMedia();
+    const skipAd = () =>
+      requestMap[MediaUIEvents.MEDIA_SKIP_AD_REQUEST](
+        stateMediator,
+        { media },
+        {}
+      );
+
+    media.currentTime = 3;
+    skipAd();
+    assert.equal(media.currentTime, 3);
+
+    media.currentTime = 6;
+    skipAd();
+    assert.equal(media.currentTime, 10);
+    assert.isTrue(getAdBreakState(media).watched.has(0));
+  });
+
+  it('counts down until the ad break can be skipped', () => {
+    const media = createMedia();
+    const countdown = () => stateMediator.mediaAdSkipCountdown.get({ media });
+
+    media.currentTime = 1.5;
+    assert.equal(countdown(), 4);
+
+    media.currentTime = 7;
+    assert.equal(countdown(), 0);
+
+    // Ad breaks without a skip offset can't be skipped.
+    media.currentTime = 62;
+    assert.isUndefined(countdown());
+
+    media.currentTime = 20;
+    assert.isUndefined(countdown());
+  });
+
+  it('keeps the watched ad breaks when retrying', () => {
+    const media = document.createElement('div');
+    Object.assign(media, {
+      readyState: 1,
+      paused: true,
+      currentTime: 120,
+      duration: 600,
+      cuePoints: [
+        { startTime: 30, endTime: 40, type: 'ad' },
+        { startTime: 60, endTime: 75, type: 'ad' },
+      ],
+      load() {
+        this.currentTime = 0;
+      },
+    });
+    getAdBreakState(media).watched.add(30);
+    const stateOwners = { media, options: {} };
+
+    requestMap[MediaUIEvents.MEDIA_RETRY_REQUEST](stateMediator, stateOwners, {});
+    // Loading a source resets the ad breaks.
+    resetAdBreakState(media);
+    media.dispatchEvent(new Event('loadedmetadata'));
+
+    assert.equal(media.currentTime, 60);
+    assert.equal(getAdBreakState(media).resumeTime, 120);
+    assert.isTrue(getAdBreakState(media).watched.has(30));
+  });
+});
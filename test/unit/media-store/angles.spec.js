@@ -0,0 +1,131 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { syncAngle } from '../../../src/js/media-store/util.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('multi-angle playback', () => {
+  const createAngle = (props = {}) => {
+    const angle = document.createElement('div');
+    Object.assign(angle, {
+      readyState: 4,
+      currentTime: 0,
+      playbackRate: 1,
+      paused: true,
+      muted: false,
+      volume: 1,
+      play() {
+        this.paused = false;
+        return Promise.resolve();
+      },
+      pause() {
+        this.paused = true;
+      },
+      ...props,
+    });
+    return angle;
+  };
+
+  describe('syncAngle', () => {
+    it('seeks a follower that drifted too far', () => {
+      const primary = createAngle({ currentTime: 30, paused: false });
+      const follower = createAngle({ currentTime: 10 });
+
+      syncAngle(primary, follower);
+      assert.equal(follower.currentTime, 30);
+      assert.isFalse(follower.paused, 'plays along with the primary');
+    });
+
+    it('nudges the playback rate of a follower with small drift', () => {
+      const primary = createAngle({ currentTime: 30, paused: false });
+      const behind = createAngle({ currentTime: 29.5, paused: false });
+      const ahead = createAngle({ currentTime: 30.5, paused: false });
+
+      syncAngle(primary, behind);
+      syncAngle(primary, ahead);
+      assert.equal(behind.currentTime, 29.5, 'does not seek');
+      assert.isAbove(behind.playbackRate, 1);
+      assert.isBelow(ahead.playbackRate, 1);
+
+      behind.currentTime = 30;
+      syncAngle(primary, behind);
+      assert.equal(behind.playbackRate, 1, 'matches the rate once caught up');
+    });
+
+    it('seeks a follower to the exact time while paused', () => {
+      const primary = createAngle({ currentTime: 30 });
+      const follower = createAngle({ currentTime: 29.5, paused: false });
+
+      syncAngle(primary, follower);
+      assert.equal(follower.currentTime, 30);
+      assert.isTrue(follower.paused);
+    });
+  });
+
+  it('lists the angles and the selected one', () => {
+    const wide = createAngle({ id: 'wide' });
+    wide.setAttribute('label', 'Wide shot');
+    const stage = createAngle();
+    const stateOwners = { media: wide, mediaAngles: [wide, stage] };
+
+    assert.deepEqual(stateMediator.mediaAngleList.get(stateOwners), [
+      { id: 'wide', label: 'Wide shot' },
+      { id: '1', label: undefined },
+    ]);
+    assert.equal(stateMediator.mediaAngleSelected.get(stateOwners), 'wide');
+  });
+
+  it('has no angles for a single media element', () => {
+    const media = createAngle();
+    const stateOwners = { media, mediaAngles: [media] };
+
+    assert.deepEqual(stateMediator.mediaAngleList.get(stateOwners), []);
+    assert.equal(stateMediator.mediaAngleSelected.get(stateOwners), undefined);
+  });
+
+  it('switches the visible and audible angle', () => {
+    const wide = createAngle({ id: 'wide', currentTime: 12, paused: false });
+    const stage = createAngle({ id: 'stage', hidden: true, muted: true });
+    const stateOwners = { media: wide, mediaAngles: [wide, stage] };
+
+    let changed = false;
+    stage.addEventListener('mediaanglechange', () => (changed = true));
+
+    requestMap[MediaUIEvents.MEDIA_ANGLE_REQUEST](stateMediator, stateOwners, {
+      detail: 'stage',
+    });
+
+    assert.isFalse(stage.hidden);
+    assert.isFalse(stage.muted);
+    assert.equal(stage.currentTime, 12);
+    assert.isFalse(stage.paused);
+    assert.isTrue(wide.hidden);
+    assert.isTrue(wide.muted);
+    assert.isTrue(changed, 'notifies the container of the new primary media');
+  });
+
+  it('keeps the followers in sync with the primary media', () => {
+    const wide = createAngle({ id: 'wide' });
+    const stage = createAngle({ id: 'stage' });
+    const stateOwners = { media: wide, mediaAngles: [wide, stage] };
+    const [updateHandler] =
+      stateMediator.mediaAngleSelected.stateOwnersUpdateHandlers;
+    const teardown = updateHandler(() => {}, stateOwners);
+
+    assert.isTrue(stage.hidden);
+    assert.isTrue(stage.muted);
+
+    wide.currentTime = 40;
+    wide.dispatchEvent(new Event('seeked'));
+    assert.equal(stage.currentTime, 40);
+
+    wide.paused = false;
+    wide.dispatchEvent(new Event('play'));
+    assert.isFalse(stage.paused);
+
+    teardown();
+    wide.paused = true;
+    wide.dispatchEvent(new Event('pause'));
+    assert.isFalse(stage.paused, 'stops following after teardown');
+  });
+});
@@ -0,0 +1,113 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import {
+  PreferenceKeys,
+  createMemoryStorage,
+} from '../../../src/js/media-store/preferences.js';
+import {
+  DEFAULT_CAPTION_STYLE,
+  getCaptionStyleCSS,
+  parseCaptionStyle,
+  sanitizeCaptionStyle,
+  stringifyCaptionStyle,
+} from '../../../src/js/utils/captions.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('caption style', () => {
+  let media;
+
+  const createStateOwners = (options = {}) => {
+    media = document.createElement('video');
+    document.body.append(media);
+    return { media, options: { preferences: createMemoryStorage(), ...options } };
+  };
+
+  const request = (stateOwners, detail) =>
+    requestMap[MediaUIEvents.MEDIA_CAPTION_STYLE_REQUEST](stateMediator, stateOwners, {
+      detail,
+    });
+
+  const getCueRule = () =>
+    [...document.head.querySelectorAll('style')]
+      .map((style) => style.textContent)
+      .find((css) => css.includes('::cue'));
+
+  afterEach(() => {
+    media?.remove();
+  });
+
+  it('serializes and parses a caption style', () => {
+    const style = { fontSize: 150, color: 'yellow', backgroundOpacity: 0.5 };
+    assert.equal(stringifyCaptionStyle(style), 'fontSize:150 color:yellow backgroundOpacity:0.5');
+    assert.deepEqual(parseCaptionStyle('fontSize:150 color:yellow backgroundOpacity:0.5'), style);
+    assert.deepEqual(parseCaptionStyle('fontSize:123 color:beige foo:bar'), {}, 'ignores invalid settings');
+  });
+
+  it('ignores inherited property names', () => {
+    assert.deepEqual(
+      sanitizeCaptionStyle({ fontFamily: 'constructor', edgeStyle: 'toString', constructor: 'x' }),
+      {}
+    );
+    assert.deepEqual(parseCaptionStyle('fontFamily:__proto__ edgeStyle:toString'), {});
+    assert.equal(getCaptionStyleCSS(sanitizeCaptionStyle({ fontFamily: 'hasOwnProperty' })), '');
+  });
+
+  it('only includes the settings that are set in the CSS', () => {
+    assert.equal(getCaptionStyleCSS({}), '');
+    assert.equal(
+      getCaptionStyleCSS({ fontSize: 150, textOpacity: 0.5 }),
+      'font-size: 150%; color: rgb(255 255 255 / 0.5)'
+    );
+  });
+
+  it('updates, applies and persists the caption style', () => {
+    const stateOwners = createStateOwners();
+    assert.deepEqual(stateMediator.mediaCaptionStyle.get(stateOwners), DEFAULT_CAPTION_STYLE);
+
+    request(stateOwners, { fontSize: 200 });
+    request(stateOwners, 'edgeStyle:dropshadow');
+
+    assert.deepEqual(stateMediator.mediaCaptionStyle.get(stateOwners), {
+      ...DEFAULT_CAPTION_STYLE,
+      fontSize: 200,
+      edgeStyle: 'dropshadow',
+    });
+    assert.equal(
+      stateOwners.options.preferences.getItem(PreferenceKeys.CAPTION_STYLE),
+      'fontSize:200 edgeStyle:dropshadow'
+    );
+
+    const id = media.getAttribute('data-caption-style');
+    assert.include(getCueRule(), `[data-caption-style="${id}"]::cue`);
+    assert.include(getCueRule(), 'font-size: 200%');
+
+    request(stateOwners, null);
+    assert.deepEqual(stateMediator.mediaCaptionStyle.get(stateOwners), DEFAULT_CAPTION_STYLE);
+    assert.equal(stateOwners.options.preferences.getItem(PreferenceKeys.CAPTION_STYLE), null);
+    assert.isUndefined(getCueRule());
+  });
+
+  it('restores the caption style preference', () => {
+    const stateOwners = createStateOwners();
+    stateOwners.options.preferences.setItem(PreferenceKeys.CAPTION_STYLE, 'color:yellow');
+
+    const [updateHandler] = stateMediator.mediaCaptionStyle.stateOwnersUpdateHandlers;
+    const teardown = updateHandler(() => {}, stateOwners);
+
+    assert.equal(stateMediator.mediaCaptionStyle.get(stateOwners).color, 'yellow');
+    assert.include(getCueRule(), 'color: rgb(255 255 0 / 1)');
+
+    teardown();
+    assert.isUndefined(getCueRule());
+  });
+
+  it('passes the style to media with a custom caption renderer', () => {
+    const stateOwners = createStateOwners();
+    media.captionStyle = undefined;
+
+    request(stateOwners, { color: 'cyan' });
+    assert.deepEqual(media.captionStyle, { color: 'cyan' });
+    assert.isUndefined(getCueRule());
+  });
+});
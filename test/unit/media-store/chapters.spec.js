@@ -0,0 +1,97 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('chapters', () => {
+  const cues = [
+    { text: 'Intro', startTime: 0, endTime: 30 },
+    { text: 'Middle', startTime: 30, endTime: 60 },
+    { text: 'End', startTime: 60, endTime: 90 },
+  ];
+
+  const createStateOwners = (currentTime) => {
+    const media = {
+      readyState: 4,
+      currentTime,
+      duration: 90,
+      textTracks: [{ kind: 'chapters', cues }],
+    };
+    return { media };
+  };
+
+  const seekToNextChapter = (stateOwners) =>
+    requestMap[MediaUIEvents.MEDIA_SEEK_TO_NEXT_CHAPTER_REQUEST](stateMediator, stateOwners, {});
+
+  const seekToPrevChapter = (stateOwners) =>
+    requestMap[MediaUIEvents.MEDIA_SEEK_TO_PREV_CHAPTER_REQUEST](stateMediator, stateOwners, {});
+
+  it('seeks to the start of the next chapter', () => {
+    const stateOwners = createStateOwners(10);
+
+    seekToNextChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 30);
+
+    seekToNextChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 60);
+  });
+
+  it('does not seek past the last chapter', () => {
+    const stateOwners = createStateOwners(70);
+
+    seekToNextChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 70);
+  });
+
+  it('restarts the current chapter, or seeks to the previous one right after its start', () => {
+    const stateOwners = createStateOwners(45);
+
+    seekToPrevChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 30);
+
+    seekToPrevChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 0);
+  });
+
+  it('seeks to the start of the first chapter', () => {
+    const stateOwners = createStateOwners(10);
+    seekToPrevChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 0);
+
+    stateOwners.media.currentTime = 1;
+    seekToPrevChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 0);
+  });
+
+  it('does not seek without chapters', () => {
+    const stateOwners = createStateOwners(45);
+    stateOwners.media.textTracks = [];
+
+    seekToNextChapter(stateOwners);
+    seekToPrevChapter(stateOwners);
+    assert.equal(stateOwners.media.currentTime, 45);
+  });
+
+  it('gets the current chapter', () => {
+    const stateOwners = createStateOwners(0);
+    assert.equal(stateMediator.mediaCurrentChapter.get(stateOwners).text, 'Intro');
+
+    stateOwners.media.currentTime = 30;
+    assert.equal(stateMediator.mediaCurrentChapter.get(stateOwners).text, 'Middle');
+
+    // The last chapter includes the end of the media.
+    stateOwners.media.currentTime = 90;
+    assert.equal(stateMediator.mediaCurrentChapter.get(stateOwners).text, 'End');
+
+    assert.isUndefined(stateMediator.mediaCurrentChapter.get({}));
+  });
+
+  it('has no current chapter in the gaps between chapters', () => {
+    const stateOwners = createStateOwners(40);
+    stateOwners.media.textTracks = [
+      { kind: 'chapters', cues: [cues[0], cues[2]] },
+    ];
+
+    assert.isUndefined(stateMediator.mediaCurrentChapter.get(stateOwners));
+  });
+});
@@ -0,0 +1,52 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('program date time', () => {
+  const startDate = Date.UTC(2024, 5, 1, 18, 0, 0);
+
+  const createStateOwners = (getStartDate) => {
+    const media = document.createElement('div');
+    Object.assign(media, {
+      readyState: 1,
+      paused: false,
+      currentTime: 90,
+      getStartDate,
+    });
+    return { media, options: {} };
+  };
+
+  it('derives the current date from the start date', () => {
+    const stateOwners = createStateOwners(() => new Date(startDate));
+    assert.equal(stateMediator.mediaCurrentDate.get(stateOwners), startDate + 90000);
+  });
+
+  it('is undefined without a program date time', () => {
+    assert.isUndefined(stateMediator.mediaCurrentDate.get(createStateOwners(undefined)));
+    assert.isUndefined(
+      stateMediator.mediaCurrentDate.get(createStateOwners(() => new Date(Number.NaN)))
+    );
+  });
+
+  it('seeks to a date', () => {
+    const stateOwners = createStateOwners(() => new Date(startDate));
+    requestMap[MediaUIEvents.MEDIA_SEEK_TO_DATE_REQUEST](stateMediator, stateOwners, {
+      detail: new Date(startDate + 30000),
+    });
+    assert.equal(stateOwners.media.currentTime, 30);
+
+    requestMap[MediaUIEvents.MEDIA_SEEK_TO_DATE_REQUEST](stateMediator, stateOwners, {
+      detail: startDate + 45000,
+    });
+    assert.equal(stateOwners.media.currentTime, 45);
+  });
+
+  it('does not seek without a program date time', () => {
+    const stateOwners = createStateOwners(undefined);
+    requestMap[MediaUIEvents.MEDIA_SEEK_TO_DATE_REQUEST](stateMediator, stateOwners, {
+      detail: new Date(startDate + 30000),
+    });
+    assert.equal(stateOwners.media.currentTime, 90);
+  });
+});
@@ -0,0 +1,76 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { getFrameRate } from '../../../src/js/media-store/util.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('frame step', () => {
+  const createStateOwners = (props = {}, options = {}) => {
+    const media = document.createElement('div');
+    Object.assign(media, {
+      readyState: 1,
+      paused: false,
+      currentTime: 10,
+      duration: 20,
+      pause() {
+        this.paused = true;
+      },
+      ...props,
+    });
+    return { media, options };
+  };
+
+  const step = (stateOwners, detail) =>
+    requestMap[MediaUIEvents.MEDIA_FRAME_STEP_REQUEST](stateMediator, stateOwners, {
+      detail,
+    });
+
+  it('pauses and steps to the middle of the next or previous frame', () => {
+    const stateOwners = createStateOwners({}, { frameRate: 25 });
+    const { media } = stateOwners;
+
+    step(stateOwners, 1);
+    assert.isTrue(media.paused);
+    assert.closeTo(media.currentTime, 10.06, 1e-9);
+
+    step(stateOwners, -1);
+    step(stateOwners, -1);
+    assert.closeTo(media.currentTime, 9.98, 1e-9);
+  });
+
+  it('stays within the media', () => {
+    const stateOwners = createStateOwners({ currentTime: 0 });
+    step(stateOwners, -1);
+    assert.equal(stateOwners.media.currentTime, 0);
+
+    stateOwners.media.currentTime = 20;
+    step(stateOwners, 1);
+    assert.equal(stateOwners.media.currentTime, 20);
+  });
+
+  it('steps from the presented frame with requestVideoFrameCallback', () => {
+    const callbacks = [];
+    const stateOwners = createStateOwners(
+      { requestVideoFrameCallback: (callback) => callbacks.push(callback) },
+      { frameRate: 25 }
+    );
+    const { media } = stateOwners;
+
+    step(stateOwners, 1);
+    assert.equal(callbacks.length, 1);
+
+    // The frames of this media start a bit later than a multiple of the frame duration.
+    callbacks.pop()(0, { mediaTime: 10.05 });
+    step(stateOwners, 1);
+    assert.closeTo(media.currentTime, 10.11, 1e-9);
+  });
+
+  it('gets the frame rate from the options or the selected rendition', () => {
+    const videoRenditions = Object.assign([{ frameRate: 50 }, { frameRate: 24 }], {
+      selectedIndex: 1,
+    });
+    assert.equal(getFrameRate(createStateOwners()), 30);
+    assert.equal(getFrameRate(createStateOwners({ videoRenditions })), 24);
+    assert.equal(getFrameRate(createStateOwners({ videoRenditions }, { frameRate: 25 })), 25);
+  });
+});
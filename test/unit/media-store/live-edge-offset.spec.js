@@ -0,0 +1,59 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+
+describe('mediaLiveEdgeOffset', () => {
+  const createTimeRanges = (start, end) => ({
+    length: 1,
+    start: () => start,
+    end: () => end,
+  });
+
+  const createStateOwners = ({ targetLiveWindow, currentTime, seekable }) => {
+    const media = document.createElement('div');
+    Object.assign(media, {
+      streamType: 'live',
+      duration: Infinity,
+      targetLiveWindow,
+      currentTime,
+      seekable,
+    });
+    return { media, options: {} };
+  };
+
+  it('is the offset from the live edge for DVR streams', () => {
+    const stateOwners = createStateOwners({
+      targetLiveWindow: Infinity,
+      currentTime: 555,
+      seekable: createTimeRanges(300, 600),
+    });
+    assert.equal(stateMediator.mediaLiveEdgeOffset.get(stateOwners), -45);
+  });
+
+  it('is 0 when playing live', () => {
+    const stateOwners = createStateOwners({
+      targetLiveWindow: Infinity,
+      currentTime: 595,
+      seekable: createTimeRanges(300, 600),
+    });
+    assert.isTrue(stateMediator.mediaTimeIsLive.get(stateOwners));
+    assert.equal(stateMediator.mediaLiveEdgeOffset.get(stateOwners), 0);
+  });
+
+  it('is undefined for standard live and on-demand streams', () => {
+    const live = createStateOwners({
+      targetLiveWindow: 0,
+      currentTime: 555,
+      seekable: createTimeRanges(570, 600),
+    });
+    assert.isUndefined(stateMediator.mediaLiveEdgeOffset.get(live));
+
+    const onDemand = createStateOwners({
+      targetLiveWindow: Number.NaN,
+      currentTime: 10,
+      seekable: createTimeRanges(0, 60),
+    });
+    onDemand.media.streamType = 'on-demand';
+    onDemand.media.duration = 60;
+    assert.isUndefined(stateMediator.mediaLiveEdgeOffset.get(onDemand));
+  });
+});
@@ -0,0 +1,63 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('loop range', () => {
+  const createMedia = () => {
+    const media = document.createElement('div');
+    Object.assign(media, { readyState: 4, currentTime: 0, seeking: false });
+    return media;
+  };
+
+  it('sets and clears the loop range', () => {
+    const media = createMedia();
+    const stateOwners = { media };
+
+    requestMap[MediaUIEvents.MEDIA_LOOP_RANGE_REQUEST](
+      stateMediator,
+      stateOwners,
+      { detail: [10, 20] }
+    );
+    assert.deepEqual(stateMediator.mediaLoopRange.get(stateOwners), [10, 20]);
+    assert.equal(media.currentTime, 10, 'jumps into the loop');
+
+    requestMap[MediaUIEvents.MEDIA_LOOP_CLEAR_REQUEST](
+      stateMediator,
+      stateOwners,
+      {}
+    );
+    assert.equal(stateMediator.mediaLoopRange.get(stateOwners), undefined);
+  });
+
+  it('ignores loop ranges that end before they start', () => {
+    const media = createMedia();
+    const stateOwners = { media };
+
+    requestMap[MediaUIEvents.MEDIA_LOOP_RANGE_REQUEST](
+      stateMediator,
+      stateOwners,
+      { detail: [20, 10] }
+    );
+    assert.equal(stateMediator.mediaLoopRange.get(stateOwners), undefined);
+  });
+
+  it('seeks back to the start of the loop when reaching its end', () => {
+    const media = createMedia();
+    const stateOwners = { media };
+    const [updateHandler] = stateMediator.mediaLoopRange.stateOwnersUpdateHandlers;
+    const teardown = updateHandler(() => {}, stateOwners);
+
+    stateMediator.mediaLoopRange.set([10, 20], stateOwners);
+
+    media.currentTime = 15;
+    media.dispatchEvent(new Event('timeupdate'));
+    assert.equal(media.currentTime, 15);
+
+    media.currentTime = 20.1;
+    media.dispatchEvent(new Event('timeupdate'));
+    assert.equal(media.currentTime, 10);
+
+    teardown();
+  });
+});
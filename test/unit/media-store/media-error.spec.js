@@ -0,0 +1,87 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+import { formatErrorCode, nouns } from '../../../src/js/labels/labels.js';
+
+describe('media error', () => {
+  const createStateOwners = (props = {}) => {
+    const media = document.createElement('div');
+    Object.assign(media, {
+      readyState: 1,
+      paused: false,
+      currentTime: 42,
+      duration: 600,
+      error: null,
+      play() {
+        this.paused = false;
+        return Promise.resolve();
+      },
+      load() {
+        this.paused = true;
+        this.currentTime = 0;
+      },
+      ...props,
+    });
+    return { media, options: {} };
+  };
+
+  it('reads the error of the media', () => {
+    const stateOwners = createStateOwners();
+    assert.isUndefined(stateMediator.mediaError.get(stateOwners));
+
+    stateOwners.media.error = { code: 4, message: 'Not found' };
+    assert.deepEqual(stateMediator.mediaError.get(stateOwners), {
+      code: 4,
+      message: 'Not found',
+      fatal: true,
+    });
+    assert.isFalse(stateMediator.mediaLoading.get(stateOwners));
+  });
+
+  it('reads richer details from the error event', () => {
+    const stateOwners = createStateOwners();
+    const event = new CustomEvent('error', {
+      detail: { code: 2, message: 'Manifest 404', fatal: false },
+    });
+    assert.deepEqual(stateMediator.mediaError.get(stateOwners, event), {
+      code: 2,
+      message: 'Manifest 404',
+      fatal: false,
+    });
+  });
+
+  it('keeps the details of the error event until a new source loads', () => {
+    const stateOwners = createStateOwners();
+    const error = new CustomEvent('error', {
+      detail: { code: 2, message: 'Manifest 404', fatal: true },
+    });
+    stateMediator.mediaError.get(stateOwners, error);
+
+    // States that depend on the error read it without the event.
+    assert.equal(stateMediator.mediaError.get(stateOwners)?.message, 'Manifest 404');
+    assert.isFalse(stateMediator.mediaLoading.get(stateOwners));
+
+    stateMediator.mediaError.get(stateOwners, new Event('loadstart'));
+    assert.isUndefined(stateMediator.mediaError.get(stateOwners));
+    assert.isTrue(stateMediator.mediaLoading.get(stateOwners));
+  });
+
+  it('reloads at the last known time on retry', () => {
+    const stateOwners = createStateOwners({ error: { code: 2 } });
+    const { media } = stateOwners;
+
+    requestMap[MediaUIEvents.MEDIA_RETRY_REQUEST](stateMediator, stateOwners, {});
+    assert.equal(media.currentTime, 0);
+    assert.isTrue(media.paused);
+
+    media.dispatchEvent(new Event('loadedmetadata'));
+    assert.equal(media.currentTime, 42);
+    assert.isFalse(media.paused);
+  });
+
+  it('has a message per error code', () => {
+    assert.equal(formatErrorCode(2), nouns.ERROR_NETWORK());
+    assert.equal(formatErrorCode(99), nouns.ERROR_UNKNOWN());
+  });
+});
@@ -0,0 +1,85 @@
+import { assert } from '@open-wc/testing';
+import createMediaStore from '../../../src/js/media-store/media-store.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('MediaStore middleware', () => {
+  const previewRequest = (detail) => ({
+    type: MediaUIEvents.MEDIA_PREVIEW_REQUEST,
+    detail,
+  });
+
+  it('passes requests through middleware', () => {
+    const actions = [];
+    const mediaStore = createMediaStore({
+      middleware: [
+        {
+          request(action, next) {
+            actions.push(action.type);
+            next(action);
+          },
+        },
+      ],
+    });
+
+    mediaStore.dispatch(previewRequest(10));
+
+    assert.deepEqual(actions, [MediaUIEvents.MEDIA_PREVIEW_REQUEST]);
+    assert.equal(mediaStore.getState().mediaPreviewTime, 10);
+  });
+
+  it('can veto requests', () => {
+    const mediaStore = createMediaStore({
+      middleware: [{ request() {} }],
+    });
+
+    mediaStore.dispatch(previewRequest(10));
+
+    assert.equal(mediaStore.getState().mediaPreviewTime, undefined);
+  });
+
+  it('can rewrite requests and state deltas in order', () => {
+    const mediaStore = createMediaStore({});
+    mediaStore.use({
+      request(action, next) {
+        next({ ...action, detail: action.detail * 2 });
+      },
+    });
+    mediaStore.use({
+      stateUpdate(stateDelta, next) {
+        next({ ...stateDelta, mediaPreviewTime: stateDelta.mediaPreviewTime + 1 });
+      },
+    });
+
+    mediaStore.dispatch(previewRequest(10));
+
+    assert.equal(mediaStore.getState().mediaPreviewTime, 21);
+  });
+
+  it('can delay requests', async () => {
+    const mediaStore = createMediaStore({
+      middleware: [
+        {
+          request(action, next) {
+            setTimeout(() => next(action), 10);
+          },
+        },
+      ],
+    });
+
+    mediaStore.dispatch(previewRequest(10));
+    assert.equal(mediaStore.getState().mediaPreviewTime, undefined);
+
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(mediaStore.getState().mediaPreviewTime, 10);
+  });
+
+  it('can remove middleware', () => {
+    const mediaStore = createMediaStore({});
+    const remove = mediaStore.use({ request() {} });
+    remove();
+
+    mediaStore.dispatch(previewRequest(10));
+
+    assert.equal(mediaStore.getState().mediaPreviewTime, 10);
+  });
+});
@@ -0,0 +1,74 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('playback quality', () => {
+  const createStateOwners = (props = {}) => {
+    const media = document.createElement('div');
+    Object.assign(media, {
+      readyState: 4,
+      videoWidth: 1920,
+      videoHeight: 1080,
+      ...props,
+    });
+    return { media, options: {} };
+  };
+
+  it('reads the playback quality of the media', () => {
+    assert.isUndefined(stateMediator.mediaPlaybackQuality.get(createStateOwners()));
+
+    const stateOwners = createStateOwners({
+      getVideoPlaybackQuality: () => ({ droppedVideoFrames: 3, totalVideoFrames: 250 }),
+    });
+    const quality = stateMediator.mediaPlaybackQuality.get(stateOwners);
+    assert.equal(quality.droppedVideoFrames, 3);
+    assert.equal(quality.totalVideoFrames, 250);
+    assert.isUndefined(quality.bandwidthEstimate);
+  });
+
+  it('reads the values custom media elements add to the playback quality', () => {
+    const stateOwners = createStateOwners({
+      getVideoPlaybackQuality: () => ({
+        droppedVideoFrames: 0,
+        totalVideoFrames: 10,
+        bitrate: 2500000,
+        bandwidthEstimate: 8000000,
+        liveLatency: 4.5,
+      }),
+    });
+    assert.deepEqual(stateMediator.mediaPlaybackQuality.get(stateOwners), {
+      droppedVideoFrames: 0,
+      totalVideoFrames: 10,
+      bitrate: 2500000,
+      bandwidthEstimate: 8000000,
+      liveLatency: 4.5,
+    });
+  });
+
+  it('only reads the playback quality when it is requested', () => {
+    let reads = 0;
+    const stateOwners = createStateOwners({
+      getVideoPlaybackQuality: () => ({ droppedVideoFrames: ++reads, totalVideoFrames: 250 }),
+    });
+    assert.notInclude(stateMediator.mediaPlaybackQuality.mediaEvents, 'timeupdate');
+
+    const state = requestMap[MediaUIEvents.MEDIA_PLAYBACK_QUALITY_REQUEST](
+      stateMediator,
+      stateOwners,
+      {}
+    );
+    assert.equal(reads, 1);
+    assert.equal(state.mediaPlaybackQuality.droppedVideoFrames, 1);
+  });
+
+  it('reads the ready state and video size of the media', () => {
+    const stateOwners = createStateOwners();
+    assert.equal(stateMediator.mediaReadyState.get(stateOwners), 4);
+    assert.deepEqual(stateMediator.mediaVideoSize.get(stateOwners), [1920, 1080]);
+
+    stateOwners.media.videoWidth = 0;
+    assert.isUndefined(stateMediator.mediaVideoSize.get(stateOwners));
+    assert.isUndefined(stateMediator.mediaReadyState.get({}));
+  });
+});
@@ -0,0 +1,120 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('playlist', () => {
+  const playlist = [
+    {
+      src: 'https://example.com/one.mp4',
+      poster: 'https://example.com/one.jpg',
+      title: 'One',
+      tracks: [{ kind: 'subtitles', srclang: 'en', src: 'one-en.vtt', default: true }],
+    },
+    { src: 'https://example.com/two.mp4', title: 'Two' },
+    { src: 'https://example.com/three.mp4', title: 'Three' },
+  ];
+
+  const createStateOwners = (options = {}) => {
+    const media = document.createElement('video');
+    media.muted = true;
+    media.src = playlist[0].src;
+    return { media, options: { playlist, ...options } };
+  };
+
+  const request = (type, stateOwners, detail) =>
+    requestMap[type](stateMediator, stateOwners, { detail });
+
+  it('finds the index of the loaded item', () => {
+    const stateOwners = createStateOwners();
+
+    assert.deepEqual(stateMediator.mediaPlaylist.get(stateOwners), playlist);
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 0);
+
+    stateOwners.media.src = 'https://example.com/other.mp4';
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), undefined);
+  });
+
+  it('sets the playlist', () => {
+    const stateOwners = createStateOwners({ playlist: [] });
+
+    request(MediaUIEvents.MEDIA_PLAYLIST_REQUEST, stateOwners, playlist);
+    assert.deepEqual(stateMediator.mediaPlaylist.get(stateOwners), playlist);
+  });
+
+  it('loads the next and previous items', () => {
+    const stateOwners = createStateOwners();
+    const { media } = stateOwners;
+
+    request(MediaUIEvents.MEDIA_NEXT_REQUEST, stateOwners);
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 1);
+    assert.isFalse(media.hasAttribute('poster'));
+    assert.equal(media.querySelectorAll('track').length, 0);
+
+    request(MediaUIEvents.MEDIA_NEXT_REQUEST, stateOwners);
+    request(MediaUIEvents.MEDIA_NEXT_REQUEST, stateOwners);
+    assert.equal(
+      stateMediator.mediaPlaylistIndex.get(stateOwners),
+      2,
+      'stays on the last item'
+    );
+
+    request(MediaUIEvents.MEDIA_PREV_REQUEST, stateOwners);
+    request(MediaUIEvents.MEDIA_PREV_REQUEST, stateOwners);
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 0);
+    assert.equal(media.getAttribute('poster'), playlist[0].poster);
+
+    const track = media.querySelector('track');
+    assert.equal(track.getAttribute('srclang'), 'en');
+    assert.isTrue(track.hasAttribute('default'));
+  });
+
+  it('selects an item by index', () => {
+    const stateOwners = createStateOwners();
+
+    request(MediaUIEvents.MEDIA_PLAYLIST_SELECT_REQUEST, stateOwners, '2');
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 2);
+
+    request(MediaUIEvents.MEDIA_PLAYLIST_SELECT_REQUEST, stateOwners, 5);
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 2);
+  });
+
+  it('advances to the next item when the media ends with autoAdvance', () => {
+    const stateOwners = createStateOwners();
+    const { media } = stateOwners;
+    const [updateHandler] =
+      stateMediator.mediaPlaylistIndex.stateOwnersUpdateHandlers;
+    const teardown = updateHandler(() => {}, stateOwners);
+
+    media.dispatchEvent(new Event('ended'));
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 0);
+
+    stateOwners.options.autoAdvance = true;
+    media.dispatchEvent(new Event('ended'));
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 1);
+
+    teardown();
+  });
+  it('keeps looping instead of advancing when the media ends in a loop range', () => {
+    const stateOwners = createStateOwners({ autoAdvance: true });
+    const { media } = stateOwners;
+    let plays = 0;
+    media.play = () => {
+      plays++;
+      return Promise.reject(new DOMException('', 'NotAllowedError'));
+    };
+    const teardowns = [
+      stateMediator.mediaLoopRange,
+      stateMediator.mediaPlaylistIndex,
+    ].map(({ stateOwnersUpdateHandlers: [updateHandler] }) =>
+      updateHandler(() => {}, stateOwners)
+    );
+
+    stateMediator.mediaLoopRange.set([0, 5], stateOwners);
+    media.dispatchEvent(new Event('ended'));
+    assert.equal(plays, 1, 'plays the loop again');
+    assert.equal(stateMediator.mediaPlaylistIndex.get(stateOwners), 0);
+
+    teardowns.forEach((teardown) => teardown());
+  });
+});
@@ -0,0 +1,82 @@
+import { assert } from '@open-wc/testing';
+import {
+  PreferenceKeys,
+  createMemoryStorage,
+  getPreference,
+  setPreference,
+} from '../../../src/js/media-store/preferences.js';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+
+describe('preferences', () => {
+  it('stores and reads preferences from the preferences option', () => {
+    const stateOwners = { options: { preferences: createMemoryStorage() } };
+    let value;
+
+    setPreference(stateOwners, PreferenceKeys.VOLUME, 0.5);
+    getPreference(stateOwners, PreferenceKeys.VOLUME, (v) => (value = v));
+
+    assert.equal(value, '0.5');
+
+    setPreference(stateOwners, PreferenceKeys.VOLUME, undefined);
+    getPreference(stateOwners, PreferenceKeys.VOLUME, (v) => (value = v));
+
+    assert.equal(value, null);
+  });
+
+  it('does not store or read preferences that are turned off', () => {
+    const preferences = createMemoryStorage();
+    const stateOwners = { options: { preferences, noMutedPref: true } };
+    let value;
+
+    setPreference(stateOwners, PreferenceKeys.MUTED, true);
+    assert.equal(preferences.getItem(PreferenceKeys.MUTED), null);
+
+    preferences.setItem(PreferenceKeys.MUTED, 'true');
+    getPreference(stateOwners, PreferenceKeys.MUTED, (v) => (value = v));
+    assert.equal(value, null);
+  });
+
+  it('supports async preference storage', async () => {
+    const preferences = createMemoryStorage();
+    preferences.setItem(PreferenceKeys.PLAYBACK_RATE, '1.5');
+    const stateOwners = {
+      options: {
+        preferences: {
+          getItem: async (key) => preferences.getItem(key),
+          setItem: async (key, value) => preferences.setItem(key, value),
+          removeItem: async (key) => preferences.removeItem(key),
+        },
+      },
+    };
+
+    const value = await new Promise((resolve) =>
+      getPreference(stateOwners, PreferenceKeys.PLAYBACK_RATE, resolve)
+    );
+
+    assert.equal(value, '1.5');
+  });
+
+  it('keeps the preferred playback rate when a new source loads', () => {
+    const preferences = createMemoryStorage();
+    preferences.setItem(PreferenceKeys.PLAYBACK_RATE, '1.5');
+    const media = document.createElement('video');
+    const stateOwners = { media, options: { preferences } };
+    let restoredRate;
+
+    stateMediator.mediaPlaybackRate.stateOwnersUpdateHandlers[0](
+      (value) => (restoredRate = value),
+      stateOwners
+    );
+    assert.equal(restoredRate, 1.5);
+    assert.equal(media.playbackRate, 1.5);
+    assert.equal(media.defaultPlaybackRate, 1.5);
+
+    stateMediator.mediaPlaybackRate.set(2, stateOwners);
+    assert.equal(preferences.getItem(PreferenceKeys.PLAYBACK_RATE), '2');
+    assert.equal(media.defaultPlaybackRate, 2);
+
+    // Loading resets the playback rate to the default playback rate.
+    media.load();
+    assert.equal(stateMediator.mediaPlaybackRate.get(stateOwners), 2);
+  });
+});
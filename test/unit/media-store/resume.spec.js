@@ -0,0 +1,167 @@
+import { assert } from '@open-wc/testing';
+import { stateMediator } from '../../../src/js/media-store/state-mediator.js';
+import { requestMap } from '../../../src/js/media-store/request-map.js';
+import {
+  createMemoryStorage,
+  getResumeKey,
+} from '../../../src/js/media-store/preferences.js';
+import { getAdBreakState } from '../../../src/js/media-store/util.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('resume position', () => {
+  const createStateOwners = (resume) => {
+    const media = document.createElement('div');
+    media.setAttribute('mediaid', 'episode-1');
+    Object.assign(media, {
+      readyState: 1,
+      currentTime: 0,
+      duration: 600,
+      paused: true,
+      ended: false,
+      play() {
+        this.paused = false;
+        return Promise.resolve();
+      },
+    });
+    const preferences = createMemoryStorage();
+    return { media, options: { resume, preferences } };
+  };
+
+  const setup = (stateOwners) => {
+    const [updateHandler] = stateMediator.mediaResumeTime.stateOwnersUpdateHandlers;
+    return updateHandler(() => {}, stateOwners);
+  };
+
+  it('keys the position by the mediaid attribute or the source', () => {
+    const media = document.createElement('video');
+    media.src = 'https://example.com/video.mp4';
+    assert.include(getResumeKey(media), 'https://example.com/video.mp4');
+
+    media.setAttribute('mediaid', 'episode-1');
+    assert.include(getResumeKey(media), 'episode-1');
+  });
+
+  it('saves the position while playing and when pausing', () => {
+    const stateOwners = createStateOwners('auto');
+    const { media, options } = stateOwners;
+    const key = getResumeKey(media);
+    const teardown = setup(stateOwners);
+
+    media.currentTime = 3;
+    media.dispatchEvent(new Event('timeupdate'));
+    assert.equal(options.preferences.getItem(key), null, 'too early to resume from');
+
+    media.currentTime = 42;
+    media.dispatchEvent(new Event('timeupdate'));
+    assert.equal(options.preferences.getItem(key), '42');
+
+    media.currentTime = 44;
+    media.dispatchEvent(new Event('pause'));
+    assert.equal(options.preferences.getItem(key), '44');
+
+    media.currentTime = 600;
+    media.ended = true;
+    media.dispatchEvent(new Event('ended'));
+    assert.equal(options.preferences.getItem(key), null, 'finished');
+
+    teardown();
+  });
+
+  it('seeks to the stored position with resume="auto"', () => {
+    const stateOwners = createStateOwners('auto');
+    const { media, options } = stateOwners;
+    options.preferences.setItem(getResumeKey(media), '123');
+
+    const teardown = setup(stateOwners);
+    assert.equal(media.currentTime, 123);
+    assert.equal(stateMediator.mediaResumeTime.get(stateOwners), undefined);
+
+    teardown();
+  });
+
+  it('prompts to resume with resume="prompt"', () => {
+    const stateOwners = createStateOwners('prompt');
+    const { media, options } = stateOwners;
+    const key = getResumeKey(media);
+    options.preferences.setItem(key, '123');
+
+    const teardown = setup(stateOwners);
+    assert.equal(media.currentTime, 0);
+    assert.equal(stateMediator.mediaResumeTime.get(stateOwners), 123);
+
+    // Doesn't overwrite the stored position while waiting for the user.
+    media.dispatchEvent(new Event('pause'));
+    assert.equal(options.preferences.getItem(key), '123');
+
+    requestMap[MediaUIEvents.MEDIA_RESUME_REQUEST](stateMediator, stateOwners, {
+      detail: true,
+    });
+    assert.equal(media.currentTime, 123);
+    assert.isFalse(media.paused);
+    assert.equal(stateMediator.mediaResumeTime.get(stateOwners), undefined);
+
+    teardown();
+  });
+
+  it('starts over', () => {
+    const stateOwners = createStateOwners('prompt');
+    const { media, options } = stateOwners;
+    options.preferences.setItem(getResumeKey(media), '123');
+
+    const teardown = setup(stateOwners);
+    requestMap[MediaUIEvents.MEDIA_RESUME_REQUEST](stateMediator, stateOwners, {
+      detail: false,
+    });
+    assert.equal(media.currentTime, 0);
+    assert.isFalse(media.paused);
+    assert.equal(stateMediator.mediaResumeTime.get(stateOwners), undefined);
+
+    teardown();
+  });
+
+  it('plays the ad breaks before the resumed position first', () => {
+    const stateOwners = createStateOwners('auto');
+    const { media, options } = stateOwners;
+    media.cuePoints = [{ startTime: 60, endTime: 75, type: 'ad' }];
+    options.preferences.setItem(getResumeKey(media), '123');
+
+    const teardown = setup(stateOwners);
+    assert.equal(media.currentTime, 60);
+    assert.equal(getAdBreakState(media).resumeTime, 123);
+
+    teardown();
+  });
+
+  it('resumes once a pre-roll is watched', () => {
+    const stateOwners = createStateOwners('prompt');
+    const { media, options } = stateOwners;
+    media.cuePoints = [{ startTime: 0, endTime: 10, type: 'ad' }];
+    options.preferences.setItem(getResumeKey(media), '123');
+
+    const teardown = setup(stateOwners);
+    requestMap[MediaUIEvents.MEDIA_RESUME_REQUEST](stateMediator, stateOwners, {
+      detail: true,
+    });
+    assert.equal(media.currentTime, 0);
+    assert.equal(getAdBreakState(media).resumeTime, 123);
+    assert.isFalse(media.paused);
+
+    teardown();
+  });
+
+  it('does nothing without the resume option', () => {
+    const stateOwners = createStateOwners(undefined);
+    const { media, options } = stateOwners;
+    const key = getResumeKey(media);
+    options.preferences.setItem(key, '123');
+
+    const teardown = setup(stateOwners);
+    assert.equal(media.currentTime, 0);
+
+    media.currentTime = 42;
+    media.dispatchEvent(new Event('pause'));
+    assert.equal(options.preferences.getItem(key), '123');
+
+    teardown();
+  });
+});
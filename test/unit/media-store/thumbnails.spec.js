@@ -0,0 +1,97 @@
+import { assert } from '@open-wc/testing';
+import {
+  createMediaThumbnailSource,
+  createStoryboardThumbnailSource,
+  getStoryboardThumbnail,
+} from '../../../src/js/media-store/thumbnails.js';
+import createMediaStore from '../../../src/js/media-store/media-store.js';
+import { MediaUIEvents } from '../../../src/js/constants.js';
+
+describe('thumbnail sources', () => {
+  const storyboard = {
+    url: ['https://example.com/sheet-0.jpg', 'https://example.com/sheet-1.jpg'],
+    tileWidth: 100,
+    tileHeight: 50,
+    columns: 2,
+    rows: 2,
+    interval: 10,
+  };
+
+  it('resolves tiles from a storyboard grid', () => {
+    assert.deepEqual(getStoryboardThumbnail(storyboard, 0), {
+      url: 'https://example.com/sheet-0.jpg',
+      coords: [0, 0, 100, 50],
+    });
+    assert.deepEqual(getStoryboardThumbnail(storyboard, 35), {
+      url: 'https://example.com/sheet-0.jpg',
+      coords: [100, 50, 100, 50],
+    });
+    assert.deepEqual(getStoryboardThumbnail(storyboard, 45), {
+      url: 'https://example.com/sheet-1.jpg',
+      coords: [0, 0, 100, 50],
+    });
+  });
+
+  it('resolves times past the last tile to the last tile', () => {
+    const grid = {
+      url: 'https://example.com/sheet.jpg',
+      tileWidth: 10,
+      tileHeight: 10,
+      columns: 5,
+      rows: 2,
+      interval: 1,
+    };
+    assert.deepEqual(getStoryboardThumbnail(grid, 25), {
+      url: 'https://example.com/sheet.jpg',
+      coords: [40, 10, 10, 10],
+    });
+    assert.deepEqual(getStoryboardThumbnail(storyboard, 95).coords, [100, 50, 100, 50]);
+    assert.equal(getStoryboardThumbnail(storyboard, 95).url, 'https://example.com/sheet-1.jpg');
+
+    // Without rows the sheet has no end.
+    assert.deepEqual(getStoryboardThumbnail({ ...grid, rows: undefined }, 25).coords, [0, 50, 10, 10]);
+  });
+
+  it('resolves tiles from a storyboard tile list', () => {
+    const thumbnail = getStoryboardThumbnail(
+      {
+        url: 'sheet.jpg',
+        tile_width: 100,
+        tile_height: 50,
+        tiles: [
+          { start: 0, x: 0, y: 0 },
+          { start: 12, x: 100, y: 0 },
+        ],
+      },
+      20,
+      'https://example.com/'
+    );
+
+    assert.deepEqual(thumbnail, {
+      url: 'https://example.com/sheet.jpg',
+      coords: [100, 0, 100, 50],
+    });
+  });
+
+  it('resolves the preview image and coords from the configured source', () => {
+    const mediaStore = createMediaStore({
+      media: document.createElement('video'),
+      options: { thumbnailSource: createStoryboardThumbnailSource(storyboard) },
+    });
+
+    mediaStore.dispatch({ type: MediaUIEvents.MEDIA_PREVIEW_REQUEST, detail: 15 });
+
+    const { mediaPreviewImage, mediaPreviewCoords } = mediaStore.getState();
+    assert.equal(mediaPreviewImage, 'https://example.com/sheet-0.jpg');
+    assert.deepEqual(mediaPreviewCoords, ['100', '0', '100', '50']);
+  });
+
+  it('resolves thumbnails from the media getThumbnail method', () => {
+    const media = document.createElement('video');
+    media.getThumbnail = (time) => `https://example.com/${time}.jpg`;
+
+    assert.deepEqual(createMediaThumbnailSource().getThumbnail(5, { media }), {
+      url: 'https://example.com/5.jpg',
+    });
+  });
+});
@@ -0,0 +1,77 @@
+import { fixture, assert } from '@open-wc/testing';
+import '../../src/js/media-time-display.js';
+
+describe('<media-time-display>', () => {
+  const getText = (el) => el.shadowRoot.querySelector('slot').textContent;
+
+  it('shows the current time in the format', async () => {
+    const el = await fixture(`
+      <media-time-display mediacurrenttime="3723.5" mediaduration="7200"></media-time-display>
+    `);
+    assert.equal(getText(el), '1:02:03');
+
+    el.format = 'frames';
+    assert.equal(getText(el), '01:02:03:15');
+
+    el.frameRate = 25;
+    assert.equal(getText(el), '01:02:03:12');
+
+    el.format = 'milliseconds';
+    assert.equal(getText(el), '1:02:03.500');
+
+    el.setAttribute('format', 'seconds');
+    assert.equal(getText(el), '3723');
+  });
+
+  it('phrases the aria-valuetext like the displayed time', async () => {
+    const el = await fixture(`
+      <media-time-display mediacurrenttime="3723.5" mediaduration="7200"></media-time-display>
+    `);
+    assert.equal(el.getAttribute('aria-valuetext'), '1 hour, 2 minutes, 3 seconds');
+
+    el.setAttribute('format', 'frames');
+    el.setAttribute('framerate', '25');
+    assert.equal(el.getAttribute('aria-valuetext'), '1 hour, 2 minutes, 3 seconds, 12 frames');
+
+    el.format = 'milliseconds';
+    assert.equal(el.getAttribute('aria-valuetext'), '1 hour, 2 minutes, 3.5 seconds');
+
+    el.format = 'seconds';
+    assert.equal(el.getAttribute('aria-valuetext'), '3723 seconds');
+  });
+
+  it('formats the remaining time and the duration', async () => {
+    const el = await fixture(`
+      <media-time-display
+        mediacurrenttime="50"
+        mediaduration="60.25"
+        format="seconds"
+        remaining
+        showduration
+      ></media-time-display>
+    `);
+    assert.equal(getText(el), '-10\u00a0/\u00a060');
+    assert.equal(el.getAttribute('aria-valuetext'), '10 seconds remaining of 60 seconds');
+  });
+
+  it('formats the times with the formatter', async () => {
+    const el = await fixture(`
+      <media-time-display mediacurrenttime="90" mediaduration="120" format="frames" showduration></media-time-display>
+    `);
+    const calls = [];
+    el.formatter = (seconds, options) => {
+      calls.push(options);
+      return `${seconds}s`;
+    };
+
+    assert.equal(getText(el), '90s\u00a0/\u00a0120s');
+    assert.equal(calls[0].format, 'frames');
+    assert.equal(calls[0].frameRate, 30);
+
+    // The aria-valuetext uses the formatter too, so it matches what's shown.
+    assert.equal(el.getAttribute('aria-valuetext'), '90s of 120s');
+
+    el.formatter = undefined;
+    assert.equal(getText(el), '00:01:30:00\u00a0/\u00a000:02:00:00');
+  });
+});
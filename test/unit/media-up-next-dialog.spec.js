@@ -0,0 +1,141 @@
+import { spy, useFakeTimers } from 'sinon';
+import { fixture, expect } from '@open-wc/testing';
+import { MediaUIAttributes, MediaUIEvents } from '../../src/js/constants';
+import '../../src/js/media-controller';
+import '../../src/js/media-up-next-dialog';
+
+describe('<media-up-next-dialog>', () => {
+  const playlist = [
+    { src: 'one.mp4', title: 'One' },
+    { src: 'two.mp4', title: 'Two', poster: 'two.jpg' },
+  ];
+
+  let clock;
+  let el;
+
+  beforeEach(async () => {
+    el = await fixture(`<media-up-next-dialog countdown="3"></media-up-next-dialog>`);
+    el.mediaPlaylist = playlist;
+    el.setAttribute(MediaUIAttributes.MEDIA_PLAYLIST_INDEX, '0');
+    clock = useFakeTimers();
+  });
+
+  afterEach(() => {
+    clock.restore();
+  });
+
+  it('is hidden until the media ends', () => {
+    expect(el.hidden).to.be.true;
+
+    el.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    expect(el.hidden).to.be.false;
+    expect(el.shadowRoot.querySelector('[part~=title]').textContent).equals('Two');
+    expect(el.shadowRoot.querySelector('[part~=poster]').getAttribute('src')).equals('two.jpg');
+  });
+
+  it('requests the next item when the countdown ends', () => {
+    const requestHandler = spy();
+    el.addEventListener(MediaUIEvents.MEDIA_NEXT_REQUEST, requestHandler);
+
+    el.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    clock.tick(2000);
+    expect(requestHandler.called).to.be.false;
+
+    clock.tick(1000);
+    expect(requestHandler.calledOnce).to.be.true;
+    expect(el.hidden).to.be.true;
+  });
+
+  it('does not request the next item when canceled', () => {
+    const requestHandler = spy();
+    el.addEventListener(MediaUIEvents.MEDIA_NEXT_REQUEST, requestHandler);
+
+    el.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    el.shadowRoot.querySelector('[part~=cancel-button]').click();
+    clock.tick(3000);
+
+    expect(requestHandler.called).to.be.false;
+    expect(el.hidden).to.be.true;
+  });
+
+  it('lets apps cancel loading the next item of the playlist', () => {
+    const requestHandler = spy();
+    el.addEventListener(MediaUIEvents.MEDIA_NEXT_REQUEST, requestHandler);
+    el.addEventListener('upnext', (event) => event.preventDefault());
+
+    el.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    el.shadowRoot.querySelector('[part~=play-button]').click();
+    expect(requestHandler.called).to.be.false;
+  });
+
+  it('lets apps load the next item themselves', () => {
+    const requestHandler = spy();
+    const upNextHandler = spy();
+    el.addEventListener(MediaUIEvents.MEDIA_NEXT_REQUEST, requestHandler);
+    el.addEventListener('upnext', upNextHandler);
+
+    const nextItem = { src: 'three.mp4', title: 'Three' };
+    el.nextItem = nextItem;
+    el.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    expect(el.hidden).to.be.false;
+    expect(el.shadowRoot.querySelector('[part~=title]').textContent).equals('Three');
+
+    el.shadowRoot.querySelector('[part~=play-button]').click();
+    expect(upNextHandler.calledOnce).to.be.true;
+    expect(upNextHandler.firstCall.args[0].detail).equals(nextItem);
+    // The next item isn't part of the playlist, so it isn't requested from the media controller.
+    expect(requestHandler.called).to.be.false;
+  });
+});
+
+describe('<media-up-next-dialog> with autohide', () => {
+  let clock;
+
+  afterEach(() => {
+    clock?.restore();
+  });
+
+  it('counts down once the controls hide again after the user was active', async () => {
+    const controller = await fixture(`
+      <media-controller autohide="1">
+        <media-up-next-dialog slot="centered-chrome" countdown="2"></media-up-next-dialog>
+      </media-controller>
+    `);
+    const dialog = controller.querySelector('media-up-next-dialog');
+    const upNextHandler = spy();
+    dialog.addEventListener('upnext', upNextHandler);
+    dialog.nextItem = { src: 'two.mp4', title: 'Two' };
+    clock = useFakeTimers();
+
+    dialog.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    expect(dialog.hidden).to.be.false;
+
+    // A pointer move shows the controls, which pauses the countdown.
+    controller.showControls();
+    clock.tick(1000);
+    expect(controller.hasAttribute('userinactive')).to.be.true;
+
+    clock.tick(2000);
+    expect(upNextHandler.calledOnce).to.be.true;
+  });
+
+  it('counts down while the user is active when autohide is off', async () => {
+    const controller = await fixture(`
+      <media-controller autohide="-1">
+        <media-up-next-dialog slot="centered-chrome" countdown="2"></media-up-next-dialog>
+      </media-controller>
+    `);
+    const dialog = controller.querySelector('media-up-next-dialog');
+    const upNextHandler = spy();
+    dialog.addEventListener('upnext', upNextHandler);
+    dialog.nextItem = { src: 'two.mp4', title: 'Two' };
+    clock = useFakeTimers();
+
+    dialog.setAttribute(MediaUIAttributes.MEDIA_ENDED, '');
+    controller.showControls();
+    expect(controller.hasAttribute('userinactive')).to.be.false;
+
+    clock.tick(2000);
+    expect(upNextHandler.calledOnce).to.be.true;
+  });
+});
@@ -0,0 +1,104 @@
+import { assert } from '@open-wc/testing';
+import {
+  DefaultHotkeys,
+  getKeyCombo,
+  normalizeKeyCombo,
+  normalizeHotkeyMap,
+  parseHotkeys,
+  resolveHotkeyAction,
+} from '../../../src/js/utils/hotkeys.js';
+
+describe('normalizeKeyCombo', () => {
+  it('normalizes keys and modifiers', () => {
+    assert.equal(normalizeKeyCombo(' '), 'space');
+    assert.equal(normalizeKeyCombo('ArrowLeft'), 'arrowleft');
+    assert.equal(normalizeKeyCombo('Shift+Ctrl+K'), 'ctrl+shift+k');
+    assert.equal(normalizeKeyCombo('shift+>'), 'shift+>');
+    assert.equal(normalizeKeyCombo('shift++'), 'shift++');
+    assert.equal(normalizeKeyCombo('+'), '+');
+  });
+});
+
+describe('getKeyCombo', () => {
+  it('gets the key combo of a keyboard event', () => {
+    assert.equal(getKeyCombo(new KeyboardEvent('keyup', { key: ' ' })), 'space');
+    assert.equal(
+      getKeyCombo(new KeyboardEvent('keyup', { key: '>', shiftKey: true })),
+      'shift+>'
+    );
+  });
+});
+
+describe('parseHotkeys', () => {
+  it('parses bindings and disabled keys', () => {
+    const { bindings, disabled } = parseHotkeys([
+      'j:mediaseekrequest:-10',
+      'shift+>:mediaplaybackraterequest:+0.25',
+      'nospace',
+      'noarrowleft',
+    ]);
+
+    assert.deepEqual(bindings, {
+      j: 'mediaseekrequest:-10',
+      'shift+>': 'mediaplaybackraterequest:+0.25',
+    });
+    assert.deepEqual(disabled, ['space', 'arrowleft']);
+  });
+
+  it('expands key ranges', () => {
+    const hotkeyMap = normalizeHotkeyMap({ '0-2': 'mediaseekrequest:#0%' });
+
+    assert.deepEqual(hotkeyMap, {
+      0: 'mediaseekrequest:00%',
+      1: 'mediaseekrequest:10%',
+      2: 'mediaseekrequest:20%',
+    });
+  });
+});
+
+describe('resolveHotkeyAction', () => {
+  const state = {
+    mediaPaused: true,
+    mediaCurrentTime: 5,
+    mediaDuration: 100,
+    mediaVolume: 0.98,
+    mediaPlaybackRate: 1,
+  };
+
+  it('resolves toggles based on state', () => {
+    assert.equal(resolveHotkeyAction('togglepaused', state).type, 'mediaplayrequest');
+    assert.equal(
+      resolveHotkeyAction('togglepaused', { mediaPaused: false }).type,
+      'mediapauserequest'
+    );
+  });
+
+  it('resolves relative and percentage details', () => {
+    assert.deepEqual(resolveHotkeyAction('mediaseekrequest:-10', state), {
+      type: 'mediaseekrequest',
+      detail: 0,
+    });
+    assert.equal(resolveHotkeyAction('mediaseekrequest:+10', state).detail, 15);
+    assert.equal(resolveHotkeyAction('mediaseekrequest:50%', state).detail, 50);
+    assert.equal(resolveHotkeyAction('mediavolumerequest:+5%', state).detail, 1);
+    assert.equal(resolveHotkeyAction('mediaplaybackraterequest:+0.25', state).detail, 1.25);
+    assert.equal(resolveHotkeyAction('mediaplaybackraterequest:2', state).detail, 2);
+  });
+
+  it('resolves the frame step hotkeys', () => {
+    assert.deepEqual(resolveHotkeyAction(DefaultHotkeys[','], state), {
+      type: 'mediaframesteprequest',
+      detail: -1,
+    });
+    assert.equal(resolveHotkeyAction(DefaultHotkeys['.'], state).detail, 1);
+  });
+
+  it('resolves function actions', () => {
+    const request = resolveHotkeyAction((state) => ({
+      type: 'mediaseekrequest',
+      detail: state.mediaDuration - 1,
+    }), state);
+
+    assert.deepEqual(request, { type: 'mediaseekrequest', detail: 99 });
+  });
+});
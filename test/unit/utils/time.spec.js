@@ -1,5 +1,10 @@
 import { assert } from '@open-wc/testing';
-import { formatAsTimePhrase, formatTime } from '../../../src/js/utils/time.js';
+import {
+  formatAsTimePhrase,
+  formatTime,
+  formatTimeAs,
+  formatTimecode,
+} from '../../../src/js/utils/time.js';
 
 describe('formatAsTimePhrase', () => {
   it('formats time in seconds as a phrase', () => {
@@ -9,6 +14,12 @@ describe('formatAsTimePhrase', () => {
     assert.equal(formatAsTimePhrase(48932), '13 hours, 35 minutes, 32 seconds');
     assert.equal(formatAsTimePhrase(-3), '3 seconds remaining');
   });
+
+  it('formats time in seconds as a phrase for a language', () => {
+    assert.equal(formatAsTimePhrase(1, 'en'), '1 second');
+    assert.equal(formatAsTimePhrase(3661, 'de'), '1 Stunde, 1 Minute, 1 Sekunde');
+    assert.equal(formatAsTimePhrase(176, 'de'), '2 Minuten, 56 Sekunden');
+  });
 });
 
 describe('formatTime', () => {
@@ -19,3 +30,40 @@ describe('formatTime', () => {
     assert.equal(formatTime(48932), '13:35:32');
   });
 });
+
+describe('formatTimecode', () => {
+  it('formats time as an SMPTE timecode', () => {
+    assert.equal(formatTimecode(0), '00:00:00:00');
+    assert.equal(formatTimecode(3723.5), '01:02:03:15');
+    assert.equal(formatTimecode(3723.5, 25), '01:02:03:12');
+    assert.equal(formatTimecode(-0.7), '-00:00:00:21');
+    assert.equal(formatTimecode(Number.NaN), '00:00:00:00');
+  });
+
+  it('counts the frames of fractional frame rates with the nominal rate', () => {
+    assert.equal(formatTimecode(1, 29.97), '00:00:00:29');
+    assert.equal(formatTimecode(10, 23.976), '00:00:09:23');
+  });
+});
+
+describe('formatTimeAs', () => {
+  it('formats time for a format', () => {
+    assert.equal(formatTimeAs(3723.04), '1:02:03');
+    assert.equal(formatTimeAs(3723.04, { format: 'frames', frameRate: 25 }), '01:02:03:01');
+    assert.equal(formatTimeAs(3723.04, { format: 'milliseconds' }), '1:02:03.040');
+    assert.equal(formatTimeAs(-5.5, { format: 'milliseconds' }), '-0:05.500');
+    assert.equal(formatTimeAs(3723.04, { format: 'seconds' }), '3723');
+  });
+
+  it('phrases time for a format', () => {
+    assert.equal(
+      formatAsTimePhrase(3723.04, undefined, { format: 'frames', frameRate: 25 }),
+      '1 hour, 2 minutes, 3 seconds, 1 frame'
+    );
+    assert.equal(
+      formatAsTimePhrase(3723.04, undefined, { format: 'milliseconds' }),
+      '1 hour, 2 minutes, 3.04 seconds'
+    );
+    assert.equal(formatAsTimePhrase(3723.04, undefined, { format: 'seconds' }), '3723 seconds');
+  });
+});